@@ -1,12 +1,21 @@
 var promises = require("../lib/promises");
 var zipfile = require("../lib/zipfile");
+var flatOpc = require("../lib/flat-opc");
 
 exports.openZip = openZip;
 
 function openZip(options) {
     if (options.arrayBuffer) {
-        return promises.resolve(zipfile.openArrayBuffer(options.arrayBuffer));
+        return promises.resolve(openArrayBuffer(options.arrayBuffer));
     } else {
         return promises.reject(new Error("Could not find file in options"));
     }
 }
+
+function openArrayBuffer(arrayBuffer) {
+    if (flatOpc.isXmlPackage(arrayBuffer)) {
+        return flatOpc.openArrayBuffer(arrayBuffer);
+    } else {
+        return zipfile.openArrayBuffer(arrayBuffer);
+    }
+}
@@ -0,0 +1,248 @@
+var _ = require("underscore");
+
+var svg = require("./svg");
+
+exports.categories = categories;
+exports.toSvg = toSvg;
+
+
+var defaultSize = {width: 480, height: 288};
+
+// The default colors of series in Office themes.
+var palette = ["4472C4", "ED7D31", "A5A5A5", "FFC000", "5B9BD5", "70AD47"];
+
+var fontSize = 12;
+
+// The categories of the chart are taken from the series with the most
+// categories. If none of the series have categories, the points are numbered.
+function categories(chart) {
+    var longest = _.max(chart.series, function(series) {
+        return series.categories.length;
+    });
+    var count = _.max(chart.series.map(function(series) {
+        return Math.max(series.categories.length, series.values.length);
+    }).concat([0]));
+    return _.times(count, function(index) {
+        var category = longest === -Infinity ? null : longest.categories[index];
+        return category == null ? String(index + 1) : category;
+    });
+}
+
+// Draws a simple chart from the values of the series. Pie and doughnut charts
+// are drawn from the first series, and all other charts are drawn as either
+// column or line charts.
+function toSvg(chart) {
+    var size = chart.size || defaultSize;
+    var chartCategories = categories(chart);
+    var isPie = chart.chartType === "pie" || chart.chartType === "doughnut";
+    var legendEntries = isPie ?
+        chartCategories.map(function(category, index) {
+            return {name: category, color: pointColor(index)};
+        }) :
+        chart.series.map(function(series, index) {
+            return {name: series.name || "Series " + (index + 1), color: seriesColor(series, index)};
+        });
+    var showLegend = isPie || legendEntries.length > 1;
+
+    var plotArea = {
+        top: chart.title ? fontSize * 3 : fontSize,
+        bottom: size.height - (showLegend ? fontSize * 2.5 : fontSize),
+        left: 0,
+        right: size.width
+    };
+
+    var children = [];
+    if (chart.title) {
+        children.push(text(size.width / 2, fontSize * 1.5, chart.title, {"text-anchor": "middle", "font-weight": "bold"}));
+    }
+    if (isPie) {
+        children = children.concat(drawPie(chart, plotArea));
+    } else {
+        children = children.concat(drawAxes(chart, chartCategories, plotArea));
+    }
+    if (showLegend) {
+        children = children.concat(drawLegend(legendEntries, size));
+    }
+
+    return svg.element("svg", {
+        "xmlns": "http://www.w3.org/2000/svg",
+        "width": size.width,
+        "height": size.height,
+        "viewBox": "0 0 " + size.width + " " + size.height,
+        "font-family": "sans-serif",
+        "font-size": fontSize
+    }, children);
+}
+
+function drawAxes(chart, chartCategories, plotArea) {
+    var values = _.flatten(_.pluck(chart.series, "values")).filter(function(value) {
+        return value !== null;
+    });
+    var minimum = Math.min.apply(Math, [0].concat(values));
+    var maximum = Math.max.apply(Math, [0].concat(values));
+    if (maximum === minimum) {
+        maximum = minimum + 1;
+    }
+
+    var left = plotArea.left + fontSize * 4;
+    var right = plotArea.right - fontSize;
+    var top = plotArea.top;
+    var bottom = plotArea.bottom - fontSize * 2;
+    var bandWidth = (right - left) / Math.max(chartCategories.length, 1);
+
+    function y(value) {
+        return bottom - (value - minimum) / (maximum - minimum) * (bottom - top);
+    }
+
+    var children = [
+        line(left, top, left, bottom),
+        line(left, y(0), right, y(0)),
+        text(left - fontSize / 2, y(maximum), formatValue(maximum), {"text-anchor": "end", "dominant-baseline": "middle"}),
+        text(left - fontSize / 2, y(minimum), formatValue(minimum), {"text-anchor": "end", "dominant-baseline": "middle"})
+    ];
+    chartCategories.forEach(function(category, index) {
+        children.push(text(left + bandWidth * (index + 0.5), bottom + fontSize * 1.5, category, {"text-anchor": "middle"}));
+    });
+
+    var isColumn = chart.chartType === "column" || chart.chartType === "bar";
+    chart.series.forEach(function(series, seriesIndex) {
+        var color = "#" + seriesColor(series, seriesIndex);
+        if (isColumn) {
+            var columnWidth = bandWidth * 0.8 / chart.series.length;
+            series.values.forEach(function(value, index) {
+                if (value !== null) {
+                    children.push(svg.element("rect", {
+                        "x": svg.formatNumber(left + bandWidth * (index + 0.1) + columnWidth * seriesIndex),
+                        "y": svg.formatNumber(Math.min(y(value), y(0))),
+                        "width": svg.formatNumber(columnWidth),
+                        "height": svg.formatNumber(Math.abs(y(value) - y(0))),
+                        "fill": color
+                    }));
+                }
+            });
+        } else {
+            // Missing values leave a gap in the line.
+            var commands = [];
+            var previous = null;
+            series.values.forEach(function(value, index) {
+                if (value !== null) {
+                    var point = svg.formatNumber(left + bandWidth * (index + 0.5)) + " " + svg.formatNumber(y(value));
+                    commands.push((previous === null ? "M " : "L ") + point);
+                }
+                previous = value;
+            });
+            if (commands.length > 0) {
+                children.push(svg.element("path", {
+                    "d": commands.join(" "),
+                    "fill": "none",
+                    "stroke": color,
+                    "stroke-width": 2
+                }));
+            }
+        }
+    });
+    return children;
+}
+
+function drawPie(chart, plotArea) {
+    var values = (chart.series.length === 0 ? [] : chart.series[0].values).map(function(value) {
+        return value !== null && value > 0 ? value : 0;
+    });
+    var total = values.reduce(function(sum, value) {
+        return sum + value;
+    }, 0);
+    var centreX = (plotArea.left + plotArea.right) / 2;
+    var centreY = (plotArea.top + plotArea.bottom) / 2;
+    var radius = Math.max(Math.min(plotArea.right - plotArea.left, plotArea.bottom - plotArea.top) / 2 - fontSize, 0);
+
+    function pointOnCircle(angle) {
+        return svg.formatNumber(centreX + radius * Math.sin(angle)) + " " +
+            svg.formatNumber(centreY - radius * Math.cos(angle));
+    }
+
+    var children = [];
+    var angle = 0;
+    values.forEach(function(value, index) {
+        if (value === 0) {
+            return;
+        }
+        var color = "#" + pointColor(index);
+        if (value === total) {
+            children.push(svg.element("circle", {
+                "cx": svg.formatNumber(centreX),
+                "cy": svg.formatNumber(centreY),
+                "r": svg.formatNumber(radius),
+                "fill": color
+            }));
+            return;
+        }
+        var endAngle = angle + value / total * 2 * Math.PI;
+        var largeArc = endAngle - angle > Math.PI ? 1 : 0;
+        children.push(svg.element("path", {
+            "d": "M " + svg.formatNumber(centreX) + " " + svg.formatNumber(centreY) +
+                " L " + pointOnCircle(angle) +
+                " A " + svg.formatNumber(radius) + " " + svg.formatNumber(radius) + " 0 " + largeArc + " 1 " + pointOnCircle(endAngle) +
+                " Z",
+            "fill": color
+        }));
+        angle = endAngle;
+    });
+    if (chart.chartType === "doughnut" && total > 0) {
+        children.push(svg.element("circle", {
+            "cx": svg.formatNumber(centreX),
+            "cy": svg.formatNumber(centreY),
+            "r": svg.formatNumber(radius / 2),
+            "fill": "#FFFFFF"
+        }));
+    }
+    return children;
+}
+
+function drawLegend(entries, size) {
+    var y = size.height - fontSize * 1.5;
+    var x = fontSize;
+    return _.flatten(entries.map(function(entry) {
+        var elements = [
+            svg.element("rect", {
+                "x": svg.formatNumber(x),
+                "y": svg.formatNumber(y - fontSize / 2),
+                "width": fontSize,
+                "height": fontSize,
+                "fill": "#" + entry.color
+            }),
+            text(x + fontSize * 1.5, y, entry.name, {"dominant-baseline": "middle"})
+        ];
+        // Text is assumed to be roughly 0.6 ems wide per character.
+        x += fontSize * 3 + String(entry.name).length * fontSize * 0.6;
+        return elements;
+    }), true);
+}
+
+function seriesColor(series, index) {
+    return series.color || palette[index % palette.length];
+}
+
+function pointColor(index) {
+    return palette[index % palette.length];
+}
+
+function line(x1, y1, x2, y2) {
+    return svg.element("line", {
+        "x1": svg.formatNumber(x1),
+        "y1": svg.formatNumber(y1),
+        "x2": svg.formatNumber(x2),
+        "y2": svg.formatNumber(y2),
+        "stroke": "#808080"
+    });
+}
+
+function text(x, y, value, attributes) {
+    return svg.element("text", _.extend({
+        "x": svg.formatNumber(x),
+        "y": svg.formatNumber(y)
+    }, attributes), [svg.text(value)]);
+}
+
+function formatValue(value) {
+    return String(Math.round(value * 1000000) / 1000000);
+}
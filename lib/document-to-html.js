@@ -5,8 +5,13 @@ var documents = require("./documents");
 var htmlPaths = require("./styles/html-paths");
 var results = require("./results");
 var images = require("./images");
+var math = require("./math");
+var charts = require("./charts");
+var tableOfContents = require("./table-of-contents");
+var tableFormatting = require("./table-formatting");
 var Html = require("./html");
 var writers = require("./writers");
+var formatNumber = require("./docx/numbering-xml").formatNumber;
 
 exports.DocumentConverter = DocumentConverter;
 
@@ -25,18 +30,50 @@ function DocumentConverter(options) {
 }
 
 function DocumentConversion(options, comments) {
-    var noteNumber = 1;
-
-    var noteReferences = [];
-
     var referencedComments = [];
 
+    // The comment ranges containing the content being converted, in the order
+    // they were opened, and the IDs of comments whose ranges were marked with
+    // an anchor.
+    var openCommentRanges = [];
+    var markedCommentRanges = {};
+
     options = _.extend({ignoreEmptyParagraphs: true}, options);
     var idPrefix = options.idPrefix === undefined ? "" : options.idPrefix;
     var ignoreEmptyParagraphs = options.ignoreEmptyParagraphs;
+    var tableOfContentsMode = options.tableOfContents || "preserve";
+    var formControlsMode = options.formControls ||
+        (options.outputFormat === "markdown" ? "values" : "inputs");
+    var headingNumbersMode = options.headingNumbers || "list";
+    var chartsMode = options.charts || "table";
+    var tableFormattingMode = options.tableFormatting || "ignore";
+    var resolvedCommentsMode = options.resolvedComments || "show";
+    var footnotesMode = options.footnotes || "end";
+    var footnotesHeadingLevel = options.footnotesHeadingLevel || 1;
+    var endnotesMode = options.endnotes || "combined";
+
+    // Notes are numbered in the order they're referenced. Unless endnotes are
+    // separate, endnotes are numbered and placed in the same way as
+    // footnotes. Referenced notes are pending until they've been written.
+    var notes = new documents.Notes([]);
+    var documentNoteNumbering = {
+        footnote: documents.NoteNumbering(),
+        endnote: documents.NoteNumbering()
+    };
+    var sectionProperties = null;
+    var noteNumbers = {};
+    var pendingNotes = {footnote: [], endnote: []};
+
+    // Replies are converted as part of the comment they reply to, rather
+    // than from their own references.
+    var commentReplies = _.groupBy(_.filter(comments, isCommentReply), "parentCommentId");
 
     var defaultParagraphStyle = htmlPaths.topLevelElement("p");
 
+    // The lists containing the previous paragraph, indexed by level, so that
+    // the list elements for later paragraphs in the same lists match.
+    var openLists = [];
+
     var styleMap = options.styleMap || [];
 
     function convertToHtml(document) {
@@ -99,14 +136,43 @@ function DocumentConversion(options, comments) {
     }
 
     function convertParagraph(element, messages, options) {
-        return htmlPathForParagraph(element, messages).wrap(function() {
+        var headingNumber = null;
+        if (headingNumbersMode !== "list" && element.numbering && isHeading(element)) {
+            headingNumber = (element.numbering.label || "").trim();
+            element = _.extend({}, element, {numbering: null});
+        }
+
+        var htmlPath = htmlPathForList(htmlPathForParagraph(element, messages), element.numbering);
+        if (headingNumber && headingNumbersMode === "attribute") {
+            htmlPath = htmlPath.mapElements(function(pathElement, index, pathElements) {
+                return index === pathElements.length - 1 ?
+                    pathElement.extend({"data-number": headingNumber}) :
+                    pathElement;
+            });
+        }
+        var paragraphHtml = htmlPath.wrap(function() {
             var content = convertElements(element.children, messages, options);
+            if (headingNumber && headingNumbersMode === "text") {
+                content = [Html.text(headingNumber + " ")].concat(content);
+            }
+            if (element.trackedChange) {
+                content = content.concat([
+                    trackedChangeElement(element.trackedChange.changeType, element.trackedChange, [Html.text("\u00B6")])
+                ]);
+            }
+            if (footnotesMode === "inline" && canContainNotes(htmlPath)) {
+                content = content.concat(convertInlineNotes(messages, options));
+            }
             if (ignoreEmptyParagraphs) {
                 return content;
             } else {
                 return [Html.forceWrite].concat(content);
             }
         });
+        if (footnotesMode === "inline" && !canContainNotes(htmlPath)) {
+            paragraphHtml = paragraphHtml.concat(convertInlineNotes(messages, options));
+        }
+        return paragraphHtml;
     }
 
     function htmlPathForParagraph(element, messages) {
@@ -122,9 +188,45 @@ function DocumentConversion(options, comments) {
         }
     }
 
+    // Each list element in the path of a list paragraph is assumed to
+    // correspond to a level of the list, starting from the outermost level.
+    function htmlPathForList(path, numbering) {
+        if (!numbering) {
+            openLists = [];
+            return path;
+        }
+
+        var levelIndex = parseInt(numbering.level, 10);
+        var previous = openLists[levelIndex];
+        var hasRestarted = previous && numbering.value != null && numbering.value !== previous.nextValue;
+        openLists = openLists.slice(0, levelIndex);
+        openLists[levelIndex] = {
+            attributes: (previous && !hasRestarted) ? previous.attributes : listAttributes(numbering),
+            nextValue: numbering.value == null ? null : numbering.value + 1
+        };
+
+        var listElementIndex = 0;
+        return path.mapElements(function(element) {
+            if (!element.tagNames.ol && !element.tagNames.ul) {
+                return element;
+            }
+            var list = openLists[listElementIndex];
+            var isCurrentLevel = listElementIndex === levelIndex;
+            listElementIndex++;
+            if (!list || !element.tagNames.ol) {
+                return element;
+            } else {
+                // When a list restarts, a new list element is needed even
+                // if the previous list element could otherwise be reused.
+                var options = isCurrentLevel && hasRestarted && numbering.isOrdered ? {fresh: true} : {};
+                return element.extend(list.attributes, options);
+            }
+        });
+    }
+
     function convertRun(run, messages, options) {
         var nodes = function() {
-            return convertElements(run.children, messages, options);
+            return commentRangeAnchors(run).concat(convertElements(run.children, messages, options));
         };
         var paths = [];
         if (run.highlight !== null) {
@@ -166,6 +268,8 @@ function DocumentConversion(options, comments) {
         }
         paths.push(stylePath);
 
+        paths = paths.concat(commentRangePaths());
+
         paths.forEach(function(path) {
             nodes = path.wrap.bind(path, nodes);
         });
@@ -189,9 +293,11 @@ function DocumentConversion(options, comments) {
         return style ? style.to : defaultPath;
     }
 
-    function findStyle(element) {
+    // The context is passed to matchers that need more than the element, such
+    // as the position of table rows and cells.
+    function findStyle(element, context) {
         for (var i = 0; i < styleMap.length; i++) {
-            if (styleMap[i].from.matches(element)) {
+            if (styleMap[i].from.matches(element, context)) {
                 return styleMap[i];
             }
         }
@@ -208,6 +314,30 @@ function DocumentConversion(options, comments) {
         };
     }
 
+    function croppingImages(convertImage) {
+        if (options.cropImages) {
+            return function(image, messages) {
+                return convertImage(croppedImage(image), messages);
+            };
+        } else {
+            return convertImage;
+        }
+    }
+
+    function sizingImages(convertImage) {
+        if (options.includeImageSizes) {
+            return function(image, messages) {
+                return promises.when(convertImage(image, messages)).then(function(nodes) {
+                    return nodes.map(function(node) {
+                        return imageElementWithSize(node, image.size);
+                    });
+                });
+            };
+        } else {
+            return convertImage;
+        }
+    }
+
     function noteHtmlId(note) {
         return referentHtmlId(note.noteType, note.noteId);
     }
@@ -232,12 +362,79 @@ function DocumentConversion(options, comments) {
         htmlPaths.element("table", {}, {fresh: true})
     ]);
 
+    function convertChart(element, messages, options) {
+        if (chartsMode === "ignore") {
+            return [];
+        } else if (chartsMode === "svg") {
+            return elementConverters.image(chartImage(element), messages, options);
+        } else {
+            return convertChartToTable(element);
+        }
+    }
+
+    // Each category is a row of the table, and each series is a column.
+    function convertChartToTable(chart) {
+        var caption = chart.title ? [Html.freshElement("caption", {}, [Html.text(chart.title)])] : [];
+        var headerRow = Html.freshElement("tr", {}, [Html.freshElement("th", {}, [Html.forceWrite])].concat(
+            chart.series.map(function(series) {
+                return Html.freshElement("th", {scope: "col"}, [Html.text(series.name || ""), Html.forceWrite]);
+            })
+        ));
+        var bodyRows = charts.categories(chart).map(function(category, index) {
+            return Html.freshElement("tr", {}, [
+                Html.freshElement("th", {scope: "row"}, [Html.text(category), Html.forceWrite])
+            ].concat(chart.series.map(function(series) {
+                var value = series.values[index];
+                return Html.freshElement("td", {}, [Html.text(value == null ? "" : String(value)), Html.forceWrite]);
+            })));
+        });
+        return [Html.freshElement("table", {}, caption.concat([
+            Html.freshElement("thead", {}, [headerRow]),
+            Html.freshElement("tbody", {}, bodyRows)
+        ]))];
+    }
+
     function convertTable(element, messages, options) {
-        return findHtmlPath(element, defaultTablePath).wrap(function() {
-            return convertTableChildren(element, messages, options);
+        var htmlPath = findHtmlPath(element, defaultTablePath);
+        if (tableFormattingMode === "style") {
+            htmlPath = extendLastPathElement(htmlPath, styleAttributes(tableFormatting.tableStyle(element)));
+        }
+        return htmlPath.wrap(function() {
+            return convertTableChildren(element, messages, _.extend({}, options, {tableBorders: element.borders}));
+        });
+    }
+
+    // Every element of the paths of rows and cells is always written as a
+    // fresh element, even when the style mapping doesn't use :fresh, so that
+    // adjacent rows and cells, and the elements within them, are never merged.
+    function findTableElementHtmlPath(element, position, defaultTagName, attributes) {
+        var style = findStyle(element, position);
+        var htmlPath = style ? style.to : htmlPaths.topLevelElement(defaultTagName);
+        return extendLastPathElement(htmlPath, attributes).mapElements(function(pathElement) {
+            return pathElement.extend({}, {fresh: true});
+        });
+    }
+
+    function extendLastPathElement(htmlPath, attributes, options) {
+        return htmlPath.mapElements(function(pathElement, index, pathElements) {
+            return index === pathElements.length - 1 ? pathElement.extend(attributes, options) : pathElement;
         });
     }
 
+    function convertColumns(element) {
+        var columnStyles = tableFormattingMode === "style" ? tableFormatting.columnStyles(element) : null;
+        if (columnStyles === null) {
+            return [];
+        }
+        return [Html.freshElement("colgroup", {}, columnStyles.map(function(declarations) {
+            return Html.freshElement("col", styleAttributes(declarations));
+        }))];
+    }
+
+    function styleAttributes(declarations) {
+        return declarations.length === 0 ? {} : {style: declarations.join("; ")};
+    }
+
     function convertTableChildren(element, messages, options) {
         var bodyIndex = _.findIndex(element.children, function(child) {
             return !child.type === documents.types.tableRow || !child.isHeader;
@@ -245,42 +442,66 @@ function DocumentConversion(options, comments) {
         if (bodyIndex === -1) {
             bodyIndex = element.children.length;
         }
+        var cellColumns = tableCellColumns(element.children);
+
+        function convertRows(start, end, isTableHeader) {
+            return flatMap(element.children.slice(start, end), function(row, rowIndex) {
+                var index = start + rowIndex;
+                return elementToHtml(row, messages, _.extend({}, options, {
+                    isTableHeader: isTableHeader,
+                    tableRowPosition: {
+                        isFirst: index === 0,
+                        isLast: index === element.children.length - 1,
+                        bandIndex: isTableHeader ? null : index - bodyIndex,
+                        cellColumns: cellColumns.columns[index],
+                        columnCount: cellColumns.columnCount
+                    }
+                }));
+            });
+        }
+
         var children;
         if (bodyIndex === 0) {
-            children = convertElements(
-                element.children,
-                messages,
-                _.extend({}, options, {isTableHeader: false})
-            );
+            children = convertRows(0, element.children.length, false);
         } else {
-            var headRows = convertElements(
-                element.children.slice(0, bodyIndex),
-                messages,
-                _.extend({}, options, {isTableHeader: true})
-            );
-            var bodyRows = convertElements(
-                element.children.slice(bodyIndex),
-                messages,
-                _.extend({}, options, {isTableHeader: false})
-            );
             children = [
-                Html.freshElement("thead", {}, headRows),
-                Html.freshElement("tbody", {}, bodyRows)
+                Html.freshElement("thead", {}, convertRows(0, bodyIndex, true)),
+                Html.freshElement("tbody", {}, convertRows(bodyIndex, element.children.length, false))
             ];
         }
-        return [Html.forceWrite].concat(children);
+        return [Html.forceWrite].concat(convertColumns(element), children);
     }
 
     function convertTableRow(element, messages, options) {
-        var children = convertElements(element.children, messages, options);
-        return [
-            Html.freshElement("tr", {}, [Html.forceWrite].concat(children))
-        ];
+        var position = options.tableRowPosition || {};
+        var cellColumns = position.cellColumns || [];
+        var children = flatMap(element.children, function(cell, cellIndex) {
+            var column = cellColumns[cellIndex];
+            return elementToHtml(cell, messages, _.extend({}, options, {
+                rowTrackedChange: element.trackedChange,
+                tableCellPosition: {
+                    isHeader: !!options.isTableHeader,
+                    isFirstColumn: column === 0,
+                    isLastColumn: column !== undefined && column + (cell.colSpan || 1) === position.columnCount
+                }
+            }));
+        });
+        var attributes = tableFormattingMode === "style" ? styleAttributes(tableFormatting.rowStyle(element)) : {};
+        return findTableElementHtmlPath(element, position, "tr", attributes).wrap(function() {
+            return [Html.forceWrite].concat(children);
+        });
     }
 
     function convertTableCell(element, messages, options) {
         var tagName = options.isTableHeader ? "th" : "td";
-        var children = convertElements(element.children, messages, options);
+        var children = convertElements(
+            element.children,
+            messages,
+            _.extend({}, options, {rowTrackedChange: null})
+        );
+        if (options.rowTrackedChange) {
+            children = [trackedChangeElement(options.rowTrackedChange.changeType, options.rowTrackedChange, children)];
+        }
         var attributes = {};
         if (element.colSpan !== 1) {
             attributes.colspan = element.colSpan.toString();
@@ -288,15 +509,37 @@ function DocumentConversion(options, comments) {
         if (element.rowSpan !== 1) {
             attributes.rowspan = element.rowSpan.toString();
         }
+        if (tableFormattingMode === "style") {
+            _.extend(attributes, styleAttributes(tableFormatting.cellStyle(element, options.tableBorders)));
+        }
 
-        return [
-            Html.freshElement(tagName, attributes, [Html.forceWrite].concat(children))
-        ];
+        return findTableElementHtmlPath(element, options.tableCellPosition, tagName, attributes).wrap(function() {
+            return [Html.forceWrite].concat(children);
+        });
+    }
+
+    function isCommentReply(comment) {
+        return comment.parentCommentId !== null && _.has(comments, comment.parentCommentId);
+    }
+
+    function isHiddenComment(comment) {
+        if (resolvedCommentsMode !== "hide") {
+            return false;
+        }
+        var visitedCommentIds = {};
+        while (isCommentReply(comment) && !visitedCommentIds[comment.commentId]) {
+            visitedCommentIds[comment.commentId] = true;
+            comment = comments[comment.parentCommentId];
+        }
+        return comment.isResolved;
     }
 
     function convertCommentReference(reference, messages, options) {
         return findHtmlPath(reference, htmlPaths.ignore).wrap(function() {
             var comment = comments[reference.commentId];
+            if (comment && (isCommentReply(comment) || isHiddenComment(comment))) {
+                return [];
+            }
             var count = referencedComments.length + 1;
             var label = "[" + commentAuthorLabel(comment) + count + "]";
             referencedComments.push({label: label, comment: comment});
@@ -310,15 +553,77 @@ function DocumentConversion(options, comments) {
         });
     }
 
+    // Comment ranges are only marked if there's a style mapping for them, in
+    // which case the content of each run in the range is wrapped using that
+    // style mapping. Ignoring comment ranges leaves their content as it is,
+    // rather than removing it. An anchor before the first run in the range
+    // allows the comment to link back to the range, so a range that starts at
+    // the end of a paragraph doesn't leave an otherwise empty paragraph.
+    function convertCommentRangeStart(element, messages, options) {
+        var comment = comments[element.commentId];
+        var path = findHtmlPath(element, htmlPaths.ignore);
+        if (path === htmlPaths.ignore || !comment || isCommentReply(comment) || isHiddenComment(comment)) {
+            return [];
+        }
+        openCommentRanges.push({
+            commentId: element.commentId,
+            path: extendLastPathElement(path, {"data-comment-id": element.commentId})
+        });
+        return [];
+    }
+
+    function commentRangeAnchors(run) {
+        if (run.children.length === 0) {
+            return [];
+        }
+        return openCommentRanges.filter(function(commentRange) {
+            return !markedCommentRanges[commentRange.commentId];
+        }).map(function(commentRange) {
+            markedCommentRanges[commentRange.commentId] = true;
+            return Html.freshElement("a", {id: commentRangeHtmlId(commentRange.commentId)}, [Html.forceWrite]);
+        });
+    }
+
+    // Ranges that are still open at the end of a section are closed so that
+    // they don't extend over the rest of the document.
+    function closeCommentRanges(messages) {
+        openCommentRanges.forEach(function(commentRange) {
+            messages.push(results.warning(
+                "Comment range was not closed before the end of the section (comment ID: " + commentRange.commentId + ")"
+            ));
+        });
+        openCommentRanges = [];
+    }
+
+    // The earliest comment range is the outermost, so that overlapping ranges
+    // are nested consistently across runs.
+    function commentRangePaths() {
+        return _.pluck(openCommentRanges, "path").reverse();
+    }
+
+    function convertCommentRangeEnd(element, messages, options) {
+        openCommentRanges = openCommentRanges.filter(function(commentRange) {
+            return commentRange.commentId !== element.commentId;
+        });
+        return [];
+    }
+
+    function commentRangeHtmlId(commentId) {
+        return htmlId("comment-range-" + commentId);
+    }
+
     function convertComment(referencedComment, messages, options) {
         // TODO: remove duplication with note references
 
         var label = referencedComment.label;
         var comment = referencedComment.comment;
+        var backLinkId = markedCommentRanges[comment.commentId] ?
+            commentRangeHtmlId(comment.commentId) :
+            referenceHtmlId("comment", comment.commentId);
         var body = convertElements(comment.body, messages, options).concat([
             Html.nonFreshElement("p", {}, [
                 Html.text(" "),
-                Html.freshElement("a", {"href": "#" + referenceHtmlId("comment", comment.commentId)}, [
+                Html.freshElement("a", {"href": "#" + backLinkId}, [
                     Html.text("↑")
                 ])
             ])
@@ -328,12 +633,274 @@ function DocumentConversion(options, comments) {
             Html.freshElement(
                 "dt",
                 {"id": referentHtmlId("comment", comment.commentId)},
-                [Html.text("Comment " + label)]
+                [Html.text("Comment " + label)].concat(convertCommentDetails(comment))
             ),
-            Html.freshElement("dd", {}, body)
+            Html.freshElement("dd", {}, body.concat(convertCommentReplies(comment, messages, options, {})))
         ];
     }
 
+    function convertCommentReplies(comment, messages, options, visitedCommentIds) {
+        visitedCommentIds = _.extend({}, visitedCommentIds, _.object([[comment.commentId, true]]));
+        var replies = (commentReplies[comment.commentId] || []).filter(function(reply) {
+            return !visitedCommentIds[reply.commentId];
+        });
+        if (replies.length === 0) {
+            return [];
+        }
+        return [Html.freshElement("dl", {}, flatMap(replies, function(reply) {
+            return [
+                Html.freshElement(
+                    "dt",
+                    {"id": referentHtmlId("comment", reply.commentId)},
+                    [Html.text("Reply")].concat(convertCommentDetails(reply))
+                ),
+                Html.freshElement("dd", {}, convertElements(reply.body, messages, options).concat(
+                    convertCommentReplies(reply, messages, options, visitedCommentIds)
+                ))
+            ];
+        }))];
+    }
+
+    function convertCommentDetails(comment) {
+        var nodes = [];
+        if (comment.authorName) {
+            nodes.push(Html.text(" by " + comment.authorName));
+        }
+        if (comment.date) {
+            nodes.push(Html.text(" on "), Html.freshElement("time", {datetime: comment.date}, [Html.text(comment.date)]));
+        }
+        if (comment.isResolved) {
+            nodes.push(Html.text(" (resolved)"));
+        }
+        return nodes;
+    }
+
+    function noteSequence(noteType) {
+        return endnotesMode === "separate" && noteType === "endnote" ? "endnote" : "footnote";
+    }
+
+    // The numbering of a section overrides the numbering of the document.
+    function noteNumbering(sequence) {
+        var sectionNoteNumbering = sectionProperties === null ? {} : sectionProperties[sequence + "Numbering"];
+        return _.extend(
+            {numberFormat: "decimal", start: 1, restart: "continuous"},
+            omitNulls(documentNoteNumbering[sequence]),
+            omitNulls(sectionNoteNumbering)
+        );
+    }
+
+    // Notes can't be numbered from the start of each page, so notes that
+    // restart on each page are numbered continuously.
+    function startNoteSection(properties) {
+        sectionProperties = properties;
+        _.keys(pendingNotes).forEach(function(sequence) {
+            if (noteNumbering(sequence).restart === "eachSect") {
+                delete noteNumbers[sequence];
+            }
+        });
+    }
+
+    function takePendingNotes(sequence) {
+        var referencedNotes = pendingNotes[sequence];
+        pendingNotes[sequence] = [];
+        return referencedNotes;
+    }
+
+    function convertInlineNotes(messages, options) {
+        var list = convertNoteList(takePendingNotes("footnote"), messages, options);
+        return list.length === 0 ? [] : [Html.freshElement("aside", {}, list)];
+    }
+
+    // Each list of notes is an ordered list. When notes aren't numbered with
+    // decimal numbers, the label of each note is written as the data-label
+    // attribute, so that the label is kept by writers that can't show the type
+    // of the list, and when the list can't show the format, such as symbols.
+    function convertNoteList(referencedNotes, messages, options) {
+        if (referencedNotes.length === 0) {
+            return [];
+        }
+        var attributes = noteListAttributes(referencedNotes[0]);
+        var expectedNumber = referencedNotes[0].number;
+        var items = _.compact(referencedNotes.map(function(referencedNote) {
+            var note = notes.resolve(referencedNote.reference);
+            if (!note) {
+                return null;
+            }
+            var itemAttributes = {id: noteHtmlId(note)};
+            if (referencedNote.number !== expectedNumber) {
+                itemAttributes.value = String(referencedNote.number);
+            }
+            if (referencedNote.numberFormat !== "decimal" || attributes.type) {
+                itemAttributes["data-label"] = referencedNote.label;
+            }
+            expectedNumber = referencedNote.number + 1;
+            return convertNote(note, itemAttributes, messages, options);
+        }));
+        return [Html.freshElement("ol", attributes, items)];
+    }
+
+    function noteListAttributes(referencedNote) {
+        var attributes = {};
+        var type = listTypes[referencedNote.numberFormat];
+        if (type) {
+            attributes.type = type;
+        }
+        if (referencedNote.number !== 1) {
+            attributes.start = String(referencedNote.number);
+        }
+        return attributes;
+    }
+
+    function convertNote(note, attributes, messages, options) {
+        var children = convertElements(note.body, messages, options);
+        var backLink = Html.elementWithTag(htmlPaths.element("p", {}, {fresh: false}), [
+            Html.text(" "),
+            Html.freshElement("a", {href: "#" + noteRefHtmlId(note)}, [Html.text("↑")])
+        ]);
+        var body = children.concat([backLink]);
+
+        return Html.freshElement("li", attributes, body);
+    }
+
+    // Only elements that can contain blocks, such as li and div, can contain
+    // the notes, so notes are written after other elements, such as p and span.
+    function canContainNotes(htmlPath) {
+        var tagName = null;
+        htmlPath.mapElements(function(pathElement, index, pathElements) {
+            if (index === pathElements.length - 1) {
+                tagName = pathElement.tagName;
+            }
+            return pathElement;
+        });
+        return _.contains(blockContainerTagNames, tagName);
+    }
+
+    function isNotesHeading(element) {
+        if (element.type !== documents.types.paragraph) {
+            return false;
+        }
+        var level = headingLevel(element);
+        return level !== null && level <= footnotesHeadingLevel;
+    }
+
+    // Section properties are stored at the end of each section, so the
+    // elements before each section properties are wrapped using the HTML path
+    // for that section.
+    function convertSections(elements, messages, options) {
+        var sections = [];
+        var sectionChildren = [];
+        elements.forEach(function(element) {
+            if (element.type === documents.types.sectionProperties) {
+                sections.push({properties: element, children: sectionChildren});
+                sectionChildren = [];
+            } else {
+                sectionChildren.push(element);
+            }
+        });
+        if (sectionChildren.length > 0) {
+            sections.push({properties: null, children: sectionChildren});
+        }
+
+        return flatMap(sections, function(section) {
+            startNoteSection(section.properties);
+            var path = section.properties === null ?
+                htmlPaths.empty :
+                findHtmlPath(section.properties, htmlPaths.empty);
+            return path.wrap(function() {
+                var nodes = convertBodyElements(section.children, messages, options);
+                closeCommentRanges(messages);
+                if (footnotesMode === "section") {
+                    nodes = nodes.concat(convertNoteList(takePendingNotes("footnote"), messages, options));
+                }
+                return nodes;
+            });
+        });
+    }
+
+    function convertBodyElements(elements, messages, options) {
+        var nodes = [];
+        var tableOfContentsParagraphs = [];
+
+        function convertTableOfContentsParagraphs() {
+            if (tableOfContentsParagraphs.length > 0 && tableOfContentsMode === "regenerate") {
+                nodes = nodes.concat(convertTableOfContents(tableOfContentsParagraphs));
+            }
+            tableOfContentsParagraphs = [];
+        }
+
+        elements.forEach(function(element) {
+            if (tableOfContentsMode !== "preserve" && tableOfContents.isTableOfContentsParagraph(element)) {
+                tableOfContentsParagraphs.push(element);
+            } else {
+                convertTableOfContentsParagraphs();
+                if (footnotesMode === "heading" && isNotesHeading(element)) {
+                    nodes = nodes.concat(convertNoteList(takePendingNotes("footnote"), messages, options));
+                }
+                nodes = nodes.concat(elementToHtml(element, messages, options));
+            }
+        });
+        convertTableOfContentsParagraphs();
+
+        return nodes;
+    }
+
+    function convertTableOfContents(paragraphs) {
+        function convertEntries(entries) {
+            return Html.freshElement("ol", {}, entries.map(function(entry) {
+                var text = [Html.text(entry.text)];
+                var label = entry.anchor === null ?
+                    text :
+                    [Html.freshElement("a", {href: "#" + htmlId(entry.anchor)}, text)];
+                var children = entry.children.length > 0 ? [convertEntries(entry.children)] : [];
+                return Html.freshElement("li", {}, label.concat(children));
+            }));
+        }
+
+        var entries = tableOfContents.readEntries(paragraphs);
+        return entries.length > 0 ? [Html.freshElement("nav", {}, [convertEntries(entries)])] : [];
+    }
+
+    // Only a single header and footer is converted: the one used for most
+    // pages, or the first page header or footer if that's all there is.
+    function convertPageHeaderFooter(headersFooters, messages, options) {
+        var element = headersFooters["default"] || headersFooters.first;
+        return element ? convertHeaderFooter(element, messages, options) : [];
+    }
+
+    function convertHeaderFooter(element, messages, options) {
+        return findHtmlPath(element, htmlPaths.ignore).wrap(function() {
+            return convertElements(element.children, messages, options);
+        });
+    }
+
+    function convertTrackedChange(element, messages, options) {
+        var children = convertElements(element.children, messages, options);
+        return [trackedChangeElement(element.type, element, children)];
+    }
+
+    function trackedChangeElement(changeType, change, children) {
+        var tagName = changeType === documents.types.insertion ? "ins" : "del";
+        var attributes = {};
+        if (change.author) {
+            attributes["data-author"] = change.author;
+        }
+        if (change.date) {
+            attributes.datetime = change.date;
+        }
+        return Html.nonFreshElement(tagName, attributes, children);
+    }
+
+    function convertMath(element, messages, options) {
+        var attributes = {};
+        if (element.isBlock) {
+            attributes.display = "block";
+        }
+        // The LaTeX is used as the text alternative, and to generate
+        // Markdown.
+        attributes.alttext = math.toLatex(element.content);
+        return [Html.freshElement("math", attributes, math.toMathMl(element.content))];
+    }
+
     function convertBreak(element, messages, options) {
         return htmlPathForBreak(element).wrap(function() {
             return [];
@@ -351,19 +918,48 @@ function DocumentConversion(options, comments) {
         }
     }
 
+    function convertDropdown(element) {
+        var selectedItem = _.findWhere(element.items, {value: element.value});
+        if (formControlsMode === "values") {
+            var text = selectedItem ? selectedItem.displayText : element.value;
+            return text === null ? [] : [Html.text(text)];
+        }
+
+        var items = element.items;
+        if (element.value !== null && !selectedItem) {
+            items = items.concat([{value: element.value, displayText: element.value}]);
+        }
+        var options = items.map(function(item) {
+            var attributes = {value: item.value};
+            if (item.value === element.value) {
+                attributes.selected = "selected";
+            }
+            return formControlOption(attributes, item.displayText);
+        });
+        if (element.value === null) {
+            var placeholder = formControlOption({value: "", selected: "selected"}, element.placeholder || "");
+            options = [placeholder].concat(options);
+        }
+        return [Html.freshElement("select", formControlAttributes(element, {}), [Html.forceWrite].concat(options))];
+    }
+
     var elementConverters = {
         "document": function(document, messages, options) {
-            var children = convertElements(document.children, messages, options);
-            var notes = noteReferences.map(function(noteReference) {
-                return document.notes.resolve(noteReference);
-            });
-            var notesNodes = convertElements(notes, messages, options);
-            return children.concat([
-                Html.freshElement("ol", {}, notesNodes),
+            notes = document.notes;
+            documentNoteNumbering = {
+                footnote: document.footnoteNumbering,
+                endnote: document.endnoteNumbering
+            };
+            var header = convertPageHeaderFooter(document.headers, messages, options);
+            var children = convertSections(document.children, messages, options);
+            var footnotesNodes = convertNoteList(takePendingNotes("footnote"), messages, options);
+            var endnotesNodes = convertNoteList(takePendingNotes("endnote"), messages, options);
+            var footer = convertPageHeaderFooter(document.footers, messages, options);
+            return header.concat(children).concat(footnotesNodes, endnotesNodes, [
                 Html.freshElement("dl", {}, flatMap(referencedComments, function(referencedComment) {
                     return convertComment(referencedComment, messages, options);
                 }))
-            ]);
+            ]).concat(footer);
         },
         "paragraph": convertParagraph,
         "run": convertRun,
@@ -384,12 +980,39 @@ function DocumentConversion(options, comments) {
             return [Html.nonFreshElement("a", attributes, children)];
         },
         "checkbox": function(element) {
+            if (formControlsMode === "values") {
+                return [Html.text(element.checked ? "\u2612" : "\u2610")];
+            }
             var attributes = {type: "checkbox"};
             if (element.checked) {
                 attributes["checked"] = "checked";
             }
             return [Html.freshElement("input", attributes)];
         },
+        "textInput": function(element) {
+            if (formControlsMode === "values") {
+                return [Html.text(element.value)];
+            }
+            var attributes = formControlAttributes(element, {type: "text", value: element.value});
+            if (element.placeholder) {
+                attributes.placeholder = element.placeholder;
+            }
+            if (element.maxLength !== null) {
+                attributes.maxlength = String(element.maxLength);
+            }
+            return [Html.freshElement("input", attributes)];
+        },
+        "dropdown": convertDropdown,
+        "dateInput": function(element) {
+            if (formControlsMode === "values") {
+                return [Html.text(element.displayText)];
+            }
+            var attributes = formControlAttributes(element, {type: "date"});
+            if (element.value !== null) {
+                attributes.value = element.value;
+            }
+            return [Html.freshElement("input", attributes)];
+        },
         "bookmarkStart": function(element, messages, options) {
             var anchor = Html.freshElement("a", {
                 id: htmlId(element.name)
@@ -397,30 +1020,58 @@ function DocumentConversion(options, comments) {
             return [anchor];
         },
         "noteReference": function(element, messages, options) {
-            noteReferences.push(element);
+            // Combined notes are numbered and formatted using the numbering of
+            // footnotes.
+            var sequence = noteSequence(element.noteType);
+            var numbering = noteNumbering(sequence);
+            var number = noteNumbers[sequence] === undefined ? numbering.start : noteNumbers[sequence] + 1;
+            noteNumbers[sequence] = number;
+            var referencedNote = {
+                reference: element,
+                number: number,
+                numberFormat: numbering.numberFormat,
+                label: formatNumber(number, numbering.numberFormat)
+            };
+            pendingNotes[sequence].push(referencedNote);
             var anchor = Html.freshElement("a", {
                 href: "#" + noteHtmlId(element),
                 id: noteRefHtmlId(element)
-            }, [Html.text("[" + (noteNumber++) + "]")]);
+            }, [Html.text("[" + referencedNote.label + "]")]);
 
             return [Html.freshElement("sup", {}, [anchor])];
         },
-        "note": function(element, messages, options) {
-            var children = convertElements(element.body, messages, options);
-            var backLink = Html.elementWithTag(htmlPaths.element("p", {}, {fresh: false}), [
-                Html.text(" "),
-                Html.freshElement("a", {href: "#" + noteRefHtmlId(element)}, [Html.text("↑")])
-            ]);
-            var body = children.concat([backLink]);
-
-            return Html.freshElement("li", {id: noteHtmlId(element)}, body);
-        },
         "commentReference": convertCommentReference,
+        "commentRangeStart": convertCommentRangeStart,
+        "commentRangeEnd": convertCommentRangeEnd,
         "comment": convertComment,
-        "image": deferredConversion(recoveringConvertImage(options.convertImage || images.dataUri)),
+        "image": deferredConversion(recoveringConvertImage(sizingImages(croppingImages(options.convertImage || images.dataUri)))),
+        "chart": convertChart,
         "table": convertTable,
         "tableRow": convertTableRow,
         "tableCell": convertTableCell,
+        "insertion": convertTrackedChange,
+        "deletion": convertTrackedChange,
+        "math": convertMath,
+        "header": convertHeaderFooter,
+        "footer": convertHeaderFooter,
+        "field": function(element, messages, options) {
+            return findHtmlPath(element, htmlPaths.empty).wrap(function() {
+                return convertElements(element.children, messages, options);
+            });
+        },
+        "structuredDocumentTag": function(element, messages, options) {
+            return findHtmlPath(element, htmlPaths.empty).wrap(function() {
+                return convertBodyElements(element.children, messages, options);
+            });
+        },
+        "drawing": function(element, messages, options) {
+            return findHtmlPath(element, htmlPaths.empty).wrap(function() {
+                return convertBodyElements(element.children, messages, options);
+            });
+        },
+        "sectionProperties": function(element, messages, options) {
+            return [];
+        },
         "break": convertBreak
     };
     return {
@@ -428,6 +1079,167 @@ function DocumentConversion(options, comments) {
     };
 }
 
+// The width and height attributes are only set on img elements that set
+// neither attribute.
+function imageElementWithSize(node, size) {
+    if (!size || node.type !== "element" || node.tag.tagName !== "img") {
+        return node;
+    }
+    var attributes = node.tag.attributes;
+    if (attributes.width !== undefined || attributes.height !== undefined) {
+        return node;
+    }
+    return Html.freshElement("img", _.extend({}, attributes, {
+        width: String(size.width),
+        height: String(size.height)
+    }), node.children);
+}
+
+// Images are cropped by embedding the original image in an SVG image, with
+// the view box of the SVG image covering the uncropped part of the original.
+function croppedImage(image) {
+    var crop = image.crop;
+    if (!crop || !image.size) {
+        return image;
+    }
+    var width = 1 - crop.left - crop.right;
+    var height = 1 - crop.top - crop.bottom;
+    if (width <= 0 || height <= 0) {
+        return image;
+    }
+
+    return documents.Image(_.extend({}, image, {
+        readImage: function(encoding) {
+            return image.readAsBase64String().then(function(base64String) {
+                var svg = Buffer.from(
+                    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+                    ' width="' + image.size.width + '" height="' + image.size.height + '"' +
+                    ' viewBox="' + [crop.left, crop.top, width, height].join(" ") + '" preserveAspectRatio="none">' +
+                    '<image width="1" height="1" preserveAspectRatio="none"' +
+                    ' xlink:href="data:' + image.contentType + ';base64,' + base64String + '"/>' +
+                    '</svg>',
+                    "utf8"
+                );
+                return encoding ? svg.toString(encoding) : svg;
+            });
+        },
+        contentType: "image/svg+xml",
+        crop: null
+    }));
+}
+
+function chartImage(chart) {
+    return documents.Image({
+        readImage: function(encoding) {
+            var svg = Buffer.from(charts.toSvg(chart), "utf8");
+            return promises.resolve(encoding ? svg.toString(encoding) : svg);
+        },
+        contentType: "image/svg+xml",
+        altText: chart.altText || chart.title || undefined,
+        size: chart.size
+    });
+}
+
+// Headings are paragraphs with an outline level, or with a heading style.
+function isHeading(paragraph) {
+    return headingLevel(paragraph) !== null;
+}
+
+// The level of a heading starts from 1, while outline levels start from 0.
+function headingLevel(paragraph) {
+    if (paragraph.effective && paragraph.effective.outlineLevel != null) {
+        return parseInt(paragraph.effective.outlineLevel, 10) + 1;
+    }
+    var styleNames = [paragraph.styleName].concat(paragraph.baseStyleNames || []);
+    for (var i = 0; i < styleNames.length; i++) {
+        var result = /^heading\s*([1-9])$/i.exec(styleNames[i] || "");
+        if (result) {
+            return parseInt(result[1], 10);
+        }
+    }
+    return null;
+}
+
+function omitNulls(object) {
+    return _.omit(object, function(value) {
+        return value === null;
+    });
+}
+
+var blockContainerTagNames = [
+    "li", "dd", "div", "blockquote", "section", "article", "aside", "main",
+    "header", "footer", "figure", "td", "th"
+];
+
+var listTypes = {
+    "lowerLetter": "a",
+    "upperLetter": "A",
+    "lowerRoman": "i",
+    "upperRoman": "I"
+};
+
+function listAttributes(numbering) {
+    var attributes = {};
+    if (numbering.isOrdered) {
+        // Legal numbering always uses decimal numbers.
+        var type = numbering.isLegal ? null : listTypes[numbering.format];
+        if (type) {
+            attributes.type = type;
+        }
+        if (numbering.value != null && numbering.value !== 1) {
+            attributes.start = String(numbering.value);
+        }
+    }
+    return attributes;
+}
+
+function formControlAttributes(element, attributes) {
+    var name = element.name || element.tag;
+    if (name) {
+        attributes.name = name;
+    }
+    if (element.alias) {
+        attributes.title = element.alias;
+    }
+    return attributes;
+}
+
+// Options are written even when empty so that an empty item can be selected.
+function formControlOption(attributes, text) {
+    return Html.freshElement("option", attributes, [Html.forceWrite, Html.text(text)]);
+}
+
+// Finds the index of the column that each cell in each row starts in, and the
+// number of columns in the table, accounting for cells that span several rows
+// or columns.
+function tableCellColumns(rows) {
+    // The number of rows, including the current row, that each column is
+    // covered by a cell that has already been placed.
+    var coveredRows = [];
+    var columnCount = 0;
+    var columns = rows.map(function(row) {
+        var columnIndex = 0;
+        var rowColumns = (row.children || []).map(function(cell) {
+            while (coveredRows[columnIndex] > 0) {
+                columnIndex++;
+            }
+            var start = columnIndex;
+            var colSpan = cell.colSpan || 1;
+            for (var offset = 0; offset < colSpan; offset++) {
+                coveredRows[start + offset] = cell.rowSpan || 1;
+            }
+            columnIndex += colSpan;
+            return start;
+        });
+        columnCount = Math.max(columnCount, coveredRows.length);
+        coveredRows = coveredRows.map(function(count) {
+            return Math.max(count - 1, 0);
+        });
+        return rowColumns;
+    });
+    return {columns: columns, columnCount: columnCount};
+}
+
 var deferredId = 1;
 
 function deferredConversion(func) {
@@ -7,17 +7,32 @@ var types = exports.types = {
     text: "text",
     tab: "tab",
     checkbox: "checkbox",
+    textInput: "textInput",
+    dropdown: "dropdown",
+    dateInput: "dateInput",
     hyperlink: "hyperlink",
     noteReference: "noteReference",
     image: "image",
+    chart: "chart",
+    drawing: "drawing",
     note: "note",
     commentReference: "commentReference",
+    commentRangeStart: "commentRangeStart",
+    commentRangeEnd: "commentRangeEnd",
     comment: "comment",
     table: "table",
     tableRow: "tableRow",
     tableCell: "tableCell",
     "break": "break",
-    bookmarkStart: "bookmarkStart"
+    bookmarkStart: "bookmarkStart",
+    insertion: "insertion",
+    deletion: "deletion",
+    math: "math",
+    header: "header",
+    footer: "footer",
+    sectionProperties: "sectionProperties",
+    field: "field",
+    structuredDocumentTag: "structuredDocumentTag"
 };
 
 function Document(children, options) {
@@ -26,20 +41,81 @@ function Document(children, options) {
         type: types.document,
         children: children,
         notes: options.notes || new Notes({}),
-        comments: options.comments || []
+        comments: options.comments || [],
+        headers: options.headers || HeadersFooters({}),
+        footers: options.footers || HeadersFooters({}),
+        properties: options.properties || DocumentProperties({}),
+        footnoteNumbering: options.footnoteNumbering || NoteNumbering({}),
+        endnoteNumbering: options.endnoteNumbering || NoteNumbering({})
+    };
+}
+
+// The properties of the document, such as its title and author. Dates are
+// strings in the W3CDTF format, such as "2024-01-31T12:00:00Z", and counts
+// are numbers. Custom properties map each name to a string, number, boolean
+// or date string.
+function DocumentProperties(properties) {
+    return {
+        title: properties.title || null,
+        subject: properties.subject || null,
+        author: properties.author || null,
+        keywords: properties.keywords || null,
+        description: properties.description || null,
+        category: properties.category || null,
+        lastModifiedBy: properties.lastModifiedBy || null,
+        revision: properties.revision || null,
+        created: properties.created || null,
+        modified: properties.modified || null,
+        application: properties.application || null,
+        company: properties.company || null,
+        manager: properties.manager || null,
+        template: properties.template || null,
+        pages: numberOrNull(properties.pages),
+        words: numberOrNull(properties.words),
+        characters: numberOrNull(properties.characters),
+        lines: numberOrNull(properties.lines),
+        paragraphs: numberOrNull(properties.paragraphs),
+        custom: properties.custom || {}
+    };
+}
+
+function numberOrNull(value) {
+    return value == null ? null : value;
+}
+
+// Headers and footers are referenced separately for the first page, even
+// pages, and all other pages.
+function HeadersFooters(elements) {
+    return {
+        "default": elements["default"] || null,
+        first: elements.first || null,
+        even: elements.even || null
     };
 }
 
 function Paragraph(children, properties) {
     properties = properties || {};
-    var indent = properties.indent || {};
-    return {
+    return _.extend({
         type: types.paragraph,
         children: children,
         styleId: properties.styleId || null,
         styleName: properties.styleName || null,
+        // The names of the styles that the style of the paragraph is based
+        // on, nearest first.
+        baseStyleNames: properties.baseStyleNames || [],
         numbering: properties.numbering || null,
+        trackedChange: properties.trackedChange || null,
+        // The formatting after applying the style hierarchy, as opposed to
+        // the formatting applied directly to the paragraph.
+        effective: ParagraphFormatting(properties.effective || properties)
+    }, ParagraphFormatting(properties));
+}
+
+function ParagraphFormatting(properties) {
+    var indent = properties.indent || {};
+    return {
         alignment: properties.alignment || null,
+        outlineLevel: properties.outlineLevel == null ? null : properties.outlineLevel,
         indent: {
             start: indent.start || null,
             end: indent.end || null,
@@ -51,11 +127,22 @@ function Paragraph(children, properties) {
 
 function Run(children, properties) {
     properties = properties || {};
-    return {
+    return _.extend({
         type: types.run,
         children: children,
         styleId: properties.styleId || null,
         styleName: properties.styleName || null,
+        // The names of the styles that the style of the run is based on,
+        // nearest first.
+        baseStyleNames: properties.baseStyleNames || [],
+        // The formatting after applying the style hierarchy, as opposed to
+        // the formatting applied directly to the run.
+        effective: RunFormatting(properties.effective || properties)
+    }, RunFormatting(properties));
+}
+
+function RunFormatting(properties) {
+    return {
         isBold: !!properties.isBold,
         isUnderline: !!properties.isUnderline,
         isItalic: !!properties.isItalic,
@@ -65,7 +152,17 @@ function Run(children, properties) {
         verticalAlignment: properties.verticalAlignment || verticalAlignment.baseline,
         font: properties.font || null,
         fontSize: properties.fontSize || null,
-        highlight: properties.highlight || null
+        highlight: properties.highlight || null,
+        // The text color as a hex string, such as "FF0000", or null if automatic.
+        color: properties.color || null,
+        // The background color as a hex string, such as "FFFF00".
+        shading: properties.shading || null,
+        // The spacing between characters in points.
+        characterSpacing: properties.characterSpacing || null,
+        isHidden: !!properties.isHidden,
+        // The language tag, such as "en-GB".
+        language: properties.language || null,
+        isRightToLeft: !!properties.isRightToLeft
     };
 }
 
@@ -95,6 +192,45 @@ function Checkbox(options) {
     };
 }
 
+// Form controls may come from either legacy form fields or content controls.
+// The name is only set for legacy form fields, while the tag and alias are
+// only set for content controls.
+function formControl(type, options, properties) {
+    return _.extend({
+        type: type,
+        name: options.name || null,
+        tag: options.tag || null,
+        alias: options.alias || null,
+        // The placeholder text displayed when no value has been entered.
+        placeholder: options.placeholder || null
+    }, properties);
+}
+
+function TextInput(options) {
+    return formControl(types.textInput, options, {
+        value: options.value || "",
+        maxLength: options.maxLength || null
+    });
+}
+
+function Dropdown(options) {
+    return formControl(types.dropdown, options, {
+        // The value of the selected item, or null if no item is selected.
+        value: options.value === undefined ? null : options.value,
+        // Each item has a value and display text.
+        items: options.items || []
+    });
+}
+
+function DateInput(options) {
+    return formControl(types.dateInput, options, {
+        // The date in the format YYYY-MM-DD, or null if no date is selected.
+        value: options.value || null,
+        displayText: options.displayText || "",
+        dateFormat: options.dateFormat || null
+    });
+}
+
 function Hyperlink(children, options) {
     return {
         type: types.hyperlink,
@@ -105,6 +241,35 @@ function Hyperlink(children, options) {
     };
 }
 
+// The children of a field are the result of the field, as last calculated
+// when the document was saved.
+function Field(children, options) {
+    return {
+        type: types.field,
+        children: children,
+        // The field type in upper case, such as "DATE" or "REF".
+        fieldType: options.fieldType,
+        instruction: options.instruction
+    };
+}
+
+// A structured document tag, also known as a content control, wraps a region
+// of the document, either inline within a paragraph or containing block-level
+// elements such as paragraphs and tables.
+function StructuredDocumentTag(children, options) {
+    options = options || {};
+    return {
+        type: types.structuredDocumentTag,
+        children: children,
+        tag: options.tag || null,
+        alias: options.alias || null,
+        id: options.id || null,
+        // The XML data binding, if any, with an xpath, storeItemId and
+        // prefixMappings.
+        dataBinding: options.dataBinding || null
+    };
+}
+
 function NoteReference(options) {
     return {
         type: types.noteReference,
@@ -127,6 +292,10 @@ Notes.prototype.findNoteByKey = function(key) {
     return this._notes[key] || null;
 };
 
+Notes.prototype.toArray = function() {
+    return _.values(this._notes);
+};
+
 function Note(options) {
     return {
         type: types.note,
@@ -143,13 +312,100 @@ function commentReference(options) {
     };
 }
 
+// The start and end of the content that a comment refers to. The range may
+// start and end in different paragraphs.
+function commentRangeStart(options) {
+    return {
+        type: types.commentRangeStart,
+        commentId: options.commentId
+    };
+}
+
+function commentRangeEnd(options) {
+    return {
+        type: types.commentRangeEnd,
+        commentId: options.commentId
+    };
+}
+
+// Replies to a comment have the ID of the comment they reply to as their
+// parent comment ID. Dates are strings in the W3CDTF format, such as
+// "2024-01-31T12:00:00Z".
 function comment(options) {
     return {
         type: types.comment,
         commentId: options.commentId,
         body: options.body,
         authorName: options.authorName,
-        authorInitials: options.authorInitials
+        authorInitials: options.authorInitials,
+        date: options.date || null,
+        parentCommentId: options.parentCommentId || null,
+        isResolved: options.isResolved || false
+    };
+}
+
+// Section properties mark the end of a section, in the same way that w:sectPr
+// is stored at the end of each section in the document. Sizes are in
+// twentieths of a point, as read from the document.
+function SectionProperties(properties) {
+    properties = properties || {};
+    var pageSize = properties.pageSize || {};
+    var margins = properties.margins || {};
+    return {
+        type: types.sectionProperties,
+        // One of "nextPage", "continuous", "evenPage", "oddPage" or "nextColumn".
+        breakType: properties.breakType || "nextPage",
+        pageSize: {
+            width: pageSize.width || null,
+            height: pageSize.height || null
+        },
+        // One of "portrait" or "landscape".
+        orientation: properties.orientation || "portrait",
+        margins: {
+            top: margins.top || null,
+            right: margins.right || null,
+            bottom: margins.bottom || null,
+            left: margins.left || null,
+            header: margins.header || null,
+            footer: margins.footer || null,
+            gutter: margins.gutter || null
+        },
+        columns: properties.columns || 1,
+        footnoteNumbering: properties.footnoteNumbering || NoteNumbering({}),
+        endnoteNumbering: properties.endnoteNumbering || NoteNumbering({})
+    };
+}
+
+// The numbering of footnotes or endnotes. The number format is a numbering
+// format such as "decimal", "lowerRoman" or "chicago", and notes either
+// continue to be numbered throughout the document ("continuous"), or are
+// numbered from the start again in each section ("eachSect") or on each page
+// ("eachPage"). Properties that aren't set are null, so that the numbering of
+// a section can be combined with the numbering of the document.
+function NoteNumbering(options) {
+    options = options || {};
+    return {
+        numberFormat: options.numberFormat || null,
+        start: options.start == null ? null : options.start,
+        restart: options.restart || null
+    };
+}
+
+function Header(children, options) {
+    return headerFooter(types.header, children, options);
+}
+
+function Footer(children, options) {
+    return headerFooter(types.footer, children, options);
+}
+
+function headerFooter(type, children, options) {
+    options = options || {};
+    return {
+        type: type,
+        children: children,
+        // One of "default", "first" or "even".
+        pageType: options.pageType || "default"
     };
 }
 
@@ -183,7 +439,52 @@ function Image(options) {
             });
         },
         altText: options.altText,
-        contentType: options.contentType
+        contentType: options.contentType,
+        name: options.name || null,
+        // The displayed size of the image in pixels, as {width, height}.
+        size: options.size || null,
+        // The fraction of the image cropped from each side, as {top, right,
+        // bottom, left}.
+        crop: options.crop || null,
+        // The clockwise rotation of the image in degrees.
+        rotation: options.rotation || 0,
+        flipHorizontal: !!options.flipHorizontal,
+        flipVertical: !!options.flipVertical,
+        // How text wraps around the image, or null for inline images.
+        wrap: options.wrap || null,
+        position: options.position || null
+    };
+}
+
+// Each series has a name, the categories of its points, the values of its
+// points, and a color as a hex string, such as "4472C4". Missing points are
+// null.
+function Chart(options) {
+    return {
+        type: types.chart,
+        // The type of the first plot in the chart, such as "column", "line"
+        // or "pie".
+        chartType: options.chartType || null,
+        title: options.title || null,
+        series: options.series || [],
+        altText: options.altText || null,
+        size: options.size || null
+    };
+}
+
+// A drawing containing text, such as a SmartArt diagram or a shape with a
+// text box. The text is read as block-level elements, with the nodes of
+// diagrams read as nested unordered lists.
+function Drawing(children, options) {
+    options = options || {};
+    return {
+        type: types.drawing,
+        children: children,
+        // Either "diagram" for SmartArt diagrams, or "shape" for shapes and
+        // groups of shapes.
+        drawingType: options.drawingType,
+        name: options.name || null,
+        altText: options.altText || null
     };
 }
 
@@ -193,7 +494,18 @@ function Table(children, properties) {
         type: types.table,
         children: children,
         styleId: properties.styleId || null,
-        styleName: properties.styleName || null
+        styleName: properties.styleName || null,
+        // The names of the styles that the style of the table is based on,
+        // nearest first.
+        baseStyleNames: properties.baseStyleNames || [],
+        // The width of each column of the table grid in points.
+        columnWidths: properties.columnWidths || [],
+        // The alignment of the table on the page, such as "center".
+        alignment: properties.alignment || null,
+        // Either "fixed" or "autofit".
+        layout: properties.layout || null,
+        shading: properties.shading || null,
+        borders: TableBorders(properties.borders || {})
     };
 }
 
@@ -202,7 +514,13 @@ function TableRow(children, options) {
     return {
         type: types.tableRow,
         children: children,
-        isHeader: options.isHeader || false
+        isHeader: options.isHeader || false,
+        trackedChange: options.trackedChange || null,
+        // The height of the row in points, which is either the minimum
+        // height ("atLeast") or the exact height ("exact") of the row.
+        height: options.height || null,
+        heightRule: options.heightRule || null,
+        cantSplit: options.cantSplit || false
     };
 }
 
@@ -212,7 +530,27 @@ function TableCell(children, options) {
         type: types.tableCell,
         children: children,
         colSpan: options.colSpan == null ? 1 : options.colSpan,
-        rowSpan: options.rowSpan == null ? 1 : options.rowSpan
+        rowSpan: options.rowSpan == null ? 1 : options.rowSpan,
+        // One of "top", "center" or "bottom".
+        verticalAlignment: options.verticalAlignment || null,
+        // The background color as a hex string, such as "FFFF00".
+        shading: options.shading || null,
+        borders: TableBorders(options.borders || {})
+    };
+}
+
+// Each border is either null, when the border is not set, or has a style,
+// such as "single" or "none", a width in points, and a color as a hex string.
+// The inside borders are only set on tables, and are the borders between
+// cells.
+function TableBorders(borders) {
+    return {
+        top: borders.top || null,
+        bottom: borders.bottom || null,
+        start: borders.start || null,
+        end: borders.end || null,
+        insideHorizontal: borders.insideHorizontal || null,
+        insideVertical: borders.insideVertical || null
     };
 }
 
@@ -230,19 +568,63 @@ function BookmarkStart(options) {
     };
 }
 
+function Insertion(children, options) {
+    return trackedChange(types.insertion, children, options);
+}
+
+function Deletion(children, options) {
+    return trackedChange(types.deletion, children, options);
+}
+
+function trackedChange(type, children, options) {
+    options = options || {};
+    return {
+        type: type,
+        children: children,
+        author: options.author || null,
+        date: options.date || null
+    };
+}
+
+// The content of a math element is made up of the math nodes created by
+// lib/math, rather than document elements.
+function MathElement(content, options) {
+    options = options || {};
+    return {
+        type: types.math,
+        content: content,
+        isBlock: !!options.isBlock
+    };
+}
+
 exports.document = exports.Document = Document;
+exports.DocumentProperties = DocumentProperties;
 exports.paragraph = exports.Paragraph = Paragraph;
 exports.run = exports.Run = Run;
 exports.text = exports.Text = Text;
 exports.tab = exports.Tab = Tab;
 exports.checkbox = exports.Checkbox = Checkbox;
+exports.textInput = exports.TextInput = TextInput;
+exports.dropdown = exports.Dropdown = Dropdown;
+exports.dateInput = exports.DateInput = DateInput;
 exports.Hyperlink = Hyperlink;
+exports.field = exports.Field = Field;
+exports.structuredDocumentTag = exports.StructuredDocumentTag = StructuredDocumentTag;
 exports.noteReference = exports.NoteReference = NoteReference;
 exports.Notes = Notes;
+exports.NoteNumbering = NoteNumbering;
 exports.Note = Note;
 exports.commentReference = commentReference;
+exports.commentRangeStart = commentRangeStart;
+exports.commentRangeEnd = commentRangeEnd;
 exports.comment = comment;
+exports.header = exports.Header = Header;
+exports.footer = exports.Footer = Footer;
+exports.HeadersFooters = HeadersFooters;
+exports.sectionProperties = exports.SectionProperties = SectionProperties;
 exports.Image = Image;
+exports.Chart = Chart;
+exports.drawing = exports.Drawing = Drawing;
 exports.Table = Table;
 exports.TableRow = TableRow;
 exports.TableCell = TableCell;
@@ -250,5 +632,8 @@ exports.lineBreak = Break("line");
 exports.pageBreak = Break("page");
 exports.columnBreak = Break("column");
 exports.BookmarkStart = BookmarkStart;
+exports.insertion = exports.Insertion = Insertion;
+exports.deletion = exports.Deletion = Deletion;
+exports.math = exports.Math = MathElement;
 
 exports.verticalAlignment = verticalAlignment;
@@ -0,0 +1,467 @@
+var _ = require("underscore");
+var base64js = require("base64-js");
+
+var promises = require("../promises");
+var documents = require("../documents");
+var Result = require("../results").Result;
+var warning = require("../results").warning;
+var xml = require("../xml");
+
+exports.chunkFormat = chunkFormat;
+exports.readHtml = readHtml;
+exports.readMht = readMht;
+exports.readRtf = readRtf;
+exports.readText = readText;
+
+
+// An altChunk is a part in another format that Word imports when opening the
+// document. The format of the part is found using its content type, or its
+// extension if the content type isn't recognised.
+function chunkFormat(contentType, path) {
+    contentType = (contentType || "").toLowerCase();
+    var extension = (/\.([^.\/]+)$/.exec(path) || ["", ""])[1].toLowerCase();
+    if (contentType === "text/html" || contentType === "application/xhtml+xml" || _.contains(["htm", "html", "xhtml"], extension)) {
+        return "html";
+    } else if (contentType === "message/rfc822" || contentType === "multipart/related" || _.contains(["mht", "mhtml"], extension)) {
+        return "mht";
+    } else if (contentType === "application/rtf" || contentType === "text/rtf" || extension === "rtf") {
+        return "rtf";
+    } else if (contentType === "text/plain" || extension === "txt") {
+        return "text";
+    } else if (contentType.indexOf("wordprocessingml") !== -1 || _.contains(["docx", "docm", "dotx", "dotm"], extension)) {
+        return "docx";
+    } else {
+        return null;
+    }
+}
+
+// HTML is read into paragraphs, lists and tables, with bold, italic,
+// underline, strikethrough, subscript, superscript and hyperlinks. Other
+// formatting, scripts and styles are ignored.
+function readHtml(htmlString) {
+    return xml.readHtmlString(htmlString).then(function(body) {
+        var messages = [];
+        var children = readHtmlBlocks(body, {paragraphProperties: {}, listLevel: -1, messages: messages});
+        return new Result(children, _.uniq(messages, false, function(message) {
+            return message.message;
+        }));
+    });
+}
+
+var ignoredHtmlElements = ["head", "script", "style", "title", "meta", "link", "noscript", "template", "hr"];
+
+var htmlBlockElements = [
+    "address", "article", "aside", "blockquote", "body", "center", "dd", "details",
+    "div", "dl", "dt", "fieldset", "figcaption", "figure", "footer", "form",
+    "h1", "h2", "h3", "h4", "h5", "h6", "header", "html", "li", "main", "nav",
+    "ol", "p", "pre", "section", "summary", "table", "ul"
+];
+
+var htmlRunProperties = {
+    "b": {isBold: true},
+    "strong": {isBold: true},
+    "i": {isItalic: true},
+    "em": {isItalic: true},
+    "cite": {isItalic: true},
+    "dfn": {isItalic: true},
+    "var": {isItalic: true},
+    "u": {isUnderline: true},
+    "ins": {isUnderline: true},
+    "s": {isStrikethrough: true},
+    "strike": {isStrikethrough: true},
+    "del": {isStrikethrough: true},
+    "sub": {verticalAlignment: documents.verticalAlignment.subscript},
+    "sup": {verticalAlignment: documents.verticalAlignment.superscript}
+};
+
+// Inline content between block elements is read as a paragraph.
+function readHtmlBlocks(element, context) {
+    var blocks = [];
+    var inlines = [];
+
+    function flushParagraph() {
+        var children = trimParagraphChildren(inlines);
+        if (children.length > 0) {
+            blocks.push(documents.Paragraph(children, context.paragraphProperties));
+        }
+        inlines = [];
+    }
+
+    element.children.forEach(function(child) {
+        if (child.type === "element" && _.contains(ignoredHtmlElements, child.name)) {
+            return;
+        } else if (child.type === "element" && _.contains(htmlBlockElements, child.name)) {
+            flushParagraph();
+            blocks = blocks.concat(readHtmlBlock(child, context));
+        } else {
+            inlines = inlines.concat(readHtmlInline(child, {}, context));
+        }
+    });
+    flushParagraph();
+    return blocks;
+}
+
+function readHtmlBlock(element, context) {
+    var headingMatch = /^h([1-6])$/.exec(element.name);
+    if (headingMatch) {
+        return readHtmlBlocks(element, _.extend({}, context, {
+            paragraphProperties: {
+                styleId: "Heading" + headingMatch[1],
+                styleName: "Heading " + headingMatch[1]
+            }
+        }));
+    } else if (element.name === "ul" || element.name === "ol") {
+        var listLevel = context.listLevel + 1;
+        var numbering = {level: String(listLevel), isOrdered: element.name === "ol"};
+        return _.flatten(element.children.map(function(child) {
+            var itemContext = _.extend({}, context, {paragraphProperties: {numbering: numbering}, listLevel: listLevel});
+            if (child.type === "element" && child.name === "li") {
+                return readHtmlBlocks(child, itemContext);
+            } else {
+                return readHtmlBlocks({children: [child]}, itemContext);
+            }
+        }), true);
+    } else if (element.name === "table") {
+        return [readHtmlTable(element, context)];
+    } else if (element.name === "pre") {
+        return readHtmlBlocks(element, _.extend({}, context, {isPreformatted: true}));
+    } else {
+        return readHtmlBlocks(element, context);
+    }
+}
+
+// The end tags of rows and cells are optional in HTML, but the XML parser
+// closes rows and cells without end tags immediately, leaving their content
+// as following siblings. Rows and cells are therefore found in document
+// order, with the nodes after a cell added to that cell until the next row or
+// cell starts.
+function readHtmlTable(element, context) {
+    var rows = [];
+    var currentRow = null;
+    var currentCell = null;
+
+    function startRow(isHeader) {
+        currentRow = {cells: [], isHeader: isHeader};
+        currentCell = null;
+        rows.push(currentRow);
+    }
+
+    function findRows(parent, isHeader) {
+        parent.children.forEach(function(child) {
+            if (child.name === "thead" || child.name === "tbody" || child.name === "tfoot") {
+                findRows(child, child.name === "thead");
+            } else if (child.name === "tr") {
+                startRow(isHeader);
+                findRows(child, isHeader);
+            } else if (child.name === "td" || child.name === "th") {
+                if (currentRow === null) {
+                    startRow(isHeader);
+                }
+                currentCell = {attributes: child.attributes, children: child.children.slice()};
+                currentRow.cells.push(currentCell);
+            } else if (currentCell !== null) {
+                currentCell.children.push(child);
+            } else if (!isBlankHtmlNode(child)) {
+                context.messages.push(warning("Content outside of table cells in HTML altChunk was ignored"));
+            }
+        });
+    }
+    findRows(element, false);
+
+    var cellContext = _.extend({}, context, {paragraphProperties: {}, listLevel: -1});
+    return documents.Table(rows.map(function(row) {
+        return documents.TableRow(row.cells.map(function(cell) {
+            return documents.TableCell(readHtmlBlocks(cell, cellContext), {
+                colSpan: parseInt(cell.attributes.colspan, 10) || 1,
+                rowSpan: parseInt(cell.attributes.rowspan, 10) || 1
+            });
+        }), {isHeader: row.isHeader});
+    }));
+}
+
+function isBlankHtmlNode(node) {
+    return node.type === "text" ? node.value.trim() === "" : _.contains(ignoredHtmlElements, node.name);
+}
+
+function readHtmlInline(node, runProperties, context) {
+    if (node.type === "text") {
+        return readHtmlText(node.value, runProperties, context);
+    } else if (_.contains(ignoredHtmlElements, node.name)) {
+        return [];
+    } else if (node.name === "br") {
+        return [documents.Run([documents.lineBreak], runProperties)];
+    } else if (node.name === "img") {
+        context.messages.push(warning("Images in HTML altChunks are ignored"));
+        return [];
+    }
+
+    var children = _.flatten(node.children.map(function(child) {
+        return readHtmlInline(child, _.extend({}, runProperties, htmlRunProperties[node.name]), context);
+    }), true);
+    // Only links to web pages, email addresses and relative URLs are kept,
+    // so that links to scripts are removed, keeping the text of the link.
+    var href = node.attributes.href;
+    if (node.name === "a" && href && isSafeHref(href)) {
+        return [href.charAt(0) === "#" ?
+            documents.Hyperlink(children, {anchor: href.substring(1)}) :
+            documents.Hyperlink(children, {href: href})];
+    } else {
+        return children;
+    }
+}
+
+var safeUrlSchemes = ["http", "https", "mailto"];
+
+// Browsers ignore leading whitespace and control characters, and tab and line
+// break characters anywhere in URLs, so they're removed before finding the
+// scheme of the URL.
+function isSafeHref(href) {
+    var url = href.replace(/[\u0000-\u001F\u007F]/g, "").trim();
+    var scheme = /^([a-z][a-z0-9+.\-]*):/i.exec(url);
+    return !scheme || _.contains(safeUrlSchemes, scheme[1].toLowerCase());
+}
+
+// Whitespace is collapsed, except in preformatted text, where line breaks
+// are kept.
+function readHtmlText(text, runProperties, context) {
+    if (context.isPreformatted) {
+        var lines = text.split(/\r?\n/);
+        var children = _.flatten(lines.map(function(line, index) {
+            var text = line === "" ? [] : [documents.Text(line)];
+            return index === 0 ? text : [documents.lineBreak].concat(text);
+        }), true);
+        return children.length === 0 ? [] : [documents.Run(children, runProperties)];
+    } else {
+        var value = text.replace(/[ \t\r\n\f]+/g, " ");
+        return value === "" ? [] : [documents.Run([documents.Text(value)], runProperties)];
+    }
+}
+
+// Leading and trailing whitespace is removed from paragraphs, and paragraphs
+// containing only whitespace are ignored.
+function trimParagraphChildren(children) {
+    if (children.every(isBlankRun)) {
+        return [];
+    }
+
+    function trimRun(index, trim) {
+        var run = children[index];
+        if (run.type !== documents.types.run) {
+            return;
+        }
+        var textIndex = trim === trimStart ? 0 : run.children.length - 1;
+        var text = run.children[textIndex];
+        if (text.type === documents.types.text) {
+            var runChildren = run.children.slice();
+            runChildren[textIndex] = documents.Text(trim(text.value));
+            children[index] = _.extend({}, run, {children: runChildren});
+        }
+    }
+    children = children.slice();
+    while (isBlankRun(children[0])) {
+        children.shift();
+    }
+    while (isBlankRun(children[children.length - 1])) {
+        children.pop();
+    }
+    trimRun(0, trimStart);
+    trimRun(children.length - 1, trimEnd);
+    return children;
+}
+
+function isBlankRun(child) {
+    return child.type === documents.types.run && child.children.every(function(runChild) {
+        return runChild.type === documents.types.text && runChild.value.trim() === "";
+    });
+}
+
+function trimStart(value) {
+    return value.replace(/^ +/, "");
+}
+
+function trimEnd(value) {
+    return value.replace(/ +$/, "");
+}
+
+// MHT files are MIME messages, with the HTML in the first part with a
+// content type of text/html. Each byte of the message is read as a character
+// until the charset of the HTML is known.
+function readMht(bytes) {
+    bytes = new Uint8Array(bytes);
+    var message = "";
+    for (var index = 0; index < bytes.length; index++) {
+        message += String.fromCharCode(bytes[index]);
+    }
+    var part = findMimeHtmlPart(message);
+    if (part === null) {
+        return promises.resolve(new Result([], [warning("Could not find HTML in MHT altChunk")]));
+    }
+    return readHtml(part);
+}
+
+function findMimeHtmlPart(message) {
+    var split = splitMimeHeaders(message);
+    var contentType = split.headers["content-type"] || "text/plain";
+    var boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+    if (/^multipart\//i.test(contentType) && boundary) {
+        var parts = split.body.split("--" + boundary[1]).slice(1);
+        for (var index = 0; index < parts.length; index++) {
+            if (/^--/.test(parts[index])) {
+                break;
+            }
+            var html = findMimeHtmlPart(parts[index].replace(/^\r?\n/, ""));
+            if (html !== null) {
+                return html;
+            }
+        }
+        return null;
+    } else if (/^text\/html/i.test(contentType)) {
+        var charset = /charset="?([^";]+)"?/i.exec(contentType);
+        return decodeMimeBody(split.body, split.headers["content-transfer-encoding"], charset ? charset[1] : "utf-8");
+    } else {
+        return null;
+    }
+}
+
+// Headers may be folded over several lines.
+function splitMimeHeaders(message) {
+    var match = /\r?\n\r?\n/.exec(message);
+    var headerText = match ? message.substring(0, match.index) : message;
+    var body = match ? message.substring(match.index + match[0].length) : "";
+    var headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/).forEach(function(line) {
+        var colonIndex = line.indexOf(":");
+        if (colonIndex !== -1) {
+            headers[line.substring(0, colonIndex).trim().toLowerCase()] = line.substring(colonIndex + 1).trim();
+        }
+    });
+    return {headers: headers, body: body};
+}
+
+function decodeMimeBody(body, transferEncoding, charset) {
+    var encoding = (transferEncoding || "").toLowerCase();
+    var bytes;
+    if (encoding === "base64") {
+        var data = body.replace(/[^A-Za-z0-9+\/]/g, "");
+        data = data.substring(0, data.length - (data.length % 4 === 1 ? 1 : 0));
+        while (data.length % 4 !== 0) {
+            data += "=";
+        }
+        bytes = base64js.toByteArray(data);
+    } else if (encoding === "quoted-printable") {
+        bytes = decodeQuotedPrintable(body);
+    } else {
+        bytes = new Uint8Array(body.split("").map(function(character) {
+            return character.charCodeAt(0);
+        }));
+    }
+    try {
+        return new TextDecoder(charset).decode(bytes);
+    } catch (error) {
+        return new TextDecoder("utf-8").decode(bytes);
+    }
+}
+
+function decodeQuotedPrintable(body) {
+    var text = body.replace(/=\r?\n/g, "");
+    var bytes = [];
+    for (var index = 0; index < text.length; index++) {
+        var hex = text.charAt(index) === "=" ? text.substring(index + 1, index + 3) : "";
+        if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            index += 2;
+        } else {
+            bytes.push(text.charCodeAt(index) & 0xFF);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// Only the text of RTF is read, with a paragraph for each paragraph mark.
+function readRtf(rtfString) {
+    var paragraphs = [];
+    var text = "";
+    // The number of groups that are being skipped, such as font tables.
+    var skipDepth = 0;
+    var depth = 0;
+    var skipCharacters = 0;
+    var unicodeSkip = 1;
+    var pattern = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|\r?\n|([^\\{}\r\n]+)/g;
+    var skippedDestinations = ["fonttbl", "colortbl", "stylesheet", "info", "pict", "header", "footer", "listtable", "listoverridetable", "themedata", "datastore", "latentstyles", "xmlnstbl", "rsidtbl", "generator"];
+    var match;
+
+    function append(value) {
+        if (skipDepth === 0) {
+            text += value;
+        }
+    }
+
+    while ((match = pattern.exec(rtfString)) !== null) {
+        var isCharacter = match[3] !== undefined || match[6] !== undefined;
+        if (isCharacter && skipCharacters > 0) {
+            if (match[6] !== undefined) {
+                var skipped = Math.min(skipCharacters, match[6].length);
+                skipCharacters -= skipped;
+                append(match[6].substring(skipped));
+            } else {
+                skipCharacters--;
+            }
+        } else if (match[1] !== undefined) {
+            var word = match[1];
+            if (_.contains(skippedDestinations, word) && skipDepth === 0) {
+                skipDepth = depth;
+            } else if (word === "par" || word === "line" || word === "row") {
+                if (skipDepth === 0) {
+                    paragraphs.push(text);
+                    text = "";
+                }
+            } else if (word === "tab" || word === "cell") {
+                append("\t");
+            } else if (word === "uc") {
+                unicodeSkip = parseInt(match[2], 10) || 0;
+            } else if (word === "u") {
+                var codePoint = parseInt(match[2], 10);
+                append(String.fromCharCode(codePoint < 0 ? codePoint + 65536 : codePoint));
+                skipCharacters = unicodeSkip;
+            }
+        } else if (match[3] !== undefined) {
+            append(String.fromCharCode(parseInt(match[3], 16)));
+        } else if (match[4] !== undefined) {
+            if (match[4] === "*" && skipDepth === 0) {
+                skipDepth = depth;
+            } else if (match[4] === "~") {
+                append(" ");
+            } else if (match[4] === "\\" || match[4] === "{" || match[4] === "}") {
+                append(match[4]);
+            }
+        } else if (match[5] === "{") {
+            depth++;
+        } else if (match[5] === "}") {
+            if (skipDepth === depth) {
+                skipDepth = 0;
+            }
+            depth--;
+        } else if (match[6] !== undefined) {
+            append(match[6]);
+        }
+    }
+    paragraphs.push(text);
+
+    return new Result(textToParagraphs(paragraphs));
+}
+
+function readText(text) {
+    return new Result(textToParagraphs(text.split(/\r?\n/)));
+}
+
+function textToParagraphs(lines) {
+    return lines.filter(function(line) {
+        return line.trim() !== "";
+    }).map(function(line) {
+        var children = _.flatten(line.split("\t").map(function(value, index) {
+            var text = value === "" ? [] : [documents.Text(value)];
+            return index === 0 ? text : [documents.Tab()].concat(text);
+        }), true);
+        return documents.Paragraph([documents.Run(children)]);
+    });
+}
@@ -8,39 +8,66 @@ var documents = require("../documents");
 var Result = require("../results").Result;
 var warning = require("../results").warning;
 var xml = require("../xml");
+var metafiles = require("../metafiles");
+var rawText = require("../raw-text");
 var transforms = require("../transforms");
 var uris = require("./uris");
+var readMathElement = require("./math-reader").readMathElement;
+var readNoteNumbering = require("./notes-reader").readNoteNumbering;
+var selectAlternateContent = require("./office-xml-reader").selectAlternateContent;
+var themeReader = require("./theme-reader");
 
 function createBodyReader(options) {
+    // List paragraphs are counted across everything read by the same reader,
+    // such as the whole of the main document body.
+    var listCounter = options.numbering ? options.numbering.createCounter() : null;
     return {
         readXmlElement: function(element) {
-            return new BodyReader(options).readXmlElement(element);
+            return new BodyReader(options, listCounter).readXmlElement(element);
         },
         readXmlElements: function(elements) {
-            return new BodyReader(options).readXmlElements(elements);
+            return new BodyReader(options, listCounter).readXmlElements(elements);
         }
     };
 }
 
-function BodyReader(options) {
+function BodyReader(options, listCounter) {
     var complexFieldStack = [];
     var currentInstrText = [];
+    // The number of w:hyperlink elements containing the element being read,
+    // so that reference fields within them aren't read as another hyperlink.
+    var hyperlinkDepth = 0;
 
-    // When a paragraph is marked as deleted, its contents should be combined
-    // with the following paragraph. See 17.13.5.15 del (Deleted Paragraph) of
-    // ECMA-376 4th edition Part 1.
+    // When a paragraph mark is removed, the contents of the paragraph should
+    // be combined with the following paragraph. See 17.13.5.15 del (Deleted
+    // Paragraph) of ECMA-376 4th edition Part 1.
     var deletedParagraphContents = [];
 
+    // One of "accept", "reject" or "show".
+    var trackedChanges = options.trackedChanges || "accept";
+
     var relationships = options.relationships;
     var contentTypes = options.contentTypes;
     var docxFile = options.docxFile;
     var files = options.files;
     var numbering = options.numbering;
     var styles = options.styles;
+    var theme = options.theme || themeReader.defaultTheme;
+    // Chart parts are read before the body, keyed by their path.
+    var charts = options.charts || {};
+    var diagrams = options.diagrams || {};
+    var altChunks = options.altChunks || {};
+    var documentProperties = options.documentProperties || null;
+    // The style IDs of the paragraphs being read, used to find the formatting
+    // that runs inherit from their paragraph.
+    var paragraphStyleIds = [];
+    // The style IDs of the tables being read, used to find the formatting
+    // that cells inherit from their table.
+    var tableStyleIds = [];
 
     function readXmlElements(elements) {
         var results = elements.map(readXmlElement);
-        return combineResults(results);
+        return combineResults(results).map(combineFieldResults);
     }
 
     function readXmlElement(element) {
@@ -58,50 +85,204 @@ function BodyReader(options) {
 
     function readParagraphProperties(element) {
         return readParagraphStyle(element).map(function(style) {
-            return {
+            var formatting = readParagraphFormatting(element);
+            return _.extend({
                 type: "paragraphProperties",
                 styleId: style.styleId,
                 styleName: style.name,
-                alignment: element.firstOrEmpty("w:jc").attributes["w:val"],
-                numbering: readNumberingProperties(style.styleId, element.firstOrEmpty("w:numPr"), numbering),
-                indent: readParagraphIndent(element.firstOrEmpty("w:ind"))
-            };
+                baseStyleNames: style.baseStyleNames,
+                numbering: readParagraphNumbering(style.styleId, element),
+                trackedChange: shownTrackedChange(readPropertiesTrackedChange(element.firstOrEmpty("w:rPr"))),
+                effective: mergeFormatting([
+                    readParagraphFormatting(styles.getDocumentDefaults().paragraphProperties),
+                    readStyleChainFormatting(paragraphStyleChain(style.styleId), "paragraphProperties", readParagraphFormatting),
+                    formatting
+                ])
+            }, formatting);
+        });
+    }
+
+    function readParagraphNumbering(styleId, element) {
+        var level = readNumberingProperties(styleId, element.firstOrEmpty("w:numPr"), numbering);
+        if (level == null && !element.first("w:numPr")) {
+            level = readStyleNumbering(styleId);
+        }
+        return level == null ? null : _.extend({}, level, listCounter.count(level));
+    }
+
+    // Paragraph styles may be numbered using w:numPr in their paragraph
+    // properties, such as headings with outline numbering. The level
+    // defaults to the first level when w:ilvl is missing.
+    function readStyleNumbering(styleId) {
+        var style = _.find(paragraphStyleChain(styleId), function(style) {
+            return style.paragraphProperties && style.paragraphProperties.first("w:numPr");
+        });
+        if (!style) {
+            return null;
+        }
+        var element = style.paragraphProperties.first("w:numPr");
+        var numId = element.firstOrEmpty("w:numId").attributes["w:val"];
+        var level = element.firstOrEmpty("w:ilvl").attributes["w:val"] || "0";
+        return numId === undefined ? null : numbering.findLevel(numId, level);
+    }
+
+    // Only formatting that is explicitly set by the element is read, so that
+    // formatting can be inherited through the style hierarchy.
+    function readParagraphFormatting(element) {
+        if (!element) {
+            return {};
+        }
+        return omitUndefined({
+            alignment: readOptionalValue(element, "w:jc"),
+            outlineLevel: readOptional(element.first("w:outlineLvl"), readOutlineLevel),
+            indent: readOptional(element.first("w:ind"), readParagraphIndent)
         });
     }
 
+    function readSectionProperties(element) {
+        var pageSize = element.firstOrEmpty("w:pgSz").attributes;
+        var margins = element.firstOrEmpty("w:pgMar").attributes;
+        return elementResult(documents.SectionProperties({
+            breakType: element.firstOrEmpty("w:type").attributes["w:val"],
+            pageSize: {
+                width: pageSize["w:w"],
+                height: pageSize["w:h"]
+            },
+            orientation: pageSize["w:orient"],
+            margins: {
+                top: margins["w:top"],
+                right: margins["w:right"],
+                bottom: margins["w:bottom"],
+                left: margins["w:left"],
+                header: margins["w:header"],
+                footer: margins["w:footer"],
+                gutter: margins["w:gutter"]
+            },
+            columns: readColumnCount(element.firstOrEmpty("w:cols")),
+            footnoteNumbering: readNoteNumbering(element.firstOrEmpty("w:footnotePr")),
+            endnoteNumbering: readNoteNumbering(element.firstOrEmpty("w:endnotePr"))
+        }));
+    }
+
+    function readColumnCount(element) {
+        var columnElements = element.children.filter(function(child) {
+            return child.name === "w:col";
+        });
+        var equalWidth = element.attributes["w:equalWidth"];
+        if (equalWidth !== undefined && !readBooleanAttributeValue(equalWidth) && columnElements.length > 0) {
+            return columnElements.length;
+        } else {
+            var count = parseInt(element.attributes["w:num"], 10);
+            return isNaN(count) ? 1 : count;
+        }
+    }
+
     function readParagraphIndent(element) {
-        return {
+        return omitUndefined({
             start: element.attributes["w:start"] || element.attributes["w:left"],
             end: element.attributes["w:end"] || element.attributes["w:right"],
             firstLine: element.attributes["w:firstLine"],
             hanging: element.attributes["w:hanging"]
-        };
+        });
     }
 
     function readRunProperties(element) {
         return readRunStyle(element).map(function(style) {
-            var fontSizeString = element.firstOrEmpty("w:sz").attributes["w:val"];
-            // w:sz gives the font size in half points, so halve the value to get the size in points
-            var fontSize = /^[0-9]+$/.test(fontSizeString) ? parseInt(fontSizeString, 10) / 2 : null;
-
-            return {
+            var formatting = readRunFormatting(element);
+            return _.extend({
                 type: "runProperties",
                 styleId: style.styleId,
                 styleName: style.name,
-                verticalAlignment: element.firstOrEmpty("w:vertAlign").attributes["w:val"],
-                font: element.firstOrEmpty("w:rFonts").attributes["w:ascii"],
-                fontSize: fontSize,
-                isBold: readBooleanElement(element.first("w:b")),
-                isUnderline: readUnderline(element.first("w:u")),
-                isItalic: readBooleanElement(element.first("w:i")),
-                isStrikethrough: readBooleanElement(element.first("w:strike")),
-                isAllCaps: readBooleanElement(element.first("w:caps")),
-                isSmallCaps: readBooleanElement(element.first("w:smallCaps")),
-                highlight: readHighlightValue(element.firstOrEmpty("w:highlight").attributes["w:val"])
-            };
+                baseStyleNames: style.baseStyleNames,
+                effective: readEffectiveRunFormatting(style.styleId, formatting)
+            }, formatting);
         });
     }
 
+    // Only formatting that is explicitly set by the element is read, so that
+    // formatting can be inherited through the style hierarchy.
+    function readRunFormatting(element) {
+        if (!element) {
+            return {};
+        }
+        return omitUndefined({
+            verticalAlignment: readOptionalValue(element, "w:vertAlign"),
+            font: element.firstOrEmpty("w:rFonts").attributes["w:ascii"],
+            fontSize: readOptional(element.first("w:sz"), readFontSize),
+            isBold: readOptional(element.first("w:b"), readBooleanElement),
+            isUnderline: readOptional(element.first("w:u"), readUnderline),
+            isItalic: readOptional(element.first("w:i"), readBooleanElement),
+            isStrikethrough: readOptional(element.first("w:strike"), readBooleanElement),
+            isAllCaps: readOptional(element.first("w:caps"), readBooleanElement),
+            isSmallCaps: readOptional(element.first("w:smallCaps"), readBooleanElement),
+            highlight: readOptional(element.first("w:highlight"), function(highlight) {
+                return readHighlightValue(highlight.attributes["w:val"]);
+            }),
+            color: readOptional(element.first("w:color"), function(color) {
+                return readColor(color, {
+                    color: "w:val",
+                    themeColor: "w:themeColor",
+                    themeTint: "w:themeTint",
+                    themeShade: "w:themeShade"
+                });
+            }),
+            shading: readOptional(element.first("w:shd"), readShading),
+            // w:spacing gives the spacing between characters in twentieths of a point
+            characterSpacing: readOptional(element.first("w:spacing"), function(spacing) {
+                return readTwentiethsOfPoint(spacing.attributes["w:val"]);
+            }),
+            isHidden: readOptional(element.first("w:vanish"), readBooleanElement),
+            language: readOptionalValue(element, "w:lang"),
+            isRightToLeft: readOptional(element.first("w:rtl"), readBooleanElement)
+        });
+    }
+
+    function readFontSize(element) {
+        var fontSizeString = element.attributes["w:val"];
+        // w:sz gives the font size in half points, so halve the value to get the size in points
+        return /^[0-9]+$/.test(fontSizeString) ? parseInt(fontSizeString, 10) / 2 : null;
+    }
+
+    // See 17.7.2 Style Inheritance of ECMA-376 4th edition Part 1. The
+    // formatting of a run is inherited from the document defaults, then the
+    // paragraph style, then the character style, with direct formatting
+    // applied last.
+    function readEffectiveRunFormatting(runStyleId, directFormatting) {
+        var paragraphStyleFormatting = readStyleChainFormatting(
+            paragraphStyleChain(_.last(paragraphStyleIds)),
+            "runProperties",
+            readRunFormatting
+        );
+        var characterStyleFormatting = readStyleChainFormatting(
+            styleChain(styles.findCharacterStyleById, runStyleId),
+            "runProperties",
+            readRunFormatting
+        );
+        return mergeFormatting([
+            readRunFormatting(styles.getDocumentDefaults().runProperties),
+            combineToggleProperties([paragraphStyleFormatting, characterStyleFormatting]),
+            directFormatting
+        ]);
+    }
+
+    function paragraphStyleChain(styleId) {
+        if (styleId === undefined) {
+            // Outside of a paragraph.
+            return [];
+        } else if (styleId === null) {
+            var defaultStyle = styles.findDefaultParagraphStyle();
+            return defaultStyle ? styleChain(styles.findParagraphStyleById, defaultStyle.styleId) : [];
+        } else {
+            return styleChain(styles.findParagraphStyleById, styleId);
+        }
+    }
+
+    function readStyleChainFormatting(chain, propertiesName, readFormatting) {
+        return mergeFormatting(chain.slice().reverse().map(function(style) {
+            return readFormatting(style[propertiesName]);
+        }));
+    }
+
     function readUnderline(element) {
         if (element) {
             var value = element.attributes["w:val"];
@@ -132,6 +313,47 @@ function BodyReader(options) {
         }
     }
 
+    // Colors are read as hex strings in upper case, such as "FF0000", with
+    // theme colors resolved using the theme of the document. Automatic colors
+    // are read as null.
+    function readColor(element, attributeNames) {
+        var themeColor = theme.findColor(element.attributes[attributeNames.themeColor]);
+        if (themeColor !== null) {
+            return themeReader.applyTintAndShade(
+                themeColor,
+                element.attributes[attributeNames.themeTint],
+                element.attributes[attributeNames.themeShade]
+            );
+        }
+        var color = element.attributes[attributeNames.color];
+        return /^[0-9A-Fa-f]{6}$/.test(color || "") ? color.toUpperCase() : null;
+    }
+
+    // See 17.3.2.32 shd (Run Shading) of ECMA-376 4th edition Part 1. Only
+    // the resulting background color is read, treating solid patterns as
+    // the pattern color.
+    function readShading(element) {
+        if (element.attributes["w:val"] === "solid") {
+            return readColor(element, {
+                color: "w:color",
+                themeColor: "w:themeColor",
+                themeTint: "w:themeTint",
+                themeShade: "w:themeShade"
+            });
+        } else {
+            return readColor(element, {
+                color: "w:fill",
+                themeColor: "w:themeFill",
+                themeTint: "w:themeFillTint",
+                themeShade: "w:themeFillShade"
+            });
+        }
+    }
+
+    function readTwentiethsOfPoint(value) {
+        return /^-?[0-9]+$/.test(value || "") ? parseInt(value, 10) / 20 : null;
+    }
+
     function readParagraphStyle(element) {
         return readStyle(element, "w:pStyle", "Paragraph", styles.findParagraphStyleById);
     }
@@ -144,6 +366,21 @@ function BodyReader(options) {
         return readStyle(element, "w:tblStyle", "Table", styles.findTableStyleById);
     }
 
+    // Finds the style with the given ID followed by the styles it is based
+    // on, nearest first.
+    function styleChain(findStyleById, styleId) {
+        var chain = [];
+        while (styleId) {
+            var style = findStyleById(styleId);
+            if (!style || chain.indexOf(style) !== -1) {
+                break;
+            }
+            chain.push(style);
+            styleId = style.basedOn;
+        }
+        return chain;
+    }
+
     function readStyle(element, styleTagName, styleType, findStyleById) {
         var messages = [];
         var styleElement = element.first(styleTagName);
@@ -160,7 +397,8 @@ function BodyReader(options) {
                 }
             }
         }
-        return elementResultWithMessages({styleId: styleId, name: name}, messages);
+        var baseStyleNames = _.compact(_.pluck(styleChain(findStyleById, styleId).slice(1), "name"));
+        return elementResultWithMessages({styleId: styleId, name: name, baseStyleNames: baseStyleNames}, messages);
     }
 
     function readFldChar(element) {
@@ -177,6 +415,8 @@ function BodyReader(options) {
                 return elementResult(documents.checkbox({
                     checked: complexFieldEnd.checked
                 }));
+            } else if (complexFieldEnd.type === "formField") {
+                return elementResult(complexFieldEnd.createElement(complexFieldEnd.result));
             }
         } else if (type === "separate") {
             var complexFieldSeparate = complexFieldStack.pop();
@@ -225,14 +465,128 @@ function BodyReader(options) {
             return {type: "checkbox", checked: checked};
         }
 
+        var formFieldData = fldChar.firstOrEmpty("w:ffData");
+        var formFieldName = readValue(formFieldData, "w:name");
+
+        var textInputResult = /\s*FORMTEXT\s*/.exec(instrText);
+        if (textInputResult) {
+            var textInputElement = formFieldData.firstOrEmpty("w:textInput");
+            return formField(function(result) {
+                return documents.textInput({
+                    name: formFieldName,
+                    value: result,
+                    maxLength: readIntegerValue(textInputElement, "w:maxLength")
+                });
+            });
+        }
+
+        var dropdownResult = /\s*FORMDROPDOWN\s*/.exec(instrText);
+        if (dropdownResult) {
+            var dropdownElement = formFieldData.firstOrEmpty("w:ddList");
+            var entries = dropdownElement.getElementsByTagName("w:listEntry").map(function(entry) {
+                return entry.attributes["w:val"];
+            });
+            var selectedIndex = readIntegerValue(dropdownElement, "w:result");
+            if (selectedIndex === null) {
+                selectedIndex = readIntegerValue(dropdownElement, "w:default") || 0;
+            }
+            return formField(function() {
+                return documents.dropdown({
+                    name: formFieldName,
+                    value: selectedIndex < entries.length ? entries[selectedIndex] : null,
+                    items: entries.map(function(entry) {
+                        return {value: entry, displayText: entry};
+                    })
+                });
+            });
+        }
+
+        var documentPropertyValue = readDocumentPropertyFieldValue(instrText, documentProperties);
+        if (documentPropertyValue !== null) {
+            // The result of the field may be out of date, so the result is
+            // replaced with the value of the document property, in the same
+            // way as the result of a form field is replaced with a form
+            // control.
+            return formField(function() {
+                return documents.field([documents.Text(documentPropertyValue)], {
+                    fieldType: "DOCPROPERTY",
+                    instruction: instrText.trim()
+                });
+            });
+        }
+
+        var fieldResult = /^\s*(\S+)/.exec(instrText);
+        if (fieldResult) {
+            var fieldType = fieldResult[1].toUpperCase();
+            var referenceResult = /^\s*\S+\s+"?([^\s"\\]+)/.exec(instrText);
+            return {
+                type: "field",
+                fieldType: fieldType,
+                instruction: instrText.trim(),
+                anchor: referenceFieldTypes[fieldType] && referenceResult ? referenceResult[1] : null
+            };
+        }
+
         return {type: "unknown"};
     }
 
+    // The result of a form field is the text entered into the form field,
+    // which is used to create the element for the form field once the end of
+    // the field is reached.
+    function formField(createElement) {
+        return {type: "formField", result: "", createElement: createElement};
+    }
+
+    function readValue(element, name) {
+        return element.firstOrEmpty(name).attributes["w:val"];
+    }
+
+    function readIntegerValue(element, name) {
+        var value = parseInt(readValue(element, name), 10);
+        return isNaN(value) ? null : value;
+    }
+
+    // Wraps the content of a run in the hyperlinks that the run is part of,
+    // and the run in the complex fields that it's part of the result of, from
+    // the innermost field outwards. The runs in the result of each field are
+    // combined into a single field element by combineFieldResults.
+    function wrapInComplexFields(children, properties) {
+        var hasContent = children.length > 0;
+        var complexFields = [];
+        var hyperlinkOptions = currentHyperlinkOptions();
+        var hasHyperlink = hyperlinkOptions !== null || hyperlinkDepth > 0;
+
+        for (var index = complexFieldStack.length - 1; index >= 0; index--) {
+            var complexField = complexFieldStack[index];
+            if (complexField.type === "formField") {
+                complexField.result += rawText.convertElementToRawText({children: children});
+                children = [];
+                hasContent = false;
+            } else if (complexField.type === "hyperlink" && complexField.options === hyperlinkOptions) {
+                children = [new documents.Hyperlink(children, hyperlinkOptions)];
+            } else if (complexField.type === "field" && hasContent) {
+                if (complexField.anchor !== null && !hasHyperlink) {
+                    children = [new documents.Hyperlink(children, {anchor: complexField.anchor})];
+                    hasHyperlink = true;
+                }
+                complexFields.push(complexField);
+            }
+        }
+
+        return complexFields.reduce(function(element, complexField) {
+            return fieldResult(complexField, [element]);
+        }, new documents.Run(children, properties));
+    }
+
     function readInstrText(element) {
         currentInstrText.push(element.text());
         return emptyResult();
     }
 
+    function readText(element) {
+        return elementResult(new documents.Text(element.text()));
+    }
+
     function readSymbol(element) {
         // See 17.3.3.30 sym (Symbol Character) of ECMA-376 4th edition Part 1
         var font = element.attributes["w:font"];
@@ -271,15 +625,64 @@ function BodyReader(options) {
         return readXmlElements(element.children);
     }
 
+    function mathReader(isBlock) {
+        return function(element) {
+            var result = readMathElement(element);
+            return elementResultWithMessages(
+                documents.Math(result.value, {isBlock: isBlock}),
+                result.messages
+            );
+        };
+    }
+
+    // See 17.13.5 Revisions of ECMA-376 4th edition Part 1
+    function readTrackedChange(element) {
+        return {
+            changeType: trackedChangeTypes[element.name],
+            author: element.attributes["w:author"] || null,
+            date: element.attributes["w:date"] || null
+        };
+    }
+
+    function readPropertiesTrackedChange(propertiesElement) {
+        var changeElement = propertiesElement.first("w:del") || propertiesElement.first("w:ins");
+        return changeElement ? readTrackedChange(changeElement) : null;
+    }
+
+    function isRemovedByTrackedChanges(change) {
+        return change !== null && (
+            (trackedChanges === "accept" && change.changeType === "deletion") ||
+            (trackedChanges === "reject" && change.changeType === "insertion")
+        );
+    }
+
+    function shownTrackedChange(change) {
+        return trackedChanges === "show" ? change : null;
+    }
+
+    function readTrackedChangeElement(element) {
+        var change = readTrackedChange(element);
+        if (isRemovedByTrackedChanges(change)) {
+            return emptyResult();
+        } else if (trackedChanges === "show") {
+            return readXmlElements(element.children).map(function(children) {
+                var createElement = change.changeType === "insertion" ? documents.Insertion : documents.Deletion;
+                return createElement(children, change);
+            });
+        } else {
+            return readChildElements(element);
+        }
+    }
+
     var xmlElementReaders = {
         "w:p": function(element) {
             var paragraphPropertiesElement = element.firstOrEmpty("w:pPr");
 
-            var isDeleted = !!paragraphPropertiesElement
-                .firstOrEmpty("w:rPr")
-                .first("w:del");
+            var paragraphMarkChange = readPropertiesTrackedChange(
+                paragraphPropertiesElement.firstOrEmpty("w:rPr")
+            );
 
-            if (isDeleted) {
+            if (isRemovedByTrackedChanges(paragraphMarkChange)) {
                 element.children.forEach(function(child) {
                     deletedParagraphContents.push(child);
                 });
@@ -290,13 +693,29 @@ function BodyReader(options) {
                     childrenXml = deletedParagraphContents.concat(childrenXml);
                     deletedParagraphContents = [];
                 }
-                return ReadResult.map(
-                    readParagraphProperties(paragraphPropertiesElement),
-                    readXmlElements(childrenXml),
+                // The properties are read before the children so that list
+                // paragraphs are counted in the order they appear.
+                var propertiesResult = readParagraphProperties(paragraphPropertiesElement);
+                paragraphStyleIds.push(paragraphPropertiesElement.firstOrEmpty("w:pStyle").attributes["w:val"] || null);
+                var childrenResult = readXmlElements(childrenXml);
+                paragraphStyleIds.pop();
+
+                var paragraphResult = ReadResult.map(
+                    propertiesResult,
+                    childrenResult,
                     function(properties, children) {
                         return new documents.Paragraph(children, properties);
                     }
                 ).insertExtra();
+
+                // The section properties for all but the last section are
+                // stored on the last paragraph of each section.
+                var sectionPropertiesElement = paragraphPropertiesElement.first("w:sectPr");
+                if (sectionPropertiesElement) {
+                    return combineResults([paragraphResult, readSectionProperties(sectionPropertiesElement)]);
+                } else {
+                    return paragraphResult;
+                }
             }
         },
         "w:r": function(element) {
@@ -304,20 +723,28 @@ function BodyReader(options) {
                 readRunProperties(element.firstOrEmpty("w:rPr")),
                 readXmlElements(element.children),
                 function(properties, children) {
-                    var hyperlinkOptions = currentHyperlinkOptions();
-                    if (hyperlinkOptions !== null) {
-                        children = [new documents.Hyperlink(children, hyperlinkOptions)];
-                    }
-
-                    return new documents.Run(children, properties);
+                    return wrapInComplexFields(children, properties);
                 }
             );
         },
         "w:fldChar": readFldChar,
         "w:instrText": readInstrText,
-        "w:t": function(element) {
-            return elementResult(new documents.Text(element.text()));
+        "w:fldSimple": function(element) {
+            // A simple field is treated in the same way as a complex field,
+            // with the content of the element as the result of the field.
+            complexFieldStack.push(parseInstrText(element.attributes["w:instr"] || "", xml.emptyElement));
+            var result = readXmlElements(element.children);
+            var complexField = complexFieldStack.pop();
+            if (complexField.type === "formField") {
+                return result.map(function() {
+                    return [documents.Run([complexField.createElement(complexField.result)])];
+                });
+            }
+            return result;
         },
+        "w:t": readText,
+        "w:delText": readText,
+        "w:sectPr": readSectionProperties,
         "w:tab": function(element) {
             return elementResult(new documents.Tab());
         },
@@ -331,7 +758,15 @@ function BodyReader(options) {
         "w:hyperlink": function(element) {
             var relationshipId = element.attributes["r:id"];
             var anchor = element.attributes["w:anchor"];
-            return readXmlElements(element.children).map(function(children) {
+            var isHyperlink = !!(relationshipId || anchor);
+            if (isHyperlink) {
+                hyperlinkDepth++;
+            }
+            var childrenResult = readXmlElements(element.children);
+            if (isHyperlink) {
+                hyperlinkDepth--;
+            }
+            return childrenResult.map(function(children) {
                 function create(options) {
                     var targetFrame = element.attributes["w:tgtFrame"] || null;
 
@@ -360,6 +795,16 @@ function BodyReader(options) {
         "w:footnoteReference": noteReferenceReader("footnote"),
         "w:endnoteReference": noteReferenceReader("endnote"),
         "w:commentReference": readCommentReference,
+        "w:commentRangeStart": function(element) {
+            return elementResult(documents.commentRangeStart({
+                commentId: element.attributes["w:id"]
+            }));
+        },
+        "w:commentRangeEnd": function(element) {
+            return elementResult(documents.commentRangeEnd({
+                commentId: element.attributes["w:id"]
+            }));
+        },
         "w:br": function(element) {
             var breakType = element.attributes["w:type"];
             if (breakType == null || breakType === "textWrapping") {
@@ -381,12 +826,18 @@ function BodyReader(options) {
             }
         },
 
+        "m:oMathPara": function(element) {
+            return combineResults(element.getElementsByTagName("m:oMath").map(mathReader(true)));
+        },
+        "m:oMath": mathReader(false),
+
         "mc:AlternateContent": function(element) {
-            return readChildElements(element.firstOrEmpty("mc:Fallback"));
+            return readXmlElements(selectAlternateContent(element));
         },
 
         "w:sdt": function(element) {
             var contentResult = readXmlElements(element.firstOrEmpty("w:sdtContent").children);
+            var properties = element.firstOrEmpty("w:sdtPr");
             return contentResult.map(function(content) {
                 // From the WordML standard: https://learn.microsoft.com/en-us/openspecs/office_standards/ms-docx/3350cb64-931f-41f7-8824-f18b2568ce66
                 //
@@ -396,9 +847,7 @@ function BodyReader(options) {
                 // > contain a single character and optionally an additional
                 // > character in a deleted run.
 
-                var checkbox = element
-                    .firstOrEmpty("w:sdtPr")
-                    .first("wordml:checkbox");
+                var checkbox = properties.first("wordml:checkbox");
 
                 if (checkbox) {
                     var checkedElement = checkbox.first("wordml:checked");
@@ -428,13 +877,30 @@ function BodyReader(options) {
                         return documentCheckbox;
                     }
 
+                }
+
+                var formControl = readContentControl(properties, content);
+                if (formControl) {
+                    return replaceTextWithFormControl(content, formControl);
                 } else {
-                    return content;
+                    return readStructuredDocumentTag(properties, content);
                 }
             });
         },
 
-        "w:ins": readChildElements,
+        "w:altChunk": function(element) {
+            var relationshipId = element.attributes["r:id"];
+            var target = relationships.findTargetByRelationshipId(relationshipId);
+            var altChunk = target ? altChunks[uris.uriToZipEntryName("word", target)] : null;
+            if (!altChunk) {
+                return emptyResultWithMessages([warning("Could not find altChunk part for relationship ID: " + relationshipId)]);
+            }
+            return new ReadResult(altChunk.value.children, null, altChunk.messages);
+        },
+        "w:ins": readTrackedChangeElement,
+        "w:del": readTrackedChangeElement,
+        "w:moveTo": readTrackedChangeElement,
+        "w:moveFrom": readTrackedChangeElement,
         "w:object": readChildElements,
         "w:smartTag": readChildElements,
         "w:drawing": readChildElements,
@@ -458,38 +924,261 @@ function BodyReader(options) {
     };
 
 
+    function readStructuredDocumentTag(properties, content) {
+        // Wrapping table rows or cells would break the structure of the
+        // table, so only the content is kept.
+        var isTableContent = content.some(function(child) {
+            return child.type === documents.types.tableRow || child.type === documents.types.tableCell;
+        });
+        if (isTableContent) {
+            return content;
+        }
+
+        var dataBindingElement = properties.first("w:dataBinding");
+        var tagOptions = {
+            tag: readValue(properties, "w:tag"),
+            alias: readValue(properties, "w:alias"),
+            id: readValue(properties, "w:id"),
+            dataBinding: dataBindingElement ? {
+                xpath: dataBindingElement.attributes["w:xpath"],
+                storeItemId: dataBindingElement.attributes["w:storeItemID"],
+                prefixMappings: dataBindingElement.attributes["w:prefixMappings"] || null
+            } : null
+        };
+
+        // Sections are found from the section properties at the top level
+        // of the body, so the structured document tag is split around any
+        // section properties in its content.
+        var elements = [];
+        var children = [];
+        content.forEach(function(child) {
+            if (child.type === documents.types.sectionProperties) {
+                if (children.length > 0) {
+                    elements.push(documents.structuredDocumentTag(children, tagOptions));
+                }
+                elements.push(child);
+                children = [];
+            } else {
+                children.push(child);
+            }
+        });
+        if (children.length > 0 || elements.length === 0) {
+            elements.push(documents.structuredDocumentTag(children, tagOptions));
+        }
+        return elements.length === 1 ? elements[0] : elements;
+    }
+
+    // See 17.5.2 Content Controls of ECMA-376 4th edition Part 1
+    function readContentControl(properties, content) {
+        var text = rawText.convertElementToRawText({children: content}).trim();
+        var isShowingPlaceholder = readBooleanElement(properties.first("w:showingPlcHdr"));
+        var options = {
+            tag: readValue(properties, "w:tag"),
+            alias: readValue(properties, "w:alias"),
+            placeholder: isShowingPlaceholder ? text : null
+        };
+        var value = isShowingPlaceholder ? null : text;
+
+        var listElement = properties.first("w:dropDownList") || properties.first("w:comboBox");
+        if (listElement) {
+            var items = listElement.getElementsByTagName("w:listItem").map(function(item) {
+                var itemValue = item.attributes["w:value"];
+                var displayText = item.attributes["w:displayText"];
+                return {
+                    value: itemValue === undefined ? displayText : itemValue,
+                    displayText: displayText === undefined ? itemValue : displayText
+                };
+            });
+            var selectedItem = _.find(items, function(item) {
+                return item.displayText === value;
+            });
+            return documents.dropdown(_.extend(options, {
+                value: selectedItem ? selectedItem.value : value,
+                items: items
+            }));
+        }
+
+        var dateElement = properties.first("w:date");
+        if (dateElement) {
+            var fullDate = dateElement.attributes["w:fullDate"];
+            return documents.dateInput(_.extend(options, {
+                value: !isShowingPlaceholder && fullDate ? fullDate.substring(0, 10) : null,
+                displayText: value,
+                dateFormat: readValue(dateElement, "w:dateFormat")
+            }));
+        }
+
+        // A text input is a single line, so plain text content controls
+        // containing several paragraphs or a table are kept as structured
+        // document tags.
+        var paragraphCount = _.where(content, {type: documents.types.paragraph}).length;
+        var hasTable = _.some(content, {type: documents.types.table});
+        if (properties.first("w:text") && paragraphCount <= 1 && !hasTable) {
+            return documents.textInput(_.extend(options, {
+                value: value
+            }));
+        }
+
+        return null;
+    }
+
+    // The displayed value of a form control is replaced by the form control
+    // itself, which is placed where the first text of the value was.
+    function replaceTextWithFormControl(content, formControl) {
+        var hasFormControl = false;
+        var replacedContent = content.map(transforms._elementsOfType(
+            documents.types.text,
+            function(text) {
+                if (text.value.length === 0) {
+                    return text;
+                } else if (hasFormControl) {
+                    return documents.text("");
+                } else {
+                    hasFormControl = true;
+                    return formControl;
+                }
+            }
+        ));
+
+        if (hasFormControl) {
+            return replacedContent;
+        } else {
+            return formControl;
+        }
+    }
+
     function readTable(element) {
         var propertiesResult = readTableProperties(element.firstOrEmpty("w:tblPr"));
-        return readXmlElements(element.children)
+        var columnWidths = readTableGrid(element.firstOrEmpty("w:tblGrid"));
+        tableStyleIds.push(propertiesResult.value.styleId);
+        var childrenResult = readXmlElements(element.children);
+        tableStyleIds.pop();
+        return childrenResult
             .flatMap(calculateRowSpans)
             .flatMap(function(children) {
                 return propertiesResult.map(function(properties) {
-                    return documents.Table(children, properties);
+                    return documents.Table(children, _.extend({columnWidths: columnWidths}, properties));
                 });
             });
     }
 
     function readTableProperties(element) {
         return readTableStyle(element).map(function(style) {
-            return {
+            return _.extend({
                 styleId: style.styleId,
-                styleName: style.name
-            };
+                styleName: style.name,
+                baseStyleNames: style.baseStyleNames
+            }, readEffectiveTableFormatting(style.styleId, "tableProperties", readTableFormatting(element)));
         });
     }
 
+    // See 17.7.6 Table Styles of ECMA-376 4th edition Part 1. Formatting of
+    // tables and cells that isn't set directly is inherited from the table
+    // style and the styles it's based on. Conditional formatting, such as
+    // the formatting of the header row, isn't read.
+    function readEffectiveTableFormatting(tableStyleId, propertiesName, directFormatting) {
+        var chain = styleChain(styles.findTableStyleById, tableStyleId);
+        return mergeTableFormatting(chain.slice().reverse().map(function(style) {
+            return propertiesName === "tableProperties" ?
+                readTableFormatting(style.tableProperties) :
+                readTableCellFormatting(style.tableCellProperties);
+        }).concat([directFormatting]));
+    }
+
+    function readTableFormatting(element) {
+        if (!element) {
+            return {};
+        }
+        return omitUndefined({
+            alignment: readOptionalValue(element, "w:jc"),
+            layout: readOptional(element.first("w:tblLayout"), function(layout) {
+                return layout.attributes["w:type"];
+            }),
+            shading: readOptional(element.first("w:shd"), readShading),
+            borders: readOptional(element.first("w:tblBorders"), readTableBorders)
+        });
+    }
+
+    function readTableCellFormatting(element) {
+        if (!element) {
+            return {};
+        }
+        return omitUndefined({
+            verticalAlignment: readOptional(element.first("w:vAlign"), readTableCellVerticalAlignment),
+            shading: readOptional(element.first("w:shd"), readShading),
+            borders: readOptional(element.first("w:tcBorders"), readTableBorders)
+        });
+    }
+
+    // See 17.4.48 gridCol (Grid Column Definition) of ECMA-376 4th edition
+    // Part 1. The widths of grid columns are in twentieths of a point.
+    function readTableGrid(element) {
+        return element.children
+            .filter(function(child) {
+                return child.name === "w:gridCol";
+            })
+            .map(function(column) {
+                return readTwentiethsOfPoint(column.attributes["w:w"]);
+            });
+    }
+
+    function readTableBorders(element) {
+        function readSide(names) {
+            var side = _.find(names.map(function(name) {
+                return element.first(name);
+            }));
+            return side ? readTableBorder(side) : null;
+        }
+
+        return {
+            top: readSide(["w:top"]),
+            bottom: readSide(["w:bottom"]),
+            start: readSide(["w:start", "w:left"]),
+            end: readSide(["w:end", "w:right"]),
+            insideHorizontal: readSide(["w:insideH"]),
+            insideVertical: readSide(["w:insideV"])
+        };
+    }
+
+    // See 17.4.38 insideH (Table Inside Horizontal Edges Border) of ECMA-376
+    // 4th edition Part 1. The width of a border is in eighths of a point, and
+    // the style "nil" removes a border set by the table style.
+    function readTableBorder(element) {
+        var style = element.attributes["w:val"];
+        var size = parseInt(element.attributes["w:sz"], 10);
+        return {
+            style: !style || style === "nil" ? "none" : style,
+            width: isNaN(size) ? null : size / 8,
+            color: readColor(element, {
+                color: "w:color",
+                themeColor: "w:themeColor",
+                themeTint: "w:themeTint",
+                themeShade: "w:themeShade"
+            })
+        };
+    }
+
     function readTableRow(element) {
         var properties = element.firstOrEmpty("w:trPr");
 
-        // See 17.13.5.12 del (Deleted Table Row) of ECMA-376 4th edition Part 1
-        var isDeleted = !!properties.first("w:del");
-        if (isDeleted) {
+        // See 17.13.5.12 del (Deleted Table Row) and 17.13.5.17 ins (Inserted
+        // Table Row) of ECMA-376 4th edition Part 1
+        var change = readPropertiesTrackedChange(properties);
+        if (isRemovedByTrackedChanges(change)) {
             return emptyResult();
         }
 
         var isHeader = !!properties.first("w:tblHeader");
+        // Word treats row heights without a rule as minimum heights.
+        var height = properties.firstOrEmpty("w:trHeight").attributes;
         return readXmlElements(element.children).map(function(children) {
-            return documents.TableRow(children, {isHeader: isHeader});
+            return documents.TableRow(children, {
+                isHeader: isHeader,
+                trackedChange: shownTrackedChange(change),
+                height: readTwentiethsOfPoint(height["w:val"]),
+                heightRule: height["w:val"] === undefined ? null : (height["w:hRule"] || "atLeast"),
+                cantSplit: readOptional(properties.first("w:cantSplit"), readBooleanElement)
+            });
         });
     }
 
@@ -500,12 +1189,29 @@ function BodyReader(options) {
             var gridSpan = properties.firstOrEmpty("w:gridSpan").attributes["w:val"];
             var colSpan = gridSpan ? parseInt(gridSpan, 10) : 1;
 
-            var cell = documents.TableCell(children, {colSpan: colSpan});
+            var formatting = readEffectiveTableFormatting(
+                _.last(tableStyleIds),
+                "tableCellProperties",
+                readTableCellFormatting(properties)
+            );
+            var cell = documents.TableCell(children, _.extend({colSpan: colSpan}, formatting));
             cell._vMerge = readVMerge(properties);
             return cell;
         });
     }
 
+    // Justified vertical alignment ("both") is treated as centered.
+    function readTableCellVerticalAlignment(element) {
+        var value = element ? element.attributes["w:val"] : null;
+        if (value === "both") {
+            return "center";
+        } else if (value === "top" || value === "center" || value === "bottom") {
+            return value;
+        } else {
+            return null;
+        }
+    }
+
     function readVMerge(properties) {
         var element = properties.first("w:vMerge");
         if (element) {
@@ -564,27 +1270,121 @@ function BodyReader(options) {
     }
 
     function readDrawingElement(element) {
-        var blips = element
+        var graphicData = element
             .getElementsByTagName("a:graphic")
-            .getElementsByTagName("a:graphicData")
-            .getElementsByTagName("pic:pic")
-            .getElementsByTagName("pic:blipFill")
-            .getElementsByTagName("a:blip");
+            .getElementsByTagName("a:graphicData");
+        var pictures = graphicData.getElementsByTagName("pic:pic");
+        var chartElements = graphicData.getElementsByTagName("c:chart");
+        var diagramElements = graphicData.getElementsByTagName("dgm:relIds");
+        var shapes = graphicData.getElementsByTagName("wps:wsp");
+        var groups = graphicData.getElementsByTagName("wpg:wgp");
+
+        return combineResults(pictures.map(function(picture) {
+            var blips = picture
+                .getElementsByTagName("pic:blipFill")
+                .getElementsByTagName("a:blip");
+            return combineResults(blips.map(readBlip.bind(null, element, picture)));
+        }).concat(
+            chartElements.map(readChart.bind(null, element)),
+            diagramElements.map(readDiagram.bind(null, element)),
+            shapes.concat(groups).map(readShapes.bind(null, element))
+        ));
+    }
 
-        return combineResults(blips.map(readBlip.bind(null, element)));
+    // The text of shapes is read as block elements, so it's placed after the
+    // paragraph that contains the shape. The text of the shapes in a group
+    // is read as a single drawing.
+    function readShapes(element, shapeOrGroup) {
+        var textBoxContents = findShapes(shapeOrGroup).map(function(shape) {
+            return shape.firstOrEmpty("wps:txbx").firstOrEmpty("w:txbxContent");
+        });
+        var result = combineResults(textBoxContents.map(readChildElements)).insertExtra();
+        if (result.value.length === 0) {
+            return result;
+        }
+        return result.map(function(children) {
+            return documents.Drawing(children, _.extend({drawingType: "shape"}, readDrawingProperties(element)));
+        }).toExtra();
+    }
+
+    function findShapes(element) {
+        if (element.name === "wps:wsp") {
+            return [element];
+        } else {
+            return _.flatten(element.children.filter(function(child) {
+                return child.name === "wps:wsp" || child.name === "wpg:grpSp";
+            }).map(findShapes), true);
+        }
     }
 
-    function readBlip(element, blip) {
+    // The nodes of SmartArt diagrams are read as nested unordered lists.
+    function readDiagram(element, relationshipIds) {
+        var relationshipId = relationshipIds.attributes["r:dm"];
+        var target = relationships.findTargetByRelationshipId(relationshipId);
+        var nodes = target ? diagrams[uris.uriToZipEntryName("word", target)] : null;
+        if (!nodes) {
+            return emptyResultWithMessages([warning("Could not find diagram data part for relationship ID: " + relationshipId)]);
+        }
+        return elementResult(documents.Drawing(
+            diagramNodesToParagraphs(nodes, 0),
+            _.extend({drawingType: "diagram"}, readDrawingProperties(element))
+        )).toExtra();
+    }
+
+    function readDrawingProperties(element) {
+        var properties = element.firstOrEmpty("wp:docPr").attributes;
+        return {
+            name: properties.name,
+            altText: isBlank(properties.descr) ? properties.title : properties.descr
+        };
+    }
+
+    // Charts are read as block elements, so they're placed after the
+    // paragraph that contains them.
+    function readChart(element, chartElement) {
+        var relationshipId = chartElement.attributes["r:id"];
+        var target = relationships.findTargetByRelationshipId(relationshipId);
+        var chart = target ? charts[uris.uriToZipEntryName("word", target)] : null;
+        if (!chart) {
+            return emptyResultWithMessages([warning("Could not find chart part for relationship ID: " + relationshipId)]);
+        }
+        var properties = element.firstOrEmpty("wp:docPr").attributes;
+        return elementResult(documents.Chart(_.extend({
+            altText: isBlank(properties.descr) ? properties.title : properties.descr,
+            size: readExtent(element.first("wp:extent"))
+        }, chart))).toExtra();
+    }
+
+    function readBlip(element, picture, blip) {
         var properties = element.first("wp:docPr").attributes;
         var altText = isBlank(properties.descr) ? properties.title : properties.descr;
         var blipImageFile = findBlipImageFile(blip);
         if (blipImageFile === null) {
             return emptyResultWithMessages([warning("Could not find image file for a:blip element")]);
         } else {
-            return readImage(blipImageFile, altText);
+            return readImage(blipImageFile, altText, readImageGeometry(element, picture));
         }
     }
 
+    function readImageGeometry(element, picture) {
+        var transform = picture.firstOrEmpty("pic:spPr").firstOrEmpty("a:xfrm");
+        var isAnchored = element.name === "wp:anchor";
+        return {
+            name: picture.firstOrEmpty("pic:nvPicPr").firstOrEmpty("pic:cNvPr").attributes.name || null,
+            size: readExtent(element.first("wp:extent")),
+            crop: readSourceRectangle(picture.firstOrEmpty("pic:blipFill").first("a:srcRect")),
+            // Rotation is measured in 60,000ths of a degree.
+            rotation: (parseInt(transform.attributes.rot, 10) || 0) / 60000,
+            flipHorizontal: readXsdBoolean(transform.attributes.flipH),
+            flipVertical: readXsdBoolean(transform.attributes.flipV),
+            wrap: isAnchored ? readWrap(element) : null,
+            position: isAnchored ? {
+                horizontal: readPosition(element.firstOrEmpty("wp:positionH")),
+                vertical: readPosition(element.firstOrEmpty("wp:positionV"))
+            } : null
+        };
+    }
+
     function isBlank(value) {
         return value == null || /^\s*$/.test(value);
     }
@@ -625,15 +1425,17 @@ function BodyReader(options) {
         };
     }
 
-    function readImage(imageFile, altText) {
+    function readImage(imageFile, altText, geometry) {
         var contentType = contentTypes.findContentType(imageFile.path);
 
-        var image = documents.Image({
+        var image = documents.Image(_.extend({
             readImage: imageFile.read,
             altText: altText,
             contentType: contentType
-        });
-        var warnings = supportedImageTypes[contentType] ?
+        }, geometry));
+        // EMF and WMF images may be converted when the document is converted
+        // to HTML, so they're only warned about if they aren't converted.
+        var warnings = supportedImageTypes[contentType] || metafiles.isMetafile(contentType) ?
             [] : warning("Image of type " + contentType + " is unlikely to display in web browsers");
         return elementResultWithMessages(image, warnings);
     }
@@ -662,6 +1464,205 @@ function readNumberingProperties(styleId, element, numbering) {
     return null;
 }
 
+// DrawingML attributes are false when missing.
+function readXsdBoolean(value) {
+    return value === "true" || value === "1";
+}
+
+// Sizes and offsets of drawings are measured in EMUs (English Metric Units),
+// with 9525 EMUs in a pixel.
+function emusToPixels(value) {
+    var emus = parseInt(value, 10);
+    return isNaN(emus) ? null : Math.round(emus / 9525);
+}
+
+function diagramNodesToParagraphs(nodes, level) {
+    return _.flatten(nodes.map(function(node) {
+        var children = _.flatten(node.paragraphs.map(function(text, index) {
+            return index === 0 ? [documents.Text(text)] : [documents.lineBreak, documents.Text(text)];
+        }), true);
+        var paragraph = documents.Paragraph([documents.Run(children)], {
+            numbering: {level: String(level), isOrdered: false}
+        });
+        return [paragraph].concat(diagramNodesToParagraphs(node.children, level + 1));
+    }), true);
+}
+
+function readExtent(element) {
+    if (!element) {
+        return null;
+    }
+    var width = emusToPixels(element.attributes.cx);
+    var height = emusToPixels(element.attributes.cy);
+    return width === null || height === null ? null : {width: width, height: height};
+}
+
+// Each edge of the source rectangle is measured in 1,000ths of a percent of
+// the size of the image, and is read as a fraction of the size of the image.
+function readSourceRectangle(element) {
+    if (!element) {
+        return null;
+    }
+    var crop = {};
+    ["top", "right", "bottom", "left"].forEach(function(side) {
+        crop[side] = (parseInt(element.attributes[side.charAt(0)], 10) || 0) / 100000;
+    });
+    return _.values(crop).some(function(value) {
+        return value !== 0;
+    }) ? crop : null;
+}
+
+var wrapElements = {
+    "wp:wrapSquare": "square",
+    "wp:wrapTight": "tight",
+    "wp:wrapThrough": "through",
+    "wp:wrapTopAndBottom": "topAndBottom"
+};
+
+function readWrap(element) {
+    var wrapElement = _.find(element.children, function(child) {
+        return wrapElements[child.name];
+    });
+    if (wrapElement) {
+        return wrapElements[wrapElement.name];
+    } else {
+        return readXsdBoolean(element.attributes.behindDoc) ? "behindText" : "inFrontOfText";
+    }
+}
+
+function readPosition(element) {
+    var offset = element.first("wp:posOffset");
+    var align = element.first("wp:align");
+    return {
+        relativeTo: element.attributes.relativeFrom || null,
+        align: align ? align.text() : null,
+        offset: offset ? emusToPixels(offset.text()) : null
+    };
+}
+
+// An outline level of 9 is used for body text.
+function readOutlineLevel(element) {
+    var level = parseInt(element.attributes["w:val"], 10);
+    return isNaN(level) || level > 8 ? null : level;
+}
+
+function readOptional(element, read) {
+    return element ? read(element) : undefined;
+}
+
+function readOptionalValue(element, name) {
+    return readOptional(element.first(name), function(child) {
+        return child.attributes["w:val"];
+    });
+}
+
+function omitUndefined(object) {
+    return _.omit(object, _.isUndefined);
+}
+
+// Later formatting takes precedence over earlier formatting. Each side of the
+// indent is inherited separately.
+function mergeFormatting(formattings) {
+    return formattings.reduce(function(result, formatting) {
+        var indent = _.extend({}, result.indent, formatting.indent);
+        var merged = _.extend({}, result, formatting);
+        if (!_.isEmpty(indent)) {
+            merged.indent = indent;
+        }
+        return merged;
+    }, {});
+}
+
+// Each side of the borders is inherited separately.
+function mergeTableFormatting(formattings) {
+    return formattings.reduce(function(result, formatting) {
+        var merged = _.extend({}, result, formatting);
+        merged.borders = _.extend({}, result.borders, _.omit(formatting.borders, _.isNull));
+        return merged;
+    }, {});
+}
+
+// See 17.7.3 Toggle (Style) Properties of ECMA-376 4th edition Part 1. When
+// toggle properties are set by more than one type of style, such as by both
+// the paragraph style and the character style, each style toggles the value
+// rather than overriding it.
+var toggleProperties = ["isBold", "isItalic", "isStrikethrough", "isAllCaps", "isSmallCaps", "isHidden"];
+
+function combineToggleProperties(styleFormattings) {
+    return styleFormattings.reduce(function(result, formatting) {
+        var combined = _.extend({}, result, formatting);
+        toggleProperties.forEach(function(name) {
+            if (result[name] !== undefined && formatting[name] !== undefined) {
+                combined[name] = result[name] !== formatting[name];
+            }
+        });
+        return combined;
+    }, {});
+}
+
+var trackedChangeTypes = {
+    "w:ins": "insertion",
+    "w:moveTo": "insertion",
+    "w:del": "deletion",
+    "w:moveFrom": "deletion"
+};
+
+// Fields that refer to a bookmark, given as the first argument of the field.
+var referenceFieldTypes = {
+    "NOTEREF": true,
+    "PAGEREF": true,
+    "REF": true
+};
+
+// DOCPROPERTY fields refer to either a built-in property, such as "Title", or
+// a custom property. Names are compared ignoring case.
+var builtInDocumentProperties = {
+    "title": "title",
+    "subject": "subject",
+    "author": "author",
+    "keywords": "keywords",
+    "comments": "description",
+    "category": "category",
+    "lastsavedby": "lastModifiedBy",
+    "revisionnumber": "revision",
+    "createtime": "created",
+    "lastsavedtime": "modified",
+    "nameofapplication": "application",
+    "company": "company",
+    "manager": "manager",
+    "template": "template",
+    "pages": "pages",
+    "words": "words",
+    "characters": "characters",
+    "lines": "lines",
+    "paragraphs": "paragraphs"
+};
+
+function readDocumentPropertyFieldValue(instrText, properties) {
+    var result = /^\s*DOCPROPERTY\s+(?:"([^"]*)"|([^\s\\]+))/i.exec(instrText);
+    if (!result || !properties) {
+        return null;
+    }
+    var name = (result[1] === undefined ? result[2] : result[1]).toLowerCase();
+    var value;
+    if (_.has(builtInDocumentProperties, name)) {
+        value = properties[builtInDocumentProperties[name]];
+    } else {
+        var customName = _.find(_.keys(properties.custom), function(key) {
+            return key.toLowerCase() === name;
+        });
+        value = customName === undefined ? null : properties.custom[customName];
+    }
+
+    if (value == null) {
+        return null;
+    } else if (_.isBoolean(value)) {
+        return value ? "Y" : "N";
+    } else {
+        return String(value);
+    }
+}
+
 var supportedImageTypes = {
     "image/png": true,
     "image/gif": true,
@@ -676,12 +1677,12 @@ var ignoreElements = {
     "v:shapetype": true,
     "w:annotationRef": true,
     "w:bookmarkEnd": true,
-    "w:sectPr": true,
     "w:proofErr": true,
     "w:lastRenderedPageBreak": true,
-    "w:commentRangeStart": true,
-    "w:commentRangeEnd": true,
-    "w:del": true,
+    "w:moveFromRangeStart": true,
+    "w:moveFromRangeEnd": true,
+    "w:moveToRangeStart": true,
+    "w:moveToRangeEnd": true,
     "w:footnoteRef": true,
     "w:endnoteRef": true,
     "w:pPr": true,
@@ -696,6 +1697,56 @@ function emptyResultWithMessages(messages) {
     return new ReadResult(null, null, messages);
 }
 
+// Part of the result of a complex field, which is only used while reading.
+function fieldResult(complexField, children) {
+    return {type: "fieldResult", complexField: complexField, children: children};
+}
+
+// Each run in the result of a field is wrapped in the field when it's read,
+// so consecutive runs in the result of the same field are combined into a
+// single field element. Empty runs between them, such as the runs containing
+// the w:fldChar elements of nested fields, are included in the field.
+function combineFieldResults(elements) {
+    var combined = [];
+    elements.forEach(function(element) {
+        var previousIndex = element.type === "fieldResult" ?
+            findPreviousFieldResult(combined, element.complexField) :
+            -1;
+        if (previousIndex === -1) {
+            combined.push(element);
+        } else {
+            var previous = combined[previousIndex];
+            var between = combined.splice(previousIndex + 1);
+            combined[previousIndex] = fieldResult(
+                previous.complexField,
+                previous.children.concat(between, element.children)
+            );
+        }
+    });
+    return combined.map(function(element) {
+        if (element.type === "fieldResult") {
+            return documents.field(combineFieldResults(element.children), {
+                fieldType: element.complexField.fieldType,
+                instruction: element.complexField.instruction
+            });
+        } else {
+            return element;
+        }
+    });
+}
+
+function findPreviousFieldResult(elements, complexField) {
+    for (var index = elements.length - 1; index >= 0; index--) {
+        var element = elements[index];
+        if (element.type === "fieldResult") {
+            return element.complexField === complexField ? index : -1;
+        } else if (element.type !== documents.types.run || element.children.length > 0) {
+            return -1;
+        }
+    }
+    return -1;
+}
+
 function emptyResult() {
     return new ReadResult(null);
 }
@@ -0,0 +1,186 @@
+var _ = require("underscore");
+
+var themeReader = require("./theme-reader");
+
+exports.readChartXml = readChartXml;
+
+
+var chartTypes = {
+    "c:areaChart": "area",
+    "c:area3DChart": "area",
+    "c:barChart": "bar",
+    "c:bar3DChart": "bar",
+    "c:bubbleChart": "bubble",
+    "c:doughnutChart": "doughnut",
+    "c:lineChart": "line",
+    "c:line3DChart": "line",
+    "c:ofPieChart": "pie",
+    "c:pieChart": "pie",
+    "c:pie3DChart": "pie",
+    "c:radarChart": "radar",
+    "c:scatterChart": "scatter",
+    "c:stockChart": "stock",
+    "c:surfaceChart": "surface",
+    "c:surface3DChart": "surface"
+};
+
+// See 21.2 DrawingML - Charts of ECMA-376 4th edition Part 1. Only the values
+// cached in the chart part are read, rather than the embedded workbook.
+function readChartXml(root, options) {
+    var theme = (options && options.theme) || themeReader.defaultTheme;
+    var chart = root.firstOrEmpty("c:chart");
+    var plots = chart.firstOrEmpty("c:plotArea").children.filter(function(child) {
+        return _.has(chartTypes, child.name);
+    });
+    var series = _.flatten(plots.map(function(plot) {
+        return plot.getElementsByTagName("c:ser").map(function(element) {
+            return readSeries(element, theme);
+        });
+    }), true);
+
+    return {
+        chartType: plots.length === 0 ? null : readChartType(plots[0]),
+        title: readTitle(chart, series),
+        series: series
+    };
+}
+
+// Bar charts are drawn vertically unless the bar direction is "bar".
+function readChartType(plot) {
+    var chartType = chartTypes[plot.name];
+    if (chartType === "bar" && plot.firstOrEmpty("c:barDir").attributes.val !== "bar") {
+        return "column";
+    } else {
+        return chartType;
+    }
+}
+
+// When a chart with a single series has a title without any text, the name of
+// the series is used as the title.
+function readTitle(chart, series) {
+    var title = chart.first("c:title");
+    if (!title || readBoolean(chart.first("c:autoTitleDeleted"))) {
+        return null;
+    }
+    var text = readText(title.first("c:tx"));
+    if (text === null && series.length === 1) {
+        return series[0].name;
+    } else {
+        return text;
+    }
+}
+
+function readSeries(element, theme) {
+    return {
+        name: readText(element.first("c:tx")),
+        categories: readPoints(element.first("c:cat") || element.first("c:xVal")),
+        values: readPoints(element.first("c:val") || element.first("c:yVal")).map(function(value) {
+            var number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        }),
+        color: readSeriesColor(element.firstOrEmpty("c:spPr"), theme)
+    };
+}
+
+// Text is either rich text, or a reference to a cell with a cached value.
+function readText(element) {
+    if (!element) {
+        return null;
+    }
+    var rich = element.first("c:rich");
+    if (rich) {
+        return rich.getElementsByTagName("a:p").map(function(paragraph) {
+            return paragraph.getElementsByTagName("a:r").getElementsByTagName("a:t").map(function(text) {
+                return text.text();
+            }).join("");
+        }).join(" ");
+    }
+    var value = element.first("c:v");
+    if (value) {
+        return value.text();
+    }
+    var points = readPoints(element);
+    return points.length === 0 ? null : points.join(" ");
+}
+
+var pointCaches = {
+    "c:strRef": "c:strCache",
+    "c:numRef": "c:numCache",
+    "c:multiLvlStrRef": "c:multiLvlStrCache"
+};
+
+// Returns the values of the points as strings, with null for missing points.
+// For categories with multiple levels, only the innermost level is read.
+function readPoints(element) {
+    if (!element) {
+        return [];
+    }
+    var cache = _.find(element.children, function(child) {
+        return child.name === "c:strLit" || child.name === "c:numLit";
+    });
+    if (!cache) {
+        var reference = _.find(element.children, function(child) {
+            return _.has(pointCaches, child.name);
+        });
+        cache = reference ? reference.first(pointCaches[reference.name]) : null;
+    }
+    if (!cache) {
+        return [];
+    }
+    if (cache.name === "c:multiLvlStrCache") {
+        cache = cache.firstOrEmpty("c:lvl");
+    }
+
+    var count = parseInt(cache.firstOrEmpty("c:ptCount").attributes.val, 10) || 0;
+    var points = _.times(count, function() {
+        return null;
+    });
+    cache.getElementsByTagName("c:pt").forEach(function(point) {
+        var index = parseInt(point.attributes.idx, 10);
+        var value = point.first("c:v");
+        if (!isNaN(index) && value) {
+            points[index] = value.text();
+        }
+    });
+    return points.map(function(point) {
+        return point === undefined ? null : point;
+    });
+}
+
+// Lines use the color of their outline rather than their fill.
+function readSeriesColor(shapeProperties, theme) {
+    var fill = shapeProperties.first("a:solidFill") ||
+        shapeProperties.firstOrEmpty("a:ln").firstOrEmpty("a:solidFill");
+    var rgbColor = fill.first("a:srgbClr");
+    if (rgbColor && /^[0-9A-Fa-f]{6}$/.test(rgbColor.attributes.val || "")) {
+        return rgbColor.attributes.val.toUpperCase();
+    }
+    var schemeColor = fill.first("a:schemeClr");
+    if (schemeColor) {
+        var name = schemeColor.attributes.val;
+        return theme.findColor(schemeColorNames[name] || name);
+    }
+    return null;
+}
+
+// DrawingML uses short names for the colors of the theme.
+var schemeColorNames = {
+    "dk1": "dark1",
+    "lt1": "light1",
+    "dk2": "dark2",
+    "lt2": "light2",
+    "tx1": "dark1",
+    "bg1": "light1",
+    "tx2": "dark2",
+    "bg2": "light2",
+    "hlink": "hyperlink",
+    "folHlink": "followedHyperlink"
+};
+
+function readBoolean(element) {
+    if (!element) {
+        return false;
+    }
+    var value = element.attributes.val;
+    return value === undefined || value === "1" || value === "true";
+}
@@ -1,14 +1,36 @@
 var documents = require("../documents");
 var Result = require("../results").Result;
 
-function createCommentsReader(bodyReader) {
+// Word stores the threading and resolved state of comments in
+// commentsExtended.xml, and the UTC dates of comments in
+// commentsExtensible.xml. Both refer to comments using the paragraph ID of the
+// last paragraph of the comment, with commentsIds.xml mapping paragraph IDs to
+// the durable IDs used by commentsExtensible.xml.
+function createCommentsReader(bodyReader, options) {
+    options = options || {};
+    var commentsExtended = options.commentsExtended || {};
+    var commentsIds = options.commentsIds || {};
+    var commentsExtensible = options.commentsExtensible || {};
+
     function readCommentsXml(element) {
-        return Result.combine(element.getElementsByTagName("w:comment")
-            .map(readCommentElement));
+        var commentElements = element.getElementsByTagName("w:comment");
+        var commentIdsByParagraphId = {};
+        commentElements.forEach(function(commentElement) {
+            var paragraphId = readParagraphId(commentElement);
+            if (paragraphId) {
+                commentIdsByParagraphId[paragraphId] = commentElement.attributes["w:id"];
+            }
+        });
+        return Result.combine(commentElements.map(function(commentElement) {
+            return readCommentElement(commentElement, commentIdsByParagraphId);
+        }));
     }
 
-    function readCommentElement(element) {
+    function readCommentElement(element, commentIdsByParagraphId) {
         var id = element.attributes["w:id"];
+        var paragraphId = readParagraphId(element);
+        var extended = lookup(commentsExtended, paragraphId) || {};
+        var durableId = lookup(commentsIds, paragraphId);
 
         function readOptionalAttribute(name) {
             return (element.attributes[name] || "").trim() || null;
@@ -20,7 +42,10 @@ function createCommentsReader(bodyReader) {
                     commentId: id,
                     body: body,
                     authorName: readOptionalAttribute("w:author"),
-                    authorInitials: readOptionalAttribute("w:initials")
+                    authorInitials: readOptionalAttribute("w:initials"),
+                    date: lookup(commentsExtensible, durableId) || readOptionalAttribute("w:date"),
+                    parentCommentId: lookup(commentIdsByParagraphId, extended.parentParagraphId),
+                    isResolved: extended.isResolved
                 });
             });
     }
@@ -28,4 +53,58 @@ function createCommentsReader(bodyReader) {
     return readCommentsXml;
 }
 
+function readParagraphId(commentElement) {
+    var paragraphs = commentElement.getElementsByTagName("w:p");
+    var lastParagraph = paragraphs[paragraphs.length - 1];
+    return lastParagraph ? lastParagraph.attributes["wordml:paraId"] || null : null;
+}
+
+function lookup(values, key) {
+    return key && Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+}
+
+// See the commentsEx element of [MS-DOCX].
+function readCommentsExtendedXml(element) {
+    var commentsExtended = {};
+    element.getElementsByTagName("w15:commentEx").forEach(function(commentEx) {
+        var paragraphId = commentEx.attributes["w15:paraId"];
+        var done = commentEx.attributes["w15:done"];
+        if (paragraphId) {
+            commentsExtended[paragraphId] = {
+                parentParagraphId: commentEx.attributes["w15:paraIdParent"] || null,
+                isResolved: done === "1" || done === "true"
+            };
+        }
+    });
+    return commentsExtended;
+}
+
+// See the commentsIds element of [MS-DOCX].
+function readCommentsIdsXml(element) {
+    var commentsIds = {};
+    element.getElementsByTagName("w16cid:commentId").forEach(function(commentId) {
+        var paragraphId = commentId.attributes["w16cid:paraId"];
+        if (paragraphId) {
+            commentsIds[paragraphId] = commentId.attributes["w16cid:durableId"] || null;
+        }
+    });
+    return commentsIds;
+}
+
+// See the commentsExtensible element of [MS-DOCX].
+function readCommentsExtensibleXml(element) {
+    var commentsExtensible = {};
+    element.getElementsByTagName("w16cex:commentExtensible").forEach(function(commentExtensible) {
+        var durableId = commentExtensible.attributes["w16cex:durableId"];
+        var date = commentExtensible.attributes["w16cex:dateUtc"];
+        if (durableId && date) {
+            commentsExtensible[durableId] = date;
+        }
+    });
+    return commentsExtensible;
+}
+
 exports.createCommentsReader = createCommentsReader;
+exports.readCommentsExtendedXml = readCommentsExtendedXml;
+exports.readCommentsIdsXml = readCommentsIdsXml;
+exports.readCommentsExtensibleXml = readCommentsExtensibleXml;
@@ -7,7 +7,9 @@ var fallbackContentTypes = {
     "jpg": "jpeg",
     "tif": "tiff",
     "tiff": "tiff",
-    "bmp": "bmp"
+    "bmp": "bmp",
+    "emf": "x-emf",
+    "wmf": "x-wmf"
 };
 
 exports.defaultContentTypes = contentTypes({}, {});
@@ -0,0 +1,76 @@
+var _ = require("underscore");
+
+exports.readDiagramDataXml = readDiagramDataXml;
+
+
+// See 21.4 DrawingML - Diagrams of ECMA-376 4th edition Part 1. The data of a
+// SmartArt diagram is a tree of points, with the parent of each point given by
+// a connection of type "parOf". Returns the nodes below the document point,
+// each with the text of its paragraphs and its child nodes.
+function readDiagramDataXml(root) {
+    var points = root.firstOrEmpty("dgm:ptLst").getElementsByTagName("dgm:pt").filter(function(point) {
+        return isContentPoint(point) || point.attributes.type === "doc";
+    });
+    var pointsById = _.indexBy(points, function(point) {
+        return point.attributes.modelId;
+    });
+
+    var connections = root.firstOrEmpty("dgm:cxnLst").getElementsByTagName("dgm:cxn").filter(function(connection) {
+        var type = connection.attributes.type || "parOf";
+        return type === "parOf" &&
+            _.has(pointsById, connection.attributes.srcId) &&
+            _.has(pointsById, connection.attributes.destId);
+    });
+    var childConnections = _.groupBy(connections, function(connection) {
+        return connection.attributes.srcId;
+    });
+    var childIds = _.pluck(_.pluck(connections, "attributes"), "destId");
+
+    // Connections that would form a cycle are ignored. The document point
+    // is replaced by its children.
+    function readNodes(id, visitedIds) {
+        var children = _.sortBy(childConnections[id] || [], function(connection) {
+            return parseInt(connection.attributes.srcOrd, 10) || 0;
+        }).map(function(connection) {
+            return connection.attributes.destId;
+        }).filter(function(childId) {
+            return !_.contains(visitedIds, childId);
+        });
+        var nodeChildren = _.flatten(children.map(function(childId) {
+            return readNodes(childId, visitedIds.concat([childId]));
+        }), true);
+
+        var point = pointsById[id];
+        var paragraphs = readText(point);
+        if (point.attributes.type === "doc") {
+            return nodeChildren;
+        } else if (paragraphs.length === 0 && nodeChildren.length === 0) {
+            return [];
+        } else {
+            return [{paragraphs: paragraphs, children: nodeChildren}];
+        }
+    }
+
+    return _.flatten(points.filter(function(point) {
+        return !_.contains(childIds, point.attributes.modelId);
+    }).map(function(point) {
+        return readNodes(point.attributes.modelId, [point.attributes.modelId]);
+    }), true);
+}
+
+// Points without a type are nodes. Other points, such as transitions and
+// presentation points, don't contain any content.
+function isContentPoint(point) {
+    var type = point.attributes.type || "node";
+    return type === "node" || type === "asst";
+}
+
+function readText(point) {
+    return point.firstOrEmpty("dgm:t").getElementsByTagName("a:p").map(function(paragraph) {
+        return paragraph.getElementsByTagName("a:r").getElementsByTagName("a:t").map(function(text) {
+            return text.text();
+        }).join("");
+    }).filter(function(text) {
+        return text.trim() !== "";
+    });
+}
@@ -0,0 +1,82 @@
+var _ = require("underscore");
+
+exports.readCorePropertiesXml = readCorePropertiesXml;
+exports.readExtendedPropertiesXml = readExtendedPropertiesXml;
+exports.readCustomPropertiesXml = readCustomPropertiesXml;
+
+
+// See 11 Core Properties of ECMA-376 4th edition Part 2.
+function readCorePropertiesXml(element) {
+    return {
+        title: readText(element, "dc:title"),
+        subject: readText(element, "dc:subject"),
+        author: readText(element, "dc:creator"),
+        keywords: readText(element, "cp:keywords"),
+        description: readText(element, "dc:description"),
+        category: readText(element, "cp:category"),
+        lastModifiedBy: readText(element, "cp:lastModifiedBy"),
+        revision: readText(element, "cp:revision"),
+        created: readText(element, "dcterms:created"),
+        modified: readText(element, "dcterms:modified")
+    };
+}
+
+// See 22.2 Extended Properties of ECMA-376 4th edition Part 1.
+function readExtendedPropertiesXml(element) {
+    return {
+        application: readText(element, "extended-properties:Application"),
+        company: readText(element, "extended-properties:Company"),
+        manager: readText(element, "extended-properties:Manager"),
+        template: readText(element, "extended-properties:Template"),
+        pages: readInteger(element, "extended-properties:Pages"),
+        words: readInteger(element, "extended-properties:Words"),
+        characters: readInteger(element, "extended-properties:Characters"),
+        lines: readInteger(element, "extended-properties:Lines"),
+        paragraphs: readInteger(element, "extended-properties:Paragraphs")
+    };
+}
+
+// See 22.3 Custom Properties of ECMA-376 4th edition Part 1. The value of each
+// property is stored using one of the variant types of 22.4 Variant Types.
+function readCustomPropertiesXml(element) {
+    var custom = {};
+    element.getElementsByTagName("custom-properties:property").forEach(function(property) {
+        var name = property.attributes.name;
+        var value = _.find(property.children, function(child) {
+            return child.type === "element";
+        });
+        if (name && value) {
+            custom[name] = readVariant(value);
+        }
+    });
+    return custom;
+}
+
+function readVariant(element) {
+    var text = elementText(element);
+    var type = element.name.replace(/^vt:/, "");
+    if (type === "bool") {
+        return text === "true" || text === "1";
+    } else if (/^(u?i[1248]|u?int|r[48]|decimal)$/.test(type)) {
+        var number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    } else {
+        return text;
+    }
+}
+
+function readText(element, name) {
+    var child = element.first(name);
+    return child ? (elementText(child) || null) : null;
+}
+
+function readInteger(element, name) {
+    var value = parseInt(readText(element, name), 10);
+    return isNaN(value) ? null : value;
+}
+
+function elementText(element) {
+    return element.children.map(function(child) {
+        return child.type === "text" ? child.value : elementText(child);
+    }).join("");
+}
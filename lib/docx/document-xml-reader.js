@@ -18,7 +18,12 @@ function DocumentXmlReader(options) {
             .map(function(children) {
                 return new documents.Document(children, {
                     notes: options.notes,
-                    comments: options.comments
+                    comments: options.comments,
+                    headers: options.headers,
+                    footers: options.footers,
+                    properties: options.properties,
+                    footnoteNumbering: options.settings && options.settings.footnoteNumbering,
+                    endnoteNumbering: options.settings && options.settings.endnoteNumbering
                 });
             });
         return new Result(result.value, result.messages);
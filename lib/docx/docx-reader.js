@@ -1,9 +1,12 @@
 exports.read = read;
 exports._findPartPaths = findPartPaths;
 
+var _ = require("underscore");
+
 var promises = require("../promises");
 var documents = require("../documents");
 var Result = require("../results").Result;
+var warning = require("../results").warning;
 var zipfile = require("../zipfile");
 
 var readXmlFromZipFile = require("./office-xml-reader").readXmlFromZipFile;
@@ -13,22 +16,43 @@ var relationshipsReader = require("./relationships-reader");
 var contentTypesReader = require("./content-types-reader");
 var numberingXml = require("./numbering-xml");
 var stylesReader = require("./styles-reader");
+var themeReader = require("./theme-reader");
+var documentPropertiesReader = require("./document-properties-reader");
 var notesReader = require("./notes-reader");
+var settingsReader = require("./settings-reader");
 var commentsReader = require("./comments-reader");
+var headersFootersReader = require("./headers-footers-reader");
+var chartReader = require("./chart-reader");
+var diagramReader = require("./diagram-reader");
+var altChunkReader = require("./alt-chunk-reader");
+var uris = require("./uris");
 var Files = require("./files").Files;
 
 
-function read(docxFile, input) {
+function read(docxFile, input, options) {
     input = input || {};
+    options = options || {};
 
+    return readDocument(docxFile, {
+        trackedChanges: options.trackedChanges,
+        files: input.path ? Files.relativeToFile(input.path) : new Files(null)
+    });
+}
+
+function readDocument(docxFile, options) {
     return promises.props({
+        trackedChanges: options.trackedChanges,
         contentTypes: readContentTypesFromZipFile(docxFile),
         partPaths: findPartPaths(docxFile),
         docxFile: docxFile,
-        files: input.path ? Files.relativeToFile(input.path) : new Files(null)
+        files: options.files
     }).also(function(result) {
         return {
-            styles: readStylesFromZipFile(docxFile, result.partPaths.styles)
+            styles: readStylesFromZipFile(docxFile, result.partPaths.styles),
+            theme: readThemeFromZipFile(docxFile, result.partPaths.theme),
+            settings: readSettingsFromZipFile(docxFile, result.partPaths.settings),
+            properties: readDocumentPropertiesFromZipFile(docxFile, result.partPaths),
+            commentsExtensions: readCommentsExtensionsFromZipFile(docxFile, result.partPaths)
         };
     }).also(function(result) {
         return {
@@ -50,38 +74,87 @@ function read(docxFile, input) {
                     return new Result([]);
                 }
             }),
-            comments: readXmlFileWithBody(result.partPaths.comments, result, function(bodyReader, xml) {
-                if (xml) {
-                    return commentsReader.createCommentsReader(bodyReader)(xml);
-                } else {
-                    return new Result([]);
-                }
-            })
-        };
-    }).also(function(result) {
-        return {
-            notes: result.footnotes.flatMap(function(footnotes) {
-                return result.endnotes.map(function(endnotes) {
-                    return new documents.Notes(footnotes.concat(endnotes));
+            comments: result.commentsExtensions.flatMapThen(function(commentsExtensions) {
+                return readXmlFileWithBody(result.partPaths.comments, result, function(bodyReader, xml) {
+                    if (xml) {
+                        return commentsReader.createCommentsReader(bodyReader, commentsExtensions)(xml);
+                    } else {
+                        return new Result([]);
+                    }
                 });
             })
         };
     }).then(function(result) {
-        return readXmlFileWithBody(result.partPaths.mainDocument, result, function(bodyReader, xml) {
-            return result.notes.flatMap(function(notes) {
-                return result.comments.flatMap(function(comments) {
-                    var reader = new DocumentXmlReader({
-                        bodyReader: bodyReader,
-                        notes: notes,
-                        comments: comments
+        return result.properties.flatMapThen(function(properties) {
+            return readXmlFileWithBody(result.partPaths.mainDocument, result, function(bodyReader, xml, relationships, altChunks) {
+                // The notes and comments of documents embedded in the main
+                // document are included in the main document.
+                var altChunkValues = _.pluck(_.values(altChunks), "value");
+                var altChunkNotes = _.flatten(_.pluck(altChunkValues, "notes"), true);
+                var altChunkComments = _.flatten(_.pluck(altChunkValues, "comments"), true);
+                var notesResult = result.footnotes.flatMap(function(footnotes) {
+                    return result.endnotes.map(function(endnotes) {
+                        return new documents.Notes(footnotes.concat(endnotes, altChunkNotes));
+                    });
+                });
+                return readHeadersAndFooters(xml, relationships, result).then(function(headersAndFooters) {
+                    return notesResult.flatMap(function(notes) {
+                        return result.comments.flatMap(function(comments) {
+                            return headersAndFooters.flatMap(function(headersAndFooters) {
+                                var reader = new DocumentXmlReader({
+                                    bodyReader: bodyReader,
+                                    notes: notes,
+                                    comments: comments.concat(altChunkComments),
+                                    headers: headersAndFooters.headers,
+                                    footers: headersAndFooters.footers,
+                                    properties: properties,
+                                    settings: result.settings
+                                });
+                                return reader.convertXmlToDocument(xml);
+                            });
+                        });
                     });
-                    return reader.convertXmlToDocument(xml);
                 });
             });
         });
     });
 }
 
+function readHeadersAndFooters(documentXml, relationships, options) {
+    var basePath = zipfile.splitPath(options.partPaths.mainDocument).dirname;
+    // When several sections reference a header or footer for the same type of
+    // page, the first section's header or footer is used.
+    var references = _.uniq(
+        headersFootersReader.findHeaderFooterReferences(documentXml),
+        function(reference) {
+            return reference.elementType + "-" + reference.pageType;
+        }
+    );
+
+    return promises.mapSeries(references, function(reference) {
+        var target = relationships.findTargetByRelationshipId(reference.relationshipId);
+        var path = target ? stripPrefix(zipfile.joinPath(basePath, target), "/") : null;
+        if (path === null || !options.docxFile.exists(path)) {
+            return new Result([], [
+                warning("Could not find " + reference.elementType + " part for relationship ID: " + reference.relationshipId)
+            ]);
+        }
+        return readXmlFileWithBody(path, options, function(bodyReader, xml) {
+            return headersFootersReader.createHeaderFooterReader(reference, bodyReader)(xml);
+        });
+    }).then(function(results) {
+        return Result.combine(results).map(function(elements) {
+            function byPageType(elementType) {
+                return documents.HeadersFooters(_.indexBy(_.where(elements, {type: elementType}), "pageType"));
+            }
+            return {
+                headers: byPageType(documents.types.header),
+                footers: byPageType(documents.types.footer)
+            };
+        });
+    });
+}
+
 function findPartPaths(docxFile) {
     return readPackageRelationships(docxFile).then(function(packageRelationships) {
         var mainDocumentPath = findPartPath({
@@ -96,28 +169,71 @@ function findPartPaths(docxFile) {
             throw new Error("Could not find main document part. Are you sure this is a valid .docx file?");
         }
 
+        function findPackagePart(relationshipType, fallbackPath) {
+            return findPartPath({
+                docxFile: docxFile,
+                relationships: packageRelationships,
+                relationshipType: relationshipType,
+                basePath: "",
+                fallbackPath: fallbackPath
+            });
+        }
+
         return xmlFileReader({
             filename: relationshipsFilename(mainDocumentPath),
             readElement: relationshipsReader.readRelationships,
             defaultValue: relationshipsReader.defaultValue
         })(docxFile).then(function(documentRelationships) {
-            function findPartRelatedToMainDocument(name) {
+            function findPartRelatedToMainDocument(name, fallbackPath) {
+                return findPartOfTypeRelatedToMainDocument(
+                    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/" + name,
+                    fallbackPath || "word/" + name + ".xml"
+                );
+            }
+
+            function findPartOfTypeRelatedToMainDocument(relationshipType, fallbackPath) {
                 return findPartPath({
                     docxFile: docxFile,
                     relationships: documentRelationships,
-                    relationshipType: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/" + name,
+                    relationshipType: relationshipType,
                     basePath: zipfile.splitPath(mainDocumentPath).dirname,
-                    fallbackPath: "word/" + name + ".xml"
+                    fallbackPath: fallbackPath
                 });
             }
 
             return {
                 mainDocument: mainDocumentPath,
                 comments: findPartRelatedToMainDocument("comments"),
+                commentsExtended: findPartOfTypeRelatedToMainDocument(
+                    "http://schemas.microsoft.com/office/2011/relationships/commentsExtended",
+                    "word/commentsExtended.xml"
+                ),
+                commentsIds: findPartOfTypeRelatedToMainDocument(
+                    "http://schemas.microsoft.com/office/2016/09/relationships/commentsIds",
+                    "word/commentsIds.xml"
+                ),
+                commentsExtensible: findPartOfTypeRelatedToMainDocument(
+                    "http://schemas.microsoft.com/office/2018/08/relationships/commentsExtensible",
+                    "word/commentsExtensible.xml"
+                ),
                 endnotes: findPartRelatedToMainDocument("endnotes"),
                 footnotes: findPartRelatedToMainDocument("footnotes"),
                 numbering: findPartRelatedToMainDocument("numbering"),
-                styles: findPartRelatedToMainDocument("styles")
+                settings: findPartRelatedToMainDocument("settings"),
+                styles: findPartRelatedToMainDocument("styles"),
+                theme: findPartRelatedToMainDocument("theme", "word/theme/theme1.xml"),
+                coreProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties",
+                    "docProps/core.xml"
+                ),
+                extendedProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties",
+                    "docProps/app.xml"
+                ),
+                customProperties: findPackagePart(
+                    "http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties",
+                    "docProps/custom.xml"
+                )
             };
         });
     });
@@ -169,21 +285,182 @@ function readXmlFileWithBody(filename, options, func) {
     });
 
     return readRelationshipsFromZipFile(options.docxFile).then(function(relationships) {
-        var bodyReader = new createBodyReader({
-            relationships: relationships,
-            contentTypes: options.contentTypes,
-            docxFile: options.docxFile,
-            numbering: options.numbering,
-            styles: options.styles,
-            files: options.files
+        return promises.props({
+            charts: readRelatedPartsFromZipFile(options.docxFile, relationships, chartRelationshipType, function(element) {
+                return chartReader.readChartXml(element, {theme: options.theme});
+            }),
+            diagrams: readRelatedPartsFromZipFile(options.docxFile, relationships, diagramDataRelationshipType, diagramReader.readDiagramDataXml),
+            altChunks: readAltChunksFromZipFile(relationships, options)
+        }).then(function(parts) {
+            // Notes and comments of embedded documents are only kept in the
+            // main document.
+            var altChunks = filename === options.partPaths.mainDocument ?
+                parts.altChunks :
+                _.mapObject(parts.altChunks, function(altChunk) {
+                    return altChunk.map(function(value) {
+                        return {children: mapReferences(value.children, _.constant(null)), notes: [], comments: []};
+                    });
+                });
+            var bodyReader = new createBodyReader({
+                relationships: relationships,
+                charts: parts.charts,
+                diagrams: parts.diagrams,
+                altChunks: altChunks,
+                contentTypes: options.contentTypes,
+                docxFile: options.docxFile,
+                numbering: options.numbering,
+                styles: options.styles,
+                theme: options.theme,
+                documentProperties: options.properties.value,
+                files: options.files,
+                trackedChanges: options.trackedChanges
+            });
+            return readXmlFromZipFile(options.docxFile, filename)
+                .then(function(xml) {
+                    return func(bodyReader, xml, relationships, altChunks);
+                });
+        });
+    });
+}
+
+var chartRelationshipType = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart";
+var diagramDataRelationshipType = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData";
+
+// Parts such as charts and SmartArt data are read before the part that
+// contains them so that the body can be read synchronously. The parts are
+// returned as an object keyed by path.
+function readRelatedPartsFromZipFile(docxFile, relationships, relationshipType, readElement) {
+    var paths = _.uniq(relationships
+        .findTargetsByType(relationshipType)
+        .map(function(target) {
+            return uris.uriToZipEntryName("word", target);
+        }));
+    return promises.mapSeries(paths, function(path) {
+        return readXmlFromZipFile(docxFile, path).then(function(element) {
+            return element ? readElement(element) : null;
+        });
+    }).then(function(parts) {
+        return _.pick(_.object(paths, parts), function(part) {
+            return part !== null;
         });
-        return readXmlFromZipFile(options.docxFile, filename)
-            .then(function(xml) {
-                return func(bodyReader, xml);
+    });
+}
+
+var altChunkRelationshipType = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/aFChunk";
+
+// Each altChunk is read as a result containing its block elements, notes and
+// comments. The IDs of the notes and comments of embedded documents are
+// prefixed so that they're distinct from the IDs in the containing document.
+function readAltChunksFromZipFile(relationships, options) {
+    var docxFile = options.docxFile;
+    var paths = _.uniq(relationships.findTargetsByType(altChunkRelationshipType).map(function(target) {
+        return uris.uriToZipEntryName("word", target);
+    })).filter(function(path) {
+        return docxFile.exists(path);
+    });
+    return promises.mapSeries(paths, function(path, index) {
+        var contentType = options.contentTypes.findContentType(path);
+        var format = altChunkReader.chunkFormat(contentType, path);
+        return readAltChunk(path, format, options).then(function(result) {
+            return result.map(function(value) {
+                return prefixReferenceIds(value, "chunk" + (index + 1) + "-");
             });
+        }, function(error) {
+            return new Result({children: [], notes: [], comments: []}, [
+                warning("Could not read altChunk " + path + ": " + error.message)
+            ]);
+        });
+    }).then(function(altChunks) {
+        return _.object(paths, altChunks);
     });
 }
 
+function readAltChunk(path, format, options) {
+    var docxFile = options.docxFile;
+    function blocks(result) {
+        return result.map(function(children) {
+            return {children: children, notes: [], comments: []};
+        });
+    }
+
+    if (format === "docx") {
+        return docxFile.read(path).then(zipfile.openArrayBuffer).then(function(embeddedDocxFile) {
+            return readDocument(embeddedDocxFile, {trackedChanges: options.trackedChanges, files: options.files});
+        }).then(function(result) {
+            return result.map(function(document) {
+                return {
+                    // Sections of the embedded document are ignored.
+                    children: document.children.filter(function(child) {
+                        return child.type !== documents.types.sectionProperties;
+                    }),
+                    notes: document.notes.toArray(),
+                    comments: document.comments
+                };
+            });
+        });
+    } else if (format === "html") {
+        return docxFile.read(path, "utf-8").then(altChunkReader.readHtml).then(blocks);
+    } else if (format === "mht") {
+        return docxFile.read(path).then(altChunkReader.readMht).then(blocks);
+    } else if (format === "rtf") {
+        return docxFile.read(path, "latin1").then(altChunkReader.readRtf).then(blocks);
+    } else if (format === "text") {
+        return docxFile.read(path, "utf-8").then(altChunkReader.readText).then(blocks);
+    } else {
+        var contentType = options.contentTypes.findContentType(path);
+        return promises.reject(new Error(contentType ? "unsupported content type " + contentType : "unrecognised format"));
+    }
+}
+
+function prefixReferenceIds(altChunk, prefix) {
+    function prefixReference(reference) {
+        if (reference.type === documents.types.noteReference) {
+            return _.extend({}, reference, {noteId: prefix + reference.noteId});
+        } else {
+            return _.extend({}, reference, {commentId: prefix + reference.commentId});
+        }
+    }
+    return {
+        children: mapReferences(altChunk.children, prefixReference),
+        notes: altChunk.notes.map(function(note) {
+            return documents.Note({
+                noteType: note.noteType,
+                noteId: prefix + note.noteId,
+                body: mapReferences(note.body, prefixReference)
+            });
+        }),
+        comments: altChunk.comments.map(function(comment) {
+            return _.extend({}, comment, {
+                commentId: prefix + comment.commentId,
+                parentCommentId: comment.parentCommentId === null ? null : prefix + comment.parentCommentId,
+                body: mapReferences(comment.body, prefixReference)
+            });
+        })
+    };
+}
+
+var referenceTypes = [
+    documents.types.noteReference,
+    documents.types.commentReference,
+    documents.types.commentRangeStart,
+    documents.types.commentRangeEnd
+];
+
+// Replaces note and comment references, including the start and end of
+// comment ranges, removing references replaced with null.
+function mapReferences(elements, func) {
+    return _.flatten(elements.map(function(element) {
+        if (_.contains(referenceTypes, element.type)) {
+            var reference = func(element);
+            return reference ? [reference] : [];
+        } else if (element.children) {
+            return [_.extend({}, element, {children: mapReferences(element.children, func)})];
+        } else {
+            return [element];
+        }
+    }), true);
+}
+
 function relationshipsFilename(filename) {
     var split = zipfile.splitPath(filename);
     return zipfile.joinPath(split.dirname, "_rels", split.basename + ".rels");
@@ -195,6 +472,14 @@ var readContentTypesFromZipFile = xmlFileReader({
     defaultValue: contentTypesReader.defaultContentTypes
 });
 
+function readSettingsFromZipFile(zipFile, path) {
+    return xmlFileReader({
+        filename: path,
+        readElement: settingsReader.readSettingsXml,
+        defaultValue: settingsReader.defaultSettings
+    })(zipFile);
+}
+
 function readNumberingFromZipFile(zipFile, path, styles) {
     return xmlFileReader({
         filename: path,
@@ -213,6 +498,77 @@ function readStylesFromZipFile(zipFile, path) {
     })(zipFile);
 }
 
+// Parts such as document properties and comment extensions don't affect the
+// content of the document, so a part that can't be read is treated as empty,
+// with a warning.
+function readOptionalPartFromZipFile(zipFile, path, description, readElement) {
+    return xmlFileReader({
+        filename: path,
+        readElement: readElement,
+        defaultValue: {}
+    })(zipFile).then(function(value) {
+        return new Result(value);
+    }, function(error) {
+        return new Result({}, [
+            warning("Could not read " + description + " from " + path + ": " + error.message)
+        ]);
+    });
+}
+
+function readDocumentPropertiesFromZipFile(zipFile, partPaths) {
+    function read(path, readElement) {
+        return readOptionalPartFromZipFile(zipFile, path, "document properties", readElement);
+    }
+
+    return promises.props({
+        core: read(partPaths.coreProperties, documentPropertiesReader.readCorePropertiesXml),
+        extended: read(partPaths.extendedProperties, documentPropertiesReader.readExtendedPropertiesXml),
+        custom: read(partPaths.customProperties, documentPropertiesReader.readCustomPropertiesXml)
+    }).then(function(properties) {
+        return properties.core.flatMap(function(core) {
+            return properties.extended.flatMap(function(extended) {
+                return properties.custom.map(function(custom) {
+                    return documents.DocumentProperties(_.extend({}, core, extended, {
+                        custom: custom
+                    }));
+                });
+            });
+        });
+    });
+}
+
+function readCommentsExtensionsFromZipFile(zipFile, partPaths) {
+    function read(path, readElement) {
+        return readOptionalPartFromZipFile(zipFile, path, "comment extensions", readElement);
+    }
+
+    return promises.props({
+        commentsExtended: read(partPaths.commentsExtended, commentsReader.readCommentsExtendedXml),
+        commentsIds: read(partPaths.commentsIds, commentsReader.readCommentsIdsXml),
+        commentsExtensible: read(partPaths.commentsExtensible, commentsReader.readCommentsExtensibleXml)
+    }).then(function(extensions) {
+        return extensions.commentsExtended.flatMap(function(commentsExtended) {
+            return extensions.commentsIds.flatMap(function(commentsIds) {
+                return extensions.commentsExtensible.map(function(commentsExtensible) {
+                    return {
+                        commentsExtended: commentsExtended,
+                        commentsIds: commentsIds,
+                        commentsExtensible: commentsExtensible
+                    };
+                });
+            });
+        });
+    });
+}
+
+function readThemeFromZipFile(zipFile, path) {
+    return xmlFileReader({
+        filename: path,
+        readElement: themeReader.readThemeXml,
+        defaultValue: themeReader.defaultTheme
+    })(zipFile);
+}
+
 var readPackageRelationships = xmlFileReader({
     filename: "_rels/.rels",
     readElement: relationshipsReader.readRelationships,
@@ -0,0 +1,67 @@
+var _ = require("underscore");
+
+var documents = require("../documents");
+
+exports.findHeaderFooterReferences = findHeaderFooterReferences;
+exports.createHeaderFooterReader = createHeaderFooterReader;
+
+
+// Finds the headers and footers referenced by the section properties in the
+// body of the main document, in document order. Section properties for all but
+// the last section are stored in the paragraph properties of the last
+// paragraph of the section, which may be inside other elements, such as
+// structured document tags.
+function findHeaderFooterReferences(documentElement) {
+    var sectionProperties = findSectionProperties(documentElement.firstOrEmpty("w:body"));
+
+    var references = [];
+    sectionProperties.forEach(function(element) {
+        element.children.forEach(function(child) {
+            var elementType = referenceElementTypes[child.name];
+            if (elementType) {
+                references.push({
+                    elementType: elementType,
+                    pageType: readPageType(child.attributes["w:type"]),
+                    relationshipId: child.attributes["r:id"]
+                });
+            }
+        });
+    });
+    return references;
+}
+
+// Previous section properties stored with tracked changes are ignored.
+function findSectionProperties(element) {
+    return _.flatten(element.children.map(function(child) {
+        if (child.type !== "element" || _.contains(ignoredElementNames, child.name)) {
+            return [];
+        } else if (child.name === "w:sectPr") {
+            return [child];
+        } else {
+            return findSectionProperties(child);
+        }
+    }), true);
+}
+
+var ignoredElementNames = ["w:pPrChange", "w:sectPrChange"];
+
+var referenceElementTypes = {
+    "w:headerReference": documents.types.header,
+    "w:footerReference": documents.types.footer
+};
+
+function readPageType(value) {
+    return value === "first" || value === "even" ? value : "default";
+}
+
+function createHeaderFooterReader(reference, bodyReader) {
+    return function(element) {
+        return bodyReader.readXmlElements(element.children)
+            .map(function(children) {
+                var create = reference.elementType === documents.types.header ?
+                    documents.header :
+                    documents.footer;
+                return create(children, {pageType: reference.pageType});
+            });
+    };
+}
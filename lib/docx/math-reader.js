@@ -0,0 +1,307 @@
+// Reads Office Math Markup Language (OMML). See 22.1 Math of ECMA-376 4th
+// edition Part 1.
+
+var _ = require("underscore");
+
+var math = require("../math");
+var Result = require("../results").Result;
+var warning = require("../results").warning;
+
+exports.readMathElement = readMathElement;
+
+// Reads an m:oMath element, returning a result containing the math nodes.
+function readMathElement(element) {
+    return readArgument(element);
+}
+
+function readArgument(element) {
+    if (!element) {
+        return new Result([]);
+    }
+    return Result.combine(element.children.map(readMathNode));
+}
+
+function readOptionalArgument(element, isHidden) {
+    if (isHidden) {
+        return new Result(null);
+    } else {
+        return readArgument(element);
+    }
+}
+
+function readMathNode(element) {
+    if (element.type !== "element") {
+        return new Result([]);
+    }
+    var handler = readers[element.name];
+    if (handler) {
+        return handler(element);
+    } else if (isPropertiesElement(element) || Object.prototype.hasOwnProperty.call(ignoreElements, element.name)) {
+        return new Result([]);
+    } else {
+        return new Result([], [warning("An unrecognised element was ignored: " + element.name)]);
+    }
+}
+
+function isPropertiesElement(element) {
+    return /^m:[a-zA-Z]*Pr$/.test(element.name);
+}
+
+function readArguments(element, names, func) {
+    var results = names.map(function(name) {
+        return readArgument(element.first(name));
+    });
+    return combineArguments(results, func);
+}
+
+function combineArguments(results, func) {
+    var messages = _.flatten(_.pluck(results, "messages"), true);
+    return new Result(func.apply(null, _.pluck(results, "value")), messages);
+}
+
+function readRun(element) {
+    var properties = element.firstOrEmpty("m:rPr");
+    var text = element.getElementsByTagName("m:t").map(function(textElement) {
+        return textElement.text();
+    }).join("");
+    return new Result([math.run(text, {
+        style: runStyles[properties.firstOrEmpty("m:sty").attributes["m:val"]],
+        script: properties.firstOrEmpty("m:scr").attributes["m:val"],
+        isNormalText: readBooleanElement(properties.first("m:nor"))
+    })]);
+}
+
+var runStyles = {
+    "p": "plain",
+    "b": "bold",
+    "i": "italic",
+    "bi": "boldItalic"
+};
+
+function readFraction(element) {
+    var fractionType = readValue(element.firstOrEmpty("m:fPr"), "m:type");
+    return readArguments(element, ["m:num", "m:den"], function(numerator, denominator) {
+        return [math.fraction({
+            fractionType: fractionTypes[fractionType] || "bar",
+            numerator: numerator,
+            denominator: denominator
+        })];
+    });
+}
+
+var fractionTypes = {
+    "bar": "bar",
+    "skw": "skewed",
+    "lin": "linear",
+    "noBar": "noBar"
+};
+
+function readRadical(element) {
+    var isDegreeHidden = readBooleanElement(element.firstOrEmpty("m:radPr").first("m:degHide"));
+    return combineArguments(
+        [
+            readOptionalArgument(element.first("m:deg"), isDegreeHidden),
+            readArgument(element.first("m:e"))
+        ],
+        function(degree, base) {
+            return [math.radical({
+                degree: degree && degree.length > 0 ? degree : null,
+                base: base
+            })];
+        }
+    );
+}
+
+var integralOperators = "\u222B\u222C\u222D\u222E\u222F\u2230";
+
+function readNary(element) {
+    var properties = element.firstOrEmpty("m:naryPr");
+    var operator = readValue(properties, "m:chr");
+    if (operator === undefined) {
+        operator = "\u222B";
+    }
+    var limitLocation = readValue(properties, "m:limLoc");
+    if (limitLocation === undefined) {
+        limitLocation = integralOperators.indexOf(operator) === -1 ? "undOvr" : "subSup";
+    }
+    return combineArguments(
+        [
+            readOptionalArgument(element.first("m:sub"), readBooleanElement(properties.first("m:subHide"))),
+            readOptionalArgument(element.first("m:sup"), readBooleanElement(properties.first("m:supHide"))),
+            readArgument(element.first("m:e"))
+        ],
+        function(sub, sup, base) {
+            return [math.nary({
+                operator: operator,
+                limitLocation: limitLocation === "subSup" ? "subSup" : "underOver",
+                sub: sub,
+                sup: sup,
+                base: base
+            })];
+        }
+    );
+}
+
+function readMatrix(element) {
+    var rowResults = element.getElementsByTagName("m:mr").map(readArgumentsOfElements);
+    return combineArguments(rowResults, function() {
+        return [math.matrix(_.toArray(arguments))];
+    });
+}
+
+function readArgumentsOfElements(element) {
+    var results = element.getElementsByTagName("m:e").map(readArgument);
+    return combineArguments(results, function() {
+        return _.toArray(arguments);
+    });
+}
+
+function readDelimiter(element) {
+    var properties = element.firstOrEmpty("m:dPr");
+    return readArgumentsOfElements(element).map(function(elements) {
+        return [math.delimiter({
+            begin: readValueOrDefault(properties, "m:begChr", "("),
+            end: readValueOrDefault(properties, "m:endChr", ")"),
+            separator: readValueOrDefault(properties, "m:sepChr", "|"),
+            elements: elements
+        })];
+    });
+}
+
+function readAccent(element) {
+    var accent = readValueOrDefault(element.firstOrEmpty("m:accPr"), "m:chr", "\u0302");
+    return readArguments(element, ["m:e"], function(base) {
+        return [math.accent({accent: accent, base: base})];
+    });
+}
+
+function readSubscript(element) {
+    return readArguments(element, ["m:e", "m:sub"], function(base, sub) {
+        return [math.subscript({base: base, sub: sub})];
+    });
+}
+
+function readSuperscript(element) {
+    return readArguments(element, ["m:e", "m:sup"], function(base, sup) {
+        return [math.superscript({base: base, sup: sup})];
+    });
+}
+
+function readSubSuperscript(element) {
+    return readArguments(element, ["m:e", "m:sub", "m:sup"], function(base, sub, sup) {
+        return [math.subSuperscript({base: base, sub: sub, sup: sup})];
+    });
+}
+
+function readPreScript(element) {
+    return readArguments(element, ["m:e", "m:sub", "m:sup"], function(base, sub, sup) {
+        return [math.preScript({base: base, sub: sub, sup: sup})];
+    });
+}
+
+function readFunction(element) {
+    return readArguments(element, ["m:fName", "m:e"], function(name, base) {
+        return [math.func({name: name, base: base})];
+    });
+}
+
+function readLowerLimit(element) {
+    return readArguments(element, ["m:e", "m:lim"], function(base, limit) {
+        return [math.lowerLimit({base: base, limit: limit})];
+    });
+}
+
+function readUpperLimit(element) {
+    return readArguments(element, ["m:e", "m:lim"], function(base, limit) {
+        return [math.upperLimit({base: base, limit: limit})];
+    });
+}
+
+function readBar(element) {
+    var position = readValue(element.firstOrEmpty("m:barPr"), "m:pos");
+    return readArguments(element, ["m:e"], function(base) {
+        return [math.bar({
+            position: position === "top" ? "top" : "bottom",
+            base: base
+        })];
+    });
+}
+
+function readGroupCharacter(element) {
+    var properties = element.firstOrEmpty("m:groupChrPr");
+    var position = readValue(properties, "m:pos");
+    return readArguments(element, ["m:e"], function(base) {
+        return [math.groupCharacter({
+            character: readValueOrDefault(properties, "m:chr", "\u23DF"),
+            position: position === "top" ? "top" : "bottom",
+            base: base
+        })];
+    });
+}
+
+function readEquationArray(element) {
+    return readArgumentsOfElements(element).map(function(rows) {
+        return [math.equationArray(rows)];
+    });
+}
+
+function readBox(element) {
+    return readArguments(element, ["m:e"], function(base) {
+        return [math.box(base)];
+    });
+}
+
+function readValue(properties, name) {
+    return properties.firstOrEmpty(name).attributes["m:val"];
+}
+
+function readValueOrDefault(properties, name, defaultValue) {
+    var element = properties.first(name);
+    if (element) {
+        // An element without a value represents an empty character.
+        var value = element.attributes["m:val"];
+        return value === undefined ? "" : value;
+    } else {
+        return defaultValue;
+    }
+}
+
+// See 22.9.2.7 ST_OnOff (On Off) of ECMA-376 4th edition Part 1
+function readBooleanElement(element) {
+    if (element) {
+        var value = element.attributes["m:val"];
+        return value !== "off" && value !== "false" && value !== "0";
+    } else {
+        return false;
+    }
+}
+
+var readers = {
+    "m:oMath": readArgument,
+    "m:r": readRun,
+    "m:f": readFraction,
+    "m:rad": readRadical,
+    "m:nary": readNary,
+    "m:m": readMatrix,
+    "m:d": readDelimiter,
+    "m:acc": readAccent,
+    "m:sSub": readSubscript,
+    "m:sSup": readSuperscript,
+    "m:sSubSup": readSubSuperscript,
+    "m:sPre": readPreScript,
+    "m:func": readFunction,
+    "m:limLow": readLowerLimit,
+    "m:limUpp": readUpperLimit,
+    "m:bar": readBar,
+    "m:groupChr": readGroupCharacter,
+    "m:eqArr": readEquationArray,
+    "m:box": readBox,
+    "m:borderBox": readBox,
+    "m:phant": readBox
+};
+
+var ignoreElements = {
+    "w:bookmarkStart": true,
+    "w:bookmarkEnd": true,
+    "w:proofErr": true
+};
@@ -3,6 +3,7 @@ var Result = require("../results").Result;
 
 exports.createFootnotesReader = createReader.bind(this, "footnote");
 exports.createEndnotesReader = createReader.bind(this, "endnote");
+exports.readNoteNumbering = readNoteNumbering;
 
 function createReader(noteType, bodyReader) {
     function readNotesXml(element) {
@@ -26,3 +27,15 @@ function createReader(noteType, bodyReader) {
     
     return readNotesXml;
 }
+
+// Reads the numbering of notes from a w:footnotePr or w:endnotePr element,
+// which may be in the settings of the document or in the properties of a
+// section.
+function readNoteNumbering(element) {
+    var start = parseInt(element.firstOrEmpty("w:numStart").attributes["w:val"], 10);
+    return documents.NoteNumbering({
+        numberFormat: element.firstOrEmpty("w:numFmt").attributes["w:val"],
+        start: isNaN(start) ? null : start,
+        restart: element.firstOrEmpty("w:numRestart").attributes["w:val"]
+    });
+}
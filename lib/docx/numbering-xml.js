@@ -2,9 +2,19 @@ var _ = require("underscore");
 
 exports.readNumberingXml = readNumberingXml;
 exports.Numbering = Numbering;
+exports.formatNumber = formatNumber;
 exports.defaultNumbering = new Numbering({}, {});
 
 function Numbering(nums, abstractNums, styles) {
+    var abstractLists = _.mapObject(abstractNums, function(abstractNum) {
+        return {levels: abstractNum.levels};
+    });
+    // Lists are counted separately for each w:num that overrides the levels
+    // of its w:abstractNum. Otherwise, all of the w:num elements that use the
+    // same w:abstractNum share their counts.
+    var overriddenLists = {};
+    var allLists = _.values(abstractLists);
+
     var allLevels = _.flatten(_.values(abstractNums).map(function(abstractNum) {
         return _.values(abstractNum.levels);
     }));
@@ -16,33 +26,187 @@ function Numbering(nums, abstractNums, styles) {
         "paragraphStyleId"
     );
 
-    function findLevel(numId, level) {
+    function findList(numId) {
         var num = nums[numId];
         if (num) {
             var abstractNum = abstractNums[num.abstractNumId];
             if (!abstractNum) {
                 return null;
-            } else if (abstractNum.numStyleLink == null) {
-                return abstractNums[num.abstractNumId].levels[level];
+            }
+            var list;
+            if (abstractNum.numStyleLink == null) {
+                list = abstractLists[num.abstractNumId];
             } else {
                 var style = styles.findNumberingStyleById(abstractNum.numStyleLink);
-                return findLevel(style.numId, level);
+                list = findList(style.numId);
+            }
+            if (list && !_.isEmpty(num.levelOverrides)) {
+                return findOverriddenList(numId, list, num.levelOverrides);
+            } else {
+                return list;
             }
         } else {
             return null;
         }
     }
 
+    function findOverriddenList(numId, list, levelOverrides) {
+        if (!overriddenLists[numId]) {
+            // Each level is copied so that it's counted as part of this list
+            // rather than the list being overridden.
+            var levels = _.mapObject(list.levels, function(level) {
+                return _.extend({}, level);
+            });
+            _.each(levelOverrides, function(override, levelIndex) {
+                var level = override.level || levels[levelIndex];
+                if (level && override.start !== null) {
+                    level = _.extend({}, level, {start: override.start});
+                }
+                if (level) {
+                    levels[levelIndex] = level;
+                }
+            });
+            overriddenLists[numId] = {levels: levels};
+            allLists.push(overriddenLists[numId]);
+        }
+        return overriddenLists[numId];
+    }
+
+    function findLevel(numId, level) {
+        var list = findList(numId);
+        return list ? (list.levels[level] || null) : null;
+    }
+
     function findLevelByParagraphStyleId(styleId) {
         return levelsByParagraphStyleId[styleId] || null;
     }
 
+    // Counts the paragraphs in each list so that each paragraph can be given
+    // its label, such as "3.2.a". Paragraphs should be counted in the order
+    // they appear in the document.
+    function createCounter() {
+        var counts = [];
+
+        function count(level) {
+            var listIndex = _.findIndex(allLists, function(list) {
+                return list.levels[level.level] === level;
+            });
+            if (listIndex === -1) {
+                return null;
+            }
+            var list = allLists[listIndex];
+            var values = counts[listIndex] = counts[listIndex] || {};
+            var levelIndex = parseInt(level.level, 10);
+
+            values[levelIndex] = values[levelIndex] === undefined ? level.start : values[levelIndex] + 1;
+            _.keys(values).forEach(function(key) {
+                var deeperLevelIndex = parseInt(key, 10);
+                var deeperLevel = list.levels[key];
+                var restartAfterLevel = deeperLevel ? deeperLevel.restartAfterLevel : deeperLevelIndex - 1;
+                if (deeperLevelIndex > levelIndex && levelIndex <= restartAfterLevel) {
+                    delete values[key];
+                }
+            });
+
+            return {
+                value: values[levelIndex],
+                label: readLabel(list, level, values)
+            };
+        }
+
+        return {count: count};
+    }
+
     return {
         findLevel: findLevel,
-        findLevelByParagraphStyleId: findLevelByParagraphStyleId
+        findLevelByParagraphStyleId: findLevelByParagraphStyleId,
+        createCounter: createCounter
     };
 }
 
+// The text of a level refers to the value of each level using placeholders,
+// such as "%1.%2.". See 17.9.11 lvlText (Numbering Level Text) of ECMA-376
+// 4th edition Part 1.
+function readLabel(list, level, values) {
+    if (level.text === null) {
+        return "";
+    }
+    return level.text.replace(/%([1-9])/g, function(placeholder, levelNumber) {
+        var levelIndex = parseInt(levelNumber, 10) - 1;
+        var referencedLevel = list.levels[levelIndex];
+        if (!referencedLevel) {
+            return "";
+        }
+        var value = values[levelIndex] === undefined ? referencedLevel.start : values[levelIndex];
+        return formatNumber(value, level.isLegal ? "decimal" : referencedLevel.format);
+    });
+}
+
+function formatNumber(value, format) {
+    if (format === "bullet" || format === "none") {
+        return "";
+    } else if (format === "decimalZero") {
+        return value >= 0 && value < 10 ? "0" + value : String(value);
+    } else if (format === "lowerLetter" && value > 0) {
+        return letters(value);
+    } else if (format === "upperLetter" && value > 0) {
+        return letters(value).toUpperCase();
+    } else if (format === "lowerRoman" && value > 0) {
+        return romanNumerals(value).toLowerCase();
+    } else if (format === "upperRoman" && value > 0) {
+        return romanNumerals(value);
+    } else if (format === "ordinal") {
+        return value + ordinalSuffix(value);
+    } else if (format === "decimalEnclosedParen") {
+        return "(" + value + ")";
+    } else if (format === "decimalEnclosedCircle" && value > 0 && value <= 20) {
+        return String.fromCharCode(0x2460 + value - 1);
+    } else if (format === "chicago" && value > 0) {
+        return chicagoSymbols(value);
+    } else {
+        return String(value);
+    }
+}
+
+// After "z", letters are repeated: "aa", "bb" and so on.
+function letters(value) {
+    var letter = String.fromCharCode("a".charCodeAt(0) + (value - 1) % 26);
+    return new Array(Math.floor((value - 1) / 26) + 2).join(letter);
+}
+
+// The Chicago Manual of Style symbols are repeated after the fourth symbol:
+// "**", "††" and so on.
+var chicagoSymbolCharacters = ["*", "\u2020", "\u2021", "\u00A7"];
+
+function chicagoSymbols(value) {
+    var symbol = chicagoSymbolCharacters[(value - 1) % chicagoSymbolCharacters.length];
+    return new Array(Math.floor((value - 1) / chicagoSymbolCharacters.length) + 2).join(symbol);
+}
+
+var romanNumeralValues = [
+    [1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"],
+    [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]
+];
+
+function romanNumerals(value) {
+    var result = "";
+    romanNumeralValues.forEach(function(pair) {
+        while (value >= pair[0]) {
+            result += pair[1];
+            value -= pair[0];
+        }
+    });
+    return result;
+}
+
+function ordinalSuffix(value) {
+    var lastTwoDigits = value % 100;
+    if (lastTwoDigits >= 11 && lastTwoDigits <= 13) {
+        return "th";
+    }
+    return {1: "st", 2: "nd", 3: "rd"}[value % 10] || "th";
+}
+
 function readNumberingXml(root, options) {
     if (!options || !options.styles) {
         throw new Error("styles is missing");
@@ -66,14 +230,7 @@ function readAbstractNum(element) {
     var levels = {};
     element.getElementsByTagName("w:lvl").forEach(function(levelElement) {
         var levelIndex = levelElement.attributes["w:ilvl"];
-        var numFmt = levelElement.firstOrEmpty("w:numFmt").attributes["w:val"];
-        var paragraphStyleId = levelElement.firstOrEmpty("w:pStyle").attributes["w:val"];
-
-        levels[levelIndex] = {
-            isOrdered: numFmt !== "bullet",
-            level: levelIndex,
-            paragraphStyleId: paragraphStyleId
-        };
+        levels[levelIndex] = readLevel(levelElement, levelIndex);
     });
 
     var numStyleLink = element.firstOrEmpty("w:numStyleLink").attributes["w:val"];
@@ -81,12 +238,59 @@ function readAbstractNum(element) {
     return {levels: levels, numStyleLink: numStyleLink};
 }
 
+function readLevel(levelElement, levelIndex) {
+    var numFmt = levelElement.firstOrEmpty("w:numFmt").attributes["w:val"];
+    var paragraphStyleId = levelElement.firstOrEmpty("w:pStyle").attributes["w:val"];
+    var text = levelElement.firstOrEmpty("w:lvlText").attributes["w:val"];
+
+    return {
+        isOrdered: numFmt !== "bullet",
+        level: levelIndex,
+        paragraphStyleId: paragraphStyleId,
+        format: numFmt || "decimal",
+        start: readInteger(levelElement.first("w:start"), 0),
+        text: text === undefined ? null : text,
+        isLegal: readBooleanElement(levelElement.first("w:isLgl")),
+        restartAfterLevel: readInteger(levelElement.first("w:lvlRestart"), parseInt(levelIndex, 10)) - 1
+    };
+}
+
 function readNums(root) {
     var nums = {};
     root.getElementsByTagName("w:num").forEach(function(element) {
         var numId = element.attributes["w:numId"];
         var abstractNumId = element.first("w:abstractNumId").attributes["w:val"];
-        nums[numId] = {abstractNumId: abstractNumId};
+        nums[numId] = {
+            abstractNumId: abstractNumId,
+            levelOverrides: readLevelOverrides(element)
+        };
     });
     return nums;
 }
+
+function readLevelOverrides(element) {
+    var levelOverrides = {};
+    element.getElementsByTagName("w:lvlOverride").forEach(function(overrideElement) {
+        var levelIndex = overrideElement.attributes["w:ilvl"];
+        var levelElement = overrideElement.first("w:lvl");
+        levelOverrides[levelIndex] = {
+            start: readInteger(overrideElement.first("w:startOverride"), null),
+            level: levelElement ? readLevel(levelElement, levelIndex) : null
+        };
+    });
+    return levelOverrides;
+}
+
+function readInteger(element, defaultValue) {
+    var value = element ? parseInt(element.attributes["w:val"], 10) : NaN;
+    return isNaN(value) ? defaultValue : value;
+}
+
+function readBooleanElement(element) {
+    if (element) {
+        var value = element.attributes["w:val"];
+        return value !== "false" && value !== "0" && value !== "off";
+    } else {
+        return false;
+    }
+}
@@ -6,6 +6,7 @@ var xml = require("../xml");
 
 exports.read = read;
 exports.readXmlFromZipFile = readXmlFromZipFile;
+exports.selectAlternateContent = selectAlternateContent;
 
 var xmlNamespaceMap = {
     // Transitional format
@@ -14,6 +15,12 @@ var xmlNamespaceMap = {
     "http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing": "wp",
     "http://schemas.openxmlformats.org/drawingml/2006/main": "a",
     "http://schemas.openxmlformats.org/drawingml/2006/picture": "pic",
+    "http://schemas.openxmlformats.org/drawingml/2006/chart": "c",
+    "http://schemas.openxmlformats.org/drawingml/2006/diagram": "dgm",
+    "http://schemas.openxmlformats.org/officeDocument/2006/math": "m",
+    "http://schemas.openxmlformats.org/officeDocument/2006/extended-properties": "extended-properties",
+    "http://schemas.openxmlformats.org/officeDocument/2006/custom-properties": "custom-properties",
+    "http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes": "vt",
 
     // Strict format
     "http://purl.oclc.org/ooxml/wordprocessingml/main": "w",
@@ -21,17 +28,31 @@ var xmlNamespaceMap = {
     "http://purl.oclc.org/ooxml/drawingml/wordprocessingDrawing": "wp",
     "http://purl.oclc.org/ooxml/drawingml/main": "a",
     "http://purl.oclc.org/ooxml/drawingml/picture": "pic",
+    "http://purl.oclc.org/ooxml/drawingml/chart": "c",
+    "http://purl.oclc.org/ooxml/drawingml/diagram": "dgm",
+    "http://purl.oclc.org/ooxml/officeDocument/math": "m",
+    "http://purl.oclc.org/ooxml/officeDocument/extendedProperties": "extended-properties",
+    "http://purl.oclc.org/ooxml/officeDocument/customProperties": "custom-properties",
+    "http://purl.oclc.org/ooxml/officeDocument/docPropsVTypes": "vt",
 
     // Common
     "http://schemas.openxmlformats.org/package/2006/content-types": "content-types",
     "http://schemas.openxmlformats.org/package/2006/relationships": "relationships",
     "http://schemas.openxmlformats.org/markup-compatibility/2006": "mc",
+    "http://schemas.openxmlformats.org/package/2006/metadata/core-properties": "cp",
+    "http://purl.org/dc/elements/1.1/": "dc",
+    "http://purl.org/dc/terms/": "dcterms",
     "urn:schemas-microsoft-com:vml": "v",
     "urn:schemas-microsoft-com:office:word": "office-word",
 
     // [MS-DOCX]: Word Extensions to the Office Open XML (.docx) File Format
     // https://learn.microsoft.com/en-us/openspecs/office_standards/ms-docx/b839fe1f-e1ca-4fa6-8c26-5954d0abbccd
-    "http://schemas.microsoft.com/office/word/2010/wordml": "wordml"
+    "http://schemas.microsoft.com/office/word/2010/wordml": "wordml",
+    "http://schemas.microsoft.com/office/word/2010/wordprocessingShape": "wps",
+    "http://schemas.microsoft.com/office/word/2010/wordprocessingGroup": "wpg",
+    "http://schemas.microsoft.com/office/word/2012/wordml": "w15",
+    "http://schemas.microsoft.com/office/word/2016/wordml/cid": "w16cid",
+    "http://schemas.microsoft.com/office/word/2018/wordml/cex": "w16cex"
 };
 
 
@@ -62,7 +83,7 @@ function stripUtf8Bom(xmlString) {
 function collapseAlternateContent(node) {
     if (node.type === "element") {
         if (node.name === "mc:AlternateContent") {
-            return node.firstOrEmpty("mc:Fallback").children;
+            return _.flatten(selectAlternateContent(node).map(collapseAlternateContent), true);
         } else {
             node.children = _.flatten(node.children.map(collapseAlternateContent, true));
             return [node];
@@ -71,3 +92,25 @@ function collapseAlternateContent(node) {
         return [node];
     }
 }
+
+
+// Prefixes of the namespaces that can be read when they're required by
+// mc:Choice. Word writes DrawingML shapes and groups within mc:Choice, with a
+// VML version of the same shapes in mc:Fallback. The prefixes are the ones
+// used by Word, since the prefixes in the original document aren't kept.
+var supportedChoiceNamespaces = ["wps", "wpg"];
+
+// See 10.2.1 AlternateContent of ECMA-376 4th edition Part 3
+function selectAlternateContent(element) {
+    var choice = _.find(element.children, function(child) {
+        return child.type === "element" && child.name === "mc:Choice" && isSupportedChoice(child);
+    });
+    return (choice || element.firstOrEmpty("mc:Fallback")).children;
+}
+
+function isSupportedChoice(choice) {
+    var requires = (choice.attributes.Requires || "").trim();
+    return requires !== "" && _.every(requires.split(/\s+/), function(prefix) {
+        return _.contains(supportedChoiceNamespaces, prefix);
+    });
+}
@@ -0,0 +1,15 @@
+var xml = require("../xml");
+var readNoteNumbering = require("./notes-reader").readNoteNumbering;
+
+exports.readSettingsXml = readSettingsXml;
+exports.defaultSettings = readSettingsXml(xml.emptyElement);
+
+
+// See 17.15 Settings of ECMA-376 4th edition Part 1. Only the settings that
+// affect the conversion of the document are read.
+function readSettingsXml(element) {
+    return {
+        footnoteNumbering: readNoteNumbering(element.firstOrEmpty("w:footnotePr")),
+        endnoteNumbering: readNoteNumbering(element.firstOrEmpty("w:endnotePr"))
+    };
+}
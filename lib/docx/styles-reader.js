@@ -1,8 +1,17 @@
+var _ = require("underscore");
+
 exports.readStylesXml = readStylesXml;
 exports.Styles = Styles;
 exports.defaultStyles = new Styles({}, {});
 
-function Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles) {
+// The document defaults have the elements of w:pPrDefault and w:rPrDefault,
+// under the names paragraphProperties and runProperties.
+function Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles, documentDefaults) {
+    var defaultParagraphStyle = _.find(_.values(paragraphStyles || {}), function(style) {
+        return style.isDefault;
+    }) || null;
+    documentDefaults = documentDefaults || {};
+
     return {
         findParagraphStyleById: function(styleId) {
             return paragraphStyles[styleId];
@@ -15,6 +24,16 @@ function Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles)
         },
         findNumberingStyleById: function(styleId) {
             return numberingStyles[styleId];
+        },
+        // The style applied to paragraphs without a paragraph style.
+        findDefaultParagraphStyle: function() {
+            return defaultParagraphStyle;
+        },
+        getDocumentDefaults: function() {
+            return {
+                paragraphProperties: documentDefaults.paragraphProperties || null,
+                runProperties: documentDefaults.runProperties || null
+            };
         }
     };
 }
@@ -53,7 +72,12 @@ function readStylesXml(root) {
         }
     });
 
-    return new Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles);
+    var documentDefaults = root.firstOrEmpty("w:docDefaults");
+
+    return new Styles(paragraphStyles, characterStyles, tableStyles, numberingStyles, {
+        paragraphProperties: documentDefaults.firstOrEmpty("w:pPrDefault").first("w:pPr") || null,
+        runProperties: documentDefaults.firstOrEmpty("w:rPrDefault").first("w:rPr") || null
+    });
 }
 
 function readStyleElement(styleElement) {
@@ -64,10 +88,32 @@ function readStyleElement(styleElement) {
     } else {
         var styleId = readStyleId(styleElement);
         var name = styleName(styleElement);
-        return {type: type, styleId: styleId, name: name};
+        return {
+            type: type,
+            styleId: styleId,
+            name: name,
+            isDefault: readBooleanAttributeValue(styleElement.attributes["w:default"]),
+            basedOn: readValue(styleElement, "w:basedOn"),
+            linkedStyleId: readValue(styleElement, "w:link"),
+            // The formatting of the style is kept as the XML elements so that
+            // it can be read in the same way as direct formatting.
+            paragraphProperties: styleElement.first("w:pPr") || null,
+            runProperties: styleElement.first("w:rPr") || null,
+            tableProperties: styleElement.first("w:tblPr") || null,
+            tableCellProperties: styleElement.first("w:tcPr") || null
+        };
     }
 }
 
+function readValue(element, name) {
+    var child = element.first(name);
+    return child ? child.attributes["w:val"] || null : null;
+}
+
+function readBooleanAttributeValue(value) {
+    return value !== undefined && value !== "false" && value !== "0";
+}
+
 function styleName(styleElement) {
     var nameElement = styleElement.first("w:name");
     return nameElement ? nameElement.attributes["w:val"] : null;
@@ -0,0 +1,148 @@
+exports.readThemeXml = readThemeXml;
+exports.Theme = Theme;
+exports.defaultTheme = new Theme({});
+exports.applyTintAndShade = applyTintAndShade;
+
+// Colors are hex strings in upper case without a leading #, such as "FF0000".
+function Theme(colors) {
+    return {
+        // See 17.18.97 ST_ThemeColor (Theme Color Reference) of ECMA-376 4th
+        // edition Part 1 for the possible names.
+        findColor: function(themeColor) {
+            var name = themeColorAliases[themeColor] || themeColor;
+            return Object.prototype.hasOwnProperty.call(colors, name) ? colors[name] : null;
+        }
+    };
+}
+
+// WordprocessingML uses the long names of colors, and has aliases for some of
+// those names.
+var themeColorAliases = {
+    "text1": "dark1",
+    "background1": "light1",
+    "text2": "dark2",
+    "background2": "light2"
+};
+
+var colorSchemeNames = {
+    "a:dk1": "dark1",
+    "a:lt1": "light1",
+    "a:dk2": "dark2",
+    "a:lt2": "light2",
+    "a:accent1": "accent1",
+    "a:accent2": "accent2",
+    "a:accent3": "accent3",
+    "a:accent4": "accent4",
+    "a:accent5": "accent5",
+    "a:accent6": "accent6",
+    "a:hlink": "hyperlink",
+    "a:folHlink": "followedHyperlink"
+};
+
+function readThemeXml(root) {
+    var colors = {};
+    var colorScheme = root.firstOrEmpty("a:themeElements").firstOrEmpty("a:clrScheme");
+    colorScheme.children.forEach(function(element) {
+        var name = colorSchemeNames[element.name];
+        var color = readColor(element);
+        if (name && color) {
+            colors[name] = color;
+        }
+    });
+    return new Theme(colors);
+}
+
+function readColor(element) {
+    var rgbColor = element.first("a:srgbClr");
+    if (rgbColor) {
+        return normaliseColor(rgbColor.attributes.val);
+    }
+    var systemColor = element.first("a:sysClr");
+    if (systemColor) {
+        return normaliseColor(systemColor.attributes.lastClr);
+    }
+    return null;
+}
+
+function normaliseColor(value) {
+    return /^[0-9A-Fa-f]{6}$/.test(value || "") ? value.toUpperCase() : null;
+}
+
+// Theme colors may be lightened by a tint or darkened by a shade, each given
+// as a hex byte, such as "99". The luminance of the color is scaled towards
+// white for tints, and towards black for shades.
+function applyTintAndShade(color, tint, shade) {
+    var tintValue = readHexByte(tint);
+    var shadeValue = readHexByte(shade);
+    if (tintValue === null && shadeValue === null) {
+        return color;
+    }
+
+    var hsl = rgbToHsl(parseInt(color.substring(0, 2), 16), parseInt(color.substring(2, 4), 16), parseInt(color.substring(4, 6), 16));
+    if (tintValue !== null) {
+        hsl.l = hsl.l * tintValue + (1 - tintValue);
+    }
+    if (shadeValue !== null) {
+        hsl.l = hsl.l * shadeValue;
+    }
+    return hslToRgb(hsl).map(function(value) {
+        var hex = Math.round(value).toString(16).toUpperCase();
+        return hex.length === 1 ? "0" + hex : hex;
+    }).join("");
+}
+
+function readHexByte(value) {
+    return /^[0-9A-Fa-f]{2}$/.test(value || "") ? parseInt(value, 16) / 255 : null;
+}
+
+function rgbToHsl(red, green, blue) {
+    red /= 255;
+    green /= 255;
+    blue /= 255;
+    var max = Math.max(red, green, blue);
+    var min = Math.min(red, green, blue);
+    var lightness = (max + min) / 2;
+    if (max === min) {
+        return {h: 0, s: 0, l: lightness};
+    }
+    var delta = max - min;
+    var saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    var hue;
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+    return {h: hue / 6, s: saturation, l: lightness};
+}
+
+function hslToRgb(hsl) {
+    if (hsl.s === 0) {
+        return [hsl.l * 255, hsl.l * 255, hsl.l * 255];
+    }
+    var q = hsl.l < 0.5 ? hsl.l * (1 + hsl.s) : hsl.l + hsl.s - hsl.l * hsl.s;
+    var p = 2 * hsl.l - q;
+    return [hsl.h + 1 / 3, hsl.h, hsl.h - 1 / 3].map(function(t) {
+        return hueToRgb(p, q, t) * 255;
+    });
+}
+
+function hueToRgb(p, q, t) {
+    if (t < 0) {
+        t += 1;
+    }
+    if (t > 1) {
+        t -= 1;
+    }
+    if (t < 1 / 6) {
+        return p + (q - p) * 6 * t;
+    } else if (t < 1 / 2) {
+        return q;
+    } else if (t < 2 / 3) {
+        return p + (q - p) * (2 / 3 - t) * 6;
+    } else {
+        return p;
+    }
+}
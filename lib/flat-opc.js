@@ -0,0 +1,257 @@
+var base64js = require("base64-js");
+
+var promises = require("./promises");
+var xml = require("./xml");
+var xmldom = require("./xml/xmldom");
+
+exports.isXmlPackage = isXmlPackage;
+exports.openArrayBuffer = openArrayBuffer;
+
+
+var packageNamespace = "http://schemas.microsoft.com/office/2006/xmlPackage";
+var wordml2003Namespace = "http://schemas.microsoft.com/office/word/2003/wordml";
+var wordprocessingmlNamespace = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+var contentTypesNamespace = "http://schemas.openxmlformats.org/package/2006/content-types";
+var relationshipsNamespace = "http://schemas.openxmlformats.org/package/2006/relationships";
+var officeRelationshipsNamespace = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+var auxHintNamespace = "http://schemas.microsoft.com/office/word/2003/auxHint";
+var annotationNamespace = "http://schemas.microsoft.com/aml/2001/core";
+var hyperlinkRelationshipType = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink";
+
+// Zip files start with "PK", while XML documents start with a byte order
+// mark, whitespace or "<".
+function isXmlPackage(arrayBuffer) {
+    var bytes = toBytes(arrayBuffer);
+    if (startsWith(bytes, [0xEF, 0xBB, 0xBF]) || startsWith(bytes, [0xFF, 0xFE]) || startsWith(bytes, [0xFE, 0xFF])) {
+        return true;
+    }
+    for (var index = 0; index < Math.min(bytes.length, 1024); index++) {
+        if ([0x20, 0x09, 0x0A, 0x0D].indexOf(bytes[index]) === -1) {
+            return bytes[index] === 0x3C;
+        }
+    }
+    return false;
+}
+
+// Buffers are also Uint8Arrays, and may only use part of their ArrayBuffer.
+function toBytes(arrayBuffer) {
+    return arrayBuffer instanceof Uint8Array ? arrayBuffer : new Uint8Array(arrayBuffer);
+}
+
+function startsWith(bytes, prefix) {
+    return prefix.every(function(byte, index) {
+        return bytes[index] === byte;
+    });
+}
+
+// Opens a Flat OPC document, or a WordprocessingML 2003 document, with the
+// same interface as zip files. Flat OPC documents, such as those saved by Word
+// as "Word XML Document", store each part of the package as a pkg:part
+// element.
+function openArrayBuffer(arrayBuffer) {
+    return promises.attempt(function() {
+        var document = xmldom.parseFromString(decode(arrayBuffer), "text/xml");
+        var root = document.documentElement;
+
+        if (root.namespaceURI === packageNamespace && root.localName === "package") {
+            return createFile(readFlatOpcParts(root));
+        } else if (root.namespaceURI === wordml2003Namespace && root.localName === "wordDocument") {
+            return createFile(readWordml2003Parts(root));
+        } else {
+            throw new Error("Could not read XML document: expected Flat OPC package or Word 2003 XML document");
+        }
+    });
+}
+
+function decode(arrayBuffer) {
+    var bytes = toBytes(arrayBuffer);
+    var encoding = "utf-8";
+    if (startsWith(bytes, [0xFF, 0xFE])) {
+        encoding = "utf-16le";
+    } else if (startsWith(bytes, [0xFE, 0xFF])) {
+        encoding = "utf-16be";
+    }
+    return new TextDecoder(encoding).decode(bytes);
+}
+
+function readFlatOpcParts(root) {
+    var parts = {};
+    var contentTypes = [];
+
+    childElements(root).forEach(function(partElement) {
+        if (partElement.namespaceURI !== packageNamespace || partElement.localName !== "part") {
+            return;
+        }
+        var name = partElement.getAttributeNS(packageNamespace, "name").replace(/^\//, "");
+        var contentType = partElement.getAttributeNS(packageNamespace, "contentType");
+        var data = childElements(partElement)[0];
+
+        if (data && data.localName === "xmlData") {
+            var xmlRoot = childElements(data)[0];
+            parts[name] = encodeText(xmlRoot ? xmldom.serializeToString(xmlRoot) : "");
+        } else if (data && data.localName === "binaryData") {
+            parts[name] = base64js.toByteArray(data.textContent.replace(/\s/g, ""));
+        } else {
+            parts[name] = new Uint8Array(0);
+        }
+
+        if (contentType) {
+            contentTypes.push(xml.element("{" + contentTypesNamespace + "}Override", {PartName: "/" + name, ContentType: contentType}));
+        }
+    });
+
+    // Flat OPC packages store the content type of each part on the part
+    // itself, rather than in [Content_Types].xml.
+    if (!parts["[Content_Types].xml"]) {
+        parts["[Content_Types].xml"] = encodeText(xml.writeString(
+            xml.element("{" + contentTypesNamespace + "}Types", {}, contentTypes),
+            {"": contentTypesNamespace}
+        ));
+    }
+
+    return parts;
+}
+
+// WordprocessingML 2003 uses many of the same elements as docx files, but in
+// a different namespace and in a single document. The document and its styles
+// are read as the main document part and the styles part, after converting
+// the elements that are specific to WordprocessingML 2003 into their docx
+// equivalents. Other elements specific to WordprocessingML 2003 are ignored
+// with a warning.
+function readWordml2003Parts(root) {
+    function toWordprocessingml(node) {
+        return encodeText(xmldom.serializeToString(node).split(wordml2003Namespace).join(wordprocessingmlNamespace));
+    }
+
+    var relationships = [];
+    convertWordml2003Elements(root, relationships);
+
+    var parts = {
+        "word/document.xml": toWordprocessingml(root)
+    };
+    var styles = childElements(root).filter(function(element) {
+        return element.namespaceURI === wordml2003Namespace && element.localName === "styles";
+    })[0];
+    if (styles) {
+        parts["word/styles.xml"] = toWordprocessingml(styles);
+    }
+    if (relationships.length > 0) {
+        parts["word/_rels/document.xml.rels"] = encodeText(xml.writeString(
+            xml.element("{" + relationshipsNamespace + "}Relationships", {}, relationships),
+            {"": relationshipsNamespace}
+        ));
+    }
+    return parts;
+}
+
+// Word 2003 wraps each section in wx:sect, each part of a section that starts
+// with a heading in wx:sub-section, and paragraphs that share a border in
+// wx:pBdrGroup. These wrappers are replaced by their children.
+var auxHintWrapperNames = ["sect", "sub-section", "pBdrGroup"];
+
+function convertWordml2003Elements(element, relationships) {
+    childElements(element).forEach(function(child) {
+        convertWordml2003Elements(child, relationships);
+        if (child.namespaceURI === auxHintNamespace && auxHintWrapperNames.indexOf(child.localName) !== -1) {
+            while (child.firstChild) {
+                element.insertBefore(child.firstChild, child);
+            }
+            element.removeChild(child);
+        } else if (child.namespaceURI === wordml2003Namespace && child.localName === "hlink") {
+            element.replaceChild(convertHlink(child, relationships), child);
+        } else if (child.namespaceURI === annotationNamespace && child.localName === "annotation") {
+            var bookmark = convertBookmarkAnnotation(child);
+            if (bookmark) {
+                element.replaceChild(bookmark, child);
+            }
+        }
+    });
+}
+
+// Hyperlinks in WordprocessingML 2003 store their destination on the w:hlink
+// element, while docx files store external destinations as relationships.
+function convertHlink(hlink, relationships) {
+    var hyperlink = hlink.ownerDocument.createElementNS(wordml2003Namespace, "w:hyperlink");
+    var destination = hlink.getAttributeNS(wordml2003Namespace, "dest");
+    var bookmark = hlink.getAttributeNS(wordml2003Namespace, "bookmark");
+    var targetFrame = hlink.getAttributeNS(wordml2003Namespace, "target");
+
+    if (destination) {
+        var relationshipId = "rId" + (relationships.length + 1);
+        relationships.push(xml.element("{" + relationshipsNamespace + "}Relationship", {
+            Id: relationshipId,
+            Type: hyperlinkRelationshipType,
+            Target: destination,
+            TargetMode: "External"
+        }));
+        hyperlink.setAttributeNS(officeRelationshipsNamespace, "r:id", relationshipId);
+    }
+    if (bookmark) {
+        hyperlink.setAttributeNS(wordml2003Namespace, "w:anchor", bookmark);
+    }
+    if (targetFrame) {
+        hyperlink.setAttributeNS(wordml2003Namespace, "w:tgtFrame", targetFrame);
+    }
+    while (hlink.firstChild) {
+        hyperlink.appendChild(hlink.firstChild);
+    }
+    return hyperlink;
+}
+
+// Bookmarks are stored as annotations. Other annotations, such as comments
+// and tracked changes, are left as they are.
+function convertBookmarkAnnotation(annotation) {
+    var type = annotation.getAttributeNS(wordml2003Namespace, "type");
+    var id = annotation.getAttributeNS(annotationNamespace, "id");
+    var bookmark;
+    if (type === "Word.Bookmark.Start") {
+        bookmark = annotation.ownerDocument.createElementNS(wordml2003Namespace, "w:bookmarkStart");
+        bookmark.setAttributeNS(wordml2003Namespace, "w:name", annotation.getAttributeNS(wordml2003Namespace, "name"));
+    } else if (type === "Word.Bookmark.End") {
+        bookmark = annotation.ownerDocument.createElementNS(wordml2003Namespace, "w:bookmarkEnd");
+    } else {
+        return null;
+    }
+    bookmark.setAttributeNS(wordml2003Namespace, "w:id", id);
+    return bookmark;
+}
+
+function childElements(element) {
+    return Array.prototype.filter.call(element.childNodes, function(node) {
+        return node.nodeType === xmldom.Node.ELEMENT_NODE;
+    });
+}
+
+function encodeText(text) {
+    return new TextEncoder().encode(text);
+}
+
+function createFile(parts) {
+    function exists(name) {
+        return Object.prototype.hasOwnProperty.call(parts, name);
+    }
+
+    function read(name, encoding) {
+        if (!exists(name)) {
+            return promises.reject(new Error("Could not find part: " + name));
+        }
+        var bytes = parts[name];
+        if (encoding === "base64") {
+            return promises.resolve(base64js.fromByteArray(bytes));
+        } else if (encoding) {
+            return promises.resolve(new TextDecoder(encoding).decode(bytes));
+        } else {
+            return promises.resolve(bytes);
+        }
+    }
+
+    function write() {
+        throw new Error("Style maps cannot be embedded in XML documents");
+    }
+
+    return {
+        exists: exists,
+        read: read,
+        write: write
+    };
+}
@@ -39,6 +39,7 @@ exports.forceWrite = forceWrite;
 
 var voidTagNames = {
     "br": true,
+    "col": true,
     "hr": true,
     "img": true,
     "input": true
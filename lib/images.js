@@ -2,11 +2,20 @@ var _ = require("underscore");
 
 var promises = require("./promises");
 var Html = require("./html");
+var documents = require("./documents");
+var metafiles = require("./metafiles");
+var results = require("./results");
 
 exports.imgElement = imgElement;
+exports.metafilesToSvg = metafilesToSvg;
 
+// EMF and WMF images that haven't been converted, for instance by
+// metafilesToSvg, are written with a warning.
 function imgElement(func) {
     return function(element, messages) {
+        if (messages && metafiles.isMetafile(element.contentType)) {
+            messages.push(results.warning("Image of type " + element.contentType + " is unlikely to display in web browsers"));
+        }
         return promises.when(func(element)).then(function(result) {
             var attributes = {};
             if (element.altText) {
@@ -29,3 +38,33 @@ exports.dataUri = imgElement(function(element) {
         };
     });
 });
+
+// Browsers can't display EMF and WMF images, so they're converted to SVG
+// before being passed to the wrapped image converter. If an image can't be
+// converted, the original image is passed instead.
+function metafilesToSvg(convertImage) {
+    convertImage = convertImage || exports.dataUri;
+    return function(element, messages) {
+        if (!metafiles.isMetafile(element.contentType)) {
+            return convertImage(element, messages);
+        }
+        return element.readAsArrayBuffer().then(function(arrayBuffer) {
+            var svg;
+            try {
+                svg = metafiles.toSvg(arrayBuffer);
+            } catch (error) {
+                if (messages) {
+                    messages.push(results.warning("Could not convert image of type " + element.contentType + " to SVG: " + error.message));
+                }
+                return convertImage(element, messages);
+            }
+            return convertImage(documents.Image(_.extend({}, element, {
+                readImage: function(encoding) {
+                    var buffer = Buffer.from(svg, "utf8");
+                    return promises.resolve(encoding ? buffer.toString(encoding) : buffer);
+                },
+                contentType: "image/svg+xml"
+            })), messages);
+        });
+    };
+}
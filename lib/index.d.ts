@@ -33,6 +33,18 @@ interface Options {
     convertImage?: ImageConverter;
     ignoreEmptyParagraphs?: boolean;
     idPrefix?: string;
+    trackedChanges?: "accept" | "reject" | "show";
+    tableOfContents?: "preserve" | "regenerate" | "remove";
+    formControls?: "inputs" | "values";
+    headingNumbers?: "list" | "text" | "attribute";
+    charts?: "table" | "svg" | "ignore";
+    tableFormatting?: "ignore" | "style";
+    resolvedComments?: "show" | "hide";
+    footnotes?: "end" | "section" | "heading" | "inline";
+    footnotesHeadingLevel?: number;
+    endnotes?: "combined" | "separate";
+    cropImages?: boolean;
+    includeImageSizes?: boolean;
     transformDocument?: (element: any) => any;
 }
 
@@ -42,12 +54,27 @@ interface ImageConverter {
 
 interface Image {
     contentType: string;
+    altText?: string;
+    name: string | null;
+    size: {width: number; height: number} | null;
+    crop: {top: number; right: number; bottom: number; left: number} | null;
+    rotation: number;
+    flipHorizontal: boolean;
+    flipVertical: boolean;
+    wrap: "square" | "tight" | "through" | "topAndBottom" | "behindText" | "inFrontOfText" | null;
+    position: {horizontal: ImagePosition; vertical: ImagePosition} | null;
     readAsArrayBuffer: () => Promise<ArrayBuffer>;
     readAsBase64String: () => Promise<string>;
     readAsBuffer: () => Promise<Buffer>;
     read: ImageRead;
 }
 
+interface ImagePosition {
+    relativeTo: string | null;
+    align: string | null;
+    offset: number | null;
+}
+
 interface ImageRead {
     (): Promise<Buffer>;
     (encoding: string): Promise<string>;
@@ -55,16 +82,43 @@ interface ImageRead {
 
 interface ImageAttributes {
     src: string;
+    width?: string;
+    height?: string;
 }
 
 interface Images {
     dataUri: ImageConverter;
     imgElement: (f: (image: Image) => Promise<ImageAttributes>) => ImageConverter;
+    metafilesToSvg: (imageConverter?: ImageConverter) => ImageConverter;
 }
 
 interface Result {
     value: string;
     messages: Array<Message>;
+    metadata: DocumentMetadata;
+}
+
+interface DocumentMetadata {
+    title: string | null;
+    subject: string | null;
+    author: string | null;
+    keywords: string | null;
+    description: string | null;
+    category: string | null;
+    lastModifiedBy: string | null;
+    revision: string | null;
+    created: string | null;
+    modified: string | null;
+    application: string | null;
+    company: string | null;
+    manager: string | null;
+    template: string | null;
+    pages: number | null;
+    words: number | null;
+    characters: number | null;
+    lines: number | null;
+    paragraphs: number | null;
+    custom: {[name: string]: string | number | boolean | null};
 }
 
 type Message = Warning | Error;
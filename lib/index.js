@@ -1,11 +1,14 @@
 var _ = require("underscore");
 
+var documents = require("./documents");
 var docxReader = require("./docx/docx-reader");
+var odtReader = require("./odt/odt-reader");
 var docxStyleMap = require("./docx/style-map");
 var DocumentConverter = require("./document-to-html").DocumentConverter;
 var convertElementToRawText = require("./raw-text").convertElementToRawText;
 var readStyle = require("./style-reader").readStyle;
 var readOptions = require("./options-reader").readOptions;
+var promises = require("./promises");
 var unzip = require("./unzip");
 var Result = require("./results").Result;
 
@@ -30,23 +33,34 @@ function convertToMarkdown(input, options) {
 }
 
 function convert(input, options) {
-    options = readOptions(options);
-
-    return unzip.openZip(input)
-        .tap(function(docxFile) {
-            return docxStyleMap.readStyleMap(docxFile).then(function(styleMap) {
-                options.embeddedStyleMap = styleMap;
-            });
-        })
-        .then(function(docxFile) {
-            return docxReader.read(docxFile, input)
-                .then(function(documentResult) {
-                    return documentResult.map(options.transformDocument);
-                })
-                .then(function(documentResult) {
-                    return convertDocumentToHtml(documentResult, options);
+    return promises.attempt(function() {
+        return readOptions(options);
+    }).then(function(options) {
+        return unzip.openZip(input)
+            .tap(function(docxFile) {
+                return docxStyleMap.readStyleMap(docxFile).then(function(styleMap) {
+                    options.embeddedStyleMap = styleMap;
                 });
-        });
+            })
+            .then(function(docxFile) {
+                return readDocument(docxFile, input, options)
+                    .then(function(documentResult) {
+                        return documentResult.map(options.transformDocument);
+                    })
+                    .then(function(documentResult) {
+                        return convertDocumentToHtml(documentResult, options);
+                    });
+            });
+    });
+}
+
+// Documents are read as OpenDocument text if the mimetype entry of the zip
+// file says so, and as docx otherwise.
+function readDocument(file, input, options) {
+    return odtReader.isOdtFile(file).then(function(isOdt) {
+        var reader = isOdt ? odtReader : docxReader;
+        return reader.read(file, input, options);
+    });
 }
 
 function readEmbeddedStyleMap(input) {
@@ -65,9 +79,18 @@ function convertDocumentToHtml(documentResult, options) {
         return styleMapResult.flatMapThen(function(styleMap) {
             return documentConverter.convertToHtml(document);
         });
+    }).then(function(result) {
+        return withMetadata(result, documentResult.value);
     });
 }
 
+// The properties of the document, such as its title and author, are returned
+// as the metadata of the result.
+function withMetadata(result, document) {
+    result.metadata = document.properties || documents.DocumentProperties({});
+    return result;
+}
+
 function parseStyleMap(styleMap) {
     return Result.combine((styleMap || []).map(readStyle))
         .map(function(styleMap) {
@@ -80,9 +103,11 @@ function parseStyleMap(styleMap) {
 
 function extractRawText(input) {
     return unzip.openZip(input)
-        .then(docxReader.read)
+        .then(function(file) {
+            return readDocument(file, input);
+        })
         .then(function(documentResult) {
-            return documentResult.map(convertElementToRawText);
+            return withMetadata(documentResult.map(convertElementToRawText), documentResult.value);
         });
 }
 
@@ -0,0 +1,23 @@
+var nodes = require("./nodes");
+
+exports.run = nodes.run;
+exports.fraction = nodes.fraction;
+exports.radical = nodes.radical;
+exports.nary = nodes.nary;
+exports.matrix = nodes.matrix;
+exports.delimiter = nodes.delimiter;
+exports.accent = nodes.accent;
+exports.subscript = nodes.subscript;
+exports.superscript = nodes.superscript;
+exports.subSuperscript = nodes.subSuperscript;
+exports.preScript = nodes.preScript;
+exports.func = nodes.func;
+exports.lowerLimit = nodes.lowerLimit;
+exports.upperLimit = nodes.upperLimit;
+exports.bar = nodes.bar;
+exports.groupCharacter = nodes.groupCharacter;
+exports.equationArray = nodes.equationArray;
+exports.box = nodes.box;
+
+exports.toMathMl = require("./mathml").toMathMl;
+exports.toLatex = require("./latex").toLatex;
@@ -0,0 +1,356 @@
+exports.toLatex = toLatex;
+
+// Converts math nodes to a LaTeX string, without any surrounding delimiters
+// such as $.
+function toLatex(nodes) {
+    return nodes.map(convertNode).join("").trim();
+}
+
+function convertNode(node) {
+    var converter = converters[node.type];
+    return converter ? converter(node) : "";
+}
+
+function convertRun(run) {
+    var text = run.text.split("").map(convertCharacter).join("");
+    if (run.isNormalText) {
+        return "\\text{" + run.text.replace(/([\\{}])/g, "\\$1") + "}";
+    } else if (run.style === "plain" && /^[A-Za-z]{2,}$/.test(run.text)) {
+        return functionName(run.text);
+    } else if (run.style === "plain" && /^[A-Za-z]$/.test(run.text)) {
+        return "\\mathrm{" + text + "}";
+    } else if (run.style === "bold" || run.style === "boldItalic") {
+        return "\\mathbf{" + text + "}";
+    } else {
+        var script = scriptCommands[run.script];
+        return script ? script + "{" + text + "}" : text;
+    }
+}
+
+var scriptCommands = {
+    "double-struck": "\\mathbb",
+    "fraktur": "\\mathfrak",
+    "monospace": "\\mathtt",
+    "sans-serif": "\\mathsf",
+    "script": "\\mathcal"
+};
+
+var knownFunctionNames = [
+    "arccos", "arcsin", "arctan", "arg", "cos", "cosh", "cot", "coth", "csc",
+    "deg", "det", "dim", "exp", "gcd", "hom", "inf", "ker", "lg", "lim",
+    "liminf", "limsup", "ln", "log", "max", "min", "Pr", "sec", "sin", "sinh",
+    "sup", "tan", "tanh"
+];
+
+function functionName(name) {
+    if (knownFunctionNames.indexOf(name) === -1) {
+        return "\\operatorname{" + name + "}";
+    } else {
+        return "\\" + name + " ";
+    }
+}
+
+function convertCharacter(character) {
+    if (Object.prototype.hasOwnProperty.call(symbols, character)) {
+        return symbols[character];
+    } else if (Object.prototype.hasOwnProperty.call(escapedCharacters, character)) {
+        return escapedCharacters[character];
+    } else {
+        return character;
+    }
+}
+
+var escapedCharacters = {
+    "\\": "\\backslash ",
+    "{": "\\{",
+    "}": "\\}",
+    "#": "\\#",
+    "$": "\\$",
+    "%": "\\%",
+    "&": "\\&",
+    "_": "\\_",
+    "~": "\\sim ",
+    "^": "\\hat{}"
+};
+
+var symbols = {
+    "α": "\\alpha ",
+    "β": "\\beta ",
+    "γ": "\\gamma ",
+    "δ": "\\delta ",
+    "ε": "\\varepsilon ",
+    "ϵ": "\\epsilon ",
+    "ζ": "\\zeta ",
+    "η": "\\eta ",
+    "θ": "\\theta ",
+    "ϑ": "\\vartheta ",
+    "ι": "\\iota ",
+    "κ": "\\kappa ",
+    "λ": "\\lambda ",
+    "μ": "\\mu ",
+    "ν": "\\nu ",
+    "ξ": "\\xi ",
+    "π": "\\pi ",
+    "ρ": "\\rho ",
+    "σ": "\\sigma ",
+    "ς": "\\varsigma ",
+    "τ": "\\tau ",
+    "υ": "\\upsilon ",
+    "φ": "\\varphi ",
+    "ϕ": "\\phi ",
+    "χ": "\\chi ",
+    "ψ": "\\psi ",
+    "ω": "\\omega ",
+    "Γ": "\\Gamma ",
+    "Δ": "\\Delta ",
+    "Θ": "\\Theta ",
+    "Λ": "\\Lambda ",
+    "Ξ": "\\Xi ",
+    "Π": "\\Pi ",
+    "Σ": "\\Sigma ",
+    "Υ": "\\Upsilon ",
+    "Φ": "\\Phi ",
+    "Ψ": "\\Psi ",
+    "Ω": "\\Omega ",
+    "∞": "\\infty ",
+    "±": "\\pm ",
+    "∓": "\\mp ",
+    "×": "\\times ",
+    "÷": "\\div ",
+    "·": "\\cdot ",
+    "⋅": "\\cdot ",
+    "∘": "\\circ ",
+    "≤": "\\leq ",
+    "≥": "\\geq ",
+    "≠": "\\neq ",
+    "≈": "\\approx ",
+    "≡": "\\equiv ",
+    "∼": "\\sim ",
+    "≅": "\\cong ",
+    "∝": "\\propto ",
+    "≪": "\\ll ",
+    "≫": "\\gg ",
+    "∈": "\\in ",
+    "∉": "\\notin ",
+    "∋": "\\ni ",
+    "⊂": "\\subset ",
+    "⊃": "\\supset ",
+    "⊆": "\\subseteq ",
+    "⊇": "\\supseteq ",
+    "∪": "\\cup ",
+    "∩": "\\cap ",
+    "∅": "\\emptyset ",
+    "∀": "\\forall ",
+    "∃": "\\exists ",
+    "¬": "\\neg ",
+    "∧": "\\wedge ",
+    "∨": "\\vee ",
+    "→": "\\rightarrow ",
+    "←": "\\leftarrow ",
+    "↔": "\\leftrightarrow ",
+    "⇒": "\\Rightarrow ",
+    "⇐": "\\Leftarrow ",
+    "⇔": "\\Leftrightarrow ",
+    "↦": "\\mapsto ",
+    "∂": "\\partial ",
+    "∇": "\\nabla ",
+    "ℏ": "\\hbar ",
+    "ℓ": "\\ell ",
+    "…": "\\ldots ",
+    "⋯": "\\cdots ",
+    "⋮": "\\vdots ",
+    "⋱": "\\ddots ",
+    "′": "'",
+    "″": "''",
+    "°": "^{\\circ}",
+    "−": "-",
+    "\u2061": "",
+    "\u200B": ""
+};
+
+function convertFraction(fraction) {
+    var numerator = toLatex(fraction.numerator);
+    var denominator = toLatex(fraction.denominator);
+    if (fraction.fractionType === "linear" || fraction.fractionType === "skewed") {
+        return group(numerator) + "/" + group(denominator);
+    } else if (fraction.fractionType === "noBar") {
+        return "\\genfrac{}{}{0pt}{}" + group(numerator) + group(denominator);
+    } else {
+        return "\\frac" + group(numerator) + group(denominator);
+    }
+}
+
+function convertRadical(radical) {
+    var degree = radical.degree === null ? "" : "[" + toLatex(radical.degree) + "]";
+    return "\\sqrt" + degree + group(toLatex(radical.base));
+}
+
+var naryOperators = {
+    "∑": "\\sum",
+    "∏": "\\prod",
+    "∐": "\\coprod",
+    "∫": "\\int",
+    "∬": "\\iint",
+    "∭": "\\iiint",
+    "∮": "\\oint",
+    "∯": "\\oiint",
+    "∰": "\\oiiint",
+    "⋃": "\\bigcup",
+    "⋂": "\\bigcap",
+    "⋁": "\\bigvee",
+    "⋀": "\\bigwedge",
+    "⨁": "\\bigoplus",
+    "⨂": "\\bigotimes",
+    "⨀": "\\bigodot"
+};
+
+function convertNary(nary) {
+    var operator = naryOperators[nary.operator] || convertCharacter(nary.operator).trim();
+    var limits = nary.limitLocation === "underOver" ? "\\limits" : "";
+    var sub = nary.sub === null ? "" : "_" + group(toLatex(nary.sub));
+    var sup = nary.sup === null ? "" : "^" + group(toLatex(nary.sup));
+    return operator + (sub || sup ? limits : "") + sub + sup + " " + toLatex(nary.base);
+}
+
+function convertMatrix(matrix) {
+    return environment("matrix", matrix.rows);
+}
+
+function environment(name, rows) {
+    var body = rows.map(function(cells) {
+        return cells.map(toLatex).join(" & ");
+    }).join(" \\\\ ");
+    return "\\begin{" + name + "} " + body + " \\end{" + name + "}";
+}
+
+var delimiters = {
+    "": ".",
+    "{": "\\{",
+    "}": "\\}",
+    "⟨": "\\langle",
+    "⟩": "\\rangle",
+    "〈": "\\langle",
+    "〉": "\\rangle",
+    "‖": "\\|",
+    "⌈": "\\lceil",
+    "⌉": "\\rceil",
+    "⌊": "\\lfloor",
+    "⌋": "\\rfloor"
+};
+
+function delimiter(character) {
+    return Object.prototype.hasOwnProperty.call(delimiters, character) ? delimiters[character] : character;
+}
+
+function convertDelimiter(node) {
+    var separator = node.separator ? " " + (delimiter(node.separator) === "|" ? "\\mid" : delimiter(node.separator)) + " " : " ";
+    var body = node.elements.map(toLatex).join(separator);
+    return "\\left" + delimiter(node.begin) + body + "\\right" + delimiter(node.end);
+}
+
+var accents = {
+    "\u0300": "\\grave",
+    "\u0301": "\\acute",
+    "\u0302": "\\hat",
+    "\u0303": "\\tilde",
+    "\u0304": "\\bar",
+    "\u0305": "\\overline",
+    "\u0306": "\\breve",
+    "\u0307": "\\dot",
+    "\u0308": "\\ddot",
+    "\u030C": "\\check",
+    "\u20D6": "\\overleftarrow",
+    "\u20D7": "\\vec",
+    "\u20E1": "\\overleftrightarrow"
+};
+
+function convertAccent(accent) {
+    var command = accents[accent.accent] || "\\hat";
+    return command + group(toLatex(accent.base));
+}
+
+function convertSubscript(node) {
+    return group(toLatex(node.base)) + "_" + group(toLatex(node.sub));
+}
+
+function convertSuperscript(node) {
+    return group(toLatex(node.base)) + "^" + group(toLatex(node.sup));
+}
+
+function convertSubSuperscript(node) {
+    return group(toLatex(node.base)) + "_" + group(toLatex(node.sub)) + "^" + group(toLatex(node.sup));
+}
+
+function convertPreScript(node) {
+    return "{}_" + group(toLatex(node.sub)) + "^" + group(toLatex(node.sup)) + group(toLatex(node.base));
+}
+
+function convertFunction(node) {
+    var name = toLatex(node.name);
+    return name + (/[A-Za-z]$/.test(name) ? " " : "") + toLatex(node.base);
+}
+
+function convertLowerLimit(node) {
+    var base = toLatex(node.base);
+    if (/^\\(lim|liminf|limsup|max|min|sup|inf)\b/.test(base)) {
+        return base + "_" + group(toLatex(node.limit));
+    } else {
+        return "\\underset" + group(toLatex(node.limit)) + group(base);
+    }
+}
+
+function convertUpperLimit(node) {
+    return "\\overset" + group(toLatex(node.limit)) + group(toLatex(node.base));
+}
+
+function convertBar(node) {
+    var command = node.position === "top" ? "\\overline" : "\\underline";
+    return command + group(toLatex(node.base));
+}
+
+function convertGroupCharacter(node) {
+    var base = group(toLatex(node.base));
+    if (node.character === "⏟") {
+        return "\\underbrace" + base;
+    } else if (node.character === "⏞") {
+        return "\\overbrace" + base;
+    } else {
+        var command = node.position === "top" ? "\\overset" : "\\underset";
+        return command + group(convertCharacter(node.character).trim()) + base;
+    }
+}
+
+function convertEquationArray(node) {
+    return environment("aligned", node.rows.map(function(equation) {
+        return [equation];
+    }));
+}
+
+function convertBox(node) {
+    return toLatex(node.base);
+}
+
+var converters = {
+    "run": convertRun,
+    "fraction": convertFraction,
+    "radical": convertRadical,
+    "nary": convertNary,
+    "matrix": convertMatrix,
+    "delimiter": convertDelimiter,
+    "accent": convertAccent,
+    "subscript": convertSubscript,
+    "superscript": convertSuperscript,
+    "subSuperscript": convertSubSuperscript,
+    "preScript": convertPreScript,
+    "function": convertFunction,
+    "lowerLimit": convertLowerLimit,
+    "upperLimit": convertUpperLimit,
+    "bar": convertBar,
+    "groupCharacter": convertGroupCharacter,
+    "equationArray": convertEquationArray,
+    "box": convertBox
+};
+
+function group(latex) {
+    return "{" + latex.trim() + "}";
+}
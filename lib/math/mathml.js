@@ -0,0 +1,270 @@
+var _ = require("underscore");
+
+var Html = require("../html");
+
+exports.toMathMl = toMathMl;
+
+// Converts math nodes to HTML nodes representing Presentation MathML. The
+// nodes should be wrapped in a <math> element by the caller.
+function toMathMl(nodes) {
+    return flatMap(nodes, convertNode);
+}
+
+function convertNode(node) {
+    var converter = converters[node.type];
+    return converter ? converter(node) : [];
+}
+
+function convertRun(run) {
+    if (run.isNormalText) {
+        return [element("mtext", {}, [Html.text(run.text)])];
+    }
+
+    var tokens = run.text.match(/[0-9]+(?:\.[0-9]+)?|[A-Za-z\u00C0-\u024F\u0370-\u03FF]+|\s+|[\s\S]/g) || [];
+    var variant = mathVariant(run);
+
+    return flatMap(tokens, function(token) {
+        if (/^[0-9]/.test(token)) {
+            return [element("mn", {}, [Html.text(token)])];
+        } else if (/^[A-Za-z\u00C0-\u024F\u0370-\u03FF]/.test(token)) {
+            if (run.style === "plain") {
+                return [identifier(token, token.length === 1 ? "normal" : variant)];
+            } else {
+                return token.split("").map(function(character) {
+                    return identifier(character, variant);
+                });
+            }
+        } else if (/^\s/.test(token)) {
+            return [];
+        } else {
+            return [element("mo", {}, [Html.text(token)])];
+        }
+    });
+}
+
+function identifier(text, variant) {
+    var attributes = {};
+    if (variant) {
+        attributes.mathvariant = variant;
+    }
+    return element("mi", attributes, [Html.text(text)]);
+}
+
+var scriptVariants = {
+    "double-struck": "double-struck",
+    "fraktur": "fraktur",
+    "monospace": "monospace",
+    "sans-serif": "sans-serif",
+    "script": "script"
+};
+
+function mathVariant(run) {
+    var isBold = run.style === "bold" || run.style === "boldItalic";
+    var script = scriptVariants[run.script];
+    if (script) {
+        if (isBold && (script === "fraktur" || script === "sans-serif" || script === "script")) {
+            return "bold-" + script;
+        } else {
+            return script;
+        }
+    } else if (run.style === "bold") {
+        return "bold";
+    } else if (run.style === "boldItalic") {
+        return "bold-italic";
+    } else {
+        return null;
+    }
+}
+
+function convertFraction(fraction) {
+    var numerator = row(fraction.numerator);
+    var denominator = row(fraction.denominator);
+    if (fraction.fractionType === "linear") {
+        return [element("mrow", {}, [numerator, operator("/"), denominator])];
+    } else if (fraction.fractionType === "skewed") {
+        return [element("mfrac", {bevelled: "true"}, [numerator, denominator])];
+    } else if (fraction.fractionType === "noBar") {
+        return [element("mfrac", {linethickness: "0"}, [numerator, denominator])];
+    } else {
+        return [element("mfrac", {}, [numerator, denominator])];
+    }
+}
+
+function convertRadical(radical) {
+    if (radical.degree === null) {
+        return [element("msqrt", {}, [row(radical.base)])];
+    } else {
+        return [element("mroot", {}, [row(radical.base), row(radical.degree)])];
+    }
+}
+
+function convertNary(nary) {
+    var operatorNode = operator(nary.operator);
+    var isUnderOver = nary.limitLocation === "underOver";
+    var withLimits;
+    if (nary.sub !== null && nary.sup !== null) {
+        withLimits = element(isUnderOver ? "munderover" : "msubsup", {}, [
+            operatorNode, row(nary.sub), row(nary.sup)
+        ]);
+    } else if (nary.sub !== null) {
+        withLimits = element(isUnderOver ? "munder" : "msub", {}, [operatorNode, row(nary.sub)]);
+    } else if (nary.sup !== null) {
+        withLimits = element(isUnderOver ? "mover" : "msup", {}, [operatorNode, row(nary.sup)]);
+    } else {
+        withLimits = operatorNode;
+    }
+    return [element("mrow", {}, [withLimits, row(nary.base)])];
+}
+
+function convertMatrix(matrix) {
+    return [table(matrix.rows)];
+}
+
+function table(rows) {
+    return element("mtable", {}, rows.map(function(cells) {
+        return element("mtr", {}, cells.map(function(cell) {
+            return element("mtd", {}, toMathMl(cell));
+        }));
+    }));
+}
+
+function convertDelimiter(delimiter) {
+    var children = [];
+    if (delimiter.begin) {
+        children.push(element("mo", {fence: "true"}, [Html.text(delimiter.begin)]));
+    }
+    delimiter.elements.forEach(function(delimitedElement, index) {
+        if (index > 0 && delimiter.separator) {
+            children.push(element("mo", {separator: "true"}, [Html.text(delimiter.separator)]));
+        }
+        children.push(row(delimitedElement));
+    });
+    if (delimiter.end) {
+        children.push(element("mo", {fence: "true"}, [Html.text(delimiter.end)]));
+    }
+    return [element("mrow", {}, children)];
+}
+
+// MathML accents should use spacing characters rather than the combining
+// characters used by OMML.
+var spacingAccents = {
+    "\u0300": "`",
+    "\u0301": "´",
+    "\u0302": "ˆ",
+    "\u0303": "˜",
+    "\u0304": "¯",
+    "\u0305": "¯",
+    "\u0306": "˘",
+    "\u0307": "˙",
+    "\u0308": "¨",
+    "\u030C": "ˇ",
+    "\u20D6": "←",
+    "\u20D7": "→",
+    "\u20E1": "↔"
+};
+
+function convertAccent(accent) {
+    var character = spacingAccents[accent.accent] || accent.accent;
+    return [element("mover", {accent: "true"}, [row(accent.base), operator(character)])];
+}
+
+function convertSubscript(node) {
+    return [element("msub", {}, [row(node.base), row(node.sub)])];
+}
+
+function convertSuperscript(node) {
+    return [element("msup", {}, [row(node.base), row(node.sup)])];
+}
+
+function convertSubSuperscript(node) {
+    return [element("msubsup", {}, [row(node.base), row(node.sub), row(node.sup)])];
+}
+
+function convertPreScript(node) {
+    return [element("mmultiscripts", {}, [
+        row(node.base),
+        element("none", {}, []),
+        element("none", {}, []),
+        element("mprescripts", {}, []),
+        row(node.sub),
+        row(node.sup)
+    ])];
+}
+
+function convertFunction(node) {
+    return [element("mrow", {}, [
+        row(node.name),
+        operator("\u2061"),
+        row(node.base)
+    ])];
+}
+
+function convertLowerLimit(node) {
+    return [element("munder", {}, [row(node.base), row(node.limit)])];
+}
+
+function convertUpperLimit(node) {
+    return [element("mover", {}, [row(node.base), row(node.limit)])];
+}
+
+function convertBar(node) {
+    if (node.position === "top") {
+        return [element("mover", {}, [row(node.base), operator("¯")])];
+    } else {
+        return [element("munder", {}, [row(node.base), operator("_")])];
+    }
+}
+
+function convertGroupCharacter(node) {
+    var tagName = node.position === "top" ? "mover" : "munder";
+    return [element(tagName, {}, [row(node.base), operator(node.character)])];
+}
+
+function convertEquationArray(node) {
+    return [table(node.rows.map(function(equation) {
+        return [equation];
+    }))];
+}
+
+function convertBox(node) {
+    return [row(node.base)];
+}
+
+var converters = {
+    "run": convertRun,
+    "fraction": convertFraction,
+    "radical": convertRadical,
+    "nary": convertNary,
+    "matrix": convertMatrix,
+    "delimiter": convertDelimiter,
+    "accent": convertAccent,
+    "subscript": convertSubscript,
+    "superscript": convertSuperscript,
+    "subSuperscript": convertSubSuperscript,
+    "preScript": convertPreScript,
+    "function": convertFunction,
+    "lowerLimit": convertLowerLimit,
+    "upperLimit": convertUpperLimit,
+    "bar": convertBar,
+    "groupCharacter": convertGroupCharacter,
+    "equationArray": convertEquationArray,
+    "box": convertBox
+};
+
+function row(nodes) {
+    return element("mrow", {}, toMathMl(nodes));
+}
+
+function operator(text) {
+    return element("mo", {}, [Html.text(text)]);
+}
+
+// MathML elements are always fresh, and are always written even when empty
+// since the position of each child is significant.
+function element(tagName, attributes, children) {
+    return Html.freshElement(tagName, attributes, [Html.forceWrite].concat(children));
+}
+
+function flatMap(values, func) {
+    return _.flatten(values.map(func), true);
+}
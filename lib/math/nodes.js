@@ -0,0 +1,163 @@
+// Each argument of a math node, such as the numerator of a fraction, is an
+// array of math nodes.
+
+exports.run = function(text, options) {
+    options = options || {};
+    return {
+        type: "run",
+        text: text,
+        // One of "plain", "bold", "italic" or "boldItalic". Null if the
+        // default style for the text should be used.
+        style: options.style || null,
+        script: options.script || null,
+        isNormalText: !!options.isNormalText
+    };
+};
+
+exports.fraction = function(options) {
+    return {
+        type: "fraction",
+        // One of "bar", "skewed", "linear" or "noBar".
+        fractionType: options.fractionType || "bar",
+        numerator: options.numerator,
+        denominator: options.denominator
+    };
+};
+
+exports.radical = function(options) {
+    return {
+        type: "radical",
+        // Null if the degree is hidden, as for square roots.
+        degree: options.degree || null,
+        base: options.base
+    };
+};
+
+exports.nary = function(options) {
+    return {
+        type: "nary",
+        operator: options.operator,
+        // One of "underOver" or "subSup".
+        limitLocation: options.limitLocation,
+        // Null if hidden.
+        sub: options.sub || null,
+        sup: options.sup || null,
+        base: options.base
+    };
+};
+
+exports.matrix = function(rows) {
+    return {
+        type: "matrix",
+        rows: rows
+    };
+};
+
+exports.delimiter = function(options) {
+    return {
+        type: "delimiter",
+        begin: options.begin,
+        end: options.end,
+        separator: options.separator,
+        elements: options.elements
+    };
+};
+
+exports.accent = function(options) {
+    return {
+        type: "accent",
+        accent: options.accent,
+        base: options.base
+    };
+};
+
+exports.subscript = function(options) {
+    return {
+        type: "subscript",
+        base: options.base,
+        sub: options.sub
+    };
+};
+
+exports.superscript = function(options) {
+    return {
+        type: "superscript",
+        base: options.base,
+        sup: options.sup
+    };
+};
+
+exports.subSuperscript = function(options) {
+    return {
+        type: "subSuperscript",
+        base: options.base,
+        sub: options.sub,
+        sup: options.sup
+    };
+};
+
+exports.preScript = function(options) {
+    return {
+        type: "preScript",
+        base: options.base,
+        sub: options.sub,
+        sup: options.sup
+    };
+};
+
+exports.func = function(options) {
+    return {
+        type: "function",
+        name: options.name,
+        base: options.base
+    };
+};
+
+exports.lowerLimit = function(options) {
+    return {
+        type: "lowerLimit",
+        base: options.base,
+        limit: options.limit
+    };
+};
+
+exports.upperLimit = function(options) {
+    return {
+        type: "upperLimit",
+        base: options.base,
+        limit: options.limit
+    };
+};
+
+exports.bar = function(options) {
+    return {
+        type: "bar",
+        // One of "top" or "bottom".
+        position: options.position,
+        base: options.base
+    };
+};
+
+exports.groupCharacter = function(options) {
+    return {
+        type: "groupCharacter",
+        character: options.character,
+        // One of "top" or "bottom".
+        position: options.position,
+        base: options.base
+    };
+};
+
+exports.equationArray = function(rows) {
+    return {
+        type: "equationArray",
+        rows: rows
+    };
+};
+
+exports.box = function(base) {
+    return {
+        type: "box",
+        base: base
+    };
+};
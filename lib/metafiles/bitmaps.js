@@ -0,0 +1,61 @@
+exports.readBitmap = readBitmap;
+exports.readPackedBitmap = readPackedBitmap;
+
+
+var compressions = {
+    bitFields: 3,
+    jpeg: 4,
+    png: 5,
+    alphaBitFields: 6
+};
+
+// Metafiles store bitmaps as device-independent bitmaps (DIBs), which are
+// BMP files without the file header. The bitmap info, which is the header
+// and the color table, may be stored separately from the bits.
+function readBitmap(info, bits) {
+    var view = new DataView(info.buffer, info.byteOffset, info.byteLength);
+    var headerSize = view.getUint32(0, true);
+    var compression = headerSize >= 40 ? view.getUint32(16, true) : 0;
+    if (compression === compressions.jpeg) {
+        return {contentType: "image/jpeg", data: bits};
+    } else if (compression === compressions.png) {
+        return {contentType: "image/png", data: bits};
+    }
+
+    var fileHeaderSize = 14;
+    var data = new Uint8Array(fileHeaderSize + info.length + bits.length);
+    var dataView = new DataView(data.buffer);
+    data[0] = 0x42;
+    data[1] = 0x4D;
+    dataView.setUint32(2, data.length, true);
+    dataView.setUint32(10, fileHeaderSize + info.length, true);
+    data.set(info, fileHeaderSize);
+    data.set(bits, fileHeaderSize + info.length);
+    return {contentType: "image/bmp", data: data};
+}
+
+// Reads a bitmap where the bits immediately follow the bitmap info.
+function readPackedBitmap(bytes) {
+    var infoSize = readInfoSize(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    return readBitmap(bytes.subarray(0, infoSize), bytes.subarray(infoSize));
+}
+
+function readInfoSize(view) {
+    var headerSize = view.getUint32(0, true);
+    if (headerSize === 12) {
+        var coreBitCount = view.getUint16(10, true);
+        return headerSize + (coreBitCount <= 8 ? 3 << coreBitCount : 0);
+    }
+
+    var bitCount = view.getUint16(14, true);
+    var compression = view.getUint32(16, true);
+    var colorsUsed = view.getUint32(32, true);
+    var colorCount = colorsUsed || (bitCount <= 8 ? 1 << bitCount : 0);
+    var masksSize = 0;
+    if (headerSize === 40 && compression === compressions.bitFields) {
+        masksSize = 12;
+    } else if (headerSize === 40 && compression === compressions.alphaBitFields) {
+        masksSize = 16;
+    }
+    return headerSize + masksSize + colorCount * 4;
+}
@@ -0,0 +1,354 @@
+var bitmaps = require("./bitmaps");
+var graphics = require("./graphics");
+var Record = require("./records").Record;
+
+exports.isEmf = isEmf;
+exports.readEmf = readEmf;
+
+
+var emfSignature = 0x464D4520;
+
+var recordTypes = {
+    header: 1,
+    eof: 14
+};
+
+function isEmf(view) {
+    return view.byteLength >= 88 &&
+        view.getUint32(0, true) === recordTypes.header &&
+        view.getUint32(40, true) === emfSignature;
+}
+
+// See [MS-EMF]: Enhanced Metafile Format.
+function readEmf(view) {
+    var header = readHeader(new Record(view, 0, view.getUint32(4, true)));
+    var context = {
+        graphics: new graphics.Graphics({pixelsPerMillimetre: header.pixelsPerMillimetre}),
+        objects: {}
+    };
+
+    var offset = 0;
+    while (offset + 8 <= view.byteLength) {
+        var type = view.getUint32(offset, true);
+        var size = view.getUint32(offset + 4, true);
+        if (size < 8 || offset + size > view.byteLength) {
+            throw new Error("Invalid EMF record at offset " + offset);
+        }
+        if (type === recordTypes.eof) {
+            break;
+        }
+        var readRecord = recordReaders[type];
+        if (readRecord) {
+            readRecord(new Record(view, offset, size), context);
+        }
+        offset += size;
+    }
+
+    return context.graphics.toSvg(header.viewBox, header.size);
+}
+
+// The frame of the picture is given in hundredths of a millimetre, while the
+// records use logical units that are mapped to device pixels.
+function readHeader(record) {
+    var bounds = record.rectangle32(8);
+    var frame = record.rectangle32(24);
+    var device = record.point32(72);
+    var millimetres = record.point32(80);
+    var pixelsPerMillimetre = {
+        x: millimetres.x > 0 ? device.x / millimetres.x : 96 / 25.4,
+        y: millimetres.y > 0 ? device.y / millimetres.y : 96 / 25.4
+    };
+
+    if (frame.right > frame.left && frame.bottom > frame.top) {
+        return {
+            pixelsPerMillimetre: pixelsPerMillimetre,
+            viewBox: {
+                x: frame.left / 100 * pixelsPerMillimetre.x,
+                y: frame.top / 100 * pixelsPerMillimetre.y,
+                width: (frame.right - frame.left) / 100 * pixelsPerMillimetre.x,
+                height: (frame.bottom - frame.top) / 100 * pixelsPerMillimetre.y
+            },
+            size: {
+                width: (frame.right - frame.left) / 100 / 25.4 * 96,
+                height: (frame.bottom - frame.top) / 100 / 25.4 * 96
+            }
+        };
+    } else {
+        var width = bounds.right - bounds.left + 1;
+        var height = bounds.bottom - bounds.top + 1;
+        return {
+            pixelsPerMillimetre: pixelsPerMillimetre,
+            viewBox: {x: bounds.left, y: bounds.top, width: width, height: height},
+            size: {width: width, height: height}
+        };
+    }
+}
+
+var stockObjects = {
+    0: graphics.brush(graphics.brushStyles.solid, "#FFFFFF"),
+    1: graphics.brush(graphics.brushStyles.solid, "#C0C0C0"),
+    2: graphics.brush(graphics.brushStyles.solid, "#808080"),
+    3: graphics.brush(graphics.brushStyles.solid, "#404040"),
+    4: graphics.brush(graphics.brushStyles.solid, "#000000"),
+    5: graphics.brush(graphics.brushStyles["null"], "#000000"),
+    6: graphics.pen(graphics.penStyles.solid, 0, "#FFFFFF"),
+    7: graphics.pen(graphics.penStyles.solid, 0, "#000000"),
+    8: graphics.pen(graphics.penStyles["null"], 0, "#000000"),
+    10: graphics.font({faceName: "Courier New"}),
+    11: graphics.font({faceName: "Courier New"}),
+    12: graphics.font({faceName: "Arial"}),
+    13: graphics.font({faceName: "System", weight: 700}),
+    14: graphics.font({faceName: "System", weight: 700}),
+    16: graphics.font({faceName: "Courier New"}),
+    17: graphics.font({faceName: "Segoe UI"}),
+    18: graphics.brush(graphics.brushStyles.solid, "#FFFFFF"),
+    19: graphics.pen(graphics.penStyles.solid, 0, "#000000")
+};
+
+function findObject(index, context) {
+    if (index & 0x80000000) {
+        return stockObjects[index & 0x7FFFFFFF] || null;
+    } else {
+        return context.objects[index] || null;
+    }
+}
+
+function polyReader(draw, pointSize) {
+    return function(record, context) {
+        var count = record.uint32(24);
+        var points = pointSize === 2 ? record.points16(28, count) : record.points32(28, count);
+        context.graphics[draw](points);
+    };
+}
+
+function polyPolyReader(draw, pointSize) {
+    return function(record, context) {
+        var polyCount = record.uint32(24);
+        var pointOffset = 32 + polyCount * 4;
+        var polys = [];
+        for (var index = 0; index < polyCount; index++) {
+            var count = record.uint32(32 + index * 4);
+            polys.push(pointSize === 2 ? record.points16(pointOffset, count) : record.points32(pointOffset, count));
+            pointOffset += count * pointSize * 2;
+        }
+        context.graphics[draw](polys);
+    };
+}
+
+function pointReader(action) {
+    return function(record, context) {
+        context.graphics[action](record.point32(8));
+    };
+}
+
+function valueReader(action) {
+    return function(record, context) {
+        context.graphics[action](record.uint32(8));
+    };
+}
+
+function boxReader(draw) {
+    return function(record, context) {
+        context.graphics[draw](record.rectangle32(8));
+    };
+}
+
+function actionReader(action) {
+    return function(record, context) {
+        context.graphics[action]();
+    };
+}
+
+function readTransform(record, at) {
+    return [0, 1, 2, 3, 4, 5].map(function(index) {
+        return record.float32(at + index * 4);
+    });
+}
+
+function textReader(readString) {
+    return function(record, context) {
+        var reference = record.point32(36);
+        var length = record.uint32(44);
+        var stringOffset = record.uint32(48);
+        context.graphics.text(reference, readString(record, stringOffset, length));
+    };
+}
+
+// Bitmaps are drawn into the destination, ignoring any raster operation. When
+// there's no source bitmap, the destination is filled using the brush.
+function bitmapReader(offsets) {
+    return function(record, context) {
+        var destination = {
+            left: record.int32(offsets.destination),
+            top: record.int32(offsets.destination + 4)
+        };
+        var width = record.int32(offsets.destinationSize);
+        var height = record.int32(offsets.destinationSize + 4);
+        destination.right = destination.left + width;
+        destination.bottom = destination.top + height;
+
+        var infoOffset = record.uint32(offsets.bitmap);
+        var infoSize = record.uint32(offsets.bitmap + 4);
+        var bitsOffset = record.uint32(offsets.bitmap + 8);
+        var bitsSize = record.uint32(offsets.bitmap + 12);
+        if (infoSize === 0) {
+            context.graphics.fillRectangle(destination);
+        } else {
+            context.graphics.image(destination, bitmaps.readBitmap(
+                record.bytes(infoOffset, infoSize),
+                record.bytes(bitsOffset, bitsSize)
+            ));
+        }
+    };
+}
+
+var recordReaders = {
+    // EMR_POLYBEZIER
+    2: polyReader("polyBezier", 4),
+    // EMR_POLYGON
+    3: polyReader("polygon", 4),
+    // EMR_POLYLINE
+    4: polyReader("polyline", 4),
+    // EMR_POLYBEZIERTO
+    5: polyReader("polyBezierTo", 4),
+    // EMR_POLYLINETO
+    6: polyReader("polylineTo", 4),
+    // EMR_POLYPOLYLINE
+    7: polyPolyReader("polyPolyline", 4),
+    // EMR_POLYPOLYGON
+    8: polyPolyReader("polyPolygon", 4),
+    // EMR_SETWINDOWEXTEX
+    9: pointReader("setWindowExtent"),
+    // EMR_SETWINDOWORGEX
+    10: pointReader("setWindowOrigin"),
+    // EMR_SETVIEWPORTEXTEX
+    11: pointReader("setViewportExtent"),
+    // EMR_SETVIEWPORTORGEX
+    12: pointReader("setViewportOrigin"),
+    // EMR_SETMAPMODE
+    17: valueReader("setMapMode"),
+    // EMR_SETPOLYFILLMODE
+    19: valueReader("setPolyFillMode"),
+    // EMR_SETTEXTALIGN
+    22: valueReader("setTextAlign"),
+    // EMR_SETTEXTCOLOR
+    24: function(record, context) {
+        context.graphics.setTextColor(record.color(8));
+    },
+    // EMR_MOVETOEX
+    27: pointReader("moveTo"),
+    // EMR_SAVEDC
+    33: actionReader("saveState"),
+    // EMR_RESTOREDC
+    34: function(record, context) {
+        context.graphics.restoreState(record.int32(8));
+    },
+    // EMR_SETWORLDTRANSFORM
+    35: function(record, context) {
+        context.graphics.setWorldTransform(readTransform(record, 8));
+    },
+    // EMR_MODIFYWORLDTRANSFORM
+    36: function(record, context) {
+        context.graphics.modifyWorldTransform(readTransform(record, 8), record.uint32(32));
+    },
+    // EMR_SELECTOBJECT
+    37: function(record, context) {
+        context.graphics.selectObject(findObject(record.uint32(8), context));
+    },
+    // EMR_CREATEPEN
+    38: function(record, context) {
+        context.objects[record.uint32(8)] = graphics.pen(record.uint32(12), record.int32(16), record.color(24));
+    },
+    // EMR_CREATEBRUSHINDIRECT
+    39: function(record, context) {
+        context.objects[record.uint32(8)] = graphics.brush(record.uint32(12), record.color(16));
+    },
+    // EMR_DELETEOBJECT
+    40: function(record, context) {
+        delete context.objects[record.uint32(8)];
+    },
+    // EMR_ELLIPSE
+    42: boxReader("ellipse"),
+    // EMR_RECTANGLE
+    43: boxReader("rectangle"),
+    // EMR_ROUNDRECT
+    44: function(record, context) {
+        context.graphics.roundRectangle(record.rectangle32(8), record.point32(24));
+    },
+    // EMR_CREATEPALETTE
+    49: function(record, context) {
+        context.objects[record.uint32(8)] = {type: "palette"};
+    },
+    // EMR_LINETO
+    54: pointReader("lineTo"),
+    // EMR_BEGINPATH
+    59: actionReader("beginPath"),
+    // EMR_ENDPATH
+    60: actionReader("endPath"),
+    // EMR_CLOSEFIGURE
+    61: actionReader("closeFigure"),
+    // EMR_FILLPATH
+    62: actionReader("fillPath"),
+    // EMR_STROKEANDFILLPATH
+    63: actionReader("strokeAndFillPath"),
+    // EMR_STROKEPATH
+    64: actionReader("strokePath"),
+    // EMR_ABORTPATH
+    68: actionReader("abortPath"),
+    // EMR_BITBLT
+    76: bitmapReader({destination: 24, destinationSize: 32, bitmap: 84}),
+    // EMR_STRETCHBLT
+    77: bitmapReader({destination: 24, destinationSize: 32, bitmap: 84}),
+    // EMR_STRETCHDIBITS
+    81: bitmapReader({destination: 24, destinationSize: 72, bitmap: 48}),
+    // EMR_EXTCREATEFONTINDIRECTW
+    82: function(record, context) {
+        context.objects[record.uint32(8)] = graphics.font({
+            height: record.int32(12),
+            escapement: record.int32(20),
+            weight: record.int32(28),
+            isItalic: record.uint8(32) !== 0,
+            isUnderline: record.uint8(33) !== 0,
+            isStrikethrough: record.uint8(34) !== 0,
+            faceName: record.utf16String(40, 32)
+        });
+    },
+    // EMR_EXTTEXTOUTA
+    83: textReader(function(record, offset, length) {
+        return record.ansiString(offset, length);
+    }),
+    // EMR_EXTTEXTOUTW
+    84: textReader(function(record, offset, length) {
+        return record.utf16String(offset, length);
+    }),
+    // EMR_POLYBEZIER16
+    85: polyReader("polyBezier", 2),
+    // EMR_POLYGON16
+    86: polyReader("polygon", 2),
+    // EMR_POLYLINE16
+    87: polyReader("polyline", 2),
+    // EMR_POLYBEZIERTO16
+    88: polyReader("polyBezierTo", 2),
+    // EMR_POLYLINETO16
+    89: polyReader("polylineTo", 2),
+    // EMR_POLYPOLYLINE16
+    90: polyPolyReader("polyPolyline", 2),
+    // EMR_POLYPOLYGON16
+    91: polyPolyReader("polyPolygon", 2),
+    // Patterns aren't supported, so areas filled with pattern brushes are
+    // left empty.
+    // EMR_CREATEMONOBRUSH
+    93: function(record, context) {
+        context.objects[record.uint32(8)] = graphics.brush(graphics.brushStyles["null"], "#000000");
+    },
+    // EMR_CREATEDIBPATTERNBRUSHPT
+    94: function(record, context) {
+        context.objects[record.uint32(8)] = graphics.brush(graphics.brushStyles["null"], "#000000");
+    },
+    // EMR_EXTCREATEPEN
+    95: function(record, context) {
+        var brushStyle = record.uint32(36);
+        var penStyle = brushStyle === graphics.brushStyles["null"] ? graphics.penStyles["null"] : record.uint32(28);
+        context.objects[record.uint32(8)] = graphics.pen(penStyle, record.uint32(32), record.color(40));
+    }
+};
@@ -0,0 +1,640 @@
+var _ = require("underscore");
+var base64js = require("base64-js");
+
+var svg = require("../svg");
+
+exports.Graphics = Graphics;
+exports.pen = pen;
+exports.brush = brush;
+exports.font = font;
+
+
+var mapModes = {
+    text: 1,
+    lowMetric: 2,
+    highMetric: 3,
+    lowEnglish: 4,
+    highEnglish: 5,
+    twips: 6,
+    isotropic: 7,
+    anisotropic: 8
+};
+
+// The size of a logical unit in millimetres for each of the fixed mapping
+// modes. In these mapping modes, the y-axis points up.
+var fixedMapModeUnits = {};
+fixedMapModeUnits[mapModes.lowMetric] = 0.1;
+fixedMapModeUnits[mapModes.highMetric] = 0.01;
+fixedMapModeUnits[mapModes.lowEnglish] = 0.254;
+fixedMapModeUnits[mapModes.highEnglish] = 0.0254;
+fixedMapModeUnits[mapModes.twips] = 25.4 / 1440;
+
+var penStyles = {
+    solid: 0,
+    dash: 1,
+    dot: 2,
+    dashDot: 3,
+    dashDotDot: 4,
+    "null": 5,
+    geometric: 0x10000
+};
+
+// Dashes are given as multiples of the width of the pen.
+var penDashArrays = {};
+penDashArrays[penStyles.dash] = [18, 6];
+penDashArrays[penStyles.dot] = [3, 3];
+penDashArrays[penStyles.dashDot] = [9, 6, 3, 6];
+penDashArrays[penStyles.dashDotDot] = [9, 3, 3, 3, 3, 3];
+
+var penLineCaps = {0x0000: "round", 0x0100: "square", 0x0200: "butt"};
+var penLineJoins = {0x0000: "round", 0x1000: "bevel", 0x2000: "miter"};
+
+var brushStyles = {
+    solid: 0,
+    "null": 1,
+    hatched: 2
+};
+
+exports.mapModes = mapModes;
+exports.penStyles = penStyles;
+exports.brushStyles = brushStyles;
+
+var polyFillModes = {
+    alternate: 1,
+    winding: 2
+};
+
+var textAlignments = {
+    updateCurrentPosition: 0x01,
+    horizontal: 0x06,
+    right: 0x02,
+    center: 0x06,
+    vertical: 0x18,
+    bottom: 0x08,
+    baseline: 0x18
+};
+
+// Used to approximate quarters of ellipses with cubic Bézier curves.
+var kappa = 0.5522847498;
+
+var identityTransform = [1, 0, 0, 1, 0, 0];
+
+var formatNumber = svg.formatNumber;
+
+function pen(style, width, color) {
+    return {type: "pen", style: style, width: width, color: color};
+}
+
+function brush(style, color) {
+    return {type: "brush", style: style, color: color};
+}
+
+function font(options) {
+    return {
+        type: "font",
+        height: options.height || 0,
+        weight: options.weight || 400,
+        isItalic: !!options.isItalic,
+        isUnderline: !!options.isUnderline,
+        isStrikethrough: !!options.isStrikethrough,
+        escapement: options.escapement || 0,
+        faceName: options.faceName || null
+    };
+}
+
+var defaultFontSize = 12;
+
+// Draws the records of a metafile as SVG, keeping track of the state of the
+// device context in the same way as GDI. Coordinates passed to the drawing
+// functions are in logical units, and are mapped to device units using the
+// world transform, the window and the viewport.
+function Graphics(options) {
+    var pixelsPerMillimetre = options.pixelsPerMillimetre;
+
+    var state = {
+        mapMode: mapModes.text,
+        windowOrigin: {x: 0, y: 0},
+        windowExtent: {x: 1, y: 1},
+        viewportOrigin: {x: 0, y: 0},
+        viewportExtent: {x: 1, y: 1},
+        transform: identityTransform,
+        pen: pen(penStyles.solid, 0, "#000000"),
+        brush: brush(brushStyles.solid, "#FFFFFF"),
+        font: font({}),
+        textColor: "#000000",
+        textAlign: 0,
+        polyFillMode: polyFillModes.alternate,
+        position: {x: 0, y: 0}
+    };
+    var savedStates = [];
+    var elements = [];
+
+    // While a path bracket is open, figures are added to the path rather than
+    // being drawn.
+    var openPath = null;
+    var completedPath = null;
+    var isFigureOpen = false;
+
+    function setState(properties) {
+        state = _.extend({}, state, properties);
+    }
+
+    function saveState() {
+        savedStates.push(state);
+    }
+
+    // A negative value restores relative to the most recently saved state,
+    // while a positive value restores a specific saved state.
+    function restoreState(relative) {
+        var index = relative < 0 ? savedStates.length + relative : relative - 1;
+        if (index >= 0 && index < savedStates.length) {
+            state = savedStates[index];
+            savedStates = savedStates.slice(0, index);
+        }
+    }
+
+    function setMapMode(mapMode) {
+        setState({mapMode: mapMode});
+    }
+
+    function setWindowOrigin(point) {
+        setState({windowOrigin: point});
+    }
+
+    function setWindowExtent(extent) {
+        setState({windowExtent: extent});
+    }
+
+    function setViewportOrigin(point) {
+        setState({viewportOrigin: point});
+    }
+
+    function setViewportExtent(extent) {
+        setState({viewportExtent: extent});
+    }
+
+    function setWorldTransform(transform) {
+        setState({transform: transform});
+    }
+
+    function modifyWorldTransform(transform, mode) {
+        if (mode === 1) {
+            setState({transform: identityTransform});
+        } else if (mode === 2) {
+            setState({transform: multiply(transform, state.transform)});
+        } else if (mode === 3) {
+            setState({transform: multiply(state.transform, transform)});
+        } else if (mode === 4) {
+            setState({transform: transform});
+        }
+    }
+
+    function selectObject(object) {
+        if (object && (object.type === "pen" || object.type === "brush" || object.type === "font")) {
+            var properties = {};
+            properties[object.type] = object;
+            setState(properties);
+        }
+    }
+
+    function setTextColor(color) {
+        setState({textColor: color});
+    }
+
+    function setTextAlign(textAlign) {
+        setState({textAlign: textAlign});
+    }
+
+    function setPolyFillMode(polyFillMode) {
+        setState({polyFillMode: polyFillMode});
+    }
+
+    function pageScale() {
+        var unit = fixedMapModeUnits[state.mapMode];
+        if (unit) {
+            return {x: unit * pixelsPerMillimetre.x, y: -unit * pixelsPerMillimetre.y};
+        } else if (state.mapMode === mapModes.isotropic || state.mapMode === mapModes.anisotropic) {
+            var scaleX = state.viewportExtent.x / (state.windowExtent.x || 1);
+            var scaleY = state.viewportExtent.y / (state.windowExtent.y || 1);
+            if (state.mapMode === mapModes.isotropic) {
+                var scale = Math.min(Math.abs(scaleX), Math.abs(scaleY));
+                return {x: scaleX < 0 ? -scale : scale, y: scaleY < 0 ? -scale : scale};
+            } else {
+                return {x: scaleX, y: scaleY};
+            }
+        } else {
+            return {x: 1, y: 1};
+        }
+    }
+
+    function toDevice(point) {
+        var transform = state.transform;
+        var scale = pageScale();
+        var pageX = transform[0] * point.x + transform[2] * point.y + transform[4];
+        var pageY = transform[1] * point.x + transform[3] * point.y + transform[5];
+        return {
+            x: (pageX - state.windowOrigin.x) * scale.x + state.viewportOrigin.x,
+            y: (pageY - state.windowOrigin.y) * scale.y + state.viewportOrigin.y
+        };
+    }
+
+    // The factor by which lengths, such as the widths of pens, are scaled
+    // when mapping from logical units to device units.
+    function lengthScale() {
+        var transform = state.transform;
+        var scale = pageScale();
+        return Math.sqrt(Math.abs(
+            (transform[0] * transform[3] - transform[1] * transform[2]) * scale.x * scale.y
+        ));
+    }
+
+    function pathData(segments) {
+        return segments.map(function(segment) {
+            return [segment[0]].concat(segment.slice(1).map(function(point) {
+                var devicePoint = toDevice(point);
+                return formatNumber(devicePoint.x) + " " + formatNumber(devicePoint.y);
+            })).join(" ");
+        }).join(" ");
+    }
+
+    function addFigure(segments, options) {
+        var data = pathData(segments);
+        if (openPath !== null) {
+            openPath.push(data);
+            isFigureOpen = false;
+        } else {
+            drawPath(data, options);
+        }
+    }
+
+    function continueFigure(command, points) {
+        if (points.length === 0) {
+            return;
+        }
+        var segments = [[command].concat(points)];
+        if (openPath === null || !isFigureOpen) {
+            segments.unshift(["M", state.position]);
+        }
+        var data = pathData(segments);
+        setState({position: _.last(points)});
+        if (openPath !== null) {
+            openPath.push(data);
+            isFigureOpen = true;
+        } else {
+            drawPath(data, {fill: false, stroke: true});
+        }
+    }
+
+    function moveTo(point) {
+        setState({position: point});
+        isFigureOpen = false;
+    }
+
+    function lineTo(point) {
+        continueFigure("L", [point]);
+    }
+
+    function polylineTo(points) {
+        continueFigure("L", points);
+    }
+
+    function polyBezierTo(points) {
+        continueFigure("C", points);
+    }
+
+    function polyline(points) {
+        polyPolyline([points]);
+    }
+
+    function polyPolyline(polylines) {
+        addFigure(_.flatten(polylines.filter(hasPoints).map(function(points) {
+            return [["M", points[0]], ["L"].concat(points.slice(1))];
+        }), true), {fill: false, stroke: true});
+    }
+
+    function polyBezier(points) {
+        if (hasPoints(points)) {
+            addFigure([["M", points[0]], ["C"].concat(points.slice(1))], {fill: false, stroke: true});
+        }
+    }
+
+    function polygon(points) {
+        polyPolygon([points]);
+    }
+
+    function polyPolygon(polygons) {
+        addFigure(_.flatten(polygons.filter(hasPoints).map(function(points) {
+            return [["M", points[0]], ["L"].concat(points.slice(1)), ["Z"]];
+        }), true), {fill: true, stroke: true});
+    }
+
+    function rectangle(box) {
+        polygon([
+            {x: box.left, y: box.top},
+            {x: box.right, y: box.top},
+            {x: box.right, y: box.bottom},
+            {x: box.left, y: box.bottom}
+        ]);
+    }
+
+    function fillRectangle(box) {
+        var path = openPath;
+        openPath = null;
+        addFigure([
+            ["M", {x: box.left, y: box.top}],
+            ["L", {x: box.right, y: box.top}, {x: box.right, y: box.bottom}, {x: box.left, y: box.bottom}],
+            ["Z"]
+        ], {fill: true, stroke: false});
+        openPath = path;
+    }
+
+    function ellipse(box) {
+        var centerX = (box.left + box.right) / 2;
+        var centerY = (box.top + box.bottom) / 2;
+        var radiusX = (box.right - box.left) / 2;
+        var radiusY = (box.bottom - box.top) / 2;
+        var controlX = radiusX * kappa;
+        var controlY = radiusY * kappa;
+        addFigure([
+            ["M", {x: centerX + radiusX, y: centerY}],
+            [
+                "C",
+                {x: centerX + radiusX, y: centerY + controlY},
+                {x: centerX + controlX, y: centerY + radiusY},
+                {x: centerX, y: centerY + radiusY},
+                {x: centerX - controlX, y: centerY + radiusY},
+                {x: centerX - radiusX, y: centerY + controlY},
+                {x: centerX - radiusX, y: centerY},
+                {x: centerX - radiusX, y: centerY - controlY},
+                {x: centerX - controlX, y: centerY - radiusY},
+                {x: centerX, y: centerY - radiusY},
+                {x: centerX + controlX, y: centerY - radiusY},
+                {x: centerX + radiusX, y: centerY - controlY},
+                {x: centerX + radiusX, y: centerY}
+            ],
+            ["Z"]
+        ], {fill: true, stroke: true});
+    }
+
+    // The corner is the size of the ellipse used to draw each rounded corner.
+    function roundRectangle(box, corner) {
+        var radiusX = Math.min(Math.abs(corner.x) / 2, Math.abs(box.right - box.left) / 2);
+        var radiusY = Math.min(Math.abs(corner.y) / 2, Math.abs(box.bottom - box.top) / 2);
+        var left = Math.min(box.left, box.right);
+        var right = Math.max(box.left, box.right);
+        var top = Math.min(box.top, box.bottom);
+        var bottom = Math.max(box.top, box.bottom);
+        var controlX = radiusX * (1 - kappa);
+        var controlY = radiusY * (1 - kappa);
+        addFigure([
+            ["M", {x: left + radiusX, y: top}],
+            ["L", {x: right - radiusX, y: top}],
+            ["C", {x: right - controlX, y: top}, {x: right, y: top + controlY}, {x: right, y: top + radiusY}],
+            ["L", {x: right, y: bottom - radiusY}],
+            ["C", {x: right, y: bottom - controlY}, {x: right - controlX, y: bottom}, {x: right - radiusX, y: bottom}],
+            ["L", {x: left + radiusX, y: bottom}],
+            ["C", {x: left + controlX, y: bottom}, {x: left, y: bottom - controlY}, {x: left, y: bottom - radiusY}],
+            ["L", {x: left, y: top + radiusY}],
+            ["C", {x: left, y: top + controlY}, {x: left + controlX, y: top}, {x: left + radiusX, y: top}],
+            ["Z"]
+        ], {fill: true, stroke: true});
+    }
+
+    function beginPath() {
+        openPath = [];
+        completedPath = null;
+        isFigureOpen = false;
+    }
+
+    function endPath() {
+        completedPath = openPath;
+        openPath = null;
+    }
+
+    function abortPath() {
+        openPath = null;
+        completedPath = null;
+    }
+
+    function closeFigure() {
+        if (openPath !== null && isFigureOpen) {
+            openPath.push("Z");
+            isFigureOpen = false;
+        }
+    }
+
+    function drawCompletedPath(options) {
+        var path = openPath || completedPath;
+        openPath = null;
+        completedPath = null;
+        if (path && path.length > 0) {
+            drawPath(path.join(" "), options);
+        }
+    }
+
+    function fillPath() {
+        drawCompletedPath({fill: true, stroke: false});
+    }
+
+    function strokePath() {
+        drawCompletedPath({fill: false, stroke: true});
+    }
+
+    function strokeAndFillPath() {
+        drawCompletedPath({fill: true, stroke: true});
+    }
+
+    function drawPath(data, options) {
+        var attributes = {d: data};
+        _.extend(
+            attributes,
+            options.fill ? fillAttributes() : {fill: "none"},
+            options.stroke ? strokeAttributes() : {}
+        );
+        if (attributes.fill !== "none" || attributes.stroke !== undefined) {
+            elements.push(svg.element("path", attributes));
+        }
+    }
+
+    function fillAttributes() {
+        var currentBrush = state.brush;
+        if (currentBrush.style !== brushStyles.solid && currentBrush.style !== brushStyles.hatched) {
+            return {fill: "none"};
+        }
+        var attributes = {fill: currentBrush.color};
+        if (state.polyFillMode === polyFillModes.alternate) {
+            attributes["fill-rule"] = "evenodd";
+        }
+        return attributes;
+    }
+
+    function strokeAttributes() {
+        var currentPen = state.pen;
+        var style = currentPen.style & 0x0F;
+        if (style === penStyles["null"]) {
+            return {};
+        }
+
+        var attributes = {stroke: currentPen.color};
+        var width = Math.abs(currentPen.width) * lengthScale();
+        if (isCosmetic(currentPen)) {
+            width = 1;
+            attributes["stroke-width"] = "1";
+            attributes["vector-effect"] = "non-scaling-stroke";
+        } else {
+            attributes["stroke-width"] = formatNumber(width);
+            attributes["stroke-linecap"] = penLineCaps[currentPen.style & 0x0F00] || "round";
+            attributes["stroke-linejoin"] = penLineJoins[currentPen.style & 0xF000] || "round";
+        }
+        var dashArray = penDashArrays[style];
+        if (dashArray) {
+            attributes["stroke-dasharray"] = dashArray.map(function(length) {
+                return formatNumber(length * width);
+            }).join(" ");
+        }
+        return attributes;
+    }
+
+    function text(point, value) {
+        if (value === "") {
+            return;
+        }
+        var currentFont = state.font;
+        var position = toDevice(state.textAlign & textAlignments.updateCurrentPosition ? state.position : point);
+        var fontSize = currentFont.height === 0 ? defaultFontSize : Math.abs(currentFont.height) * lengthScale();
+        var attributes = {
+            x: formatNumber(position.x),
+            y: formatNumber(position.y),
+            fill: state.textColor,
+            "font-size": formatNumber(fontSize)
+        };
+        if (currentFont.faceName) {
+            attributes["font-family"] = currentFont.faceName;
+        }
+        if (currentFont.weight >= 600) {
+            attributes["font-weight"] = "bold";
+        }
+        if (currentFont.isItalic) {
+            attributes["font-style"] = "italic";
+        }
+        var decorations = [];
+        if (currentFont.isUnderline) {
+            decorations.push("underline");
+        }
+        if (currentFont.isStrikethrough) {
+            decorations.push("line-through");
+        }
+        if (decorations.length > 0) {
+            attributes["text-decoration"] = decorations.join(" ");
+        }
+
+        var horizontalAlignment = state.textAlign & textAlignments.horizontal;
+        if (horizontalAlignment === textAlignments.center) {
+            attributes["text-anchor"] = "middle";
+        } else if (horizontalAlignment === textAlignments.right) {
+            attributes["text-anchor"] = "end";
+        }
+        var verticalAlignment = state.textAlign & textAlignments.vertical;
+        if (verticalAlignment === 0) {
+            attributes["dominant-baseline"] = "text-before-edge";
+        } else if (verticalAlignment === textAlignments.bottom) {
+            attributes["dominant-baseline"] = "text-after-edge";
+        }
+
+        // Escapement is given in tenths of a degree anticlockwise.
+        var transform = state.transform;
+        var rotation = Math.atan2(transform[1], transform[0]) * 180 / Math.PI - currentFont.escapement / 10;
+        if (rotation !== 0) {
+            attributes.transform = "rotate(" + [rotation, position.x, position.y].map(formatNumber).join(" ") + ")";
+        }
+
+        elements.push(svg.element("text", attributes, [svg.text(value)]));
+    }
+
+    function image(box, imageData) {
+        var topLeft = toDevice({x: box.left, y: box.top});
+        var bottomRight = toDevice({x: box.right, y: box.bottom});
+        elements.push(svg.element("image", {
+            x: formatNumber(Math.min(topLeft.x, bottomRight.x)),
+            y: formatNumber(Math.min(topLeft.y, bottomRight.y)),
+            width: formatNumber(Math.abs(bottomRight.x - topLeft.x)),
+            height: formatNumber(Math.abs(bottomRight.y - topLeft.y)),
+            preserveAspectRatio: "none",
+            "xlink:href": "data:" + imageData.contentType + ";base64," + base64js.fromByteArray(imageData.data)
+        }));
+    }
+
+    // The view box is in device units, while the size is in pixels.
+    function toSvg(viewBox, size) {
+        return svg.element("svg", {
+            xmlns: "http://www.w3.org/2000/svg",
+            "xmlns:xlink": "http://www.w3.org/1999/xlink",
+            width: formatNumber(size.width),
+            height: formatNumber(size.height),
+            viewBox: [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(formatNumber).join(" "),
+            preserveAspectRatio: "none"
+        }, elements);
+    }
+
+    return {
+        saveState: saveState,
+        restoreState: restoreState,
+        setMapMode: setMapMode,
+        setWindowOrigin: setWindowOrigin,
+        setWindowExtent: setWindowExtent,
+        setViewportOrigin: setViewportOrigin,
+        setViewportExtent: setViewportExtent,
+        setWorldTransform: setWorldTransform,
+        modifyWorldTransform: modifyWorldTransform,
+        selectObject: selectObject,
+        setTextColor: setTextColor,
+        setTextAlign: setTextAlign,
+        setPolyFillMode: setPolyFillMode,
+        moveTo: moveTo,
+        lineTo: lineTo,
+        polylineTo: polylineTo,
+        polyBezierTo: polyBezierTo,
+        polyline: polyline,
+        polyPolyline: polyPolyline,
+        polyBezier: polyBezier,
+        polygon: polygon,
+        polyPolygon: polyPolygon,
+        rectangle: rectangle,
+        fillRectangle: fillRectangle,
+        ellipse: ellipse,
+        roundRectangle: roundRectangle,
+        beginPath: beginPath,
+        endPath: endPath,
+        abortPath: abortPath,
+        closeFigure: closeFigure,
+        fillPath: fillPath,
+        strokePath: strokePath,
+        strokeAndFillPath: strokeAndFillPath,
+        text: text,
+        image: image,
+        toSvg: toSvg
+    };
+}
+
+// Cosmetic pens are always one pixel wide, regardless of the mapping.
+function isCosmetic(pen) {
+    return pen.width === 0 || (pen.width === 1 && !(pen.style & penStyles.geometric));
+}
+
+function hasPoints(points) {
+    return points.length > 0;
+}
+
+// Transforms are given as [M11, M12, M21, M22, Dx, Dy], as in the XForm
+// object of EMF. The result of multiplying applies the first transform and
+// then the second.
+function multiply(first, second) {
+    return [
+        first[0] * second[0] + first[1] * second[2],
+        first[0] * second[1] + first[1] * second[3],
+        first[2] * second[0] + first[3] * second[2],
+        first[2] * second[1] + first[3] * second[3],
+        first[4] * second[0] + first[5] * second[2] + second[4],
+        first[4] * second[1] + first[5] * second[3] + second[5]
+    ];
+}
@@ -0,0 +1,25 @@
+var emf = require("./emf");
+var wmf = require("./wmf");
+
+exports.isMetafile = isMetafile;
+exports.toSvg = toSvg;
+
+
+function isMetafile(contentType) {
+    return /^image\/(x-)?[ew]mf$/.test(contentType);
+}
+
+// Converts the records of an EMF or WMF image to an SVG string. Records that
+// can't be represented in SVG, such as clipping, raster operations and EMF+
+// records, are ignored.
+function toSvg(bytes) {
+    var array = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    var view = new DataView(array.buffer, array.byteOffset, array.byteLength);
+    if (emf.isEmf(view)) {
+        return emf.readEmf(view);
+    } else if (wmf.isWmf(view)) {
+        return wmf.readWmf(view);
+    } else {
+        throw new Error("image is not an EMF or WMF image");
+    }
+}
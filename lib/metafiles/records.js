@@ -0,0 +1,94 @@
+exports.Record = Record;
+
+
+// Reads the values of a single record, with offsets relative to the start of
+// the record. All values are little-endian.
+function Record(view, offset, size) {
+    function int16(at) {
+        return view.getInt16(offset + at, true);
+    }
+
+    function uint16(at) {
+        return view.getUint16(offset + at, true);
+    }
+
+    function int32(at) {
+        return view.getInt32(offset + at, true);
+    }
+
+    function uint32(at) {
+        return view.getUint32(offset + at, true);
+    }
+
+    function float32(at) {
+        return view.getFloat32(offset + at, true);
+    }
+
+    function uint8(at) {
+        return view.getUint8(offset + at);
+    }
+
+    function bytes(at, length) {
+        if (at < 0 || length < 0 || at + length > size) {
+            throw new Error("Record is too short");
+        }
+        return new Uint8Array(view.buffer, view.byteOffset + offset + at, length);
+    }
+
+    function points(at, count, readValue, valueSize) {
+        var result = [];
+        for (var index = 0; index < count; index++) {
+            var pointOffset = at + index * valueSize * 2;
+            result.push({x: readValue(pointOffset), y: readValue(pointOffset + valueSize)});
+        }
+        return result;
+    }
+
+    // COLORREF values store red, green and blue in the lowest three bytes.
+    function color(at) {
+        return "#" + [uint8(at), uint8(at + 1), uint8(at + 2)].map(function(value) {
+            var hex = value.toString(16).toUpperCase();
+            return hex.length === 1 ? "0" + hex : hex;
+        }).join("");
+    }
+
+    // Strings may be padded with null characters.
+    function string(at, length, encoding) {
+        var value = new TextDecoder(encoding).decode(bytes(at, length));
+        var nullIndex = value.indexOf("\u0000");
+        return nullIndex === -1 ? value : value.substring(0, nullIndex);
+    }
+
+    return {
+        size: size,
+        int16: int16,
+        uint16: uint16,
+        int32: int32,
+        uint32: uint32,
+        float32: float32,
+        uint8: uint8,
+        bytes: bytes,
+        color: color,
+        point16: function(at) {
+            return points(at, 1, int16, 2)[0];
+        },
+        point32: function(at) {
+            return points(at, 1, int32, 4)[0];
+        },
+        points16: function(at, count) {
+            return points(at, count, int16, 2);
+        },
+        points32: function(at, count) {
+            return points(at, count, int32, 4);
+        },
+        rectangle32: function(at) {
+            return {left: int32(at), top: int32(at + 4), right: int32(at + 8), bottom: int32(at + 12)};
+        },
+        utf16String: function(at, length) {
+            return string(at, length * 2, "utf-16le");
+        },
+        ansiString: function(at, length) {
+            return string(at, length, "windows-1252");
+        }
+    };
+}
@@ -0,0 +1,277 @@
+var bitmaps = require("./bitmaps");
+var graphics = require("./graphics");
+var Record = require("./records").Record;
+
+exports.isWmf = isWmf;
+exports.readWmf = readWmf;
+
+
+var placeableKey = 0x9AC6CDD7;
+
+var recordFunctions = {
+    eof: 0x0000
+};
+
+function isWmf(view) {
+    if (view.byteLength >= 22 && view.getUint32(0, true) === placeableKey) {
+        return true;
+    }
+    return view.byteLength >= 18 &&
+        (view.getUint16(0, true) === 1 || view.getUint16(0, true) === 2) &&
+        view.getUint16(2, true) === 9;
+}
+
+// See [MS-WMF]: Windows Metafile Format.
+//
+// When a WMF is displayed, it's scaled to fit its frame, so the picture is
+// given by the window, and any mapping mode or viewport in the WMF is
+// ignored.
+function readWmf(view) {
+    var context = {
+        graphics: new graphics.Graphics({pixelsPerMillimetre: {x: 96 / 25.4, y: 96 / 25.4}}),
+        objects: [],
+        windowExtent: null
+    };
+    context.graphics.setMapMode(graphics.mapModes.anisotropic);
+
+    var offset = 0;
+    var size = null;
+    if (view.getUint32(0, true) === placeableKey) {
+        var placeable = new Record(view, 0, 22);
+        var left = placeable.int16(6);
+        var top = placeable.int16(8);
+        var width = placeable.int16(10) - left;
+        var height = placeable.int16(12) - top;
+        var unitsPerInch = placeable.uint16(14) || 1440;
+        setWindowOrigin(context, {x: left, y: top});
+        setWindowExtent(context, {x: width, y: height});
+        size = {width: Math.abs(width) / unitsPerInch * 96, height: Math.abs(height) / unitsPerInch * 96};
+        offset = 22;
+    }
+
+    offset += view.getUint16(offset + 2, true) * 2;
+    while (offset + 6 <= view.byteLength) {
+        var recordSize = view.getUint32(offset, true) * 2;
+        var recordFunction = view.getUint16(offset + 4, true);
+        if (recordSize < 6 || offset + recordSize > view.byteLength) {
+            throw new Error("Invalid WMF record at offset " + offset);
+        }
+        if (recordFunction === recordFunctions.eof) {
+            break;
+        }
+        var readRecord = recordReaders[recordFunction];
+        if (readRecord) {
+            readRecord(new Record(view, offset + 6, recordSize - 6), context);
+        }
+        offset += recordSize;
+    }
+
+    var extent = context.windowExtent || {x: 1, y: 1};
+    var viewBox = {x: 0, y: 0, width: Math.abs(extent.x), height: Math.abs(extent.y)};
+    return context.graphics.toSvg(viewBox, size || viewBox);
+}
+
+function setWindowOrigin(context, origin) {
+    context.graphics.setWindowOrigin(origin);
+}
+
+// The viewport has the same size as the window so that logical units are
+// drawn as device units, flipping the picture if the window has a negative
+// extent.
+function setWindowExtent(context, extent) {
+    context.windowExtent = extent;
+    context.graphics.setWindowExtent(extent);
+    context.graphics.setViewportExtent({x: Math.abs(extent.x), y: Math.abs(extent.y)});
+}
+
+// Objects are stored in the lowest free index of the object table.
+function addObject(context, object) {
+    var index = context.objects.indexOf(null);
+    if (index === -1) {
+        context.objects.push(object);
+    } else {
+        context.objects[index] = object;
+    }
+}
+
+// Points are stored as y followed by x.
+function readPoint(record, at) {
+    return {x: record.int16(at + 2), y: record.int16(at)};
+}
+
+function readBox(record, at) {
+    return {
+        left: record.int16(at + 6),
+        top: record.int16(at + 4),
+        right: record.int16(at + 2),
+        bottom: record.int16(at)
+    };
+}
+
+function polyReader(draw) {
+    return function(record, context) {
+        context.graphics[draw](record.points16(2, record.int16(0)));
+    };
+}
+
+function pointReader(action) {
+    return function(record, context) {
+        action(context, readPoint(record, 0));
+    };
+}
+
+function boxReader(draw) {
+    return function(record, context) {
+        context.graphics[draw](readBox(record, 0));
+    };
+}
+
+function placeholderReader(type) {
+    return function(record, context) {
+        addObject(context, {type: type});
+    };
+}
+
+function readText(record, context, at, point, length) {
+    context.graphics.text(point, record.ansiString(at, length));
+}
+
+// Bitmaps are drawn into the destination, ignoring the source rectangle and
+// any raster operation.
+function bitmapReader(offsets) {
+    return function(record, context) {
+        if (record.size <= offsets.bitmap) {
+            return;
+        }
+        var destination = readPoint(record, offsets.destination);
+        var height = record.int16(offsets.destinationSize);
+        var width = record.int16(offsets.destinationSize + 2);
+        context.graphics.image(
+            {left: destination.x, top: destination.y, right: destination.x + width, bottom: destination.y + height},
+            bitmaps.readPackedBitmap(record.bytes(offsets.bitmap, record.size - offsets.bitmap))
+        );
+    };
+}
+
+var recordReaders = {
+    // META_SAVEDC
+    0x001E: function(record, context) {
+        context.graphics.saveState();
+    },
+    // META_CREATEPALETTE
+    0x00F7: placeholderReader("palette"),
+    // META_SETPOLYFILLMODE
+    0x0106: function(record, context) {
+        context.graphics.setPolyFillMode(record.uint16(0));
+    },
+    // META_RESTOREDC
+    0x0127: function(record, context) {
+        context.graphics.restoreState(record.int16(0));
+    },
+    // META_SELECTOBJECT
+    0x012D: function(record, context) {
+        context.graphics.selectObject(context.objects[record.uint16(0)]);
+    },
+    // META_SETTEXTALIGN
+    0x012E: function(record, context) {
+        context.graphics.setTextAlign(record.uint16(0));
+    },
+    // META_DIBCREATEPATTERNBRUSH. Patterns aren't supported, so areas filled
+    // with pattern brushes are left empty.
+    0x0142: function(record, context) {
+        addObject(context, graphics.brush(graphics.brushStyles["null"], "#000000"));
+    },
+    // META_DELETEOBJECT
+    0x01F0: function(record, context) {
+        var index = record.uint16(0);
+        if (index < context.objects.length) {
+            context.objects[index] = null;
+        }
+    },
+    // META_CREATEPATTERNBRUSH
+    0x01F9: function(record, context) {
+        addObject(context, graphics.brush(graphics.brushStyles["null"], "#000000"));
+    },
+    // META_SETTEXTCOLOR
+    0x0209: function(record, context) {
+        context.graphics.setTextColor(record.color(0));
+    },
+    // META_SETWINDOWORG
+    0x020B: pointReader(setWindowOrigin),
+    // META_SETWINDOWEXT
+    0x020C: pointReader(setWindowExtent),
+    // META_LINETO
+    0x0213: pointReader(function(context, point) {
+        context.graphics.lineTo(point);
+    }),
+    // META_MOVETO
+    0x0214: pointReader(function(context, point) {
+        context.graphics.moveTo(point);
+    }),
+    // META_CREATEPENINDIRECT
+    0x02FA: function(record, context) {
+        addObject(context, graphics.pen(record.uint16(0), record.int16(2), record.color(6)));
+    },
+    // META_CREATEFONTINDIRECT
+    0x02FB: function(record, context) {
+        addObject(context, graphics.font({
+            height: record.int16(0),
+            escapement: record.int16(4),
+            weight: record.int16(8),
+            isItalic: record.uint8(10) !== 0,
+            isUnderline: record.uint8(11) !== 0,
+            isStrikethrough: record.uint8(12) !== 0,
+            faceName: record.ansiString(18, Math.min(32, record.size - 18))
+        }));
+    },
+    // META_CREATEBRUSHINDIRECT
+    0x02FC: function(record, context) {
+        addObject(context, graphics.brush(record.uint16(0), record.color(2)));
+    },
+    // META_POLYGON
+    0x0324: polyReader("polygon"),
+    // META_POLYLINE
+    0x0325: polyReader("polyline"),
+    // META_ELLIPSE
+    0x0418: boxReader("ellipse"),
+    // META_RECTANGLE
+    0x041B: boxReader("rectangle"),
+    // META_TEXTOUT
+    0x0521: function(record, context) {
+        var length = record.int16(0);
+        var pointOffset = 2 + length + length % 2;
+        readText(record, context, 2, readPoint(record, pointOffset), length);
+    },
+    // META_POLYPOLYGON
+    0x0538: function(record, context) {
+        var polygonCount = record.uint16(0);
+        var pointOffset = 2 + polygonCount * 2;
+        var polygons = [];
+        for (var index = 0; index < polygonCount; index++) {
+            var count = record.uint16(2 + index * 2);
+            polygons.push(record.points16(pointOffset, count));
+            pointOffset += count * 4;
+        }
+        context.graphics.polyPolygon(polygons);
+    },
+    // META_ROUNDRECT
+    0x061C: function(record, context) {
+        context.graphics.roundRectangle(readBox(record, 4), readPoint(record, 0));
+    },
+    // META_CREATEREGION
+    0x06FF: placeholderReader("region"),
+    // META_DIBBITBLT
+    0x0940: bitmapReader({destination: 12, destinationSize: 8, bitmap: 16}),
+    // META_EXTTEXTOUT. The string follows a rectangle when the text is
+    // clipped or opaque.
+    0x0A32: function(record, context) {
+        var length = record.int16(4);
+        var options = record.uint16(6);
+        var stringOffset = options & 0x0006 ? 16 : 8;
+        readText(record, context, stringOffset, readPoint(record, 0), length);
+    },
+    // META_DIBSTRETCHBLT
+    0x0B41: bitmapReader({destination: 16, destinationSize: 12, bitmap: 20}),
+    // META_STRETCHDIB
+    0x0F43: bitmapReader({destination: 18, destinationSize: 14, bitmap: 22})
+};
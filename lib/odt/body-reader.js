@@ -0,0 +1,509 @@
+var _ = require("underscore");
+
+var promises = require("../promises");
+var documents = require("../documents");
+var Result = require("../results").Result;
+var warning = require("../results").warning;
+var defaultContentTypes = require("../docx/content-types-reader").defaultContentTypes;
+var formatNumber = require("../docx/numbering-xml").formatNumber;
+var stylesReader = require("./styles-reader");
+
+exports.createBodyReader = createBodyReader;
+
+
+// Reads the body of an OpenDocument text document into the same document
+// model as docx files. Notes and comments are collected while reading, since
+// they are stored where they are referenced. See 5 Text Content of
+// OpenDocument 1.3 Part 3.
+function createBodyReader(options) {
+    var styles = options.styles || stylesReader.defaultStyles;
+    var odtFile = options.odtFile;
+    var files = options.files;
+    var mediaTypes = options.mediaTypes || {};
+
+    var notes = [];
+    var comments = [];
+    var annotationCommentIds = {};
+    var messages = [];
+    var listCounters = {};
+    var previousListCounters = {};
+
+    function readBody(element) {
+        var children = readBlocks(element.children);
+        return new Result({
+            children: children,
+            notes: notes,
+            comments: comments
+        }, messages);
+    }
+
+    function readBlocks(nodes, list) {
+        return _.flatten(nodes.map(function(node) {
+            return readBlock(node, list);
+        }), true);
+    }
+
+    var ignoredElements = [
+        "office:forms",
+        "text:tracked-changes",
+        "text:sequence-decls",
+        "text:variable-decls",
+        "text:user-field-decls",
+        "text:soft-page-break"
+    ];
+
+    function readBlock(node, list) {
+        if (node.type !== "element" || _.contains(ignoredElements, node.name)) {
+            return [];
+        } else if (node.name === "text:p" || node.name === "text:h") {
+            return readParagraph(node, null);
+        } else if (node.name === "text:list") {
+            return readList(node, list);
+        } else if (node.name === "table:table") {
+            return [readTable(node)];
+        } else if (/-source$/.test(node.name)) {
+            // The sources of indexes, such as text:table-of-content-source,
+            // hold templates rather than content.
+            return [];
+        } else {
+            return readBlocks(node.children, list);
+        }
+    }
+
+    function readParagraph(element, numbering) {
+        var style = styles.resolve("paragraph", element.attributes["text:style-name"]);
+        var outlineLevel = element.name === "text:h" ?
+            (element.attributes["text:outline-level"] || style.outlineLevel || "1") :
+            null;
+        var paragraphProperties = _.extend(stylesReader.readParagraphFormatting(style.paragraphProperties), {
+            outlineLevel: outlineLevel === null ? null : String(parseInt(outlineLevel, 10) - 1)
+        });
+        var effectiveProperties = _.extend(stylesReader.readParagraphFormatting(style.effectiveParagraphProperties), {
+            outlineLevel: paragraphProperties.outlineLevel
+        });
+
+        var drawings = [];
+        var children = readInlines(element.children, {
+            textProperties: style.textProperties,
+            effectiveTextProperties: style.effectiveTextProperties,
+            styleId: null,
+            styleName: null,
+            baseStyleNames: [],
+            drawings: drawings
+        });
+
+        var paragraph = documents.Paragraph(children, _.extend(paragraphProperties, {
+            styleId: isDefaultParagraphStyle(style.styleId) ? null : style.styleId,
+            styleName: isDefaultParagraphStyle(style.styleId) ? null : style.styleName,
+            baseStyleNames: style.baseStyleNames,
+            numbering: numbering,
+            effective: effectiveProperties
+        }));
+        return [paragraph].concat(drawings);
+    }
+
+    // The default paragraph style is treated in the same way as paragraphs
+    // without a style, such as paragraphs using the Normal style in docx
+    // files.
+    function isDefaultParagraphStyle(styleId) {
+        return styleId === "Standard";
+    }
+
+    // List items are numbered using the list style of the outermost list,
+    // unless a nested list has its own list style. Lists continue the
+    // numbering of another list when they have text:continue-list or
+    // text:continue-numbering.
+    function readList(element, parentList) {
+        var styleName = element.attributes["text:style-name"] ||
+            (parentList ? parentList.styleName : null);
+        var list = {
+            styleName: styleName,
+            level: parentList ? parentList.level + 1 : 0,
+            counter: parentList ? parentList.counter : findListCounter(element, styleName)
+        };
+
+        return _.flatten(element.children.map(function(item) {
+            if (item.name === "text:list-item" || item.name === "text:list-header") {
+                return readListItem(item, list);
+            } else {
+                return [];
+            }
+        }), true);
+    }
+
+    function findListCounter(element, styleName) {
+        var continuedList = element.attributes["text:continue-list"];
+        var counter;
+        if (continuedList && listCounters[continuedList]) {
+            counter = listCounters[continuedList];
+        } else if (element.attributes["text:continue-numbering"] === "true" && previousListCounters[styleName]) {
+            counter = previousListCounters[styleName];
+        } else {
+            counter = {values: {}};
+        }
+
+        var id = element.attributes["xml:id"];
+        if (id) {
+            listCounters[id] = counter;
+        }
+        previousListCounters[styleName] = counter;
+        return counter;
+    }
+
+    function readListItem(item, list) {
+        var isNumbered = item.name === "text:list-item";
+        var startValue = parseInt(item.attributes["text:start-value"], 10);
+
+        return _.flatten(item.children.map(function(child) {
+            if (child.name === "text:list") {
+                return readList(child, list);
+            } else if ((child.name === "text:p" || child.name === "text:h") && isNumbered) {
+                isNumbered = false;
+                return readParagraph(child, readNumbering(child, list, startValue));
+            } else {
+                return readBlock(child, list);
+            }
+        }), true);
+    }
+
+    function readNumbering(paragraph, list, startValue) {
+        var listStyle = styles.findListStyle(list.styleName) ||
+            styles.findListStyle(styles.resolve("paragraph", paragraph.attributes["text:style-name"]).listStyleName);
+        var levels = listStyle ? listStyle.levels : {};
+        var level = levels[list.level] || defaultListLevel(list.level);
+
+        var values = list.counter.values;
+        if (!isNaN(startValue)) {
+            values[list.level] = startValue;
+        } else {
+            values[list.level] = values[list.level] === undefined ? level.start : values[list.level] + 1;
+        }
+        _.keys(values).forEach(function(key) {
+            if (parseInt(key, 10) > list.level) {
+                delete values[key];
+            }
+        });
+
+        return {
+            isOrdered: level.isOrdered,
+            level: level.level,
+            format: level.format,
+            start: level.start,
+            isLegal: false,
+            value: values[list.level],
+            label: readLabel(levels, level, list.level, values)
+        };
+    }
+
+    function readInlines(nodes, context) {
+        var elements = [];
+        var runChildren = [];
+
+        function flushRun() {
+            if (runChildren.length > 0) {
+                elements.push(documents.Run(runChildren, runProperties(context)));
+                runChildren = [];
+            }
+        }
+
+        nodes.forEach(function(node) {
+            var result = readInline(node, context);
+            if (result.runChildren) {
+                runChildren = runChildren.concat(result.runChildren);
+            } else {
+                flushRun();
+                elements = elements.concat(result.elements);
+            }
+        });
+        flushRun();
+
+        return elements;
+    }
+
+    function runProperties(context) {
+        return _.extend(stylesReader.readRunFormatting(context.textProperties), {
+            styleId: context.styleId,
+            styleName: context.styleName,
+            baseStyleNames: context.baseStyleNames,
+            effective: stylesReader.readRunFormatting(context.effectiveTextProperties)
+        });
+    }
+
+    function runChildrenResult(children) {
+        return {runChildren: children};
+    }
+
+    function elementsResult(elements) {
+        return {elements: elements};
+    }
+
+    var inlineReaders = {
+        "text:s": function(element) {
+            var count = parseInt(element.attributes["text:c"], 10) || 1;
+            return runChildrenResult([documents.Text(new Array(count + 1).join(" "))]);
+        },
+        "text:tab": function() {
+            return runChildrenResult([documents.Tab()]);
+        },
+        "text:line-break": function() {
+            return runChildrenResult([documents.lineBreak]);
+        },
+        "text:span": function(element, context) {
+            return elementsResult(readInlines(element.children, spanContext(element, context)));
+        },
+        "text:a": readHyperlink,
+        "draw:a": readHyperlink,
+        "text:bookmark": readBookmark,
+        "text:bookmark-start": readBookmark,
+        "text:note": readNote,
+        "office:annotation": readAnnotation,
+        "office:annotation-end": readAnnotationEnd,
+        "draw:frame": readFrame
+    };
+
+    var ignoredInlineElements = [
+        "text:bookmark-end",
+        "text:soft-page-break",
+        "text:change",
+        "text:change-start",
+        "text:change-end"
+    ];
+
+    function readInline(node, context) {
+        if (node.type === "text") {
+            return runChildrenResult([documents.Text(node.value.replace(/[ \t\r\n]+/g, " "))]);
+        } else if (node.type !== "element" || _.contains(ignoredInlineElements, node.name)) {
+            return elementsResult([]);
+        } else if (inlineReaders[node.name]) {
+            return inlineReaders[node.name](node, context);
+        } else if (/^draw:/.test(node.name)) {
+            return readShape(node, context);
+        } else {
+            // Fields, such as text:page-number and text:date, contain the
+            // text of their value.
+            return elementsResult(readInlines(node.children, context));
+        }
+    }
+
+    function spanContext(element, context) {
+        var style = styles.resolve("text", element.attributes["text:style-name"]);
+        return _.extend({}, context, {
+            textProperties: _.extend({}, context.textProperties, style.textProperties),
+            effectiveTextProperties: _.extend({}, context.effectiveTextProperties, style.effectiveTextProperties),
+            styleId: style.styleId || context.styleId,
+            styleName: style.styleId ? style.styleName : context.styleName,
+            baseStyleNames: style.styleId ? style.baseStyleNames : context.baseStyleNames
+        });
+    }
+
+    function readHyperlink(element, context) {
+        var href = element.attributes["xlink:href"] || "";
+        var targetFrame = element.attributes["office:target-frame-name"];
+        var options = href.charAt(0) === "#" ?
+            {anchor: href.substring(1)} :
+            {href: href};
+        if (targetFrame && targetFrame !== "_self") {
+            options.targetFrame = targetFrame;
+        }
+        return elementsResult([documents.Hyperlink(readInlines(element.children, context), options)]);
+    }
+
+    function readBookmark(element) {
+        return elementsResult([documents.BookmarkStart({name: element.attributes["text:name"]})]);
+    }
+
+    function readNote(element) {
+        var noteType = element.attributes["text:note-class"] === "endnote" ? "endnote" : "footnote";
+        var noteId = element.attributes["text:id"] || String(notes.length);
+        notes.push(documents.Note({
+            noteType: noteType,
+            noteId: noteId,
+            body: readBlocks(element.firstOrEmpty("text:note-body").children)
+        }));
+        return runChildrenResult([documents.NoteReference({noteType: noteType, noteId: noteId})]);
+    }
+
+    // Annotations that apply to a range of content have a name, which is used
+    // by the office:annotation-end element at the end of the range.
+    function readAnnotation(element, context) {
+        var commentId = String(comments.length);
+        var name = element.attributes["office:name"];
+        var initials = element.first("meta:creator-initials");
+        comments.push(documents.comment({
+            commentId: commentId,
+            body: readBlocks(element.children.filter(function(child) {
+                return !/^(dc|meta):/.test(child.name);
+            })),
+            authorName: readElementText(element.first("dc:creator")),
+            authorInitials: readElementText(initials),
+            date: readElementText(element.first("dc:date"))
+        }));
+        var reference = documents.commentReference({commentId: commentId});
+        if (name) {
+            annotationCommentIds[name] = commentId;
+            return elementsResult([
+                documents.Run([reference], runProperties(context)),
+                documents.commentRangeStart({commentId: commentId})
+            ]);
+        } else {
+            return runChildrenResult([reference]);
+        }
+    }
+
+    function readAnnotationEnd(element) {
+        var commentId = annotationCommentIds[element.attributes["office:name"]];
+        return elementsResult(commentId === undefined ? [] : [documents.commentRangeEnd({commentId: commentId})]);
+    }
+
+    function readFrame(element, context) {
+        var image = element.first("draw:image");
+        if (image) {
+            return readImage(element, image);
+        } else {
+            return readShape(element, context);
+        }
+    }
+
+    // The text of text boxes and other shapes is read as a drawing after the
+    // paragraph containing the shape.
+    function readShape(element, context) {
+        var children = readBlocks(element.children);
+        if (children.length > 0) {
+            context.drawings.push(documents.Drawing(children, {
+                drawingType: "shape",
+                name: element.attributes["draw:name"],
+                altText: readAltText(element)
+            }));
+        }
+        return elementsResult([]);
+    }
+
+    function readImage(frame, image) {
+        var path = image.attributes["xlink:href"] || "";
+        var readImageData = findImage(image, path);
+        if (!readImageData) {
+            messages.push(warning("Could not find image file: " + path));
+            return elementsResult([]);
+        }
+
+        return runChildrenResult([documents.Image({
+            readImage: readImageData,
+            altText: readAltText(frame),
+            contentType: mediaTypes[path] || defaultContentTypes.findContentType(path),
+            name: frame.attributes["draw:name"],
+            size: readSize(frame)
+        })]);
+    }
+
+    function findImage(image, path) {
+        var binaryData = image.first("office:binary-data");
+        if (binaryData) {
+            var buffer = Buffer.from(readElementText(binaryData).replace(/\s/g, ""), "base64");
+            return function(encoding) {
+                return promises.resolve(encoding ? buffer.toString(encoding) : buffer);
+            };
+        } else if (odtFile.exists(path)) {
+            return odtFile.read.bind(odtFile, path);
+        } else if (path) {
+            // Relative paths outside of the package start with "../", and
+            // are relative to the directory containing the document.
+            return files.read.bind(files, path.replace(/^\.\.\//, ""));
+        } else {
+            return null;
+        }
+    }
+
+    function readAltText(frame) {
+        return readElementText(frame.first("svg:title")) || readElementText(frame.first("svg:desc"));
+    }
+
+    function readSize(frame) {
+        var width = stylesReader.lengthToInches(frame.attributes["svg:width"]);
+        var height = stylesReader.lengthToInches(frame.attributes["svg:height"]);
+        if (width === null || height === null) {
+            return null;
+        } else {
+            return {width: Math.round(width * 96), height: Math.round(height * 96)};
+        }
+    }
+
+    function readTable(element) {
+        var style = styles.resolve("table", element.attributes["table:style-name"]);
+        return documents.Table(readTableRows(element.children, false), {
+            styleId: style.styleId,
+            styleName: style.styleName,
+            baseStyleNames: style.baseStyleNames
+        });
+    }
+
+    function readTableRows(nodes, isHeader) {
+        return _.flatten(nodes.map(function(node) {
+            if (node.name === "table:table-row") {
+                var row = documents.TableRow(readTableCells(node), {isHeader: isHeader});
+                return repeat(row, node.attributes["table:number-rows-repeated"]);
+            } else if (node.name === "table:table-header-rows") {
+                return readTableRows(node.children, true);
+            } else if (node.name === "table:table-rows" || node.name === "table:table-row-group") {
+                return readTableRows(node.children, isHeader);
+            } else {
+                return [];
+            }
+        }), true);
+    }
+
+    // Cells covered by cells that span several columns or rows are
+    // table:covered-table-cell elements, and are ignored.
+    function readTableCells(row) {
+        return _.flatten(row.getElementsByTagName("table:table-cell").map(function(cell) {
+            var tableCell = documents.TableCell(readBlocks(cell.children), {
+                colSpan: parseInt(cell.attributes["table:number-columns-spanned"], 10) || 1,
+                rowSpan: parseInt(cell.attributes["table:number-rows-spanned"], 10) || 1
+            });
+            return repeat(tableCell, cell.attributes["table:number-columns-repeated"]);
+        }), true);
+    }
+
+    return {
+        readBody: readBody
+    };
+}
+
+function repeat(element, count) {
+    return _.times(parseInt(count, 10) || 1, _.constant(element));
+}
+
+function readElementText(element) {
+    if (!element) {
+        return null;
+    }
+    return element.children.map(function(child) {
+        return child.type === "text" ? child.value : readElementText(child);
+    }).join("");
+}
+
+function defaultListLevel(level) {
+    return {
+        isOrdered: false,
+        level: String(level),
+        format: "bullet",
+        start: 1,
+        displayLevels: 1,
+        prefix: "",
+        suffix: "",
+        bulletChar: ""
+    };
+}
+
+// The label of a numbered level includes the numbers of as many levels as
+// text:display-levels, such as "3.2.a".
+function readLabel(levels, level, levelIndex, values) {
+    if (!level.isOrdered) {
+        return level.bulletChar;
+    }
+    var numbers = _.range(Math.max(0, levelIndex - level.displayLevels + 1), levelIndex + 1).map(function(index) {
+        var displayedLevel = levels[index] || level;
+        var value = values[index] === undefined ? displayedLevel.start : values[index];
+        return formatNumber(value, index === levelIndex ? level.format : displayedLevel.format);
+    });
+    return level.prefix + numbers.join(".") + level.suffix;
+}
@@ -0,0 +1,68 @@
+var documents = require("../documents");
+
+exports.readMetaXml = readMetaXml;
+
+
+// See 4 Metadata Elements of OpenDocument 1.3 Part 3. The initial creator is
+// the author, while the creator is the person who last modified the document.
+function readMetaXml(root) {
+    var meta = root.firstOrEmpty("office:meta");
+    var statistics = meta.firstOrEmpty("meta:document-statistic").attributes;
+    var keywords = meta.getElementsByTagName("meta:keyword").map(elementText);
+
+    var custom = {};
+    meta.getElementsByTagName("meta:user-defined").forEach(function(element) {
+        var name = element.attributes["meta:name"];
+        if (name) {
+            custom[name] = readUserDefinedValue(element);
+        }
+    });
+
+    return documents.DocumentProperties({
+        title: readText(meta, "dc:title"),
+        subject: readText(meta, "dc:subject"),
+        author: readText(meta, "meta:initial-creator"),
+        keywords: keywords.length > 0 ? keywords.join(", ") : null,
+        description: readText(meta, "dc:description"),
+        lastModifiedBy: readText(meta, "dc:creator"),
+        revision: readText(meta, "meta:editing-cycles"),
+        created: readText(meta, "meta:creation-date"),
+        modified: readText(meta, "dc:date"),
+        application: readText(meta, "meta:generator"),
+        template: meta.firstOrEmpty("meta:template").attributes["xlink:title"] || null,
+        pages: readInteger(statistics["meta:page-count"]),
+        words: readInteger(statistics["meta:word-count"]),
+        characters: readInteger(statistics["meta:character-count"]),
+        paragraphs: readInteger(statistics["meta:paragraph-count"]),
+        custom: custom
+    });
+}
+
+function readUserDefinedValue(element) {
+    var text = elementText(element);
+    var valueType = element.attributes["meta:value-type"];
+    if (valueType === "boolean") {
+        return text === "true";
+    } else if (valueType === "float" || valueType === "percentage") {
+        var number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    } else {
+        return text;
+    }
+}
+
+function readText(element, name) {
+    var child = element.first(name);
+    return child ? (elementText(child) || null) : null;
+}
+
+function readInteger(value) {
+    var integer = parseInt(value, 10);
+    return isNaN(integer) ? null : integer;
+}
+
+function elementText(element) {
+    return element.children.map(function(child) {
+        return child.type === "text" ? child.value : elementText(child);
+    }).join("");
+}
@@ -0,0 +1,42 @@
+var promises = require("../promises");
+var xml = require("../xml");
+
+
+exports.read = read;
+exports.readXmlFromZipFile = readXmlFromZipFile;
+
+var xmlNamespaceMap = {
+    "urn:oasis:names:tc:opendocument:xmlns:office:1.0": "office",
+    "urn:oasis:names:tc:opendocument:xmlns:style:1.0": "style",
+    "urn:oasis:names:tc:opendocument:xmlns:text:1.0": "text",
+    "urn:oasis:names:tc:opendocument:xmlns:table:1.0": "table",
+    "urn:oasis:names:tc:opendocument:xmlns:drawing:1.0": "draw",
+    "urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0": "fo",
+    "urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0": "svg",
+    "urn:oasis:names:tc:opendocument:xmlns:meta:1.0": "meta",
+    "urn:oasis:names:tc:opendocument:xmlns:manifest:1.0": "manifest",
+    "http://www.w3.org/1999/xlink": "xlink",
+    "http://purl.org/dc/elements/1.1/": "dc",
+    "http://www.w3.org/XML/1998/namespace": "xml"
+};
+
+
+function read(xmlString) {
+    return xml.readString(xmlString, xmlNamespaceMap);
+}
+
+
+function readXmlFromZipFile(odtFile, path) {
+    if (odtFile.exists(path)) {
+        return odtFile.read(path, "utf-8")
+            .then(stripUtf8Bom)
+            .then(read);
+    } else {
+        return promises.resolve(null);
+    }
+}
+
+
+function stripUtf8Bom(xmlString) {
+    return xmlString.replace(/^\uFEFF/g, '');
+}
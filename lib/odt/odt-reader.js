@@ -0,0 +1,89 @@
+var promises = require("../promises");
+var documents = require("../documents");
+var results = require("../results");
+var Files = require("../docx/files").Files;
+
+var readXmlFromZipFile = require("./odf-xml-reader").readXmlFromZipFile;
+var stylesReader = require("./styles-reader");
+var readMetaXml = require("./meta-reader").readMetaXml;
+var createBodyReader = require("./body-reader").createBodyReader;
+
+
+exports.read = read;
+exports.isOdtFile = isOdtFile;
+
+
+var odtMimeTypes = [
+    "application/vnd.oasis.opendocument.text",
+    "application/vnd.oasis.opendocument.text-template"
+];
+
+// The first entry of an OpenDocument package is a file named "mimetype"
+// containing the media type of the document. See 3.3 MIME Media Type of
+// OpenDocument 1.3 Part 2.
+function isOdtFile(file) {
+    if (file.exists("mimetype")) {
+        return file.read("mimetype", "utf-8").then(function(mimeType) {
+            return odtMimeTypes.indexOf(mimeType.trim()) !== -1;
+        });
+    } else {
+        return promises.resolve(false);
+    }
+}
+
+function read(odtFile, input) {
+    input = input || {};
+
+    return promises.props({
+        content: readXmlFromZipFile(odtFile, "content.xml"),
+        styles: readXmlFromZipFile(odtFile, "styles.xml"),
+        properties: readPropertiesFromZipFile(odtFile),
+        manifest: readXmlFromZipFile(odtFile, "META-INF/manifest.xml")
+    }).then(function(result) {
+        if (!result.content) {
+            throw new Error("Could not find content.xml. Are you sure this is a valid .odt file?");
+        }
+
+        var bodyReader = createBodyReader({
+            styles: stylesReader.readStyles([result.styles, result.content]),
+            odtFile: odtFile,
+            files: input.path ? Files.relativeToFile(input.path) : new Files(null),
+            mediaTypes: readManifestMediaTypes(result.manifest)
+        });
+        var text = result.content.firstOrEmpty("office:body").firstOrEmpty("office:text");
+        return result.properties.flatMap(function(properties) {
+            return bodyReader.readBody(text).map(function(body) {
+                return documents.Document(body.children, {
+                    notes: new documents.Notes(body.notes),
+                    comments: body.comments,
+                    properties: properties
+                });
+            });
+        });
+    });
+}
+
+// Document properties don't affect the content of the document, so meta.xml
+// is treated as empty, with a warning, when it can't be read.
+function readPropertiesFromZipFile(odtFile) {
+    return readXmlFromZipFile(odtFile, "meta.xml").then(function(meta) {
+        return new results.Result(meta ? readMetaXml(meta) : documents.DocumentProperties({}));
+    }, function(error) {
+        return new results.Result(documents.DocumentProperties({}), [
+            results.warning("Could not read document properties from meta.xml: " + error.message)
+        ]);
+    });
+}
+
+function readManifestMediaTypes(manifest) {
+    var mediaTypes = {};
+    if (manifest) {
+        manifest.getElementsByTagName("manifest:file-entry").forEach(function(entry) {
+            var mediaType = entry.attributes["manifest:media-type"];
+            if (mediaType) {
+                mediaTypes[entry.attributes["manifest:full-path"]] = mediaType;
+            }
+        });
+    }
+    return mediaTypes;
+}
@@ -0,0 +1,235 @@
+var _ = require("underscore");
+
+var documents = require("../documents");
+
+exports.readStyles = readStyles;
+exports.Styles = Styles;
+exports.defaultStyles = new Styles({}, {});
+exports.readRunFormatting = readRunFormatting;
+exports.readParagraphFormatting = readParagraphFormatting;
+exports.lengthToInches = lengthToInches;
+
+
+// Styles are read from the office:styles and office:automatic-styles of
+// styles.xml and content.xml. Automatic styles hold direct formatting, and are
+// usually based on a named style. See 16 Styles of OpenDocument 1.3 Part 3.
+function readStyles(roots) {
+    var styles = {};
+    var listStyles = {};
+
+    _.compact(roots).forEach(function(root) {
+        ["office:styles", "office:automatic-styles"].forEach(function(containerName) {
+            var container = root.firstOrEmpty(containerName);
+            var isAutomatic = containerName === "office:automatic-styles";
+
+            container.children.forEach(function(element) {
+                var name = element.attributes["style:name"];
+                if (element.name === "style:style") {
+                    styles[styleKey(element.attributes["style:family"], name)] = readStyle(element, isAutomatic);
+                } else if (element.name === "text:list-style") {
+                    listStyles[name] = readListStyle(element);
+                }
+            });
+        });
+    });
+
+    return new Styles(styles, listStyles);
+}
+
+function readStyle(element, isAutomatic) {
+    var name = element.attributes["style:name"];
+    return {
+        name: name,
+        displayName: element.attributes["style:display-name"] || decodeStyleName(name),
+        parentName: element.attributes["style:parent-style-name"] || null,
+        isAutomatic: isAutomatic,
+        listStyleName: element.attributes["style:list-style-name"] || null,
+        defaultOutlineLevel: element.attributes["style:default-outline-level"] || null,
+        textProperties: element.firstOrEmpty("style:text-properties").attributes,
+        paragraphProperties: element.firstOrEmpty("style:paragraph-properties").attributes
+    };
+}
+
+// Characters that aren't allowed in style names are encoded as "_xx_", where
+// xx is the hexadecimal character code, such as "Heading_20_1".
+function decodeStyleName(name) {
+    return name.replace(/_([0-9a-fA-F]{2,4})_/g, function(match, code) {
+        return String.fromCharCode(parseInt(code, 16));
+    });
+}
+
+function readListStyle(element) {
+    var levels = {};
+    element.children.forEach(function(levelElement) {
+        var level = parseInt(levelElement.attributes["text:level"], 10) - 1;
+        if (!isNaN(level)) {
+            levels[level] = readListLevel(levelElement, level);
+        }
+    });
+    return {levels: levels};
+}
+
+var numberFormats = {
+    "1": "decimal",
+    "a": "lowerLetter",
+    "A": "upperLetter",
+    "i": "lowerRoman",
+    "I": "upperRoman",
+    "": "none"
+};
+
+function readListLevel(element, level) {
+    var isNumbered = element.name === "text:list-level-style-number";
+    var numFormat = element.attributes["style:num-format"];
+    return {
+        isOrdered: isNumbered,
+        level: String(level),
+        format: isNumbered ? (numberFormats[numFormat] || "decimal") : "bullet",
+        start: isNumbered ? (parseInt(element.attributes["text:start-value"], 10) || 1) : 1,
+        isLegal: false,
+        displayLevels: parseInt(element.attributes["text:display-levels"], 10) || 1,
+        prefix: element.attributes["style:num-prefix"] || "",
+        suffix: element.attributes["style:num-suffix"] || "",
+        bulletChar: element.attributes["text:bullet-char"] || ""
+    };
+}
+
+function Styles(styles, listStyles) {
+    this._styles = styles;
+    this._listStyles = listStyles;
+}
+
+Styles.prototype.findStyle = function(family, name) {
+    return name ? (this._styles[styleKey(family, name)] || null) : null;
+};
+
+Styles.prototype.findListStyle = function(name) {
+    return name ? (this._listStyles[name] || null) : null;
+};
+
+// The chain starts with the style itself, followed by the styles that it is
+// based on, nearest first.
+Styles.prototype.styleChain = function(family, name) {
+    var chain = [];
+    var style = this.findStyle(family, name);
+    while (style && !_.contains(chain, style)) {
+        chain.push(style);
+        style = this.findStyle(family, style.parentName);
+    }
+    return chain;
+};
+
+// Resolves a style into the properties of the model, with the nearest named
+// style as the style of the element, and the properties of automatic styles
+// as direct formatting.
+Styles.prototype.resolve = function(family, name) {
+    var chain = this.styleChain(family, name);
+    var namedStyleIndex = _.findIndex(chain, function(style) {
+        return !style.isAutomatic;
+    });
+    var automaticStyles = namedStyleIndex === -1 ? chain : chain.slice(0, namedStyleIndex);
+    var namedStyles = chain.slice(automaticStyles.length);
+    var namedStyle = namedStyles[0] || null;
+
+    return {
+        styleId: namedStyle ? namedStyle.name : null,
+        styleName: namedStyle ? namedStyle.displayName : null,
+        baseStyleNames: _.pluck(namedStyles.slice(1), "displayName"),
+        listStyleName: _.find(_.pluck(chain, "listStyleName"), _.identity) || null,
+        outlineLevel: _.find(_.pluck(chain, "defaultOutlineLevel"), _.identity) || null,
+        textProperties: mergeProperties(automaticStyles, "textProperties"),
+        effectiveTextProperties: mergeProperties(chain, "textProperties"),
+        paragraphProperties: mergeProperties(automaticStyles, "paragraphProperties"),
+        effectiveParagraphProperties: mergeProperties(chain, "paragraphProperties")
+    };
+};
+
+function mergeProperties(chain, key) {
+    return _.extend.apply(_, [{}].concat(_.pluck(chain, key).reverse()));
+}
+
+function styleKey(family, name) {
+    return family + ":" + name;
+}
+
+// See 20 Formatting Properties of OpenDocument 1.3 Part 3.
+function readRunFormatting(properties) {
+    var textPosition = (properties["style:text-position"] || "").split(/\s+/)[0];
+    var fontSize = lengthToInches(properties["fo:font-size"]);
+    return {
+        isBold: properties["fo:font-weight"] === "bold" || parseInt(properties["fo:font-weight"], 10) >= 600,
+        isItalic: properties["fo:font-style"] === "italic" || properties["fo:font-style"] === "oblique",
+        isUnderline: isLineStyle(properties["style:text-underline-style"]),
+        isStrikethrough: isLineStyle(properties["style:text-line-through-style"]),
+        isAllCaps: properties["fo:text-transform"] === "uppercase",
+        isSmallCaps: properties["fo:font-variant"] === "small-caps",
+        verticalAlignment: readVerticalAlignment(textPosition),
+        font: properties["style:font-name"] || properties["fo:font-family"] || null,
+        fontSize: fontSize === null ? null : Math.round(fontSize * 72 * 2) / 2,
+        color: readColor(properties["fo:color"]),
+        shading: readColor(properties["fo:background-color"]),
+        isHidden: properties["text:display"] === "none",
+        language: readLanguage(properties["fo:language"], properties["fo:country"])
+    };
+}
+
+function readParagraphFormatting(properties) {
+    var textIndent = lengthToTwips(properties["fo:text-indent"]);
+    return {
+        alignment: properties["fo:text-align"] === "justify" ? "both" : (properties["fo:text-align"] || null),
+        indent: {
+            start: lengthToTwips(properties["fo:margin-left"]),
+            end: lengthToTwips(properties["fo:margin-right"]),
+            firstLine: textIndent !== null && textIndent.charAt(0) !== "-" ? textIndent : null,
+            hanging: textIndent !== null && textIndent.charAt(0) === "-" ? textIndent.substring(1) : null
+        }
+    };
+}
+
+function isLineStyle(value) {
+    return !!value && value !== "none";
+}
+
+function readVerticalAlignment(textPosition) {
+    if (textPosition === "super" || parseFloat(textPosition) > 0) {
+        return documents.verticalAlignment.superscript;
+    } else if (textPosition === "sub" || parseFloat(textPosition) < 0) {
+        return documents.verticalAlignment.subscript;
+    } else {
+        return documents.verticalAlignment.baseline;
+    }
+}
+
+function readColor(value) {
+    return /^#[0-9a-fA-F]{6}$/.test(value || "") ? value.substring(1).toUpperCase() : null;
+}
+
+function readLanguage(language, country) {
+    if (!language || language === "none") {
+        return null;
+    } else if (country && country !== "none") {
+        return language + "-" + country;
+    } else {
+        return language;
+    }
+}
+
+var inchesPerUnit = {
+    "in": 1,
+    "cm": 1 / 2.54,
+    "mm": 1 / 25.4,
+    "pt": 1 / 72,
+    "pc": 1 / 6,
+    "px": 1 / 96
+};
+
+function lengthToInches(value) {
+    var match = /^(-?[0-9]*\.?[0-9]+)(in|cm|mm|pt|pc|px)$/.exec(value || "");
+    return match ? parseFloat(match[1]) * inchesPerUnit[match[2]] : null;
+}
+
+// Indents are stored as twentieths of a point, the same as in docx files.
+function lengthToTwips(value) {
+    var inches = lengthToInches(value);
+    return inches === null ? null : String(Math.round(inches * 1440));
+}
@@ -68,8 +68,22 @@ var standardOptions = exports._standardOptions = {
     includeEmbeddedStyleMap: true
 };
 
+// The values that can be used for options that select a mode of conversion.
+var optionValues = exports._optionValues = {
+    trackedChanges: ["accept", "reject", "show"],
+    tableOfContents: ["preserve", "regenerate", "remove"],
+    formControls: ["inputs", "values"],
+    headingNumbers: ["list", "text", "attribute"],
+    charts: ["table", "svg", "ignore"],
+    tableFormatting: ["ignore", "style"],
+    resolvedComments: ["show", "hide"],
+    footnotes: ["end", "section", "heading", "inline"],
+    endnotes: ["combined", "separate"]
+};
+
 function readOptions(options) {
     options = options || {};
+    validateOptions(options);
     return _.extend({}, standardOptions, options, {
         customStyleMap: readStyleMap(options.styleMap),
         readStyleMap: function() {
@@ -85,6 +99,29 @@ function readOptions(options) {
     });
 }
 
+function validateOptions(options) {
+    _.each(optionValues, function(values, name) {
+        var value = options[name];
+        if (isSet(value) && !_.contains(values, value)) {
+            throw new Error(
+                "Unrecognised value for option " + name + ": " + JSON.stringify(value) +
+                " (expected one of: " + values.join(", ") + ")"
+            );
+        }
+    });
+    var headingLevel = options.footnotesHeadingLevel;
+    if (isSet(headingLevel) && !(headingLevel % 1 === 0 && headingLevel >= 1 && headingLevel <= 6)) {
+        throw new Error(
+            "Unrecognised value for option footnotesHeadingLevel: " + JSON.stringify(headingLevel) +
+            " (expected an integer from 1 to 6)"
+        );
+    }
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
 function readStyleMap(styleMap) {
     if (!styleMap) {
         return [];
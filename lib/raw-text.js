@@ -1,3 +1,5 @@
+var _ = require("underscore");
+
 var documents = require("./documents");
 
 function convertElementToRawText(element) {
@@ -5,10 +7,23 @@ function convertElementToRawText(element) {
         return element.value;
     } else if (element.type === documents.types.tab) {
         return "\t";
+    } else if (element.type === documents.types.textInput) {
+        return element.value;
+    } else if (element.type === documents.types.dropdown) {
+        return dropdownText(element);
+    } else if (element.type === documents.types.dateInput) {
+        return element.displayText;
     } else {
         var tail = element.type === "paragraph" ? "\n\n" : "";
         return (element.children || []).map(convertElementToRawText).join("") + tail;
     }
 }
 
+// The text of a dropdown is the display text of the selected item, or the
+// value if no item has that value.
+function dropdownText(element) {
+    var selectedItem = _.findWhere(element.items, {value: element.value});
+    return (selectedItem ? selectedItem.displayText : element.value) || "";
+}
+
 exports.convertElementToRawText = convertElementToRawText;
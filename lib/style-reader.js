@@ -90,13 +90,53 @@ function documentMatcherRule() {
 
     var styleNameRule = lop.rules.sequence(
         lop.rules.tokenOfType("open-square-bracket"),
-        lop.rules.sequence.cut(),
         lop.rules.token("identifier", "style-name"),
+        lop.rules.sequence.cut(),
         lop.rules.sequence.capture(styleNameMatcherRule),
         lop.rules.tokenOfType("close-square-bracket")
     ).head();
 
 
+    var baseStyleNameRule = lop.rules.sequence(
+        lop.rules.tokenOfType("open-square-bracket"),
+        lop.rules.token("identifier", "based-on"),
+        lop.rules.sequence.cut(),
+        lop.rules.sequence.capture(styleNameMatcherRule),
+        lop.rules.tokenOfType("close-square-bracket")
+    ).map(function(options) {
+        return {baseStyleName: options.styleName};
+    });
+
+    function matcherAttributeRule(name, valueRule, createOptions) {
+        return lop.rules.then(
+            sequence(
+                lop.rules.tokenOfType("open-square-bracket"),
+                lop.rules.token("identifier", name),
+                sequence.cut(),
+                lop.rules.tokenOfType("equals"),
+                sequence.capture(valueRule),
+                lop.rules.tokenOfType("close-square-bracket")
+            ).head(),
+            createOptions
+        );
+    }
+
+    var colorRule = matcherAttributeRule("color", stringRule, function(color) {
+        return {color: color.replace(/^#/, "")};
+    });
+
+    function pseudoClassRule(name, options) {
+        return lop.rules.then(
+            sequence(
+                lop.rules.tokenOfType("colon"),
+                lop.rules.token("identifier", name)
+            ),
+            function() {
+                return options;
+            }
+        );
+    }
+
     var listTypeRule = lop.rules.firstOf("list type",
         identifierToConstant("ordered-list", {isOrdered: true}),
         identifierToConstant("unordered-list", {isOrdered: false})
@@ -137,7 +177,9 @@ function documentMatcherRule() {
         sequence.capture(createMatcherSuffixesRule([
             styleIdRule,
             styleNameRule,
-            listRule
+            baseStyleNameRule,
+            listRule,
+            colorRule
         ]))
     ).map(function(createMatcher, matcherOptions) {
         return createMatcher(matcherOptions);
@@ -147,12 +189,40 @@ function documentMatcherRule() {
         lop.rules.token("identifier", "table"),
         sequence.capture(createMatcherSuffixesRule([
             styleIdRule,
-            styleNameRule
+            styleNameRule,
+            baseStyleNameRule
         ]))
     ).map(function(options) {
         return documentMatchers.table(options);
     });
 
+    var tableRow = sequence(
+        lop.rules.token("identifier", "tr"),
+        sequence.capture(createMatcherSuffixesRule([
+            pseudoClassRule("header", {isHeader: true}),
+            pseudoClassRule("first", {isFirst: true}),
+            pseudoClassRule("last", {isLast: true}),
+            pseudoClassRule("odd", {isOdd: true}),
+            pseudoClassRule("even", {isEven: true})
+        ]))
+    ).map(function(options) {
+        return documentMatchers.tableRow(options);
+    });
+
+    var tableCell = sequence(
+        lop.rules.token("identifier", "td"),
+        sequence.capture(createMatcherSuffixesRule([
+            pseudoClassRule("header", {isHeader: true}),
+            pseudoClassRule("first-column", {isFirstColumn: true}),
+            pseudoClassRule("last-column", {isLastColumn: true}),
+            matcherAttributeRule("shading", stringRule, function(shading) {
+                return {shading: shading.replace(/^#/, "")};
+            })
+        ]))
+    ).map(function(options) {
+        return documentMatchers.tableCell(options);
+    });
+
     var bold = identifierToConstant("b", documentMatchers.bold);
     var italic = identifierToConstant("i", documentMatchers.italic);
     var underline = identifierToConstant("u", documentMatchers.underline);
@@ -176,7 +246,68 @@ function documentMatcherRule() {
         });
     });
 
+    var field = sequence(
+        lop.rules.token("identifier", "field"),
+        lop.rules.sequence.capture(lop.rules.optional(lop.rules.sequence(
+            lop.rules.tokenOfType("open-square-bracket"),
+            lop.rules.sequence.cut(),
+            lop.rules.token("identifier", "type"),
+            lop.rules.tokenOfType("equals"),
+            lop.rules.sequence.capture(stringRule),
+            lop.rules.tokenOfType("close-square-bracket")
+        ).head()))
+    ).map(function(fieldType) {
+        return documentMatchers.field({
+            fieldType: fieldType.valueOrElse(undefined)
+        });
+    });
+
     var commentReference = identifierToConstant("comment-reference", documentMatchers.commentReference);
+    var commentRange = identifierToConstant("comment-range", documentMatchers.commentRange);
+    var header = identifierToConstant("header", documentMatchers.header);
+    var footer = identifierToConstant("footer", documentMatchers.footer);
+
+    var section = sequence(
+        lop.rules.token("identifier", "section"),
+        sequence.capture(createMatcherSuffixesRule([
+            matcherAttributeRule("columns", integerRule, function(columns) {
+                return {columns: parseInt(columns, 10)};
+            }),
+            matcherAttributeRule("orientation", stringRule, function(orientation) {
+                return {orientation: orientation};
+            }),
+            matcherAttributeRule("type", stringRule, function(breakType) {
+                return {breakType: breakType};
+            })
+        ]))
+    ).map(function(options) {
+        return documentMatchers.section(options);
+    });
+
+    var structuredDocumentTag = sequence(
+        lop.rules.token("identifier", "sdt"),
+        sequence.capture(createMatcherSuffixesRule([
+            matcherAttributeRule("tag", stringRule, function(tag) {
+                return {tag: tag};
+            }),
+            matcherAttributeRule("alias", stringRule, function(alias) {
+                return {alias: alias};
+            })
+        ]))
+    ).map(function(options) {
+        return documentMatchers.structuredDocumentTag(options);
+    });
+
+    var drawing = sequence(
+        lop.rules.token("identifier", "drawing"),
+        sequence.capture(createMatcherSuffixesRule([
+            matcherAttributeRule("type", stringRule, function(drawingType) {
+                return {drawingType: drawingType};
+            })
+        ]))
+    ).map(function(options) {
+        return documentMatchers.drawing(options);
+    });
 
     var breakMatcher = sequence(
         lop.rules.token("identifier", "br"),
@@ -202,6 +333,8 @@ function documentMatcherRule() {
     return lop.rules.firstOf("element type",
         paragraphOrRun,
         table,
+        tableRow,
+        tableCell,
         bold,
         italic,
         underline,
@@ -210,6 +343,13 @@ function documentMatcherRule() {
         smallCaps,
         highlight,
         commentReference,
+        commentRange,
+        header,
+        footer,
+        section,
+        field,
+        structuredDocumentTag,
+        drawing,
         breakMatcher
     );
 }
@@ -1,6 +1,8 @@
 exports.paragraph = paragraph;
 exports.run = run;
 exports.table = table;
+exports.tableRow = tableRow;
+exports.tableCell = tableCell;
 exports.bold = new Matcher("bold");
 exports.italic = new Matcher("italic");
 exports.underline = new Matcher("underline");
@@ -9,6 +11,13 @@ exports.allCaps = new Matcher("allCaps");
 exports.smallCaps = new Matcher("smallCaps");
 exports.highlight = highlight;
 exports.commentReference = new Matcher("commentReference");
+exports.commentRange = new Matcher("commentRangeStart");
+exports.header = new Matcher("header");
+exports.footer = new Matcher("footer");
+exports.section = section;
+exports.field = field;
+exports.structuredDocumentTag = structuredDocumentTag;
+exports.drawing = drawing;
 exports.lineBreak = new BreakMatcher({breakType: "line"});
 exports.pageBreak = new BreakMatcher({breakType: "page"});
 exports.columnBreak = new BreakMatcher({breakType: "column"});
@@ -28,15 +37,41 @@ function table(options) {
     return new Matcher("table", options);
 }
 
+function tableRow(options) {
+    return new TableRowMatcher(options);
+}
+
+function tableCell(options) {
+    return new TableCellMatcher(options);
+}
+
 function highlight(options) {
     return new HighlightMatcher(options);
 }
 
+function section(options) {
+    return new SectionMatcher(options);
+}
+
+function field(options) {
+    return new FieldMatcher(options);
+}
+
+function structuredDocumentTag(options) {
+    return new StructuredDocumentTagMatcher(options);
+}
+
+function drawing(options) {
+    return new DrawingMatcher(options);
+}
+
 function Matcher(elementType, options) {
     options = options || {};
     this._elementType = elementType;
     this._styleId = options.styleId;
     this._styleName = options.styleName;
+    this._baseStyleName = options.baseStyleName;
+    this._color = options.color;
     if (options.list) {
         this._listIndex = options.list.levelIndex;
         this._listIsOrdered = options.list.isOrdered;
@@ -47,8 +82,58 @@ Matcher.prototype.matches = function(element) {
     return element.type === this._elementType &&
         (this._styleId === undefined || element.styleId === this._styleId) &&
         (this._styleName === undefined || (element.styleName && this._styleName.operator(this._styleName.operand, element.styleName))) &&
+        (this._baseStyleName === undefined || isBasedOnStyle(element, this._baseStyleName)) &&
         (this._listIndex === undefined || isList(element, this._listIndex, this._listIsOrdered)) &&
-        (this._breakType === undefined || this._breakType === element.breakType);
+        (this._breakType === undefined || this._breakType === element.breakType) &&
+        (this._color === undefined || hasColor(element, this._color));
+};
+
+// Runs are matched using their effective color, so that text colored by its
+// paragraph or run style is also matched.
+function hasColor(element, color) {
+    var elementColor = element.effective ? element.effective.color : element.color;
+    return !!elementColor && operatorEqualTo(color, elementColor);
+}
+
+// Rows and cells are matched using their position in the table, which is
+// passed separately from the element since it isn't part of the element.
+// Header rows aren't counted when deciding whether a row is odd or even, so
+// the first row after the header rows is odd.
+function TableRowMatcher(options) {
+    options = options || {};
+    this._isHeader = options.isHeader;
+    this._isFirst = options.isFirst;
+    this._isLast = options.isLast;
+    this._isOdd = options.isOdd;
+    this._isEven = options.isEven;
+}
+
+TableRowMatcher.prototype.matches = function(element, position) {
+    position = position || {};
+    var bandIndex = position.bandIndex === undefined ? null : position.bandIndex;
+    return element.type === "tableRow" &&
+        (this._isHeader === undefined || element.isHeader === this._isHeader) &&
+        (this._isFirst === undefined || !!position.isFirst === this._isFirst) &&
+        (this._isLast === undefined || !!position.isLast === this._isLast) &&
+        (this._isOdd === undefined || (bandIndex !== null && bandIndex % 2 === 0) === this._isOdd) &&
+        (this._isEven === undefined || (bandIndex !== null && bandIndex % 2 === 1) === this._isEven);
+};
+
+function TableCellMatcher(options) {
+    options = options || {};
+    this._isHeader = options.isHeader;
+    this._isFirstColumn = options.isFirstColumn;
+    this._isLastColumn = options.isLastColumn;
+    this._shading = options.shading;
+}
+
+TableCellMatcher.prototype.matches = function(element, position) {
+    position = position || {};
+    return element.type === "tableCell" &&
+        (this._isHeader === undefined || !!position.isHeader === this._isHeader) &&
+        (this._isFirstColumn === undefined || !!position.isFirstColumn === this._isFirstColumn) &&
+        (this._isLastColumn === undefined || !!position.isLastColumn === this._isLastColumn) &&
+        (this._shading === undefined || (element.shading && operatorEqualTo(this._shading, element.shading)));
 };
 
 function HighlightMatcher(options) {
@@ -61,6 +146,52 @@ HighlightMatcher.prototype.matches = function(element) {
         (this._color === undefined || element.color === this._color);
 };
 
+function SectionMatcher(options) {
+    options = options || {};
+    this._columns = options.columns;
+    this._orientation = options.orientation;
+    this._breakType = options.breakType;
+}
+
+SectionMatcher.prototype.matches = function(element) {
+    return element.type === "sectionProperties" &&
+        (this._columns === undefined || element.columns === this._columns) &&
+        (this._orientation === undefined || element.orientation === this._orientation) &&
+        (this._breakType === undefined || element.breakType === this._breakType);
+};
+
+function FieldMatcher(options) {
+    options = options || {};
+    this._fieldType = options.fieldType;
+}
+
+FieldMatcher.prototype.matches = function(element) {
+    return element.type === "field" &&
+        (this._fieldType === undefined || operatorEqualTo(this._fieldType, element.fieldType));
+};
+
+function StructuredDocumentTagMatcher(options) {
+    options = options || {};
+    this._tag = options.tag;
+    this._alias = options.alias;
+}
+
+StructuredDocumentTagMatcher.prototype.matches = function(element) {
+    return element.type === "structuredDocumentTag" &&
+        (this._tag === undefined || element.tag === this._tag) &&
+        (this._alias === undefined || element.alias === this._alias);
+};
+
+function DrawingMatcher(options) {
+    options = options || {};
+    this._drawingType = options.drawingType;
+}
+
+DrawingMatcher.prototype.matches = function(element) {
+    return element.type === "drawing" &&
+        (this._drawingType === undefined || element.drawingType === this._drawingType);
+};
+
 function BreakMatcher(options) {
     options = options || {};
     this._breakType = options.breakType;
@@ -71,6 +202,15 @@ BreakMatcher.prototype.matches = function(element) {
         (this._breakType === undefined || element.breakType === this._breakType);
 };
 
+// An element is treated as being based on its own style as well as the styles
+// that its style inherits from.
+function isBasedOnStyle(element, styleName) {
+    var styleNames = [element.styleName].concat(element.baseStyleNames || []);
+    return styleNames.some(function(name) {
+        return name && styleName.operator(styleName.operand, name);
+    });
+}
+
 function isList(element, levelIndex, isOrdered) {
     return element.numbering &&
         element.numbering.level == levelIndex &&
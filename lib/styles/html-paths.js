@@ -32,6 +32,10 @@ HtmlPath.prototype.wrap = function wrap(children) {
     return result;
 };
 
+HtmlPath.prototype.mapElements = function mapElements(func) {
+    return new HtmlPath(this._elements.map(func));
+};
+
 function element(tagName, attributes, options) {
     options = options || {};
     return new Element(tagName, attributes, options);
@@ -59,6 +63,16 @@ Element.prototype.matchesElement = function(element) {
     return this.tagNames[element.tagName] && _.isEqual(this.attributes || {}, element.attributes || {});
 };
 
+// Creates a copy of the element with extra attributes, and with the given
+// options in place of the original options.
+Element.prototype.extend = function extend(attributes, options) {
+    var tagNames = [this.tagName].concat(_.without(_.keys(this.tagNames), this.tagName));
+    return new Element(tagNames, _.extend({}, this.attributes, attributes), _.extend({
+        fresh: this.fresh,
+        separator: this.separator
+    }, options));
+};
+
 Element.prototype.wrap = function wrap(generateNodes) {
     return this.wrapNodes(generateNodes());
 };
@@ -71,5 +85,8 @@ exports.empty = elements([]);
 exports.ignore = {
     wrap: function() {
         return [];
+    },
+    mapElements: function() {
+        return this;
     }
 };
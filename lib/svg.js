@@ -0,0 +1,37 @@
+var _ = require("underscore");
+
+exports.element = element;
+exports.text = text;
+exports.formatNumber = formatNumber;
+
+
+// Writes an SVG element as a string. The children should already be written
+// as strings.
+function element(name, attributes, children) {
+    var attributeString = _.map(attributes, function(value, key) {
+        return " " + key + '="' + escapeXml(value) + '"';
+    }).join("");
+    if (children === undefined) {
+        return "<" + name + attributeString + "/>";
+    } else {
+        return "<" + name + attributeString + ">" + children.join("") + "</" + name + ">";
+    }
+}
+
+function text(value) {
+    return escapeXml(value);
+}
+
+// Numbers are rounded to two decimal places to keep the SVG short.
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,131 @@
+var _ = require("underscore");
+
+exports.tableStyle = tableStyle;
+exports.columnStyles = columnStyles;
+exports.rowStyle = rowStyle;
+exports.cellStyle = cellStyle;
+
+
+// Each function returns the CSS declarations for the formatting of a table
+// element, such as "width: 72pt", so that tables can be converted with
+// inline styles. The formatting of tables in docx files doesn't map exactly
+// on to CSS, so the styles are an approximation.
+
+function tableStyle(table) {
+    var declarations = [];
+    if (table.alignment === "center") {
+        declarations.push("margin-left: auto", "margin-right: auto");
+    } else if (table.alignment === "right" || table.alignment === "end") {
+        declarations.push("margin-left: auto");
+    }
+    if (table.layout === "fixed") {
+        declarations.push("table-layout: fixed");
+    }
+    if (hasBorders(table.borders)) {
+        declarations.push("border-collapse: collapse");
+    }
+    return declarations
+        .concat(shadingDeclarations(table.shading))
+        .concat(borderDeclarations(table.borders));
+}
+
+// Returns null if the width of any column is unknown, since a partial set of
+// column widths would distort the table.
+function columnStyles(table) {
+    if (table.columnWidths.length === 0 || _.contains(table.columnWidths, null)) {
+        return null;
+    }
+    return table.columnWidths.map(function(width) {
+        return ["width: " + formatPoints(width)];
+    });
+}
+
+function rowStyle(row) {
+    var declarations = [];
+    if (row.height !== null && row.heightRule !== "auto") {
+        declarations.push("height: " + formatPoints(row.height));
+    }
+    if (row.cantSplit) {
+        declarations.push("break-inside: avoid");
+    }
+    return declarations;
+}
+
+// The inside borders of the table are used for any side of the cell that
+// doesn't have its own border.
+function cellStyle(cell, tableBorders) {
+    var declarations = [];
+    if (cell.verticalAlignment !== null) {
+        declarations.push("vertical-align: " + (cell.verticalAlignment === "center" ? "middle" : cell.verticalAlignment));
+    }
+    var insideBorders = tableBorders || {};
+    var borders = {
+        top: cell.borders.top || insideBorders.insideHorizontal,
+        bottom: cell.borders.bottom || insideBorders.insideHorizontal,
+        start: cell.borders.start || insideBorders.insideVertical,
+        end: cell.borders.end || insideBorders.insideVertical
+    };
+    return declarations
+        .concat(shadingDeclarations(cell.shading))
+        .concat(borderDeclarations(borders));
+}
+
+function shadingDeclarations(shading) {
+    return shading ? ["background-color: #" + shading] : [];
+}
+
+var borderProperties = {
+    top: "border-top",
+    bottom: "border-bottom",
+    start: "border-inline-start",
+    end: "border-inline-end"
+};
+
+function hasBorders(borders) {
+    return _.any(_.keys(borderProperties), function(side) {
+        return borders[side];
+    });
+}
+
+function borderDeclarations(borders) {
+    return _.compact(_.map(borderProperties, function(property, side) {
+        var border = borders[side];
+        return border ? property + ": " + formatBorder(border) : null;
+    }));
+}
+
+function formatBorder(border) {
+    var style = borderStyles[border.style] || "solid";
+    if (style === "none") {
+        return "none";
+    }
+    return _.compact([
+        border.width === null ? null : formatPoints(border.width),
+        style,
+        border.color === null ? null : "#" + border.color
+    ]).join(" ");
+}
+
+// See 17.18.2 ST_Border (Border Styles) of ECMA-376 4th edition Part 1. Art
+// borders and other styles without an equivalent in CSS are drawn as solid
+// borders.
+var borderStyles = {
+    "none": "none",
+    "single": "solid",
+    "thick": "solid",
+    "double": "double",
+    "triple": "double",
+    "dotted": "dotted",
+    "dashed": "dashed",
+    "dashSmallGap": "dashed",
+    "dotDash": "dashed",
+    "dotDotDash": "dashed",
+    "threeDEmboss": "ridge",
+    "threeDEngrave": "groove",
+    "outset": "outset",
+    "inset": "inset"
+};
+
+function formatPoints(value) {
+    return parseFloat(value.toFixed(2)) + "pt";
+}
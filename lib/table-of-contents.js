@@ -0,0 +1,78 @@
+var _ = require("underscore");
+
+var documents = require("./documents");
+var transforms = require("./transforms");
+
+exports.isTableOfContentsParagraph = isTableOfContentsParagraph;
+exports.readEntries = readEntries;
+
+
+// A paragraph is part of a table of contents if it contains part of the
+// result of a TOC field. Since the result of a TOC field usually spans many
+// paragraphs, each entry in the table of contents is a separate paragraph.
+function isTableOfContentsParagraph(element) {
+    return element.type === documents.types.paragraph &&
+        transforms.getDescendantsOfType(element, documents.types.field).some(function(field) {
+            return field.fieldType === "TOC";
+        });
+}
+
+// Reads the entries of a table of contents from its paragraphs, nesting each
+// entry under the previous entry with a lower level.
+function readEntries(paragraphs) {
+    var root = {level: 0, children: []};
+    var stack = [root];
+
+    paragraphs.map(readEntry).forEach(function(entry) {
+        if (entry.text === "") {
+            return;
+        }
+        while (_.last(stack).level >= entry.level) {
+            stack.pop();
+        }
+        _.last(stack).children.push(entry);
+        stack.push(entry);
+    });
+
+    return root.children;
+}
+
+function readEntry(paragraph) {
+    var hyperlink = _.find(transforms.getDescendantsOfType(paragraph, documents.types.hyperlink), function(hyperlink) {
+        return hyperlink.anchor;
+    });
+    return {
+        level: readLevel(paragraph),
+        text: readEntryText(paragraph),
+        anchor: hyperlink ? hyperlink.anchor : null,
+        children: []
+    };
+}
+
+function readLevel(paragraph) {
+    var result = /^toc\s*([1-9])$/i.exec(paragraph.styleName || "") ||
+        /^toc\s*([1-9])$/i.exec(paragraph.styleId || "");
+    return result ? parseInt(result[1], 10) : 1;
+}
+
+// The page number of each entry is separated from the title by a tab, usually
+// with a dot leader.
+function readEntryText(paragraph) {
+    var parts = entryText(paragraph).split("\t");
+    if (parts.length > 1 && /^\s*[0-9]*\s*$/.test(_.last(parts))) {
+        parts.pop();
+    }
+    return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+function entryText(element) {
+    if (element.type === documents.types.text) {
+        return element.value;
+    } else if (element.type === documents.types.tab) {
+        return "\t";
+    } else if (element.type === documents.types.field && element.fieldType === "PAGEREF") {
+        return "";
+    } else {
+        return (element.children || []).map(entryText).join("");
+    }
+}
@@ -2,6 +2,7 @@ var fs = require("fs");
 
 var promises = require("./promises");
 var zipfile = require("./zipfile");
+var flatOpc = require("./flat-opc");
 
 exports.openZip = openZip;
 
@@ -9,12 +10,22 @@ var readFile = promises.promisify(fs.readFile);
 
 function openZip(options) {
     if (options.path) {
-        return readFile(options.path).then(zipfile.openArrayBuffer);
+        return readFile(options.path).then(openArrayBuffer);
     } else if (options.buffer) {
-        return promises.resolve(zipfile.openArrayBuffer(options.buffer));
+        return promises.resolve(openArrayBuffer(options.buffer));
     } else if (options.file) {
         return promises.resolve(options.file);
     } else {
         return promises.reject(new Error("Could not find file in options"));
     }
 }
+
+// Documents may also be XML files, such as Flat OPC documents, rather than zip
+// files.
+function openArrayBuffer(arrayBuffer) {
+    if (flatOpc.isXmlPackage(arrayBuffer)) {
+        return flatOpc.openArrayBuffer(arrayBuffer);
+    } else {
+        return zipfile.openArrayBuffer(arrayBuffer);
+    }
+}
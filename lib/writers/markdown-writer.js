@@ -34,6 +34,14 @@ function markdownImage(attributes) {
     }
 }
 
+function markdownMath(attributes) {
+    var delimiter = attributes.display === "block" ? "$$" : "$";
+    return {
+        start: delimiter + (attributes.alttext || "") + delimiter,
+        ignoreChildren: true
+    };
+}
+
 function markdownList(options) {
     return function(attributes, list) {
         return {
@@ -42,19 +50,22 @@ function markdownList(options) {
             list: {
                 isOrdered: options.isOrdered,
                 indent: list ? list.indent + 1 : 0,
-                count: 0
+                count: attributes.start ? parseInt(attributes.start, 10) - 1 : 0
             }
         };
     };
 }
 
+// Markdown lists can only be numbered with decimal numbers, so the label of
+// an item, such as the symbol of a note, is written at the start of the item.
 function markdownListItem(attributes, list, listItem) {
     list = list || {indent: 0, isOrdered: false, count: 0};
-    list.count++;
+    list.count = attributes.value ? parseInt(attributes.value, 10) : list.count + 1;
     listItem.hasClosed = false;
     
     var bullet = list.isOrdered ? list.count + "." : "-";
-    var start = repeatString("\t", list.indent) + bullet + " ";
+    var label = attributes["data-label"] ? escapeMarkdown(attributes["data-label"]) + " " : "";
+    var start = repeatString("\t", list.indent) + bullet + " " + label;
         
     return {
         start: start,
@@ -76,7 +87,8 @@ var htmlToMarkdown = {
     "strong": symmetricMarkdownElement("__"),
     "em": symmetricMarkdownElement("*"),
     "a": markdownLink,
-    "img": markdownImage
+    "img": markdownImage,
+    "math": markdownMath
 };
 
 (function() {
@@ -94,9 +106,15 @@ function markdownWriter() {
     var elementStack = [];
     var list = null;
     var listItem = {};
+    var ignoredDepth = 0;
     
     function open(tagName, attributes) {
         attributes = attributes || {};
+
+        if (ignoredDepth > 0) {
+            ignoredDepth++;
+            return;
+        }
         
         var createElement = htmlToMarkdown[tagName] || function() {
             return {};
@@ -117,6 +135,10 @@ function markdownWriter() {
         if (!anchorBeforeStart) {
             writeAnchor(attributes);
         }
+
+        if (element.ignoreChildren) {
+            ignoredDepth = 1;
+        }
     }
     
     function writeAnchor(attributes) {
@@ -126,6 +148,12 @@ function markdownWriter() {
     }
     
     function close(tagName) {
+        if (ignoredDepth > 0) {
+            ignoredDepth--;
+            if (ignoredDepth > 0) {
+                return;
+            }
+        }
         var element = elementStack.pop();
         list = element.list;
         var end = _.isFunction(element.end) ? element.end() : element.end;
@@ -138,6 +166,9 @@ function markdownWriter() {
     }
     
     function text(value) {
+        if (ignoredDepth > 0) {
+            return;
+        }
         fragments.push(escapeMarkdown(value));
     }
     
@@ -5,4 +5,5 @@ exports.element = nodes.element;
 exports.emptyElement = nodes.emptyElement;
 exports.text = nodes.text;
 exports.readString = require("./reader").readString;
+exports.readHtmlString = require("./reader").readHtmlString;
 exports.writeString = require("./writer").writeString;
@@ -6,14 +6,27 @@ var nodes = require("./nodes");
 var Element = nodes.Element;
 
 exports.readString = readString;
+exports.readHtmlString = readHtmlString;
 
 var Node = xmldom.Node;
 
 function readString(xmlString, namespaceMap) {
-    namespaceMap = namespaceMap || {};
+    return readDocument(xmlString, "text/xml", namespaceMap || {}, _.identity);
+}
+
+// Reads the body of an HTML document, with the names of elements and
+// attributes in lower case and without a namespace.
+function readHtmlString(htmlString) {
+    var body = /<body[^>]*>([\s\S]*?)(<\/body>|$)/i.exec(htmlString);
+    var content = body ? body[1] : htmlString.replace(/<\?xml[^>]*>|<!DOCTYPE[^>]*>|<head[^>]*>[\s\S]*?<\/head>/gi, "");
+    return readDocument("<body>" + content + "</body>", "text/html", {}, function(name) {
+        return name.toLowerCase();
+    });
+}
 
+function readDocument(string, mimeType, namespaceMap, normaliseName) {
     try {
-        var document = xmldom.parseFromString(xmlString, "text/xml");
+        var document = xmldom.parseFromString(string, mimeType);
     } catch (error) {
         return promises.reject(error);
     }
@@ -51,7 +64,7 @@ function readString(xmlString, namespaceMap) {
     }
 
     function convertName(node) {
-        if (node.namespaceURI) {
+        if (node.namespaceURI && mimeType !== "text/html") {
             var mappedPrefix = namespaceMap[node.namespaceURI];
             var prefix;
             if (mappedPrefix) {
@@ -61,7 +74,7 @@ function readString(xmlString, namespaceMap) {
             }
             return prefix + node.localName;
         } else {
-            return node.localName;
+            return normaliseName(node.localName);
         }
     }
 
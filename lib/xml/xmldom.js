@@ -1,16 +1,20 @@
 var xmldom = require("@xmldom/xmldom");
 var dom = require("@xmldom/xmldom/lib/dom");
 
-function parseFromString(string) {
+// HTML is parsed leniently, so only errors, rather than warnings, are thrown
+// when parsing HTML.
+function parseFromString(string, mimeType) {
     var error = null;
 
     var domParser = new xmldom.DOMParser({
         errorHandler: function(level, message) {
-            error = {level: level, message: message};
+            if (mimeType !== "text/html" || level !== "warning") {
+                error = {level: level, message: message};
+            }
         }
     });
 
-    var document = domParser.parseFromString(string);
+    var document = domParser.parseFromString(string, mimeType);
 
     if (error === null) {
         return document;
@@ -19,5 +23,10 @@ function parseFromString(string) {
     }
 }
 
+function serializeToString(node) {
+    return new xmldom.XMLSerializer().serializeToString(node);
+}
+
 exports.parseFromString = parseFromString;
+exports.serializeToString = serializeToString;
 exports.Node = dom.Node;
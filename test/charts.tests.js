@@ -0,0 +1,66 @@
+var assert = require("assert");
+
+var charts = require("../lib/charts");
+var documents = require("../lib/documents");
+var test = require("./test")(module);
+
+
+test("categories are taken from series with most categories", function() {
+    var chart = documents.Chart({series: [
+        {name: "A", categories: ["Q1"], values: [1, 2]},
+        {name: "B", categories: ["Q1", "Q2"], values: [3, 4]}
+    ]});
+    assert.deepEqual(charts.categories(chart), ["Q1", "Q2"]);
+});
+
+test("points without categories are numbered", function() {
+    var chart = documents.Chart({series: [
+        {name: "A", categories: [], values: [1, 2, 3]}
+    ]});
+    assert.deepEqual(charts.categories(chart), ["1", "2", "3"]);
+});
+
+test("column chart draws a column for each value", function() {
+    var svg = charts.toSvg(documents.Chart({
+        chartType: "column",
+        series: [{name: "A", categories: ["Q1", "Q2"], values: [1, 2], color: "FF0000"}],
+        size: {width: 200, height: 100}
+    }));
+
+    assert.equal(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 200 100"'), 0);
+    assert.equal(svg.match(/<rect [^>]*fill="#FF0000"\/>/g).length, 2);
+    assert.ok(svg.indexOf(">Q1</text>") !== -1);
+    assert.ok(svg.indexOf(">Q2</text>") !== -1);
+});
+
+test("line chart draws a line for each series with gaps for missing values", function() {
+    var svg = charts.toSvg(documents.Chart({
+        chartType: "line",
+        series: [{name: "A", categories: [], values: [1, null, 2, 3], color: null}],
+        size: {width: 200, height: 100}
+    }));
+
+    var path = /<path d="([^"]*)" fill="none" stroke="#4472C4" stroke-width="2"\/>/.exec(svg);
+    assert.deepEqual(path[1].match(/[ML]/g), ["M", "M", "L"]);
+});
+
+test("pie chart draws a slice for each value of first series", function() {
+    var svg = charts.toSvg(documents.Chart({
+        chartType: "pie",
+        series: [{name: "A", categories: ["X", "Y"], values: [1, 3], color: null}],
+        size: {width: 200, height: 100}
+    }));
+
+    assert.equal(svg.match(/<path d="M [^"]* A [^"]*"/g).length, 2);
+    assert.ok(svg.indexOf(">X</text>") !== -1);
+});
+
+test("title is escaped", function() {
+    var svg = charts.toSvg(documents.Chart({
+        chartType: "column",
+        title: "Profit & <loss>",
+        series: []
+    }));
+
+    assert.ok(svg.indexOf(">Profit &amp; &lt;loss&gt;</text>") !== -1);
+});
@@ -2,6 +2,7 @@ var assert = require("assert");
 var promises = require("../lib/promises");
 
 var documents = require("../lib/documents");
+var math = require("../lib/math");
 var documentToHtml = require("../lib/document-to-html");
 var DocumentConverter = documentToHtml.DocumentConverter;
 var commentAuthorLabel = documentToHtml.commentAuthorLabel;
@@ -140,6 +141,156 @@ test('can use stacked styles to generate nested HTML elements', function() {
     });
 });
 
+test('ordered lists have type and start from list numbering', function() {
+    var document = new documents.Document([
+        listParagraphOfText("Five", {level: "0", isOrdered: true, format: "lowerLetter", value: 5}),
+        listParagraphOfText("Six", {level: "0", isOrdered: true, format: "lowerLetter", value: 6})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<ol type="a" start="5"><li>Five</li><li>Six</li></ol>');
+    });
+});
+
+test('nested lists keep the attributes of outer lists', function() {
+    var document = new documents.Document([
+        listParagraphOfText("One", {level: "0", isOrdered: true, format: "upperRoman", value: 1}),
+        listParagraphOfText("One A", {level: "1", isOrdered: true, format: "upperLetter", value: 1}),
+        listParagraphOfText("One B", {level: "1", isOrdered: true, format: "upperLetter", value: 2}),
+        listParagraphOfText("Two", {level: "0", isOrdered: true, format: "upperRoman", value: 2})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<ol type="I"><li>One<ol type="A"><li>One A</li><li>One B</li></ol></li><li>Two</li></ol>'
+        );
+    });
+});
+
+test('new list is started when list numbering restarts', function() {
+    var document = new documents.Document([
+        listParagraphOfText("One", {level: "0", isOrdered: true, format: "decimal", value: 1}),
+        listParagraphOfText("Two", {level: "0", isOrdered: true, format: "decimal", value: 2}),
+        listParagraphOfText("One again", {level: "0", isOrdered: true, format: "decimal", value: 1})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<ol><li>One</li><li>Two</li></ol><ol><li>One again</li></ol>');
+    });
+});
+
+test('list continuing after other paragraphs starts at its value', function() {
+    var document = new documents.Document([
+        listParagraphOfText("One", {level: "0", isOrdered: true, format: "decimal", value: 1}),
+        paragraphOfText("Interruption"),
+        listParagraphOfText("Two", {level: "0", isOrdered: true, format: "decimal", value: 2})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<ol><li>One</li></ol><p>Interruption</p><ol start="2"><li>Two</li></ol>');
+    });
+});
+
+test('legal numbering uses decimal numbers', function() {
+    var document = new documents.Document([
+        listParagraphOfText("One", {level: "0", isOrdered: true, format: "upperRoman", isLegal: true, value: 1})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<ol><li>One</li></ol>');
+    });
+});
+
+test('markdown lists keep numbers from list numbering', function() {
+    var document = new documents.Document([
+        listParagraphOfText("Five", {level: "0", isOrdered: true, format: "decimal", value: 5}),
+        listParagraphOfText("Six", {level: "0", isOrdered: true, format: "decimal", value: 6})
+    ]);
+    var converter = new DocumentConverter({styleMap: listStyleMap, outputFormat: "markdown"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '5. Five\n6. Six\n\n');
+    });
+});
+
+test('numbered headings are converted using list mappings by default', function() {
+    var converter = new DocumentConverter({styleMap: headingNumbersStyleMap});
+    return converter.convertToHtml(numberedHeading()).then(function(result) {
+        assert.equal(result.value, '<ol start="2"><li>Scope</li></ol>');
+    });
+});
+
+test('numbers of headings can be converted to text', function() {
+    var converter = new DocumentConverter({styleMap: headingNumbersStyleMap, headingNumbers: "text"});
+    return converter.convertToHtml(numberedHeading()).then(function(result) {
+        assert.equal(result.value, '<h1>2. Scope</h1>');
+    });
+});
+
+test('numbers of headings can be converted to data-number attributes', function() {
+    var converter = new DocumentConverter({styleMap: headingNumbersStyleMap, headingNumbers: "attribute"});
+    return converter.convertToHtml(numberedHeading()).then(function(result) {
+        assert.equal(result.value, '<h1 data-number="2.">Scope</h1>');
+    });
+});
+
+test('paragraphs with outline levels are treated as headings', function() {
+    var paragraph = new documents.Paragraph([runOfText("Scope")], {
+        numbering: {level: "0", isOrdered: true, value: 2, label: "2."},
+        outlineLevel: 0
+    });
+    var converter = new DocumentConverter({styleMap: headingNumbersStyleMap, headingNumbers: "text"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p>2. Scope</p>');
+    });
+});
+
+test('numbers of paragraphs that are not headings are kept as lists', function() {
+    var paragraph = listParagraphOfText("Scope", {level: "0", isOrdered: true, value: 2, label: "2."});
+    var converter = new DocumentConverter({styleMap: headingNumbersStyleMap, headingNumbers: "text"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<ol start="2"><li>Scope</li></ol>');
+    });
+});
+
+function numberedHeading() {
+    return new documents.Paragraph([runOfText("Scope")], {
+        styleId: "Heading1",
+        styleName: "Heading 1",
+        numbering: {level: "0", isOrdered: true, value: 2, label: "2."}
+    });
+}
+
+var listStyleMap = [
+    {
+        from: documentMatchers.paragraph({list: {isOrdered: true, levelIndex: 0}}),
+        to: htmlPaths.elements([
+            htmlPaths.element("ol"),
+            htmlPaths.element("li", {}, {fresh: true})
+        ])
+    },
+    {
+        from: documentMatchers.paragraph({list: {isOrdered: true, levelIndex: 1}}),
+        to: htmlPaths.elements([
+            htmlPaths.element(["ul", "ol"]),
+            htmlPaths.element("li"),
+            htmlPaths.element("ol"),
+            htmlPaths.element("li", {}, {fresh: true})
+        ])
+    }
+];
+
+var headingNumbersStyleMap = listStyleMap.concat([
+    {
+        from: documentMatchers.paragraph({styleName: documentMatchers.equalTo("Heading 1")}),
+        to: htmlPaths.topLevelElement("h1")
+    }
+]);
+
+function listParagraphOfText(text, numbering) {
+    return new documents.Paragraph([runOfText(text)], {numbering: numbering});
+}
+
 test('bold runs are wrapped in <strong> tags by default', function() {
     var run = runOfText("Hello.", {isBold: true});
     var converter = new DocumentConverter();
@@ -344,6 +495,42 @@ test('small caps runs can be configured with style mapping', function() {
 });
 
 
+test('paragraphs can be matched by style they are based on using style mapping', function() {
+    var document = new documents.Document([
+        new documents.Paragraph([runOfText("Chapter 1")], {styleName: "Chapter Title", baseStyleNames: ["Heading 1"]}),
+        new documents.Paragraph([runOfText("Body")], {styleName: "Body Text"})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({baseStyleName: documentMatchers.equalTo("Heading 1")}),
+                to: htmlPaths.topLevelElement("h1")
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<h1>Chapter 1</h1><p>Body</p>');
+    });
+});
+
+test('runs can be matched by color using style mapping', function() {
+    var paragraph = new documents.Paragraph([
+        runOfText("TODO", {color: "FF0000"}),
+        runOfText(" Done", {color: "000000"})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.run({color: "FF0000"}),
+                to: htmlPaths.elements([htmlPaths.element("span", {"class": "alert"})])
+            }
+        ]
+    });
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p><span class="alert">TODO</span> Done</p>');
+    });
+});
+
 test('highlighted runs are ignored by default', function() {
     var run = runOfText("Hello.", {highlight: "yellow"});
     var converter = new DocumentConverter();
@@ -481,6 +668,121 @@ test('checked checkbox is converted to checked checkbox input', function() {
     });
 });
 
+test('checkboxes are converted to check box characters when form controls are converted to values', function() {
+    var paragraph = documents.paragraph([
+        documents.checkbox({checked: true}),
+        documents.checkbox({checked: false})
+    ]);
+    var converter = new DocumentConverter({formControls: "values"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p>\u2612\u2610</p>');
+    });
+});
+
+test('text input is converted to text input element', function() {
+    var textInput = documents.textInput({name: "Name", value: "Bob", maxLength: 20});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(textInput).then(function(result) {
+        assert.equal(result.value, '<input type="text" value="Bob" name="Name" maxlength="20" />');
+    });
+});
+
+test('text input uses tag as name and alias as title', function() {
+    var textInput = documents.textInput({tag: "name", alias: "Full name", placeholder: "Enter name"});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(textInput).then(function(result) {
+        assert.equal(result.value, '<input type="text" value="" name="name" title="Full name" placeholder="Enter name" />');
+    });
+});
+
+test('dropdown is converted to select element with selected option', function() {
+    var dropdown = documents.dropdown({
+        tag: "department",
+        value: "hr",
+        items: [
+            {value: "sales", displayText: "Sales"},
+            {value: "hr", displayText: "Human Resources"}
+        ]
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(dropdown).then(function(result) {
+        assert.equal(
+            result.value,
+            '<select name="department">' +
+            '<option value="sales">Sales</option>' +
+            '<option value="hr" selected="selected">Human Resources</option>' +
+            '</select>'
+        );
+    });
+});
+
+test('dropdown with value that is not an item has option for value', function() {
+    var dropdown = documents.dropdown({
+        value: "Marketing",
+        items: [{value: "sales", displayText: "Sales"}]
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(dropdown).then(function(result) {
+        assert.equal(
+            result.value,
+            '<select>' +
+            '<option value="sales">Sales</option>' +
+            '<option value="Marketing" selected="selected">Marketing</option>' +
+            '</select>'
+        );
+    });
+});
+
+test('dropdown without value has selected placeholder option', function() {
+    var dropdown = documents.dropdown({
+        placeholder: "Choose an item.",
+        items: [{value: "sales", displayText: "Sales"}]
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(dropdown).then(function(result) {
+        assert.equal(
+            result.value,
+            '<select>' +
+            '<option value="" selected="selected">Choose an item.</option>' +
+            '<option value="sales">Sales</option>' +
+            '</select>'
+        );
+    });
+});
+
+test('date input is converted to date input element', function() {
+    var dateInput = documents.dateInput({value: "2024-03-01", displayText: "1 March 2024"});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(dateInput).then(function(result) {
+        assert.equal(result.value, '<input type="date" value="2024-03-01" />');
+    });
+});
+
+test('form controls are converted to displayed values when form controls are converted to values', function() {
+    var paragraph = documents.paragraph([
+        documents.textInput({value: "Bob"}),
+        documents.text(", "),
+        documents.dropdown({
+            value: "hr",
+            items: [{value: "hr", displayText: "Human Resources"}]
+        }),
+        documents.text(", "),
+        documents.dateInput({value: "2024-03-01", displayText: "1 March 2024"})
+    ]);
+    var converter = new DocumentConverter({formControls: "values"});
+    return converter.convertToHtml(paragraph).then(function(result) {
+        assert.equal(result.value, '<p>Bob, Human Resources, 1 March 2024</p>');
+    });
+});
+
+test('form controls are converted to values by default when output format is markdown', function() {
+    var textInput = documents.textInput({value: "Bob"});
+    var converter = new DocumentConverter({outputFormat: "markdown"});
+    return converter.convertToHtml(textInput).then(function(result) {
+        assert.equal(result.value, 'Bob');
+    });
+});
+
 test('bookmarks are converted to anchors', function() {
     var bookmarkStart = new documents.BookmarkStart({name: "_Peter"});
     var converter = new DocumentConverter({
@@ -492,6 +794,59 @@ test('bookmarks are converted to anchors', function() {
     });
 });
 
+test('insertions and deletions are converted to ins and del elements', function() {
+    var document = documents.paragraph([
+        documents.insertion([runOfText("Hello")], {author: "Ada", date: "2024-01-02T03:04:05Z"}),
+        documents.deletion([runOfText("Goodbye")], {})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p><ins data-author="Ada" datetime="2024-01-02T03:04:05Z">Hello</ins><del>Goodbye</del></p>');
+    });
+});
+
+test('tracked change of paragraph mark is converted to pilcrow', function() {
+    var document = documents.paragraph([runOfText("Hello")], {
+        trackedChange: {changeType: "deletion", author: "Ada", date: null}
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Hello<del data-author="Ada">\u00B6</del></p>');
+    });
+});
+
+test('content of cells in tracked table row is wrapped in tracked change', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Cell")])
+        ], {trackedChange: {changeType: "insertion", author: null, date: null}})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(result.value, '<table><tr><td><ins><p>Cell</p></ins></td></tr></table>');
+    });
+});
+
+test('math is converted to MathML with LaTeX alternative text', function() {
+    var document = documents.paragraph([
+        documents.math([
+            math.superscript({base: [math.run("x")], sup: [math.run("2")]})
+        ], {isBlock: false})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p><math alttext="{x}^{2}"><msup><mrow><mi>x</mi></mrow><mrow><mn>2</mn></mrow></msup></math></p>');
+    });
+});
+
+test('block math is displayed as block', function() {
+    var document = documents.math([math.run("x")], {isBlock: true});
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<math display="block" alttext="x"><mi>x</mi></math>');
+    });
+});
+
 test('docx tab is converted to tab in HTML', function() {
     var tab = new documents.Tab();
     var converter = new DocumentConverter();
@@ -649,6 +1004,122 @@ test('table cells are written with rowSpan if not equal to one', function() {
     });
 });
 
+test('table rows and cells can be mapped using their position', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Name")]),
+            new documents.TableCell([paragraphOfText("Score")])
+        ], {isHeader: true}),
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Alice")], {rowSpan: 2}),
+            new documents.TableCell([paragraphOfText("1")])
+        ]),
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("2")])
+        ])
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.tableRow({isEven: true}), to: htmlPaths.elements([htmlPaths.element("tr", {"class": "even"})])},
+            {from: documentMatchers.tableCell({isHeader: true}), to: htmlPaths.elements([htmlPaths.element("th", {"scope": "col"})])},
+            {from: documentMatchers.tableCell({isFirstColumn: true}), to: htmlPaths.elements([htmlPaths.element("th", {"scope": "row"})])},
+            {from: documentMatchers.tableCell({isLastColumn: true}), to: htmlPaths.elements([htmlPaths.element("td", {"class": "number"})])}
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            "<thead><tr><th scope=\"col\"><p>Name</p></th><th scope=\"col\"><p>Score</p></th></tr></thead>" +
+            "<tbody>" +
+            "<tr><th scope=\"row\" rowspan=\"2\"><p>Alice</p></th><td class=\"number\"><p>1</p></td></tr>" +
+            "<tr class=\"even\"><td class=\"number\"><p>2</p></td></tr>" +
+            "</tbody>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('every element in style mapping for table cells is fresh', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Name")]),
+            new documents.TableCell([paragraphOfText("Score")])
+        ], {isHeader: true})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.tableCell({isHeader: true}),
+                to: htmlPaths.elements([htmlPaths.element("th", {"class": "h"}), htmlPaths.element("span")])
+            }
+        ]
+    });
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml = "<table>" +
+            "<thead><tr>" +
+            "<th class=\"h\"><span><p>Name</p></span></th>" +
+            "<th class=\"h\"><span><p>Score</p></span></th>" +
+            "</tr></thead>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('table formatting is ignored by default', function() {
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Cell")], {verticalAlignment: "center", shading: "FFFF00"})
+        ], {height: 20, heightRule: "exact"})
+    ], {columnWidths: [72], alignment: "center"});
+    var converter = new DocumentConverter();
+
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(result.value, "<table><tr><td><p>Cell</p></td></tr></table>");
+    });
+});
+
+test('table formatting is written as inline styles when tableFormatting is "style"', function() {
+    var border = {style: "single", width: 0.5, color: "000000"};
+    var table = new documents.Table([
+        new documents.TableRow([
+            new documents.TableCell([paragraphOfText("Top")], {
+                verticalAlignment: "center",
+                shading: "FFFF00",
+                borders: {top: {style: "dashed", width: 1, color: null}}
+            }),
+            new documents.TableCell([paragraphOfText("Right")])
+        ], {height: 20, heightRule: "exact", cantSplit: true})
+    ], {
+        columnWidths: [72, 36.5],
+        alignment: "center",
+        layout: "fixed",
+        borders: {top: border, insideVertical: {style: "none", width: null, color: null}}
+    });
+    var converter = new DocumentConverter({tableFormatting: "style"});
+
+    return converter.convertToHtml(table).then(function(result) {
+        var expectedHtml =
+            "<table style=\"margin-left: auto; margin-right: auto; table-layout: fixed; border-collapse: collapse; border-top: 0.5pt solid #000000\">" +
+            "<colgroup><col style=\"width: 72pt\" /><col style=\"width: 36.5pt\" /></colgroup>" +
+            "<tr style=\"height: 20pt; break-inside: avoid\">" +
+            "<td style=\"vertical-align: middle; background-color: #FFFF00; border-top: 1pt dashed; border-inline-start: none; border-inline-end: none\"><p>Top</p></td>" +
+            "<td style=\"border-inline-start: none; border-inline-end: none\"><p>Right</p></td>" +
+            "</tr>" +
+            "</table>";
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('column widths are not written if width of any column is unknown', function() {
+    var table = new documents.Table([], {columnWidths: [72, null]});
+    var converter = new DocumentConverter({tableFormatting: "style"});
+
+    return converter.convertToHtml(table).then(function(result) {
+        assert.equal(result.value, "<table></table>");
+    });
+});
+
 test('line break is converted to <br>', function() {
     var converter = new DocumentConverter();
 
@@ -730,29 +1201,230 @@ test('footnotes are included after the main body', function() {
     });
 });
 
-test('comments are ignored by default', function() {
-    var reference = documents.commentReference({commentId: "4"});
-    var comment = documents.comment({
-        commentId: "4",
-        body: [paragraphOfText("Who's there?")]
-    });
+function paragraphWithNote(text, noteType, noteId) {
+    return documents.paragraph([
+        runOfText(text),
+        documents.run([documents.noteReference({noteType: noteType, noteId: noteId})])
+    ]);
+}
+
+function note(noteType, noteId, text) {
+    return documents.Note({noteType: noteType, noteId: noteId, body: [paragraphOfText(text)]});
+}
+
+function noteListItem(noteType, noteId, text, attributes) {
+    return '<li id="' + noteType + "-" + noteId + '"' + (attributes || "") + '><p>' + text +
+        ' <a href="#' + noteType + '-ref-' + noteId + '">↑</a></p></li>';
+}
+
+function noteReferenceHtml(noteType, noteId, label) {
+    return '<sup><a href="#' + noteType + "-" + noteId + '" id="' + noteType + '-ref-' + noteId + '">[' + label + ']</a></sup>';
+}
+
+test('footnotes can be written at the end of each section', function() {
     var document = documents.document([
-        documents.paragraph([
-            runOfText("Knock knock"),
-            documents.run([reference])
-        ])
-    ], {comments: [comment]});
+        paragraphWithNote("One", "footnote", "1"),
+        documents.SectionProperties(),
+        paragraphWithNote("Two", "footnote", "2"),
+        documents.SectionProperties()
+    ], {notes: new documents.Notes([note("footnote", "1", "A"), note("footnote", "2", "B")])});
+    var converter = new DocumentConverter({footnotes: "section"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<ol>' + noteListItem("footnote", "1", "A") + '</ol>' +
+            '<p>Two' + noteReferenceHtml("footnote", "2", "2") + '</p>' +
+            '<ol start="2">' + noteListItem("footnote", "2", "B") + '</ol>'
+        );
+    });
+});
 
-    var converter = new DocumentConverter({});
+test('footnotes can be written before each heading of the chosen level', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1"),
+        documents.paragraph([runOfText("Part")], {styleName: "Heading 2"}),
+        paragraphWithNote("Two", "footnote", "2"),
+        documents.paragraph([runOfText("Chapter")], {styleName: "Heading 1"}),
+        paragraphOfText("Three")
+    ], {notes: new documents.Notes([note("footnote", "1", "A"), note("footnote", "2", "B")])});
+    var converter = new DocumentConverter({footnotes: "heading"});
     return converter.convertToHtml(document).then(function(result) {
-        assert.equal(result.value, '<p>Knock knock</p>');
-        assert.deepEqual(result.messages, []);
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<p>Part</p>' +
+            '<p>Two' + noteReferenceHtml("footnote", "2", "2") + '</p>' +
+            '<ol>' + noteListItem("footnote", "1", "A") + noteListItem("footnote", "2", "B") + '</ol>' +
+            '<p>Chapter</p>' +
+            '<p>Three</p>'
+        );
     });
 });
 
-test('comment references are linked to comment after main body', function() {
-    var reference = documents.commentReference({commentId: "4"});
-    var comment = documents.comment({
+test('footnotes can be written as asides after each paragraph', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1"),
+        documents.paragraph([runOfText("Two")]),
+        documents.paragraph([
+            runOfText("Three"),
+            documents.run([documents.noteReference({noteType: "footnote", noteId: "2"})])
+        ], {styleId: "ListItem"})
+    ], {notes: new documents.Notes([note("footnote", "1", "A"), note("footnote", "2", "B")])});
+    var converter = new DocumentConverter({
+        footnotes: "inline",
+        styleMap: [
+            {
+                from: documentMatchers.paragraph({styleId: "ListItem"}),
+                to: htmlPaths.elements(["ul", htmlPaths.element("li", {}, {fresh: true})])
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<aside><ol>' + noteListItem("footnote", "1", "A") + '</ol></aside>' +
+            '<p>Two</p>' +
+            '<ul><li>Three' + noteReferenceHtml("footnote", "2", "2") +
+            '<aside><ol start="2">' + noteListItem("footnote", "2", "B") + '</ol></aside></li></ul>'
+        );
+    });
+});
+
+test('inline notes are written after paragraphs converted to elements that can only contain phrasing content', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1")
+    ], {notes: new documents.Notes([note("footnote", "1", "A")])});
+    var converter = new DocumentConverter({
+        footnotes: "inline",
+        styleMap: [
+            {
+                from: documentMatchers.paragraph(),
+                to: htmlPaths.topLevelElement("span")
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<span>One' + noteReferenceHtml("footnote", "1", "1") + '</span>' +
+            '<aside><ol><li id="footnote-1"><span>A</span><p> <a href="#footnote-ref-1">↑</a></p></li></ol></aside>'
+        );
+    });
+});
+
+test('endnotes can be numbered and written separately from footnotes', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "endnote", "1"),
+        paragraphWithNote("Two", "footnote", "1")
+    ], {notes: new documents.Notes([note("footnote", "1", "A"), note("endnote", "1", "B")])});
+    var converter = new DocumentConverter({endnotes: "separate"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("endnote", "1", "1") + '</p>' +
+            '<p>Two' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<ol>' + noteListItem("footnote", "1", "A") + '</ol>' +
+            '<ol>' + noteListItem("endnote", "1", "B") + '</ol>'
+        );
+    });
+});
+
+test('combined endnotes are numbered and formatted using the numbering of footnotes', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1"),
+        paragraphWithNote("Two", "endnote", "1")
+    ], {
+        notes: new documents.Notes([note("footnote", "1", "A"), note("endnote", "1", "B")]),
+        endnoteNumbering: documents.NoteNumbering({numberFormat: "lowerRoman"})
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<p>Two' + noteReferenceHtml("endnote", "1", "2") + '</p>' +
+            '<ol>' +
+            noteListItem("footnote", "1", "A") +
+            noteListItem("endnote", "1", "B") +
+            '</ol>'
+        );
+    });
+});
+
+test('separate endnotes are formatted using the numbering of endnotes', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1"),
+        paragraphWithNote("Two", "endnote", "1")
+    ], {
+        notes: new documents.Notes([note("footnote", "1", "A"), note("endnote", "1", "B")]),
+        endnoteNumbering: documents.NoteNumbering({numberFormat: "lowerRoman"})
+    });
+    var converter = new DocumentConverter({endnotes: "separate"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "1") + '</p>' +
+            '<p>Two' + noteReferenceHtml("endnote", "1", "i") + '</p>' +
+            '<ol>' + noteListItem("footnote", "1", "A") + '</ol>' +
+            '<ol type="i">' + noteListItem("endnote", "1", "B", ' data-label="i"') + '</ol>'
+        );
+    });
+});
+
+test('notes are numbered using the numbering of the document and sections', function() {
+    var document = documents.document([
+        paragraphWithNote("One", "footnote", "1"),
+        paragraphWithNote("Two", "footnote", "2"),
+        documents.SectionProperties(),
+        paragraphWithNote("Three", "footnote", "3"),
+        documents.SectionProperties({
+            footnoteNumbering: documents.NoteNumbering({numberFormat: "chicago", restart: "eachSect"})
+        })
+    ], {
+        notes: new documents.Notes([note("footnote", "1", "A"), note("footnote", "2", "B"), note("footnote", "3", "C")]),
+        footnoteNumbering: documents.NoteNumbering({numberFormat: "lowerRoman", start: 4})
+    });
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>One' + noteReferenceHtml("footnote", "1", "iv") + '</p>' +
+            '<p>Two' + noteReferenceHtml("footnote", "2", "v") + '</p>' +
+            '<p>Three' + noteReferenceHtml("footnote", "3", "§") + '</p>' +
+            '<ol type="i" start="4">' +
+            noteListItem("footnote", "1", "A", ' data-label="iv"') +
+            noteListItem("footnote", "2", "B", ' data-label="v"') +
+            noteListItem("footnote", "3", "C", ' value="4" data-label="§"') +
+            '</ol>'
+        );
+    });
+});
+
+test('comments are ignored by default', function() {
+    var reference = documents.commentReference({commentId: "4"});
+    var comment = documents.comment({
+        commentId: "4",
+        body: [paragraphOfText("Who's there?")]
+    });
+    var document = documents.document([
+        documents.paragraph([
+            runOfText("Knock knock"),
+            documents.run([reference])
+        ])
+    ], {comments: [comment]});
+
+    var converter = new DocumentConverter({});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Knock knock</p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('comment references are linked to comment after main body', function() {
+    var reference = documents.commentReference({commentId: "4"});
+    var comment = documents.comment({
         commentId: "4",
         body: [paragraphOfText("Who's there?")],
         authorName: "The Piemaker",
@@ -774,13 +1446,249 @@ test('comment references are linked to comment after main body', function() {
     return converter.convertToHtml(document).then(function(result) {
         var expectedHtml = (
             '<p>Knock knock<sup><a href="#doc-42-comment-4" id="doc-42-comment-ref-4">[TP1]</a></sup></p>' +
-            '<dl><dt id="doc-42-comment-4">Comment [TP1]</dt><dd><p>Who\'s there? <a href="#doc-42-comment-ref-4">↑</a></p></dd></dl>'
+            '<dl><dt id="doc-42-comment-4">Comment [TP1] by The Piemaker</dt><dd><p>Who\'s there? <a href="#doc-42-comment-ref-4">↑</a></p></dd></dl>'
         );
         assert.equal(result.value, expectedHtml);
         assert.deepEqual(result.messages, []);
     });
 });
 
+test('headers and footers are ignored by default', function() {
+    var document = documents.document([paragraphOfText("Body")], {
+        headers: documents.HeadersFooters({"default": documents.header([paragraphOfText("Header")])}),
+        footers: documents.HeadersFooters({"default": documents.footer([paragraphOfText("Footer")])})
+    });
+
+    var converter = new DocumentConverter({});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Body</p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('headers and footers can be included using style mapping', function() {
+    var document = documents.document([paragraphOfText("Body")], {
+        headers: documents.HeadersFooters({"default": documents.header([paragraphOfText("Header")])}),
+        footers: documents.HeadersFooters({"default": documents.footer([paragraphOfText("Footer")])})
+    });
+
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.header, to: htmlPaths.element("header")},
+            {from: documentMatchers.footer, to: htmlPaths.element("footer")}
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<header><p>Header</p></header><p>Body</p><footer><p>Footer</p></footer>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('first page header is used if there is no default header', function() {
+    var document = documents.document([paragraphOfText("Body")], {
+        headers: documents.HeadersFooters({
+            first: documents.header([paragraphOfText("First")], {pageType: "first"}),
+            even: documents.header([paragraphOfText("Even")], {pageType: "even"})
+        })
+    });
+
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.header, to: htmlPaths.element("header")}
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<header><p>First</p></header><p>Body</p>');
+    });
+});
+
+test('sections are not wrapped by default', function() {
+    var document = documents.document([
+        paragraphOfText("One"),
+        documents.SectionProperties({columns: 2}),
+        paragraphOfText("Two"),
+        documents.SectionProperties()
+    ]);
+
+    var converter = new DocumentConverter({});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>One</p><p>Two</p>');
+    });
+});
+
+test('content of sections can be wrapped using style mapping', function() {
+    var document = documents.document([
+        paragraphOfText("One"),
+        documents.SectionProperties({columns: 2}),
+        paragraphOfText("Two"),
+        documents.SectionProperties({columns: 2}),
+        paragraphOfText("Three"),
+        documents.SectionProperties()
+    ]);
+
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.section({columns: 2}),
+                to: htmlPaths.elements([htmlPaths.element("div", {"class": "two-col"}, {fresh: true})])
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<div class="two-col"><p>One</p></div><div class="two-col"><p>Two</p></div><p>Three</p>'
+        );
+    });
+});
+
+test('result of field is converted by default', function() {
+    var document = documents.paragraph([
+        documents.run([
+            documents.field([documents.text("1 January 2024")], {fieldType: "DATE", instruction: "DATE"})
+        ])
+    ]);
+
+    var converter = new DocumentConverter({});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>1 January 2024</p>');
+    });
+});
+
+test('fields can be wrapped using style mapping', function() {
+    var document = documents.paragraph([
+        documents.run([
+            documents.field([documents.text("1 January 2024")], {fieldType: "DATE", instruction: "DATE"})
+        ])
+    ]);
+
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.field({fieldType: "DATE"}),
+                to: htmlPaths.elements([htmlPaths.element("time", {}, {fresh: false})])
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p><time>1 January 2024</time></p>');
+    });
+});
+
+function tableOfContentsDocument() {
+    function entry(level, anchor, text) {
+        return documents.paragraph([
+            documents.run([
+                documents.field([
+                    new documents.Hyperlink([documents.text(text), documents.tab(), documents.text("1")], {anchor: anchor})
+                ], {fieldType: "TOC", instruction: "TOC \\o \"1-3\" \\h"})
+            ])
+        ], {styleId: "TOC" + level, styleName: "toc " + level});
+    }
+    return documents.document([
+        entry(1, "_Toc1", "Introduction"),
+        entry(2, "_Toc2", "Scope"),
+        entry(1, "_Toc3", "Method"),
+        paragraphOfText("Body")
+    ]);
+}
+
+test('table of contents is preserved by default', function() {
+    var converter = new DocumentConverter({});
+    return converter.convertToHtml(tableOfContentsDocument()).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p><a href="#_Toc1">Introduction\t1</a></p>' +
+            '<p><a href="#_Toc2">Scope\t1</a></p>' +
+            '<p><a href="#_Toc3">Method\t1</a></p>' +
+            '<p>Body</p>'
+        );
+    });
+});
+
+test('table of contents can be regenerated as nested list of links', function() {
+    var converter = new DocumentConverter({tableOfContents: "regenerate", idPrefix: "doc-"});
+    return converter.convertToHtml(tableOfContentsDocument()).then(function(result) {
+        assert.equal(
+            result.value,
+            '<nav><ol>' +
+            '<li><a href="#doc-_Toc1">Introduction</a><ol><li><a href="#doc-_Toc2">Scope</a></li></ol></li>' +
+            '<li><a href="#doc-_Toc3">Method</a></li>' +
+            '</ol></nav>' +
+            '<p>Body</p>'
+        );
+    });
+});
+
+test('table of contents can be removed', function() {
+    var converter = new DocumentConverter({tableOfContents: "remove"});
+    return converter.convertToHtml(tableOfContentsDocument()).then(function(result) {
+        assert.equal(result.value, '<p>Body</p>');
+    });
+});
+
+test('table of contents in structured document tag can be regenerated', function() {
+    var document = documents.document([
+        documents.structuredDocumentTag(tableOfContentsDocument().children.slice(0, 3))
+    ]);
+    var converter = new DocumentConverter({tableOfContents: "regenerate"});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<nav><ol>' +
+            '<li><a href="#_Toc1">Introduction</a><ol><li><a href="#_Toc2">Scope</a></li></ol></li>' +
+            '<li><a href="#_Toc3">Method</a></li>' +
+            '</ol></nav>'
+        );
+    });
+});
+
+test('content of structured document tag is converted by default', function() {
+    var document = documents.document([
+        documents.structuredDocumentTag([paragraphOfText("Summary")], {tag: "abstract"})
+    ]);
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Summary</p>');
+    });
+});
+
+test('structured document tags can be wrapped using style mapping', function() {
+    var document = documents.document([
+        documents.structuredDocumentTag([paragraphOfText("Summary")], {tag: "abstract"}),
+        documents.structuredDocumentTag([paragraphOfText("Biography")], {tag: "author-bio"})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.structuredDocumentTag({tag: "abstract"}),
+                to: htmlPaths.topLevelElement("section", {"class": "abstract"})
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<section class="abstract"><p>Summary</p></section><p>Biography</p>');
+    });
+});
+
+test('drawings can be wrapped using style mapping', function() {
+    var document = documents.document([
+        documents.drawing([paragraphOfText("Plan")], {drawingType: "diagram"}),
+        documents.drawing([paragraphOfText("Callout")], {drawingType: "shape"})
+    ]);
+    var converter = new DocumentConverter({
+        styleMap: [
+            {
+                from: documentMatchers.drawing({drawingType: "diagram"}),
+                to: htmlPaths.topLevelElement("figure", {"class": "diagram"})
+            }
+        ]
+    });
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<figure class="diagram"><p>Plan</p></figure><p>Callout</p>');
+    });
+});
+
 test('images are written with data URIs', function() {
     var imageBuffer = new Buffer("Not an image at all!");
     var image = new documents.Image({
@@ -813,6 +1721,87 @@ test('images have alt attribute if available', function() {
         });
 });
 
+test('images do not have width and height attributes by default', function() {
+    var converter = new DocumentConverter({convertImage: imageContentTypeConverter});
+    return converter.convertToHtml(sizedImage()).then(function(result) {
+        assert.equal(result.value, '<img alt="image/png" title="Not an image at all!" />');
+    });
+});
+
+test('images have width and height attributes if size is available when includeImageSizes is set', function() {
+    var converter = new DocumentConverter({includeImageSizes: true, convertImage: imageContentTypeConverter});
+    return converter.convertToHtml(sizedImage()).then(function(result) {
+        assert.equal(result.value, '<img alt="image/png" title="Not an image at all!" width="40" height="30" />');
+    });
+});
+
+test('image size is not used when image converter sets width or height', function() {
+    var converter = new DocumentConverter({
+        includeImageSizes: true,
+        convertImage: require("../lib/images").imgElement(function(image) {
+            return {src: "<src>", width: "20"};
+        })
+    });
+    return converter.convertToHtml(sizedImage()).then(function(result) {
+        assert.equal(result.value, '<img src="&lt;src&gt;" width="20" />');
+    });
+});
+
+function sizedImage() {
+    var imageBuffer = new Buffer("Not an image at all!");
+    return new documents.Image({
+        readImage: function(encoding) {
+            return promises.when(encoding ? imageBuffer.toString(encoding) : imageBuffer);
+        },
+        contentType: "image/png",
+        size: {width: 40, height: 30}
+    });
+}
+
+test('images are not cropped by default', function() {
+    var converter = new DocumentConverter({convertImage: imageContentTypeConverter});
+    return converter.convertToHtml(croppedImage()).then(function(result) {
+        assert.equal(result.value, '<img alt="image/png" title="Not an image at all!" />');
+    });
+});
+
+test('images are cropped using SVG images when cropImages is set', function() {
+    var converter = new DocumentConverter({cropImages: true, convertImage: imageContentTypeConverter});
+    return converter.convertToHtml(croppedImage())
+        .then(function(result) {
+            return xml.readString(result.value);
+        })
+        .then(function(htmlImageElement) {
+            assert.equal(htmlImageElement.attributes.alt, "image/svg+xml");
+            assert.equal(
+                htmlImageElement.attributes.title,
+                '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+                ' width="40" height="30" viewBox="0.1 0.25 0.5 0.75" preserveAspectRatio="none">' +
+                '<image width="1" height="1" preserveAspectRatio="none"' +
+                ' xlink:href="data:image/png;base64,' + new Buffer("Not an image at all!").toString("base64") + '"/>' +
+                '</svg>'
+            );
+        });
+});
+
+function croppedImage() {
+    var imageBuffer = new Buffer("Not an image at all!");
+    return new documents.Image({
+        readImage: function(encoding) {
+            return promises.when(encoding ? imageBuffer.toString(encoding) : imageBuffer);
+        },
+        contentType: "image/png",
+        size: {width: 40, height: 30},
+        crop: {top: 0.25, right: 0.4, bottom: 0, left: 0.1}
+    });
+}
+
+var imageContentTypeConverter = require("../lib/images").imgElement(function(image) {
+    return image.read("utf8").then(function(contents) {
+        return {alt: image.contentType, title: contents};
+    });
+});
+
 test('can add custom handler for images', function() {
     var imageBuffer = new Buffer("Not an image at all!");
     var image = new documents.Image({
@@ -856,6 +1845,54 @@ test('when custom image handler throws error then error is stored in error messa
     });
 });
 
+test('charts are converted to tables by default', function() {
+    var converter = new DocumentConverter();
+    return converter.convertToHtml(salesChart()).then(function(result) {
+        assert.equal(
+            result.value,
+            '<table><caption>Sales</caption>' +
+            '<thead><tr><th></th><th scope="col">2023</th><th scope="col">2024</th></tr></thead>' +
+            '<tbody>' +
+            '<tr><th scope="row">Q1</th><td>1.5</td><td>2</td></tr>' +
+            '<tr><th scope="row">Q2</th><td>3</td><td></td></tr>' +
+            '</tbody></table>'
+        );
+    });
+});
+
+test('charts are converted to SVG images when charts option is svg', function() {
+    var converter = new DocumentConverter({charts: "svg", includeImageSizes: true, convertImage: imageContentTypeConverter});
+    return converter.convertToHtml(salesChart())
+        .then(function(result) {
+            return xml.readString(result.value);
+        })
+        .then(function(htmlImageElement) {
+            assert.equal(htmlImageElement.attributes.alt, "image/svg+xml");
+            assert.equal(htmlImageElement.attributes.width, "200");
+            assert.equal(htmlImageElement.attributes.height, "100");
+            assert.equal(htmlImageElement.attributes.title.indexOf('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100"'), 0);
+        });
+});
+
+test('charts are ignored when charts option is ignore', function() {
+    var converter = new DocumentConverter({charts: "ignore"});
+    return converter.convertToHtml(salesChart()).then(function(result) {
+        assert.equal(result.value, "");
+    });
+});
+
+function salesChart() {
+    return documents.Chart({
+        chartType: "column",
+        title: "Sales",
+        series: [
+            {name: "2023", categories: ["Q1", "Q2"], values: [1.5, 3], color: null},
+            {name: "2024", categories: [], values: [2, null], color: "FF0000"}
+        ],
+        size: {width: 200, height: 100}
+    });
+}
+
 test('long documents do not cause stack overflow', function() {
     var paragraphs = [];
     for (var i = 0; i < 1000; i++) {
@@ -881,6 +1918,246 @@ function runOfText(text, properties) {
     return new documents.Run([textElement], properties);
 }
 
+function commentWithId(commentId) {
+    return documents.comment({
+        commentId: commentId,
+        body: [paragraphOfText("Who's there?")],
+        authorName: null,
+        authorInitials: null
+    });
+}
+
+function threadedCommentsDocument(options) {
+    var comment = documents.comment({
+        commentId: "1",
+        body: [paragraphOfText("Who's there?")],
+        authorName: "The Piemaker",
+        authorInitials: "TP",
+        date: "2024-01-31T12:00:00Z",
+        isResolved: options.isResolved
+    });
+    var reply = documents.comment({
+        commentId: "2",
+        body: [paragraphOfText("Ned.")],
+        authorName: "Ned",
+        authorInitials: "N",
+        parentCommentId: "1"
+    });
+    return documents.document([
+        documents.paragraph([
+            runOfText("Knock knock"),
+            documents.run([documents.commentReference({commentId: "1"})]),
+            documents.run([documents.commentReference({commentId: "2"})])
+        ])
+    ], {comments: [comment, reply]});
+}
+
+test('replies are converted as nested list inside comment they reply to', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+        ]
+    });
+    return converter.convertToHtml(threadedCommentsDocument({isResolved: true})).then(function(result) {
+        var expectedHtml = (
+            '<p>Knock knock<sup><a href="#comment-1" id="comment-ref-1">[TP1]</a></sup></p>' +
+            '<dl><dt id="comment-1">Comment [TP1] by The Piemaker on <time datetime="2024-01-31T12:00:00Z">2024-01-31T12:00:00Z</time> (resolved)</dt>' +
+            '<dd><p>Who\'s there? <a href="#comment-ref-1">↑</a></p>' +
+            '<dl><dt id="comment-2">Reply by Ned</dt><dd><p>Ned.</p></dd></dl>' +
+            '</dd></dl>'
+        );
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('resolved comments and their replies can be hidden', function() {
+    var converter = new DocumentConverter({
+        resolvedComments: "hide",
+        styleMap: [
+            {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+        ]
+    });
+    return converter.convertToHtml(threadedCommentsDocument({isResolved: true})).then(function(result) {
+        assert.equal(result.value, '<p>Knock knock</p>');
+    });
+});
+
+test('unresolved comments are not hidden when resolved comments are hidden', function() {
+    var converter = new DocumentConverter({
+        resolvedComments: "hide",
+        styleMap: [
+            {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+        ]
+    });
+    return converter.convertToHtml(threadedCommentsDocument({isResolved: false})).then(function(result) {
+        assert.ok(result.value.indexOf('<dt id="comment-2">Reply by Ned</dt>') !== -1);
+    });
+});
+
+test('comment ranges are not marked by default', function() {
+    var converter = new DocumentConverter();
+    var document = documents.document([
+        documents.paragraph([
+            documents.commentRangeStart({commentId: "1"}),
+            runOfText("Knock knock"),
+            documents.commentRangeEnd({commentId: "1"})
+        ])
+    ]);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Knock knock</p>');
+    });
+});
+
+test('content of comment ranges is wrapped using style mapping across runs and paragraphs', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])},
+            {from: documentMatchers.commentReference, to: htmlPaths.element("sup")}
+        ]
+    });
+    var comment = documents.comment({
+        commentId: "1",
+        body: [paragraphOfText("Who's there?")],
+        authorName: null,
+        authorInitials: "TP"
+    });
+    var document = documents.document([
+        documents.paragraph([
+            runOfText("Knock "),
+            documents.commentRangeStart({commentId: "1"}),
+            runOfText("knock"),
+            runOfText("!", {isBold: true})
+        ]),
+        documents.paragraph([
+            runOfText("Who's"),
+            documents.commentRangeEnd({commentId: "1"}),
+            documents.run([documents.commentReference({commentId: "1"})]),
+            runOfText(" there?")
+        ])
+    ], {comments: [comment]});
+    return converter.convertToHtml(document).then(function(result) {
+        var expectedHtml = (
+            '<p>Knock <mark data-comment-id="1"><a id="comment-range-1"></a>knock<strong>!</strong></mark></p>' +
+            '<p><mark data-comment-id="1">Who\'s</mark><sup><a href="#comment-1" id="comment-ref-1">[TP1]</a></sup> there?</p>' +
+            '<dl><dt id="comment-1">Comment [TP1]</dt>' +
+            '<dd><p>Who\'s there? <a href="#comment-range-1">↑</a></p></dd></dl>'
+        );
+        assert.equal(result.value, expectedHtml);
+    });
+});
+
+test('overlapping comment ranges are nested', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])}
+        ]
+    });
+    var document = documents.document([
+        documents.paragraph([
+            documents.commentRangeStart({commentId: "1"}),
+            runOfText("a"),
+            documents.commentRangeStart({commentId: "2"}),
+            runOfText("b"),
+            documents.commentRangeEnd({commentId: "1"}),
+            runOfText("c"),
+            documents.commentRangeEnd({commentId: "2"})
+        ])
+    ], {comments: [commentWithId("1"), commentWithId("2")]});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p><mark data-comment-id="1"><a id="comment-range-1"></a>a<mark data-comment-id="2"><a id="comment-range-2"></a>' +
+            'b</mark></mark><mark data-comment-id="2">c</mark></p>'
+        );
+    });
+});
+
+test('ranges of comments that do not exist are not marked', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])}
+        ]
+    });
+    var document = documents.document([
+        documents.paragraph([
+            documents.commentRangeStart({commentId: "9"}),
+            runOfText("Knock knock"),
+            documents.commentRangeEnd({commentId: "9"})
+        ])
+    ]);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Knock knock</p>');
+    });
+});
+
+test('paragraph containing only start of comment range is not written', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])}
+        ]
+    });
+    var document = documents.document([
+        paragraphOfText("Knock knock"),
+        documents.paragraph([
+            documents.commentRangeStart({commentId: "1"})
+        ]),
+        documents.paragraph([
+            documents.run([]),
+            runOfText("Who's there?"),
+            documents.commentRangeEnd({commentId: "1"})
+        ])
+    ], {comments: [commentWithId("1")]});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>Knock knock</p>' +
+            '<p><mark data-comment-id="1"><a id="comment-range-1"></a>Who\'s there?</mark></p>'
+        );
+    });
+});
+
+test('comment ranges still open at end of section are closed with warning', function() {
+    var converter = new DocumentConverter({
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])}
+        ]
+    });
+    var document = documents.document([
+        documents.paragraph([
+            documents.commentRangeStart({commentId: "1"}),
+            runOfText("Knock")
+        ]),
+        documents.sectionProperties({}),
+        paragraphOfText("knock")
+    ], {comments: [commentWithId("1")]});
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p><mark data-comment-id="1"><a id="comment-range-1"></a>Knock</mark></p><p>knock</p>'
+        );
+        assert.deepEqual(result.messages, [
+            results.warning("Comment range was not closed before the end of the section (comment ID: 1)")
+        ]);
+    });
+});
+
+test('ranges of replies and hidden comments are not marked', function() {
+    var converter = new DocumentConverter({
+        resolvedComments: "hide",
+        styleMap: [
+            {from: documentMatchers.commentRange, to: htmlPaths.elements(["mark"])}
+        ]
+    });
+    var document = threadedCommentsDocument({isResolved: true});
+    document.children[0].children = [
+        documents.commentRangeStart({commentId: "1"}),
+        documents.commentRangeStart({commentId: "2"})
+    ].concat(document.children[0].children);
+    return converter.convertToHtml(document).then(function(result) {
+        assert.equal(result.value, '<p>Knock knock</p>');
+    });
+});
+
 test('when initials are not blank then comment author label is initials', function() {
     assert.equal(commentAuthorLabel({authorInitials: "TP"}), "TP");
 });
@@ -0,0 +1,223 @@
+var assert = require("assert");
+
+var altChunkReader = require("../../lib/docx/alt-chunk-reader");
+var documents = require("../../lib/documents");
+var warning = require("../../lib/results").warning;
+var test = require("../test")(module);
+
+
+test("format of altChunk is found using content type", function() {
+    assert.equal(altChunkReader.chunkFormat("text/html", "word/chunk"), "html");
+    assert.equal(altChunkReader.chunkFormat("message/rfc822", "word/chunk"), "mht");
+    assert.equal(altChunkReader.chunkFormat("application/rtf", "word/chunk"), "rtf");
+    assert.equal(altChunkReader.chunkFormat("text/plain", "word/chunk"), "text");
+    assert.equal(
+        altChunkReader.chunkFormat("application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml", "word/chunk"),
+        "docx"
+    );
+});
+
+test("format of altChunk is found using extension when content type is not recognised", function() {
+    assert.equal(altChunkReader.chunkFormat(null, "word/afchunk.htm"), "html");
+    assert.equal(altChunkReader.chunkFormat(null, "word/afchunk.mht"), "mht");
+    assert.equal(altChunkReader.chunkFormat(null, "word/afchunk.docx"), "docx");
+    assert.equal(altChunkReader.chunkFormat(null, "word/afchunk.bin"), null);
+});
+
+test("HTML", {
+    "inline content is read as paragraphs with collapsed whitespace": function() {
+        return altChunkReader.readHtml("<html><body>\n<p>  Hello,\n  world. </p>\n<div>Second</div></body></html>").then(function(result) {
+            assert.deepEqual(result.value, [
+                paragraphOfText("Hello, world."),
+                paragraphOfText("Second")
+            ]);
+        });
+    },
+
+    "formatting is read as run properties": function() {
+        return altChunkReader.readHtml("<p><b>Bold</b><em>Italic</em><sup>1</sup></p>").then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([
+                    documents.Run([documents.Text("Bold")], {isBold: true}),
+                    documents.Run([documents.Text("Italic")], {isItalic: true}),
+                    documents.Run([documents.Text("1")], {verticalAlignment: documents.verticalAlignment.superscript})
+                ])
+            ]);
+        });
+    },
+
+    "headings are read as paragraphs with heading styles": function() {
+        return altChunkReader.readHtml("<h2>Scope</h2>").then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([documents.Run([documents.Text("Scope")])], {styleId: "Heading2", styleName: "Heading 2"})
+            ]);
+        });
+    },
+
+    "nested lists are read as paragraphs with numbering": function() {
+        return altChunkReader.readHtml("<ul><li>One<ol><li>Two</li></ol></li></ul>").then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([documents.Run([documents.Text("One")])], {numbering: {level: "0", isOrdered: false}}),
+                documents.Paragraph([documents.Run([documents.Text("Two")])], {numbering: {level: "1", isOrdered: true}})
+            ]);
+        });
+    },
+
+    "tables are read with header rows and spans": function() {
+        return altChunkReader.readHtml(
+            "<table><thead><tr><th colspan='2'>Head</th></tr></thead><tr><td>A</td><td>B</td></tr></table>"
+        ).then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Table([
+                    documents.TableRow([
+                        documents.TableCell([paragraphOfText("Head")], {colSpan: 2})
+                    ], {isHeader: true}),
+                    documents.TableRow([
+                        documents.TableCell([paragraphOfText("A")]),
+                        documents.TableCell([paragraphOfText("B")])
+                    ])
+                ])
+            ]);
+        });
+    },
+
+    "content of rows and cells without end tags is kept": function() {
+        return altChunkReader.readHtml(
+            "<table>\n<tr><th>Name<th>Score\n<tr><td>Alice<td><b>1</b>\n</table>"
+        ).then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Table([
+                    documents.TableRow([
+                        documents.TableCell([paragraphOfText("Name")]),
+                        documents.TableCell([paragraphOfText("Score")])
+                    ]),
+                    documents.TableRow([
+                        documents.TableCell([paragraphOfText("Alice")]),
+                        documents.TableCell([documents.Paragraph([documents.Run([documents.Text("1")], {isBold: true})])])
+                    ])
+                ])
+            ]);
+            assert.deepEqual(result.messages, []);
+        });
+    },
+
+    "content of tables outside of cells is ignored with warning": function() {
+        return altChunkReader.readHtml("<table>Caption<tr><td>A</td></tr></table>").then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Table([
+                    documents.TableRow([documents.TableCell([paragraphOfText("A")])])
+                ])
+            ]);
+            assert.deepEqual(result.messages, [warning("Content outside of table cells in HTML altChunk was ignored")]);
+        });
+    },
+
+    "scripts, styles and links to scripts are removed": function() {
+        return altChunkReader.readHtml(
+            "<head><style>p {}</style></head><body><script>alert(1)</script>" +
+            "<p><a href='javascript:alert(1)'>Click</a> <a href='https://example.com'>Site</a></p></body>"
+        ).then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([
+                    documents.Run([documents.Text("Click")]),
+                    documents.Run([documents.Text(" ")]),
+                    documents.Hyperlink([documents.Run([documents.Text("Site")])], {href: "https://example.com"})
+                ])
+            ]);
+        });
+    },
+
+    "links to scripts containing whitespace and control characters are removed": function() {
+        return altChunkReader.readHtml(
+            "<p><a href='java&#9;script:alert(1)'>A</a>" +
+            "<a href='jav&#x0A;ascript:alert(1)'>B</a>" +
+            "<a href=' &#1;vbscript:alert(1)'>C</a>" +
+            "<a href='DATA:text/html,x'>D</a></p>"
+        ).then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([
+                    documents.Run([documents.Text("A")]),
+                    documents.Run([documents.Text("B")]),
+                    documents.Run([documents.Text("C")]),
+                    documents.Run([documents.Text("D")])
+                ])
+            ]);
+        });
+    },
+
+    "links to email addresses and relative URLs are kept": function() {
+        return altChunkReader.readHtml(
+            "<p><a href='mailto:bob@example.com'>A</a><a href='docs/a:b.html'>B</a></p>"
+        ).then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([
+                    documents.Hyperlink([documents.Run([documents.Text("A")])], {href: "mailto:bob@example.com"}),
+                    documents.Hyperlink([documents.Run([documents.Text("B")])], {href: "docs/a:b.html"})
+                ])
+            ]);
+        });
+    },
+
+    "line breaks in preformatted text are kept": function() {
+        return altChunkReader.readHtml("<pre>a  b\nc</pre>").then(function(result) {
+            assert.deepEqual(result.value, [
+                documents.Paragraph([
+                    documents.Run([documents.Text("a  b"), documents.lineBreak, documents.Text("c")])
+                ])
+            ]);
+        });
+    },
+
+    "images are ignored with warning": function() {
+        return altChunkReader.readHtml("<p><img src='a.png'>Text<img src='b.png'></p>").then(function(result) {
+            assert.deepEqual(result.value, [paragraphOfText("Text")]);
+            assert.deepEqual(result.messages, [warning("Images in HTML altChunks are ignored")]);
+        });
+    }
+});
+
+test("HTML is read from quoted-printable part of MHT", function() {
+    var mht = [
+        "MIME-Version: 1.0",
+        "Content-Type: multipart/related; boundary=\"----=_Part\"",
+        "",
+        "------=_Part",
+        "Content-Type: text/html; charset=\"utf-8\"",
+        "Content-Transfer-Encoding: quoted-printable",
+        "",
+        "<p>Caf=C3=A9 au =",
+        "lait</p>",
+        "------=_Part--",
+        ""
+    ].join("\r\n");
+    return altChunkReader.readMht(Buffer.from(mht, "latin1")).then(function(result) {
+        assert.deepEqual(result.value, [paragraphOfText("Café au lait")]);
+    });
+});
+
+test("warning if MHT has no HTML", function() {
+    var mht = "Content-Type: text/plain\r\n\r\nHello";
+    return altChunkReader.readMht(Buffer.from(mht, "latin1")).then(function(result) {
+        assert.deepEqual(result.value, []);
+        assert.deepEqual(result.messages, [warning("Could not find HTML in MHT altChunk")]);
+    });
+});
+
+test("text of RTF is read as paragraphs", function() {
+    var rtf = "{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Test;}\\f0 Caf\\'e9\\par " +
+        "Smile \\u9786?\\tab end\\par}";
+    var result = altChunkReader.readRtf(rtf);
+    assert.deepEqual(result.value, [
+        paragraphOfText("Café"),
+        documents.Paragraph([documents.Run([documents.Text("Smile ☺"), documents.Tab(), documents.Text("end")])])
+    ]);
+});
+
+test("lines of plain text are read as paragraphs", function() {
+    var result = altChunkReader.readText("One\r\n\r\nTwo");
+    assert.deepEqual(result.value, [paragraphOfText("One"), paragraphOfText("Two")]);
+});
+
+function paragraphOfText(text) {
+    return documents.Paragraph([documents.Run([documents.Text(text)])]);
+}
@@ -23,10 +23,15 @@ var isRow = documentMatchers.isRow;
 
 var _readNumberingProperties = require("../../lib/docx/body-reader")._readNumberingProperties;
 var documents = require("../../lib/documents");
+var math = require("../../lib/math");
 var xml = require("../../lib/xml");
 var XmlElement = xml.Element;
 var Relationships = require("../../lib/docx/relationships-reader").Relationships;
+var readNumberingXml = require("../../lib/docx/numbering-xml").readNumberingXml;
 var Styles = require("../../lib/docx/styles-reader").Styles;
+var readStylesXml = require("../../lib/docx/styles-reader").readStylesXml;
+var Theme = require("../../lib/docx/theme-reader").Theme;
+var Result = require("../../lib/results").Result;
 var warning = require("../../lib/results").warning;
 
 var testing = require("../testing");
@@ -58,7 +63,8 @@ var fakeContentTypes = {
     findContentType: function(filePath) {
         var extensionTypes = {
             ".png": "image/png",
-            ".emf": "image/x-emf"
+            ".emf": "image/x-emf",
+            ".bmp": "image/bmp"
         };
         return extensionTypes[path.extname(filePath)];
     }
@@ -249,6 +255,60 @@ test("numbering properties are ignored if w:numId is missing", function() {
     assert.equal(numberingLevel, null);
 });
 
+test("list paragraphs are labelled in the order they appear", function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "1"}, [
+                new XmlElement("w:lvl", {"w:ilvl": "0"}, [
+                    new XmlElement("w:start", {"w:val": "1"}),
+                    new XmlElement("w:numFmt", {"w:val": "decimal"}),
+                    new XmlElement("w:lvlText", {"w:val": "%1."})
+                ])
+            ]),
+            new XmlElement("w:num", {"w:numId": "42"}, [
+                new XmlElement("w:abstractNumId", {"w:val": "1"})
+            ])
+        ]),
+        {styles: new Styles({}, {})}
+    );
+    function listParagraphXml(level, children) {
+        return new XmlElement("w:p", {}, [
+            new XmlElement("w:pPr", {}, [
+                new XmlElement("w:numPr", {}, [
+                    new XmlElement("w:ilvl", {"w:val": level}),
+                    new XmlElement("w:numId", {"w:val": "42"})
+                ])
+            ])
+        ].concat(children || []));
+    }
+    var textBoxXml = new XmlElement("w:r", {}, [
+        new XmlElement("w:pict", {}, [
+            new XmlElement("v:shape", {}, [
+                new XmlElement("v:textbox", {}, [
+                    new XmlElement("w:txbxContent", {}, [listParagraphXml("0")])
+                ])
+            ])
+        ])
+    ]);
+
+    var paragraphs = readXmlElementsValue([
+        listParagraphXml("0", [textBoxXml]),
+        listParagraphXml("0")
+    ], {numbering: numbering});
+
+    assertThat(paragraphs, contains(
+        hasProperties({
+            numbering: hasProperties({level: "0", value: 1, label: "1."})
+        }),
+        hasProperties({
+            numbering: hasProperties({level: "0", value: 2, label: "2."})
+        }),
+        hasProperties({
+            numbering: hasProperties({level: "0", value: 3, label: "3."})
+        })
+    ));
+});
+
 test("content of deleted paragraph is prepended to next paragraph", function() {
     var styles = new Styles(
         {
@@ -490,10 +550,14 @@ test("complex fields", (function() {
                 isEmptyHyperlinkedRun,
                 isEmptyHyperlinkedRun,
                 isEmptyHyperlinkedRun,
-                isHyperlinkedRun({
-                    href: uri,
+                hasProperties({
+                    type: "field",
+                    fieldType: "AUTHOR",
                     children: contains(
-                        isText("John Doe")
+                        isHyperlinkedRun({
+                            href: uri,
+                            children: contains(isText("John Doe"))
+                        })
                     )
                 }),
                 isEmptyHyperlinkedRun,
@@ -501,6 +565,195 @@ test("complex fields", (function() {
           ));
         },
 
+        "runs in the result of a complex field are wrapped in a field": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(' DATE \\@ "d MMMM yyyy" ')]),
+                separateXml,
+                runOfText("1 January 2024"),
+                endXml
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children, contains(
+                isEmptyRun,
+                isEmptyRun,
+                hasProperties({
+                    type: "field",
+                    fieldType: "DATE",
+                    instruction: 'DATE \\@ "d MMMM yyyy"',
+                    children: contains(isRun({children: contains(isText("1 January 2024"))}))
+                }),
+                isEmptyRun
+            ));
+        },
+
+        "runs in the result of a complex field are wrapped in a single field": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(" REF _Ref123 \\h ")]),
+                separateXml,
+                runOfText("Section "),
+                runOfText("2"),
+                endXml,
+                runOfText(" after")
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children, contains(
+                isEmptyRun,
+                isEmptyRun,
+                hasProperties({
+                    type: "field",
+                    fieldType: "REF",
+                    children: contains(
+                        isRun({children: contains(isHyperlink({anchor: "_Ref123", children: contains(isText("Section "))}))}),
+                        isRun({children: contains(isHyperlink({anchor: "_Ref123", children: contains(isText("2"))}))})
+                    )
+                }),
+                isEmptyRun,
+                isRun({children: contains(isText(" after"))})
+            ));
+        },
+
+        "field type is read in upper case": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(" mergefield Name ")]),
+                separateXml,
+                runOfText("\u00ABName\u00BB"),
+                endXml
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children[2], hasProperties({
+                type: "field",
+                fieldType: "MERGEFIELD",
+                instruction: "mergefield Name"
+            }));
+        },
+
+        "runs in the result of reference fields are read as internal hyperlinks to bookmark": function() {
+            ["REF", "PAGEREF", "NOTEREF"].forEach(function(fieldType) {
+                var paragraphXml = new XmlElement("w:p", {}, [
+                    beginXml,
+                    new XmlElement("w:instrText", {}, [xml.text(" " + fieldType + " _Ref123 \\h ")]),
+                    separateXml,
+                    runOfText("Section 2"),
+                    endXml
+                ]);
+                var paragraph = readXmlElementValue(paragraphXml);
+
+                assertThat(paragraph.children[2], hasProperties({
+                    type: "field",
+                    fieldType: fieldType,
+                    children: contains(isRun({
+                        children: contains(
+                            isHyperlink({
+                                anchor: "_Ref123",
+                                children: contains(isText("Section 2"))
+                            })
+                        )
+                    }))
+                }));
+            });
+        },
+
+        "reference fields within hyperlinks are not read as hyperlinks": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                hyperlinkInstrText,
+                separateXml,
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(" PAGEREF _Toc123 \\h ")]),
+                separateXml,
+                runOfText("4"),
+                endXml,
+                endXml
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children[4], hasProperties({
+                type: "field",
+                fieldType: "PAGEREF",
+                children: contains(isHyperlinkedRun({
+                    href: uri,
+                    children: contains(isText("4"))
+                }))
+            }));
+        },
+
+        "reference fields within w:hyperlink elements are not read as hyperlinks": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                new XmlElement("w:hyperlink", {"w:anchor": "_Toc1", "w:history": "1"}, [
+                    runOfText("Intro"),
+                    new XmlElement("w:r", {}, [new XmlElement("w:tab")]),
+                    beginXml,
+                    new XmlElement("w:r", {}, [
+                        new XmlElement("w:instrText", {}, [xml.text(" PAGEREF _Toc1 \\h ")])
+                    ]),
+                    separateXml,
+                    runOfText("1"),
+                    endXml
+                ])
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children, contains(
+                isHyperlink({
+                    anchor: "_Toc1",
+                    children: contains(
+                        isRun({children: contains(isText("Intro"))}),
+                        isRun({children: contains(hasProperties({type: "tab"}))}),
+                        isEmptyRun,
+                        isEmptyRun,
+                        isEmptyRun,
+                        hasProperties({
+                            type: "field",
+                            fieldType: "PAGEREF",
+                            children: contains(isRun({children: contains(isText("1"))}))
+                        }),
+                        isEmptyRun
+                    )
+                })
+            ));
+        },
+
+        "runs in the result of nested fields are wrapped in each field": function() {
+            var paragraphXml = new XmlElement("w:p", {}, [
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(" TOC \\o ")]),
+                separateXml,
+                beginXml,
+                new XmlElement("w:instrText", {}, [xml.text(" SEQ Figure ")]),
+                separateXml,
+                runOfText("1"),
+                endXml,
+                endXml
+            ]);
+            var paragraph = readXmlElementValue(paragraphXml);
+
+            assertThat(paragraph.children, contains(
+                isEmptyRun,
+                isEmptyRun,
+                isEmptyRun,
+                isEmptyRun,
+                hasProperties({
+                    type: "field",
+                    fieldType: "TOC",
+                    children: contains(
+                        hasProperties({
+                            type: "field",
+                            fieldType: "SEQ",
+                            children: contains(isRun({children: contains(isText("1"))}))
+                        })
+                    )
+                }),
+                isEmptyRun,
+                isEmptyRun
+            ));
+        },
+
         "field without separate w:fldChar is ignored": function() {
             var hyperlinkRunXml = runOfText("this is a hyperlink");
             var paragraphXml = new XmlElement("w:p", {}, [
@@ -531,6 +784,129 @@ test("complex fields", (function() {
     };
 })());
 
+test("simple fields", {
+    "runs in simple field are wrapped in a field": function() {
+        var fieldXml = new XmlElement("w:fldSimple", {"w:instr": " DOCPROPERTY Title "}, [
+            runOfText("Annual report")
+        ]);
+        var result = readXmlElementValue(fieldXml);
+
+        assertThat(result, contains(
+            hasProperties({
+                type: "field",
+                fieldType: "DOCPROPERTY",
+                instruction: "DOCPROPERTY Title",
+                children: contains(isRun({children: contains(isText("Annual report"))}))
+            })
+        ));
+    },
+
+    "runs in simple hyperlink field are read as hyperlinks": function() {
+        var fieldXml = new XmlElement("w:fldSimple", {"w:instr": ' HYPERLINK "http://example.com" '}, [
+            runOfText("Example")
+        ]);
+        var result = readXmlElementValue(fieldXml);
+
+        assertThat(result, contains(
+            isRun({
+                children: contains(
+                    isHyperlink({
+                        href: "http://example.com",
+                        children: contains(isText("Example"))
+                    })
+                )
+            })
+        ));
+    },
+
+    "runs after simple field are not wrapped in field": function() {
+        var paragraphXml = new XmlElement("w:p", {}, [
+            new XmlElement("w:fldSimple", {"w:instr": " PAGE "}, [runOfText("1")]),
+            runOfText("after")
+        ]);
+        var paragraph = readXmlElementValue(paragraphXml);
+
+        assertThat(paragraph.children[1], isRun({
+            children: contains(isText("after"))
+        }));
+    }
+});
+
+test("document property fields", (function() {
+    var documentProperties = documents.DocumentProperties({
+        title: "Annual report",
+        custom: {"Client Name": "Acme", "Approved": true}
+    });
+
+    function complexField(instruction, result) {
+        return xml.element("w:p", {}, [
+            xml.element("w:r", {}, [xml.element("w:fldChar", {"w:fldCharType": "begin"})]),
+            xml.element("w:r", {}, [xml.element("w:instrText", {}, [xml.text(instruction)])]),
+            xml.element("w:r", {}, [xml.element("w:fldChar", {"w:fldCharType": "separate"})]),
+            runOfText(result),
+            xml.element("w:r", {}, [xml.element("w:fldChar", {"w:fldCharType": "end"})])
+        ]);
+    }
+
+    function isDocumentPropertyField(instruction, value) {
+        return hasProperties({
+            type: "field",
+            fieldType: "DOCPROPERTY",
+            instruction: instruction,
+            children: contains(isText(value))
+        });
+    }
+
+    return {
+        "result of complex field is replaced with value of built-in property": function() {
+            var paragraph = readXmlElementValue(
+                complexField(" DOCPROPERTY Title \\* MERGEFORMAT ", "Draft report"),
+                {documentProperties: documentProperties}
+            );
+
+            assertThat(paragraph.children, contains(
+                isEmptyRun,
+                isEmptyRun,
+                isEmptyRun,
+                isEmptyRun,
+                isRun({children: contains(isDocumentPropertyField("DOCPROPERTY Title \\* MERGEFORMAT", "Annual report"))})
+            ));
+        },
+
+        "custom properties are found ignoring case": function() {
+            var paragraph = readXmlElementValue(
+                complexField(' DOCPROPERTY "client name" ', "Old client"),
+                {documentProperties: documentProperties}
+            );
+
+            assertThat(paragraph.children[4], isRun({
+                children: contains(isDocumentPropertyField('DOCPROPERTY "client name"', "Acme"))
+            }));
+        },
+
+        "boolean properties are written as Y or N": function() {
+            var fieldXml = xml.element("w:fldSimple", {"w:instr": " DOCPROPERTY Approved "}, [runOfText("")]);
+            var result = readXmlElementValue(fieldXml, {documentProperties: documentProperties});
+
+            assertThat(result, contains(
+                isRun({children: contains(isDocumentPropertyField("DOCPROPERTY Approved", "Y"))})
+            ));
+        },
+
+        "result of field is kept when property is not set": function() {
+            var fieldXml = xml.element("w:fldSimple", {"w:instr": " DOCPROPERTY Subject "}, [runOfText("Finance")]);
+            var result = readXmlElementValue(fieldXml, {documentProperties: documentProperties});
+
+            assertThat(result, contains(hasProperties({
+                type: "field",
+                fieldType: "DOCPROPERTY",
+                instruction: "DOCPROPERTY Subject",
+                children: contains(isRun({children: contains(isText("Finance"))}))
+            })));
+        }
+    };
+})());
+
 test("checkboxes", {
     "complex field checkbox without separate is read": function() {
         var paragraphXml = xml.element("w:p", {}, [
@@ -831,81 +1207,488 @@ function complexFieldCheckboxParagraph(ffDataChildren) {
     ]);
 }
 
-test("run has no style if it has no properties", function() {
-    var runXml = runWithProperties([]);
-    var run = readXmlElementValue(runXml);
-    assert.deepEqual(run.styleId, null);
-});
+test("form controls", {
+    "complex field text input is read with text of result as value": function() {
+        var paragraphXml = complexFieldFormFieldParagraph(" FORMTEXT ", [
+            xml.element("w:name", {"w:val": "Name"}),
+            xml.element("w:textInput", {}, [
+                xml.element("w:maxLength", {"w:val": "20"})
+            ])
+        ], [
+            runOfText("Bob "),
+            runOfText("Smith")
+        ]);
 
-test("run has style ID and name read from run properties if present", function() {
-    var runStyleXml = new XmlElement("w:rStyle", {"w:val": "Heading1Char"});
-    var runXml = runWithProperties([runStyleXml]);
+        var paragraph = readXmlElementValue(paragraphXml);
 
-    var styles = new Styles({}, {"Heading1Char": {name: "Heading 1 Char"}});
+        assert.deepEqual(paragraph.children, [
+            documents.run([]),
+            documents.run([]),
+            documents.run([]),
+            documents.run([]),
+            documents.run([]),
+            documents.run([
+                documents.textInput({name: "Name", value: "Bob Smith", maxLength: 20})
+            ])
+        ]);
+    },
 
-    var run = readXmlElementValue(runXml, {styles: styles});
-    assert.deepEqual(run.styleId, "Heading1Char");
-    assert.deepEqual(run.styleName, "Heading 1 Char");
-});
+    "complex field dropdown is read with selected item from w:result": function() {
+        var paragraphXml = complexFieldFormFieldParagraph(" FORMDROPDOWN ", [
+            xml.element("w:ddList", {}, [
+                xml.element("w:result", {"w:val": "1"}),
+                xml.element("w:listEntry", {"w:val": "Red"}),
+                xml.element("w:listEntry", {"w:val": "Green"})
+            ])
+        ], [
+            runOfText("Green")
+        ]);
 
-test("warning is emitted when run style cannot be found", function() {
-    var runStyleXml = new XmlElement("w:rStyle", {"w:val": "Heading1Char"});
-    var runXml = runWithProperties([runStyleXml]);
+        var paragraph = readXmlElementValue(paragraphXml);
 
-    var styles = new Styles({}, {});
+        assert.deepEqual(_.last(paragraph.children).children, [
+            documents.dropdown({
+                value: "Green",
+                items: [
+                    {value: "Red", displayText: "Red"},
+                    {value: "Green", displayText: "Green"}
+                ]
+            })
+        ]);
+    },
 
-    var result = readXmlElement(runXml, {styles: styles});
-    var run = result.value;
-    assert.deepEqual(run.styleId, "Heading1Char");
-    assert.deepEqual(run.styleName, null);
-    assert.deepEqual(result.messages, [warning("Run style with ID Heading1Char was referenced but not defined in the document")]);
-});
+    "complex field dropdown without w:result uses w:default": function() {
+        var paragraphXml = complexFieldFormFieldParagraph(" FORMDROPDOWN ", [
+            xml.element("w:ddList", {}, [
+                xml.element("w:default", {"w:val": "1"}),
+                xml.element("w:listEntry", {"w:val": "Red"}),
+                xml.element("w:listEntry", {"w:val": "Green"})
+            ])
+        ], []);
 
-test("isBold is false if bold element is not present", function() {
-    var runXml = runWithProperties([]);
-    var run = readXmlElementValue(runXml);
-    assert.deepEqual(run.isBold, false);
-});
+        var paragraph = readXmlElementValue(paragraphXml);
 
-test("isBold is true if bold element is present", function() {
-    var boldXml = new XmlElement("w:b");
-    var runXml = runWithProperties([boldXml]);
-    var run = readXmlElementValue(runXml);
-    assert.equal(run.isBold, true);
-});
+        assert.equal(_.last(paragraph.children).children[0].value, "Green");
+    },
 
-test("isBold is false if bold element is present and w:val is false", function() {
-    var boldXml = new XmlElement("w:b", {"w:val": "false"});
-    var runXml = runWithProperties([boldXml]);
-    var run = readXmlElementValue(runXml);
-    assert.equal(run.isBold, false);
-});
+    "complex field dropdown without w:result nor w:default selects first item": function() {
+        var paragraphXml = complexFieldFormFieldParagraph(" FORMDROPDOWN ", [
+            xml.element("w:ddList", {}, [
+                xml.element("w:listEntry", {"w:val": "Red"}),
+                xml.element("w:listEntry", {"w:val": "Green"})
+            ])
+        ], []);
 
-test("isUnderline is false if underline element is not present", function() {
-    var runXml = runWithProperties([]);
-    var run = readXmlElementValue(runXml);
-    assert.deepEqual(run.isUnderline, false);
-});
+        var paragraph = readXmlElementValue(paragraphXml);
 
-test("isUnderline is false if underline element is present without w:val attribute", function() {
-    var underlineXml = new XmlElement("w:u");
-    var runXml = runWithProperties([underlineXml]);
-    var run = readXmlElementValue(runXml);
-    assert.equal(run.isUnderline, false);
-});
+        assert.equal(_.last(paragraph.children).children[0].value, "Red");
+    },
 
-test("isUnderline is false if underline element is present and w:val is false", function() {
-    var underlineXml = new XmlElement("w:u", {"w:val": "false"});
-    var runXml = runWithProperties([underlineXml]);
-    var run = readXmlElementValue(runXml);
-    assert.equal(run.isUnderline, false);
-});
+    "structured document tag dropdown list replaces displayed text": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:alias", {"w:val": "Department"}),
+                xml.element("w:tag", {"w:val": "department"}),
+                xml.element("w:dropDownList", {}, [
+                    xml.element("w:listItem", {"w:displayText": "Sales", "w:value": "sales"}),
+                    xml.element("w:listItem", {"w:displayText": "Human Resources", "w:value": "hr"})
+                ])
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("Human "),
+                runOfText("Resources")
+            ])
+        ]);
 
-test("isUnderline is false if underline element is present and w:val is 0", function() {
-    var underlineXml = new XmlElement("w:u", {"w:val": "0"});
-    var runXml = runWithProperties([underlineXml]);
-    var run = readXmlElementValue(runXml);
-    assert.equal(run.isUnderline, false);
+        var result = readXmlElementValue(sdtXml);
+
+        assert.deepEqual(result, [
+            documents.run([
+                documents.dropdown({
+                    tag: "department",
+                    alias: "Department",
+                    value: "hr",
+                    items: [
+                        {value: "sales", displayText: "Sales"},
+                        {value: "hr", displayText: "Human Resources"}
+                    ]
+                })
+            ]),
+            documents.run([documents.text("")])
+        ]);
+    },
+
+    "structured document tag combo box uses displayed text as value if it does not match any item": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:comboBox", {}, [
+                    xml.element("w:listItem", {"w:displayText": "Sales", "w:value": "sales"})
+                ])
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("Marketing")
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assert.equal(result[0].children[0].value, "Marketing");
+    },
+
+    "structured document tag showing placeholder has no value": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:showingPlcHdr"),
+                xml.element("w:dropDownList", {}, [
+                    xml.element("w:listItem", {"w:displayText": "Sales", "w:value": "sales"})
+                ])
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("Choose an item.")
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assertThat(result[0].children[0], hasProperties({
+            value: equalTo(null),
+            placeholder: equalTo("Choose an item.")
+        }));
+    },
+
+    "structured document tag date is read with full date and display text": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:date", {"w:fullDate": "2024-03-01T00:00:00Z"}, [
+                    xml.element("w:dateFormat", {"w:val": "d MMMM yyyy"})
+                ])
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("1 March 2024")
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assert.deepEqual(result[0].children, [
+            documents.dateInput({
+                value: "2024-03-01",
+                displayText: "1 March 2024",
+                dateFormat: "d MMMM yyyy"
+            })
+        ]);
+    },
+
+    "structured document tag plain text is read as text input": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:tag", {"w:val": "employee-name"}),
+                xml.element("w:text")
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("Bob")
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assert.deepEqual(result[0].children, [
+            documents.textInput({tag: "employee-name", value: "Bob"})
+        ]);
+    },
+
+    "structured document tag plain text with several paragraphs is read as structured document tag": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:tag", {"w:val": "address"}),
+                xml.element("w:text", {"w:multiLine": "1"})
+            ]),
+            xml.element("w:sdtContent", {}, [
+                xml.element("w:p", {}, [runOfText("1 Main Street")]),
+                xml.element("w:p", {}, [runOfText("Springfield")])
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assert.equal(result.type, "structuredDocumentTag");
+        assert.equal(result.tag, "address");
+        assert.deepEqual(_.pluck(result.children, "type"), ["paragraph", "paragraph"]);
+        assert.deepEqual(result.children[1].children, [documents.run([documents.text("Springfield")])]);
+    },
+
+    "structured document tag without form control properties is read as structured document tag": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:tag", {"w:val": "employee-name"})
+            ]),
+            xml.element("w:sdtContent", {}, [
+                runOfText("Bob")
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assert.deepEqual(result, documents.structuredDocumentTag(
+            [documents.run([documents.text("Bob")])],
+            {tag: "employee-name"}
+        ));
+    }
+});
+
+function complexFieldFormFieldParagraph(instrText, ffDataChildren, resultRuns) {
+    return xml.element("w:p", {}, [
+        xml.element("w:r", {}, [
+            xml.element("w:fldChar", {"w:fldCharType": "begin"}, [
+                xml.element("w:ffData", {}, ffDataChildren)
+            ])
+        ]),
+        xml.element("w:r", {}, [
+            xml.element("w:instrText", {}, [
+                xml.text(instrText)
+            ])
+        ]),
+        xml.element("w:r", {}, [
+            xml.element("w:fldChar", {"w:fldCharType": "separate"})
+        ])
+    ].concat(resultRuns).concat([
+        xml.element("w:r", {}, [
+            xml.element("w:fldChar", {"w:fldCharType": "end"})
+        ])
+    ]));
+}
+
+test("section properties", {
+    "w:sectPr is read as section properties": function() {
+        var sectionPropertiesXml = xml.element("w:sectPr", {}, [
+            xml.element("w:type", {"w:val": "continuous"}),
+            xml.element("w:pgSz", {"w:w": "16838", "w:h": "11906", "w:orient": "landscape"}),
+            xml.element("w:pgMar", {
+                "w:top": "1440",
+                "w:right": "1080",
+                "w:bottom": "1440",
+                "w:left": "1080",
+                "w:header": "708",
+                "w:footer": "709",
+                "w:gutter": "0"
+            }),
+            xml.element("w:cols", {"w:num": "2", "w:space": "708"})
+        ]);
+
+        var result = readXmlElementValue(sectionPropertiesXml);
+
+        assert.deepEqual(result, documents.SectionProperties({
+            breakType: "continuous",
+            pageSize: {width: "16838", height: "11906"},
+            orientation: "landscape",
+            margins: {
+                top: "1440",
+                right: "1080",
+                bottom: "1440",
+                left: "1080",
+                header: "708",
+                footer: "709",
+                gutter: "0"
+            },
+            columns: 2
+        }));
+    },
+
+    "section properties have defaults when properties are missing": function() {
+        var result = readXmlElementValue(xml.element("w:sectPr"));
+
+        assertThat(result, hasProperties({
+            breakType: "nextPage",
+            orientation: "portrait",
+            pageSize: {width: null, height: null},
+            columns: 1
+        }));
+    },
+
+    "number of columns is read from w:col elements when columns are not of equal width": function() {
+        var sectionPropertiesXml = xml.element("w:sectPr", {}, [
+            xml.element("w:cols", {"w:num": "2", "w:equalWidth": "0"}, [
+                xml.element("w:col", {"w:w": "2000"}),
+                xml.element("w:col", {"w:w": "3000"}),
+                xml.element("w:col", {"w:w": "4000"})
+            ])
+        ]);
+
+        var result = readXmlElementValue(sectionPropertiesXml);
+
+        assert.equal(result.columns, 3);
+    },
+
+    "numbering of notes is read from section properties": function() {
+        var sectionPropertiesXml = xml.element("w:sectPr", {}, [
+            xml.element("w:footnotePr", {}, [
+                xml.element("w:numFmt", {"w:val": "chicago"}),
+                xml.element("w:numRestart", {"w:val": "eachSect"})
+            ]),
+            xml.element("w:endnotePr", {}, [
+                xml.element("w:numStart", {"w:val": "3"})
+            ])
+        ]);
+
+        var result = readXmlElementValue(sectionPropertiesXml);
+
+        assert.deepEqual(result.footnoteNumbering, documents.NoteNumbering({numberFormat: "chicago", restart: "eachSect"}));
+        assert.deepEqual(result.endnoteNumbering, documents.NoteNumbering({start: 3}));
+    },
+
+    "section properties in paragraph properties are read after paragraph": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:sectPr", {}, [
+                    xml.element("w:cols", {"w:num": "2"})
+                ])
+            ]),
+            runOfText("Hello")
+        ]);
+
+        var result = readXmlElementValue(paragraphXml);
+
+        assertThat(result, contains(
+            hasProperties({type: "paragraph"}),
+            hasProperties({type: "sectionProperties", columns: 2})
+        ));
+    },
+
+    "structured document tags are split around section properties in their content": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [xml.element("w:tag", {"w:val": "chapters"})]),
+            xml.element("w:sdtContent", {}, [
+                xml.element("w:p", {}, [
+                    xml.element("w:pPr", {}, [
+                        xml.element("w:sectPr", {}, [xml.element("w:cols", {"w:num": "2"})])
+                    ]),
+                    runOfText("One")
+                ]),
+                xml.element("w:p", {}, [runOfText("Two")])
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assertThat(result, contains(
+            hasProperties({
+                type: "structuredDocumentTag",
+                tag: "chapters",
+                children: contains(hasProperties({type: "paragraph"}))
+            }),
+            hasProperties({type: "sectionProperties", columns: 2}),
+            hasProperties({
+                type: "structuredDocumentTag",
+                tag: "chapters",
+                children: contains(hasProperties({type: "paragraph"}))
+            })
+        ));
+    },
+
+    "section properties in nested structured document tags are kept at top level": function() {
+        var sdtXml = xml.element("w:sdt", {}, [
+            xml.element("w:sdtContent", {}, [
+                xml.element("w:sdt", {}, [
+                    xml.element("w:sdtContent", {}, [
+                        xml.element("w:p", {}, [
+                            xml.element("w:pPr", {}, [xml.element("w:sectPr")]),
+                            runOfText("One")
+                        ])
+                    ])
+                ])
+            ])
+        ]);
+
+        var result = readXmlElementValue(sdtXml);
+
+        assertThat(result, contains(
+            hasProperties({
+                type: "structuredDocumentTag",
+                children: contains(hasProperties({
+                    type: "structuredDocumentTag",
+                    children: contains(hasProperties({type: "paragraph"}))
+                }))
+            }),
+            hasProperties({type: "sectionProperties"})
+        ));
+    }
+});
+
+test("run has no style if it has no properties", function() {
+    var runXml = runWithProperties([]);
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.styleId, null);
+});
+
+test("run has style ID and name read from run properties if present", function() {
+    var runStyleXml = new XmlElement("w:rStyle", {"w:val": "Heading1Char"});
+    var runXml = runWithProperties([runStyleXml]);
+
+    var styles = new Styles({}, {"Heading1Char": {name: "Heading 1 Char"}});
+
+    var run = readXmlElementValue(runXml, {styles: styles});
+    assert.deepEqual(run.styleId, "Heading1Char");
+    assert.deepEqual(run.styleName, "Heading 1 Char");
+});
+
+test("warning is emitted when run style cannot be found", function() {
+    var runStyleXml = new XmlElement("w:rStyle", {"w:val": "Heading1Char"});
+    var runXml = runWithProperties([runStyleXml]);
+
+    var styles = new Styles({}, {});
+
+    var result = readXmlElement(runXml, {styles: styles});
+    var run = result.value;
+    assert.deepEqual(run.styleId, "Heading1Char");
+    assert.deepEqual(run.styleName, null);
+    assert.deepEqual(result.messages, [warning("Run style with ID Heading1Char was referenced but not defined in the document")]);
+});
+
+test("isBold is false if bold element is not present", function() {
+    var runXml = runWithProperties([]);
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.isBold, false);
+});
+
+test("isBold is true if bold element is present", function() {
+    var boldXml = new XmlElement("w:b");
+    var runXml = runWithProperties([boldXml]);
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isBold, true);
+});
+
+test("isBold is false if bold element is present and w:val is false", function() {
+    var boldXml = new XmlElement("w:b", {"w:val": "false"});
+    var runXml = runWithProperties([boldXml]);
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isBold, false);
+});
+
+test("isUnderline is false if underline element is not present", function() {
+    var runXml = runWithProperties([]);
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.isUnderline, false);
+});
+
+test("isUnderline is false if underline element is present without w:val attribute", function() {
+    var underlineXml = new XmlElement("w:u");
+    var runXml = runWithProperties([underlineXml]);
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isUnderline, false);
+});
+
+test("isUnderline is false if underline element is present and w:val is false", function() {
+    var underlineXml = new XmlElement("w:u", {"w:val": "false"});
+    var runXml = runWithProperties([underlineXml]);
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isUnderline, false);
+});
+
+test("isUnderline is false if underline element is present and w:val is 0", function() {
+    var underlineXml = new XmlElement("w:u", {"w:val": "0"});
+    var runXml = runWithProperties([underlineXml]);
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isUnderline, false);
 });
 
 test("isUnderline is false if underline element is present and w:val is none", function() {
@@ -1075,36 +1858,413 @@ test("when highlight is none then run has no highlight", function() {
     assert.deepEqual(run.highlight, null);
 });
 
-test("run properties not included as child of run", function() {
-    var runStyleXml = new XmlElement("w:rStyle");
-    var runPropertiesXml = new XmlElement("w:rPr", {}, [runStyleXml]);
-    var runXml = new XmlElement("w:r", {}, [runPropertiesXml]);
-    var result = readXmlElement(runXml);
-    assert.deepEqual(result.value.children, []);
-});
+test("run has no color by default", function() {
+    var runXml = runWithProperties([]);
 
-test("w:tab is read as document tab element", function() {
-    var tabXml = new XmlElement("w:tab");
-    var result = readXmlElement(tabXml);
-    assert.deepEqual(result.value, new documents.Tab());
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.color, null);
 });
 
-test("w:noBreakHyphen is read as non-breaking hyphen character", function() {
-    var noBreakHyphenXml = new XmlElement("w:noBreakHyphen");
-    var result = readXmlElement(noBreakHyphenXml);
-    assert.deepEqual(result.value, new documents.Text("\u2011"));
+test("run has color read from properties in upper case", function() {
+    var colorXml = new XmlElement("w:color", {"w:val": "ff0000"});
+    var runXml = runWithProperties([colorXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.color, "FF0000");
 });
 
-test("soft hyphens are read as text", function() {
-    var element = new XmlElement("w:softHyphen", {}, []);
-    var text = readXmlElementValue(element);
-    assert.deepEqual(text, new documents.Text("\u00AD"));
+test("when color is auto then run has no color", function() {
+    var colorXml = new XmlElement("w:color", {"w:val": "auto"});
+    var runXml = runWithProperties([colorXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.color, null);
 });
 
-test("w:sym with supported font and supported code point in ASCII range is converted to text", function() {
-    var element = new XmlElement("w:sym", {"w:font": "Wingdings", "w:char": "28"}, []);
-    var text = readXmlElementValue(element);
-    assert.deepEqual(text, new documents.Text("🕿"));
+test("theme color of run is resolved using theme", function() {
+    var theme = new Theme({accent1: "4472C4"});
+    var colorXml = new XmlElement("w:color", {"w:val": "000000", "w:themeColor": "accent1", "w:themeShade": "BF"});
+    var runXml = runWithProperties([colorXml]);
+
+    var run = readXmlElementValue(runXml, {theme: theme});
+    assert.deepEqual(run.color, "2F5496");
+});
+
+test("when theme color is not in theme then color value is used", function() {
+    var colorXml = new XmlElement("w:color", {"w:val": "4472C4", "w:themeColor": "accent1"});
+    var runXml = runWithProperties([colorXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.color, "4472C4");
+});
+
+test("run has shading read from fill of properties", function() {
+    var shadingXml = new XmlElement("w:shd", {"w:val": "clear", "w:color": "auto", "w:fill": "FFFF00"});
+    var runXml = runWithProperties([shadingXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.shading, "FFFF00");
+});
+
+test("when shading is solid then run has shading read from color of pattern", function() {
+    var shadingXml = new XmlElement("w:shd", {"w:val": "solid", "w:color": "00FF00", "w:fill": "auto"});
+    var runXml = runWithProperties([shadingXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.shading, "00FF00");
+});
+
+test("theme fill of run shading is resolved using theme", function() {
+    var theme = new Theme({accent1: "000000"});
+    var shadingXml = new XmlElement("w:shd", {"w:val": "clear", "w:fill": "auto", "w:themeFill": "accent1", "w:themeFillTint": "80"});
+    var runXml = runWithProperties([shadingXml]);
+
+    var run = readXmlElementValue(runXml, {theme: theme});
+    assert.deepEqual(run.shading, "7F7F7F");
+});
+
+test("run has character spacing in points read from properties", function() {
+    var spacingXml = new XmlElement("w:spacing", {"w:val": "-10"});
+    var runXml = runWithProperties([spacingXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.deepEqual(run.characterSpacing, -0.5);
+});
+
+test("isHidden is true if vanish element is present", function() {
+    var runXml = runWithProperties([new XmlElement("w:vanish")]);
+
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isHidden, true);
+});
+
+test("isHidden is false if vanish element is not present", function() {
+    var runXml = runWithProperties([]);
+
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isHidden, false);
+});
+
+test("run has language read from properties", function() {
+    var languageXml = new XmlElement("w:lang", {"w:val": "en-GB", "w:bidi": "ar-SA"});
+    var runXml = runWithProperties([languageXml]);
+
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.language, "en-GB");
+});
+
+test("isRightToLeft is true if rtl element is present", function() {
+    var runXml = runWithProperties([new XmlElement("w:rtl")]);
+
+    var run = readXmlElementValue(runXml);
+    assert.equal(run.isRightToLeft, true);
+});
+
+test("style inheritance", {
+    "effective run formatting is the same as direct formatting without styles": function() {
+        var runXml = runWithProperties([new XmlElement("w:b")]);
+
+        var run = readXmlElementValue(runXml);
+        assert.equal(run.isBold, true);
+        assert.equal(run.effective.isBold, true);
+    },
+
+    "effective run formatting includes formatting of character style": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("character", "Strong", "Strong", {runProperties: [xml.element("w:b")]})
+        ]));
+        var runXml = runWithProperties([xml.element("w:rStyle", {"w:val": "Strong"})]);
+
+        var run = readXmlElementValue(runXml, {styles: styles});
+        assert.equal(run.isBold, false);
+        assert.equal(run.effective.isBold, true);
+    },
+
+    "effective run formatting includes formatting of styles that character style is based on": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("character", "Emphasis", "Emphasis", {runProperties: [
+                xml.element("w:i"),
+                xml.element("w:color", {"w:val": "FF0000"})
+            ]}),
+            styleXml("character", "StrongEmphasis", "Strong Emphasis", {basedOn: "Emphasis", runProperties: [
+                xml.element("w:b"),
+                xml.element("w:color", {"w:val": "0000FF"})
+            ]})
+        ]));
+        var runXml = runWithProperties([xml.element("w:rStyle", {"w:val": "StrongEmphasis"})]);
+
+        var run = readXmlElementValue(runXml, {styles: styles});
+        assert.equal(run.effective.isBold, true);
+        assert.equal(run.effective.isItalic, true);
+        assert.equal(run.effective.color, "0000FF");
+        assert.deepEqual(run.baseStyleNames, ["Emphasis"]);
+    },
+
+    "direct formatting takes precedence over style formatting": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("character", "Strong", "Strong", {runProperties: [xml.element("w:b")]})
+        ]));
+        var runXml = runWithProperties([
+            xml.element("w:rStyle", {"w:val": "Strong"}),
+            xml.element("w:b", {"w:val": "0"})
+        ]);
+
+        var run = readXmlElementValue(runXml, {styles: styles});
+        assert.equal(run.effective.isBold, false);
+    },
+
+    "effective run formatting includes document defaults and run formatting of paragraph style": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            xml.element("w:docDefaults", {}, [
+                xml.element("w:rPrDefault", {}, [
+                    xml.element("w:rPr", {}, [
+                        xml.element("w:rFonts", {"w:ascii": "Calibri"}),
+                        xml.element("w:sz", {"w:val": "22"})
+                    ])
+                ])
+            ]),
+            styleXml("paragraph", "Heading1", "Heading 1", {runProperties: [
+                xml.element("w:sz", {"w:val": "32"})
+            ]})
+        ]));
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [xml.element("w:pStyle", {"w:val": "Heading1"})]),
+            runOfText("Title")
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        var run = paragraph.children[0];
+        assert.equal(run.fontSize, null);
+        assert.equal(run.effective.font, "Calibri");
+        assert.equal(run.effective.fontSize, 16);
+    },
+
+    "runs in paragraphs without style inherit run formatting of default paragraph style": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("paragraph", "Normal", "Normal", {isDefault: true, runProperties: [
+                xml.element("w:lang", {"w:val": "en-GB"})
+            ]})
+        ]));
+        var paragraphXml = xml.element("w:p", {}, [runOfText("Hello")]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.equal(paragraph.children[0].effective.language, "en-GB");
+    },
+
+    "toggle properties set by both paragraph style and character style are toggled": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("paragraph", "Heading1", "Heading 1", {runProperties: [xml.element("w:b")]}),
+            styleXml("character", "Strong", "Strong", {runProperties: [xml.element("w:b")]})
+        ]));
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [xml.element("w:pStyle", {"w:val": "Heading1"})]),
+            xml.element("w:r", {}, [
+                xml.element("w:rPr", {}, [xml.element("w:rStyle", {"w:val": "Strong"})])
+            ]),
+            xml.element("w:r")
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.equal(paragraph.children[0].effective.isBold, false);
+        assert.equal(paragraph.children[1].effective.isBold, true);
+    },
+
+    "effective paragraph formatting includes formatting of paragraph style and document defaults": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            xml.element("w:docDefaults", {}, [
+                xml.element("w:pPrDefault", {}, [
+                    xml.element("w:pPr", {}, [xml.element("w:jc", {"w:val": "both"})])
+                ])
+            ]),
+            styleXml("paragraph", "Quote", "Quote", {paragraphProperties: [
+                xml.element("w:ind", {"w:left": "720", "w:right": "720"})
+            ]})
+        ]));
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:pStyle", {"w:val": "Quote"}),
+                xml.element("w:ind", {"w:left": "360"})
+            ])
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.equal(paragraph.alignment, null);
+        assert.deepEqual(paragraph.indent, {start: "360", end: null, firstLine: null, hanging: null});
+        assert.equal(paragraph.effective.alignment, "both");
+        assert.deepEqual(paragraph.effective.indent, {start: "360", end: "720", firstLine: null, hanging: null});
+    },
+
+    "paragraph has names of styles that its style is based on": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("paragraph", "Normal", "Normal", {}),
+            styleXml("paragraph", "Heading1", "Heading 1", {basedOn: "Normal"}),
+            styleXml("paragraph", "ChapterTitle", "Chapter Title", {basedOn: "Heading1"})
+        ]));
+        var paragraphXml = paragraphWithStyleId("ChapterTitle");
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.deepEqual(paragraph.baseStyleNames, ["Heading 1", "Normal"]);
+    },
+
+    "cycles of styles based on each other are ignored": function() {
+        var styles = readStylesXml(xml.element("w:styles", {}, [
+            styleXml("paragraph", "First", "First", {basedOn: "Second"}),
+            styleXml("paragraph", "Second", "Second", {basedOn: "First"})
+        ]));
+        var paragraphXml = paragraphWithStyleId("First");
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: styles});
+        assert.deepEqual(paragraph.baseStyleNames, ["Second"]);
+    }
+});
+
+test("numbering from styles", {
+    "paragraph has numbering from w:numPr of its style": function() {
+        var paragraphs = readXmlElementsValue(
+            [paragraphWithStyleId("Heading1"), paragraphWithStyleId("Heading2"), paragraphWithStyleId("Heading2")],
+            {styles: headingStyles(), numbering: headingNumbering()}
+        );
+
+        assertThat(paragraphs, contains(
+            hasProperties({numbering: hasProperties({level: "0", label: "1"})}),
+            hasProperties({numbering: hasProperties({level: "1", label: "1.1"})}),
+            hasProperties({numbering: hasProperties({level: "1", label: "1.2"})})
+        ));
+    },
+
+    "paragraph has numbering from w:numPr of style that its style is based on": function() {
+        var paragraph = readXmlElementValue(
+            paragraphWithStyleId("ChapterTitle"),
+            {styles: headingStyles(), numbering: headingNumbering()}
+        );
+
+        assertThat(paragraph.numbering, hasProperties({level: "0", label: "1"}));
+    },
+
+    "w:numPr of paragraph takes precedence over w:numPr of style": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:pStyle", {"w:val": "Heading1"}),
+                xml.element("w:numPr", {}, [
+                    xml.element("w:ilvl", {"w:val": "0"}),
+                    xml.element("w:numId", {"w:val": "0"})
+                ])
+            ])
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {styles: headingStyles(), numbering: headingNumbering()});
+
+        assert.equal(paragraph.numbering, null);
+    },
+
+    "paragraph has outline level from paragraph properties and styles": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:pStyle", {"w:val": "Heading1"})
+            ])
+        ]);
+        var bodyTextXml = xml.element("w:p", {}, [
+            xml.element("w:pPr", {}, [
+                xml.element("w:pStyle", {"w:val": "Heading1"}),
+                xml.element("w:outlineLvl", {"w:val": "9"})
+            ])
+        ]);
+
+        var paragraphs = readXmlElementsValue([paragraphXml, bodyTextXml], {styles: headingStyles(), numbering: headingNumbering()});
+
+        assert.equal(paragraphs[0].outlineLevel, null);
+        assert.equal(paragraphs[0].effective.outlineLevel, 0);
+        assert.equal(paragraphs[1].outlineLevel, null);
+        assert.equal(paragraphs[1].effective.outlineLevel, null);
+    }
+});
+
+function headingStyles() {
+    return readStylesXml(xml.element("w:styles", {}, [
+        styleXml("paragraph", "Heading1", "heading 1", {paragraphProperties: [
+            xml.element("w:numPr", {}, [xml.element("w:numId", {"w:val": "1"})]),
+            xml.element("w:outlineLvl", {"w:val": "0"})
+        ]}),
+        styleXml("paragraph", "Heading2", "heading 2", {paragraphProperties: [
+            xml.element("w:numPr", {}, [
+                xml.element("w:ilvl", {"w:val": "1"}),
+                xml.element("w:numId", {"w:val": "1"})
+            ]),
+            xml.element("w:outlineLvl", {"w:val": "1"})
+        ]}),
+        styleXml("paragraph", "ChapterTitle", "Chapter Title", {basedOn: "Heading1"})
+    ]));
+}
+
+function headingNumbering() {
+    return readNumberingXml(
+        xml.element("w:numbering", {}, [
+            xml.element("w:abstractNum", {"w:abstractNumId": "5"}, [
+                xml.element("w:lvl", {"w:ilvl": "0"}, [
+                    xml.element("w:start", {"w:val": "1"}),
+                    xml.element("w:lvlText", {"w:val": "%1"})
+                ]),
+                xml.element("w:lvl", {"w:ilvl": "1"}, [
+                    xml.element("w:start", {"w:val": "1"}),
+                    xml.element("w:lvlText", {"w:val": "%1.%2"})
+                ])
+            ]),
+            xml.element("w:num", {"w:numId": "1"}, [
+                xml.element("w:abstractNumId", {"w:val": "5"})
+            ])
+        ]),
+        {styles: new Styles({}, {})}
+    );
+}
+
+function styleXml(type, styleId, name, options) {
+    var attributes = {"w:type": type, "w:styleId": styleId};
+    if (options.isDefault) {
+        attributes["w:default"] = "1";
+    }
+    var children = [xml.element("w:name", {"w:val": name})];
+    if (options.basedOn) {
+        children.push(xml.element("w:basedOn", {"w:val": options.basedOn}));
+    }
+    if (options.paragraphProperties) {
+        children.push(xml.element("w:pPr", {}, options.paragraphProperties));
+    }
+    if (options.runProperties) {
+        children.push(xml.element("w:rPr", {}, options.runProperties));
+    }
+    return xml.element("w:style", attributes, children);
+}
+
+test("run properties not included as child of run", function() {
+    var runStyleXml = new XmlElement("w:rStyle");
+    var runPropertiesXml = new XmlElement("w:rPr", {}, [runStyleXml]);
+    var runXml = new XmlElement("w:r", {}, [runPropertiesXml]);
+    var result = readXmlElement(runXml);
+    assert.deepEqual(result.value.children, []);
+});
+
+test("w:tab is read as document tab element", function() {
+    var tabXml = new XmlElement("w:tab");
+    var result = readXmlElement(tabXml);
+    assert.deepEqual(result.value, new documents.Tab());
+});
+
+test("w:noBreakHyphen is read as non-breaking hyphen character", function() {
+    var noBreakHyphenXml = new XmlElement("w:noBreakHyphen");
+    var result = readXmlElement(noBreakHyphenXml);
+    assert.deepEqual(result.value, new documents.Text("\u2011"));
+});
+
+test("soft hyphens are read as text", function() {
+    var element = new XmlElement("w:softHyphen", {}, []);
+    var text = readXmlElementValue(element);
+    assert.deepEqual(text, new documents.Text("\u00AD"));
+});
+
+test("w:sym with supported font and supported code point in ASCII range is converted to text", function() {
+    var element = new XmlElement("w:sym", {"w:font": "Wingdings", "w:char": "28"}, []);
+    var text = readXmlElementValue(element);
+    assert.deepEqual(text, new documents.Text("🕿"));
 });
 
 test("w:sym with supported font and supported code point in private use area is converted to text", function() {
@@ -1320,6 +2480,159 @@ test("warning if non-cell in table row", function() {
     assert.deepEqual(result.messages, [warning("unexpected non-cell element in table row, cell merging may be incorrect")]);
 });
 
+test("column widths are read from table grid in points", function() {
+    var tableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tblGrid", {}, [
+            xml.element("w:gridCol", {"w:w": "1440"}),
+            xml.element("w:gridCol", {"w:w": "2880"})
+        ])
+    ]);
+    var table = readXmlElementValue(tableXml);
+    assert.deepEqual(table.columnWidths, [72, 144]);
+});
+
+test("alignment, layout, shading and borders are read from table properties", function() {
+    var tableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tblPr", {}, [
+            xml.element("w:jc", {"w:val": "center"}),
+            xml.element("w:tblLayout", {"w:type": "fixed"}),
+            xml.element("w:shd", {"w:val": "clear", "w:fill": "ffff00"}),
+            xml.element("w:tblBorders", {}, [
+                xml.element("w:top", {"w:val": "single", "w:sz": "4", "w:color": "000000"}),
+                xml.element("w:left", {"w:val": "double", "w:sz": "12", "w:color": "auto"}),
+                xml.element("w:insideH", {"w:val": "nil"})
+            ])
+        ])
+    ]);
+    var table = readXmlElementValue(tableXml);
+    assert.equal(table.alignment, "center");
+    assert.equal(table.layout, "fixed");
+    assert.equal(table.shading, "FFFF00");
+    assert.deepEqual(table.borders, {
+        top: {style: "single", width: 0.5, color: "000000"},
+        bottom: null,
+        start: {style: "double", width: 1.5, color: null},
+        end: null,
+        insideHorizontal: {style: "none", width: null, color: null},
+        insideVertical: null
+    });
+});
+
+test("height and w:cantSplit are read from table row properties", function() {
+    var tableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tr", {}, [
+            xml.element("w:trPr", {}, [
+                xml.element("w:trHeight", {"w:val": "400", "w:hRule": "exact"}),
+                xml.element("w:cantSplit")
+            ])
+        ]),
+        xml.element("w:tr", {}, [
+            xml.element("w:trPr", {}, [
+                xml.element("w:trHeight", {"w:val": "400"})
+            ])
+        ]),
+        xml.element("w:tr")
+    ]);
+    var table = readXmlElementValue(tableXml);
+    assertThat(table, isTable({
+        children: contains(
+            isRow({height: 20, heightRule: "exact", cantSplit: true}),
+            isRow({height: 20, heightRule: "atLeast", cantSplit: false}),
+            isRow({height: null, heightRule: null, cantSplit: false})
+        )
+    }));
+});
+
+test("vertical alignment, shading and borders are read from table cell properties", function() {
+    var tableXml = xml.element("w:tbl", {}, [
+        row(emptyCell(
+            xml.element("w:vAlign", {"w:val": "center"}),
+            xml.element("w:shd", {"w:val": "clear", "w:fill": "D9D9D9"}),
+            xml.element("w:tcBorders", {}, [
+                xml.element("w:bottom", {"w:val": "dashed", "w:sz": "8", "w:color": "FF0000"})
+            ])
+        ))
+    ]);
+    var cell = readXmlElementValue(tableXml).children[0].children[0];
+    assert.equal(cell.verticalAlignment, "center");
+    assert.equal(cell.shading, "D9D9D9");
+    assert.deepEqual(cell.borders.bottom, {style: "dashed", width: 1, color: "FF0000"});
+    assert.equal(cell.borders.top, null);
+});
+
+test("nested tables are read with their own formatting", function() {
+    var nestedTableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tblPr", {}, [xml.element("w:jc", {"w:val": "right"})]),
+        xml.element("w:tblGrid", {}, [xml.element("w:gridCol", {"w:w": "720"})]),
+        row(emptyCell(xml.element("w:vAlign", {"w:val": "bottom"})))
+    ]);
+    var tableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tblPr", {}, [xml.element("w:jc", {"w:val": "center"})]),
+        xml.element("w:tblGrid", {}, [xml.element("w:gridCol", {"w:w": "1440"})]),
+        row(xml.element("w:tc", {}, [nestedTableXml]))
+    ]);
+    var table = readXmlElementValue(tableXml);
+    var nestedTable = table.children[0].children[0].children[0];
+    assert.equal(table.alignment, "center");
+    assert.deepEqual(table.columnWidths, [72]);
+    assert.equal(nestedTable.alignment, "right");
+    assert.deepEqual(nestedTable.columnWidths, [36]);
+    assert.equal(nestedTable.children[0].children[0].verticalAlignment, "bottom");
+});
+
+test("formatting of tables and cells is inherited from table style chain", function() {
+    var singleBorder = {"w:val": "single", "w:sz": "4", "w:color": "auto"};
+    var styles = readStylesXml(xml.element("w:styles", {}, [
+        xml.element("w:style", {"w:type": "table", "w:styleId": "TableNormal"}, [
+            xml.element("w:name", {"w:val": "Normal Table"}),
+            xml.element("w:tblPr", {}, [xml.element("w:jc", {"w:val": "center"})]),
+            xml.element("w:tcPr", {}, [xml.element("w:vAlign", {"w:val": "bottom"})])
+        ]),
+        xml.element("w:style", {"w:type": "table", "w:styleId": "TableGrid"}, [
+            xml.element("w:name", {"w:val": "Table Grid"}),
+            xml.element("w:basedOn", {"w:val": "TableNormal"}),
+            xml.element("w:tblPr", {}, [
+                xml.element("w:tblBorders", {}, [
+                    xml.element("w:top", singleBorder),
+                    xml.element("w:left", singleBorder),
+                    xml.element("w:bottom", singleBorder),
+                    xml.element("w:right", singleBorder),
+                    xml.element("w:insideH", singleBorder),
+                    xml.element("w:insideV", singleBorder)
+                ])
+            ]),
+            xml.element("w:tcPr", {}, [xml.element("w:shd", {"w:val": "clear", "w:fill": "D9D9D9"})])
+        ])
+    ]));
+    var tableXml = xml.element("w:tbl", {}, [
+        xml.element("w:tblPr", {}, [
+            xml.element("w:tblStyle", {"w:val": "TableGrid"}),
+            xml.element("w:tblBorders", {}, [
+                xml.element("w:top", {"w:val": "double", "w:sz": "12", "w:color": "FF0000"})
+            ])
+        ]),
+        row(emptyCell(), emptyCell(xml.element("w:vAlign", {"w:val": "top"})))
+    ]);
+
+    var table = readXmlElementValue(tableXml, {styles: styles});
+
+    var border = {style: "single", width: 0.5, color: null};
+    assert.equal(table.alignment, "center");
+    assert.deepEqual(table.borders, {
+        top: {style: "double", width: 1.5, color: "FF0000"},
+        bottom: border,
+        start: border,
+        end: border,
+        insideHorizontal: border,
+        insideVertical: border
+    });
+    var cells = table.children[0].children;
+    assert.equal(cells[0].verticalAlignment, "bottom");
+    assert.equal(cells[0].shading, "D9D9D9");
+    assert.equal(cells[1].verticalAlignment, "top");
+    assert.equal(cells[1].shading, "D9D9D9");
+});
+
 function row() {
     return new XmlElement("w:tr", {}, Array.prototype.slice.call(arguments));
 }
@@ -1454,126 +2767,605 @@ test("alt text title is used if alt text description is blank", function() {
         title: "It's a hat"
     });
 
-    var result = readEmbeddedImage(drawing);
+    var result = readEmbeddedImage(drawing);
+
+    return promiseThat(result, isSuccess(contains(isImage({
+        altText: "It's a hat"
+    }))));
+});
+
+test("alt text description is preferred to alt text title", function() {
+    var drawing = createInlineImage({
+        blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID),
+        description: "It's a hat",
+        title: "hat"
+    });
+
+    var result = readEmbeddedImage(drawing);
+
+    return promiseThat(result, isSuccess(contains(isImage({
+        altText: "It's a hat"
+    }))));
+});
+
+test("can read anchored pictures", function() {
+    var drawing = new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:anchor", {}, [
+            new XmlElement("wp:docPr", {descr: "It's a hat"}),
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("pic:pic", {}, [
+                        new XmlElement("pic:blipFill", {}, [
+                            new XmlElement("a:blip", {"r:embed": IMAGE_RELATIONSHIP_ID})
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]);
+
+    var result = readEmbeddedImage(drawing);
+
+    return promiseThat(result, isSuccess(contains(isImage({
+        altText: "It's a hat",
+        contentType: "image/png",
+        buffer: IMAGE_BUFFER
+    }))));
+});
+
+test("image geometry", {
+    "size, crop, rotation, flip and name of inline pictures are read": function() {
+        var drawing = xml.element("w:drawing", {}, [
+            xml.element("wp:inline", {}, [
+                xml.element("wp:extent", {cx: "1905000", cy: "952500"}),
+                xml.element("wp:docPr", {descr: "It's a hat"}),
+                xml.element("a:graphic", {}, [
+                    xml.element("a:graphicData", {}, [
+                        xml.element("pic:pic", {}, [
+                            xml.element("pic:nvPicPr", {}, [
+                                xml.element("pic:cNvPr", {id: "0", name: "hat.png"})
+                            ]),
+                            xml.element("pic:blipFill", {}, [
+                                createEmbeddedBlip(IMAGE_RELATIONSHIP_ID),
+                                xml.element("a:srcRect", {l: "10000", t: "25000", r: "5000"})
+                            ]),
+                            xml.element("pic:spPr", {}, [
+                                xml.element("a:xfrm", {rot: "5400000", flipH: "1"})
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ]);
+
+        var result = readEmbeddedImage(drawing);
+
+        return promiseThat(result, isSuccess(contains(isImage({
+            name: "hat.png",
+            size: {width: 200, height: 100},
+            crop: {top: 0.25, right: 0.05, bottom: 0, left: 0.1},
+            rotation: 90,
+            flipHorizontal: true,
+            flipVertical: false,
+            wrap: null,
+            position: null
+        }))));
+    },
+
+    "pictures without geometry have default values": function() {
+        var drawing = createInlineImage({
+            blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID)
+        });
+
+        var result = readEmbeddedImage(drawing);
+
+        return promiseThat(result, isSuccess(contains(isImage({
+            name: null,
+            size: null,
+            crop: null,
+            rotation: 0,
+            flipHorizontal: false,
+            flipVertical: false
+        }))));
+    },
+
+    "wrap and position of anchored pictures are read": function() {
+        var drawing = anchoredImage({}, [
+            xml.element("wp:positionH", {relativeFrom: "column"}, [
+                xml.element("wp:posOffset", {}, [xml.text("952500")])
+            ]),
+            xml.element("wp:positionV", {relativeFrom: "paragraph"}, [
+                xml.element("wp:align", {}, [xml.text("top")])
+            ]),
+            xml.element("wp:wrapSquare", {wrapText: "bothSides"})
+        ]);
+
+        var result = readEmbeddedImage(drawing);
+
+        return promiseThat(result, isSuccess(contains(isImage({
+            wrap: "square",
+            position: {
+                horizontal: {relativeTo: "column", align: null, offset: 100},
+                vertical: {relativeTo: "paragraph", align: "top", offset: null}
+            }
+        }))));
+    },
+
+    "anchored pictures without wrapping are behind or in front of text": function() {
+        var behindText = anchoredImage({behindDoc: "1"}, [xml.element("wp:wrapNone")]);
+        var inFrontOfText = anchoredImage({behindDoc: "0"}, [xml.element("wp:wrapNone")]);
+
+        var result = readXmlElements([behindText, inFrontOfText], {
+            relationships: new Relationships([
+                imageRelationship("rId5", "media/hat.png")
+            ]),
+            contentTypes: fakeContentTypes,
+            docxFile: createFakeDocxFile({
+                "word/media/hat.png": IMAGE_BUFFER
+            })
+        });
+
+        return promiseThat(result, isSuccess(contains(
+            isImage({wrap: "behindText"}),
+            isImage({wrap: "inFrontOfText"})
+        )));
+    }
+});
+
+function anchoredImage(attributes, children) {
+    return xml.element("w:drawing", {}, [
+        xml.element("wp:anchor", attributes, children.concat([
+            xml.element("wp:docPr", {descr: "It's a hat"}),
+            xml.element("a:graphic", {}, [
+                xml.element("a:graphicData", {}, [
+                    xml.element("pic:pic", {}, [
+                        xml.element("pic:blipFill", {}, [
+                            createEmbeddedBlip(IMAGE_RELATIONSHIP_ID)
+                        ])
+                    ])
+                ])
+            ])
+        ]))
+    ]);
+}
+
+test("can read linked pictures", function() {
+    var drawing = createInlineImage({
+        blip: createLinkedBlip("rId5"),
+        description: "It's a hat"
+    });
+
+    var element = single(readXmlElementValue(drawing, {
+        relationships: new Relationships([
+            imageRelationship("rId5", "file:///media/hat.png")
+        ]),
+        contentTypes: fakeContentTypes,
+        files: testing.createFakeFiles({
+            "file:///media/hat.png": IMAGE_BUFFER
+        })
+    }));
+    return promiseThat(element, isImage({
+        altText: "It's a hat",
+        contentType: "image/png",
+        buffer: IMAGE_BUFFER
+    }));
+});
+
+test("warning if blip has no image file", function() {
+    var drawing = createInlineImage({
+        blip: new XmlElement("a:blip"),
+        description: "It's a hat"
+    });
+
+    var result = readXmlElement(drawing);
+
+    assert.deepEqual(result.messages, [warning("Could not find image file for a:blip element")]);
+    assert.deepEqual(result.value, []);
+});
+
+test("warning if unsupported image type", function() {
+    var drawing = createInlineImage({
+        blip: createEmbeddedBlip("rId5"),
+        description: "It's a hat"
+    });
+
+    var result = readXmlElement(drawing, {
+        relationships: new Relationships([
+            imageRelationship("rId5", "media/hat.bmp")
+        ]),
+        contentTypes: fakeContentTypes,
+        docxFile: createFakeDocxFile({
+            "word/media/hat.bmp": IMAGE_BUFFER
+        })
+    });
+    assert.deepEqual(result.messages, [warning("Image of type image/bmp is unlikely to display in web browsers")]);
+    var element = single(result.value);
+    assert.equal(element.contentType, "image/bmp");
+});
+
+test("no warning when reading metafile images, which may be converted", function() {
+    var drawing = createInlineImage({
+        blip: createEmbeddedBlip("rId5"),
+        description: "It's a hat"
+    });
+
+    var result = readXmlElement(drawing, {
+        relationships: new Relationships([
+            imageRelationship("rId5", "media/hat.emf")
+        ]),
+        contentTypes: fakeContentTypes,
+        docxFile: createFakeDocxFile({
+            "word/media/hat.emf": IMAGE_BUFFER
+        })
+    });
+    assert.deepEqual(result.messages, []);
+    var element = single(result.value);
+    assert.equal(element.contentType, "image/x-emf");
+});
+
+test("no elements created if image cannot be found in w:drawing", function() {
+    var drawing = new XmlElement("w:drawing", {}, []);
+
+    var result = readXmlElement(drawing);
+    assert.deepEqual(result.messages, []);
+    assert.deepEqual(result.value, []);
+});
+
+test("no elements created if image cannot be found in wp:inline", function() {
+    var drawing = new XmlElement("wp:inline", {}, []);
+
+    var result = readXmlElement(drawing);
+    assert.deepEqual(result.messages, []);
+    assert.deepEqual(result.value, []);
+});
+
+test("charts", {
+    "chart is read from chart part and appended after containing paragraph": function() {
+        var paragraph = new XmlElement("w:p", {}, [
+            new XmlElement("w:r", {}, [createInlineChart("rId3")])
+        ]);
+        var chart = {chartType: "pie", title: "Sales", series: []};
+
+        var result = readXmlElement(paragraph, {
+            relationships: new Relationships([chartRelationship("rId3", "charts/chart1.xml")]),
+            charts: {"word/charts/chart1.xml": chart}
+        });
+
+        assert.deepEqual(result.messages, []);
+        assert.equal(result.value.length, 2);
+        assert.deepEqual(result.value[1], documents.Chart({
+            chartType: "pie",
+            title: "Sales",
+            series: [],
+            altText: "Pie chart",
+            size: {width: 100, height: 50}
+        }));
+    },
+
+    "warning if chart part cannot be found": function() {
+        var result = readXmlElement(createInlineChart("rId3"), {
+            relationships: new Relationships([chartRelationship("rId3", "charts/chart1.xml")])
+        });
+
+        assert.deepEqual(result.messages, [warning("Could not find chart part for relationship ID: rId3")]);
+        assert.deepEqual(result.value, []);
+    }
+});
+
+test("drawings", {
+    "text of shape is read as drawing after containing paragraph": function() {
+        var paragraph = new XmlElement("w:p", {}, [
+            new XmlElement("w:r", {}, [
+                createInlineGraphic([createShape([new XmlElement("w:p", {}, [runOfText("Callout")])])])
+            ])
+        ]);
+
+        var result = readXmlElement(paragraph);
+
+        assert.deepEqual(result.messages, []);
+        assert.equal(result.value.length, 2);
+        assert.deepEqual(result.value[1], documents.Drawing([
+            new documents.Paragraph([new documents.Run([new documents.Text("Callout")])])
+        ], {drawingType: "shape", name: "Text Box 1"}));
+    },
+
+    "shape without text is ignored": function() {
+        var result = readXmlElement(createInlineGraphic([new XmlElement("wps:wsp")]));
+
+        assert.deepEqual(result.messages, []);
+        assert.deepEqual(result.value, []);
+    },
+
+    "text of shapes in group is read as single drawing": function() {
+        var group = new XmlElement("wpg:wgp", {}, [
+            createShape([paragraphWithStyleId("first")]),
+            new XmlElement("wpg:grpSp", {}, [
+                createShape([paragraphWithStyleId("second")])
+            ])
+        ]);
+
+        var result = readXmlElement(new XmlElement("w:p", {}, [
+            new XmlElement("w:r", {}, [createInlineGraphic([group])])
+        ]));
+
+        assert.equal(result.value.length, 2);
+        assert.equal(result.value[1].drawingType, "shape");
+        assert.deepEqual(_.pluck(result.value[1].children, "styleId"), ["first", "second"]);
+    },
+
+    "nodes of diagram are read as nested unordered lists": function() {
+        var diagrams = {
+            "word/diagrams/data1.xml": [
+                {paragraphs: ["Plan", "Draft"], children: [{paragraphs: ["Review"], children: []}]}
+            ]
+        };
+
+        var paragraph = new XmlElement("w:p", {}, [
+            new XmlElement("w:r", {}, [createInlineGraphic([new XmlElement("dgm:relIds", {"r:dm": "rId4"})])])
+        ]);
+
+        var result = readXmlElement(paragraph, {
+            relationships: new Relationships([diagramDataRelationship("rId4", "diagrams/data1.xml")]),
+            diagrams: diagrams
+        });
+
+        assert.deepEqual(result.messages, []);
+        assert.deepEqual(result.value.slice(1), [
+            documents.Drawing([
+                new documents.Paragraph([
+                    new documents.Run([new documents.Text("Plan"), documents.lineBreak, new documents.Text("Draft")])
+                ], {numbering: {level: "0", isOrdered: false}}),
+                new documents.Paragraph([
+                    new documents.Run([new documents.Text("Review")])
+                ], {numbering: {level: "1", isOrdered: false}})
+            ], {drawingType: "diagram", name: "Text Box 1"})
+        ]);
+    },
+
+    "warning if diagram data part cannot be found": function() {
+        var result = readXmlElement(createInlineGraphic([new XmlElement("dgm:relIds", {"r:dm": "rId4"})]), {
+            relationships: new Relationships([])
+        });
+
+        assert.deepEqual(result.messages, [warning("Could not find diagram data part for relationship ID: rId4")]);
+        assert.deepEqual(result.value, []);
+    }
+});
+
+test("altChunk", {
+    "content of altChunk part is read with messages": function() {
+        var paragraph = documents.Paragraph([documents.Run([documents.Text("Embedded")])]);
+        var altChunks = {
+            "word/afchunk.htm": new Result({children: [paragraph], notes: [], comments: []}, [warning("Embedded warning")])
+        };
+
+        var result = readXmlElement(new XmlElement("w:altChunk", {"r:id": "rId7"}), {
+            relationships: new Relationships([altChunkRelationship("rId7", "afchunk.htm")]),
+            altChunks: altChunks
+        });
+
+        assert.deepEqual(result.value, [paragraph]);
+        assert.deepEqual(result.messages, [warning("Embedded warning")]);
+    },
+
+    "warning if altChunk part cannot be found": function() {
+        var result = readXmlElement(new XmlElement("w:altChunk", {"r:id": "rId7"}), {
+            relationships: new Relationships([])
+        });
+
+        assert.deepEqual(result.value, []);
+        assert.deepEqual(result.messages, [warning("Could not find altChunk part for relationship ID: rId7")]);
+    }
+});
+
+test("children of w:ins are converted normally", function() {
+    assertChildrenAreConvertedNormally("w:ins");
+});
+
+test("tracked changes", {
+    "by default, insertions are accepted and deletions are ignored": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:ins", {"w:author": "Ada"}, [runOfText("Inserted")]),
+            xml.element("w:del", {"w:author": "Ada"}, [deletedRunOfText("Deleted")])
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml);
+
+        assert.deepEqual(paragraph.children, [
+            documents.run([documents.text("Inserted")])
+        ]);
+    },
+
+    "when rejecting changes then insertions are ignored and deletions are kept": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:ins", {"w:author": "Ada"}, [runOfText("Inserted")]),
+            xml.element("w:del", {"w:author": "Ada"}, [deletedRunOfText("Deleted")])
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {trackedChanges: "reject"});
+
+        assert.deepEqual(paragraph.children, [
+            documents.run([documents.text("Deleted")])
+        ]);
+    },
+
+    "when showing changes then insertions and deletions are read with author and date": function() {
+        var paragraphXml = xml.element("w:p", {}, [
+            xml.element("w:ins", {"w:author": "Ada", "w:date": "2024-01-02T03:04:05Z"}, [runOfText("Inserted")]),
+            xml.element("w:del", {"w:author": "Bob"}, [deletedRunOfText("Deleted")])
+        ]);
+
+        var paragraph = readXmlElementValue(paragraphXml, {trackedChanges: "show"});
 
-    return promiseThat(result, isSuccess(contains(isImage({
-        altText: "It's a hat"
-    }))));
-});
+        assert.deepEqual(paragraph.children, [
+            documents.insertion(
+                [documents.run([documents.text("Inserted")])],
+                {author: "Ada", date: "2024-01-02T03:04:05Z"}
+            ),
+            documents.deletion(
+                [documents.run([documents.text("Deleted")])],
+                {author: "Bob"}
+            )
+        ]);
+    },
 
-test("alt text description is preferred to alt text title", function() {
-    var drawing = createInlineImage({
-        blip: createEmbeddedBlip(IMAGE_RELATIONSHIP_ID),
-        description: "It's a hat",
-        title: "hat"
-    });
+    "moved text is treated as deletion at the source and insertion at the destination": function() {
+        var bodyXml = [
+            xml.element("w:p", {}, [
+                xml.element("w:moveFromRangeStart"),
+                xml.element("w:moveFrom", {}, [runOfText("Moved")]),
+                xml.element("w:moveFromRangeEnd")
+            ]),
+            xml.element("w:p", {}, [
+                xml.element("w:moveTo", {}, [runOfText("Moved")])
+            ])
+        ];
 
-    var result = readEmbeddedImage(drawing);
+        var result = readXmlElementsValue(bodyXml, {trackedChanges: "show"});
 
-    return promiseThat(result, isSuccess(contains(isImage({
-        altText: "It's a hat"
-    }))));
-});
+        assert.deepEqual(result, [
+            documents.paragraph([documents.deletion([documents.run([documents.text("Moved")])])]),
+            documents.paragraph([documents.insertion([documents.run([documents.text("Moved")])])])
+        ]);
+    },
 
-test("can read anchored pictures", function() {
-    var drawing = new XmlElement("w:drawing", {}, [
-        new XmlElement("wp:anchor", {}, [
-            new XmlElement("wp:docPr", {descr: "It's a hat"}),
-            new XmlElement("a:graphic", {}, [
-                new XmlElement("a:graphicData", {}, [
-                    new XmlElement("pic:pic", {}, [
-                        new XmlElement("pic:blipFill", {}, [
-                            new XmlElement("a:blip", {"r:embed": IMAGE_RELATIONSHIP_ID})
-                        ])
-                    ])
-                ])
+    "when rejecting changes then paragraph with inserted paragraph mark is combined with next paragraph": function() {
+        var bodyXml = [
+            paragraphWithParagraphMarkChange("w:ins", "One"),
+            xml.element("w:p", {}, [runOfText("Two")])
+        ];
+
+        var result = readXmlElementsValue(bodyXml, {trackedChanges: "reject"});
+
+        assert.deepEqual(result, [
+            documents.paragraph([
+                documents.run([documents.text("One")]),
+                documents.run([documents.text("Two")])
             ])
-        ])
-    ]);
+        ]);
+    },
 
-    var result = readEmbeddedImage(drawing);
+    "when rejecting changes then paragraph with deleted paragraph mark is kept": function() {
+        var bodyXml = [
+            paragraphWithParagraphMarkChange("w:del", "One"),
+            xml.element("w:p", {}, [runOfText("Two")])
+        ];
 
-    return promiseThat(result, isSuccess(contains(isImage({
-        altText: "It's a hat",
-        contentType: "image/png",
-        buffer: IMAGE_BUFFER
-    }))));
-});
+        var result = readXmlElementsValue(bodyXml, {trackedChanges: "reject"});
 
-test("can read linked pictures", function() {
-    var drawing = createInlineImage({
-        blip: createLinkedBlip("rId5"),
-        description: "It's a hat"
-    });
+        assert.deepEqual(result, [
+            documents.paragraph([documents.run([documents.text("One")])]),
+            documents.paragraph([documents.run([documents.text("Two")])])
+        ]);
+    },
 
-    var element = single(readXmlElementValue(drawing, {
-        relationships: new Relationships([
-            imageRelationship("rId5", "file:///media/hat.png")
-        ]),
-        contentTypes: fakeContentTypes,
-        files: testing.createFakeFiles({
-            "file:///media/hat.png": IMAGE_BUFFER
-        })
-    }));
-    return promiseThat(element, isImage({
-        altText: "It's a hat",
-        contentType: "image/png",
-        buffer: IMAGE_BUFFER
-    }));
-});
+    "when showing changes then paragraph mark changes are read": function() {
+        var bodyXml = [
+            paragraphWithParagraphMarkChange("w:del", "One"),
+            xml.element("w:p", {}, [runOfText("Two")])
+        ];
 
-test("warning if blip has no image file", function() {
-    var drawing = createInlineImage({
-        blip: new XmlElement("a:blip"),
-        description: "It's a hat"
-    });
+        var result = readXmlElementsValue(bodyXml, {trackedChanges: "show"});
 
-    var result = readXmlElement(drawing);
+        assert.deepEqual(result, [
+            documents.paragraph([documents.run([documents.text("One")])], {
+                trackedChange: {changeType: "deletion", author: "Ada", date: null}
+            }),
+            documents.paragraph([documents.run([documents.text("Two")])])
+        ]);
+    },
 
-    assert.deepEqual(result.messages, [warning("Could not find image file for a:blip element")]);
-    assert.deepEqual(result.value, []);
-});
+    "when rejecting changes then inserted rows are ignored and deleted rows are kept": function() {
+        var tableXml = xml.element("w:tbl", {}, [
+            rowWithChange("w:ins", "Inserted"),
+            rowWithChange("w:del", "Deleted")
+        ]);
 
-test("warning if unsupported image type", function() {
-    var drawing = createInlineImage({
-        blip: createEmbeddedBlip("rId5"),
-        description: "It's a hat"
-    });
+        var result = readXmlElementValue(tableXml, {trackedChanges: "reject"});
 
-    var result = readXmlElement(drawing, {
-        relationships: new Relationships([
-            imageRelationship("rId5", "media/hat.emf")
-        ]),
-        contentTypes: fakeContentTypes,
-        docxFile: createFakeDocxFile({
-            "word/media/hat.emf": IMAGE_BUFFER
-        })
-    });
-    assert.deepEqual(result.messages, [warning("Image of type image/x-emf is unlikely to display in web browsers")]);
-    var element = single(result.value);
-    assert.equal(element.contentType, "image/x-emf");
-});
+        assert.deepEqual(result.children, [
+            documents.TableRow([
+                documents.TableCell([documents.paragraph([documents.run([documents.text("Deleted")])])])
+            ])
+        ]);
+    },
 
-test("no elements created if image cannot be found in w:drawing", function() {
-    var drawing = new XmlElement("w:drawing", {}, []);
+    "when showing changes then inserted and deleted rows are read": function() {
+        var tableXml = xml.element("w:tbl", {}, [
+            rowWithChange("w:ins", "Inserted"),
+            rowWithChange("w:del", "Deleted")
+        ]);
 
-    var result = readXmlElement(drawing);
-    assert.deepEqual(result.messages, []);
-    assert.deepEqual(result.value, []);
+        var result = readXmlElementValue(tableXml, {trackedChanges: "show"});
+
+        assertThat(result.children, contains(
+            hasProperties({trackedChange: {changeType: "insertion", author: "Ada", date: null}}),
+            hasProperties({trackedChange: {changeType: "deletion", author: "Ada", date: null}})
+        ));
+    }
 });
 
-test("no elements created if image cannot be found in wp:inline", function() {
-    var drawing = new XmlElement("wp:inline", {}, []);
+test("math", {
+    "m:oMath is read as inline math": function() {
+        var mathXml = xml.element("m:oMath", {}, [
+            xml.element("m:r", {}, [xml.element("m:t", {}, [xml.text("x")])])
+        ]);
+        var result = readXmlElementValue(mathXml);
+        assert.deepEqual(result, documents.math([math.run("x")], {isBlock: false}));
+    },
 
-    var result = readXmlElement(drawing);
-    assert.deepEqual(result.messages, []);
-    assert.deepEqual(result.value, []);
-});
+    "each m:oMath in m:oMathPara is read as block math": function() {
+        var mathXml = xml.element("m:oMathPara", {}, [
+            xml.element("m:oMathParaPr"),
+            xml.element("m:oMath", {}, [
+                xml.element("m:r", {}, [xml.element("m:t", {}, [xml.text("x")])])
+            ]),
+            xml.element("m:oMath", {}, [
+                xml.element("m:r", {}, [xml.element("m:t", {}, [xml.text("y")])])
+            ])
+        ]);
+        var result = readXmlElementValue(mathXml);
+        assert.deepEqual(result, [
+            documents.math([math.run("x")], {isBlock: true}),
+            documents.math([math.run("y")], {isBlock: true})
+        ]);
+    },
 
-test("children of w:ins are converted normally", function() {
-    assertChildrenAreConvertedNormally("w:ins");
+    "warnings from reading math are returned": function() {
+        var mathXml = xml.element("m:oMath", {}, [xml.element("m:unknown")]);
+        var result = readXmlElement(mathXml);
+        assert.deepEqual(result.messages, [warning("An unrecognised element was ignored: m:unknown")]);
+    }
 });
 
+function deletedRunOfText(text) {
+    return xml.element("w:r", {}, [
+        xml.element("w:delText", {}, [xml.text(text)])
+    ]);
+}
+
+function paragraphWithParagraphMarkChange(changeTagName, text) {
+    return xml.element("w:p", {}, [
+        xml.element("w:pPr", {}, [
+            xml.element("w:rPr", {}, [
+                xml.element(changeTagName, {"w:author": "Ada"})
+            ])
+        ]),
+        runOfText(text)
+    ]);
+}
+
+function rowWithChange(changeTagName, text) {
+    return xml.element("w:tr", {}, [
+        xml.element("w:trPr", {}, [
+            xml.element(changeTagName, {"w:author": "Ada"})
+        ]),
+        xml.element("w:tc", {}, [
+            xml.element("w:p", {}, [runOfText(text)])
+        ])
+    ]);
+}
+
 test("children of w:object are converted normally", function() {
     assertChildrenAreConvertedNormally("w:object");
 });
@@ -1715,6 +3507,21 @@ test("w:commentReference has ID read", function() {
     assert.deepEqual(result.messages, []);
 });
 
+test("w:commentRangeStart and w:commentRangeEnd have ID read", function() {
+    var paragraphXml = new XmlElement("w:p", {}, [
+        new XmlElement("w:commentRangeStart", {"w:id": "4"}),
+        runOfText("Hello"),
+        new XmlElement("w:commentRangeEnd", {"w:id": "4"})
+    ]);
+    var result = readXmlElement(paragraphXml);
+    assertThat(result.value.children, contains(
+        documents.commentRangeStart({commentId: "4"}),
+        isRun({children: contains(isText("Hello"))}),
+        documents.commentRangeEnd({commentId: "4"})
+    ));
+    assert.deepEqual(result.messages, []);
+});
+
 test("emits warning on unrecognised element", function() {
     var unrecognisedElement = new XmlElement("w:not-an-element");
     var result = readXmlElement(unrecognisedElement);
@@ -1756,7 +3563,7 @@ test("mc:AlternateContent", {
     "when mc:Fallback is present then mc:Fallback is read": function() {
         var styles = new Styles({"first": {name: "First"}, "second": {name: "Second"}}, {});
         var textbox = new XmlElement("mc:AlternateContent", {}, [
-            new XmlElement("mc:Choice", {"Requires": "wps"}, [
+            new XmlElement("mc:Choice", {"Requires": "wpc"}, [
                 paragraphWithStyleId("first")
             ]),
             new XmlElement("mc:Fallback", {}, [
@@ -1769,23 +3576,142 @@ test("mc:AlternateContent", {
 
     "when mc:Fallback is not present then element is ignored": function() {
         var textbox = new XmlElement("mc:AlternateContent", {}, [
-            new XmlElement("mc:Choice", {"Requires": "wps"}, [
+            new XmlElement("mc:Choice", {"Requires": "wpc"}, [
                 paragraphWithStyleId("first")
             ])
         ]);
         var result = readXmlElement(textbox);
         assert.deepEqual(result.value, []);
+    },
+
+    "when mc:Choice requires shapes then mc:Choice is read instead of mc:Fallback": function() {
+        var paragraph = new XmlElement("w:p", {}, [
+            new XmlElement("w:r", {}, [
+                new XmlElement("mc:AlternateContent", {}, [
+                    new XmlElement("mc:Choice", {"Requires": "wps"}, [
+                        createInlineGraphic([createShape([new XmlElement("w:p", {}, [runOfText("Callout")])])])
+                    ]),
+                    new XmlElement("mc:Fallback", {}, [
+                        new XmlElement("w:pict", {}, [
+                            new XmlElement("v:shape", {}, [
+                                new XmlElement("v:textbox", {}, [
+                                    new XmlElement("w:txbxContent", {}, [
+                                        new XmlElement("w:p", {}, [runOfText("Callout")])
+                                    ])
+                                ])
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ]);
+
+        var result = readXmlElement(paragraph);
+
+        assert.deepEqual(result.messages, []);
+        assert.equal(result.value.length, 2);
+        assert.deepEqual(result.value[1], documents.Drawing([
+            new documents.Paragraph([new documents.Run([new documents.Text("Callout")])])
+        ], {drawingType: "shape", name: "Text Box 1"}));
+    },
+
+    "when mc:Choice requires groups of shapes then mc:Choice is read": function() {
+        var textbox = new XmlElement("mc:AlternateContent", {}, [
+            new XmlElement("mc:Choice", {"Requires": "wpg"}, [
+                paragraphWithStyleId("first")
+            ]),
+            new XmlElement("mc:Fallback", {}, [
+                paragraphWithStyleId("second")
+            ])
+        ]);
+        var result = readXmlElement(textbox);
+        assert.deepEqual(result.value[0].styleId, "first");
+    },
+
+    "when mc:Choice requires an unsupported namespace then next mc:Choice is tried": function() {
+        var textbox = new XmlElement("mc:AlternateContent", {}, [
+            new XmlElement("mc:Choice", {"Requires": "wps w16"}, [
+                paragraphWithStyleId("first")
+            ]),
+            new XmlElement("mc:Choice", {"Requires": "wps"}, [
+                paragraphWithStyleId("second")
+            ]),
+            new XmlElement("mc:Fallback", {}, [
+                paragraphWithStyleId("third")
+            ])
+        ]);
+        var result = readXmlElement(textbox);
+        assert.deepEqual(result.value[0].styleId, "second");
     }
 });
 
-test("w:sdtContent is used when w:sdt is read", function() {
-    var element = xml.element("w:sdt", {}, [
-        xml.element("w:sdtContent", {}, [
-            xml.element("w:t", {}, [xml.text("Blackdown")])
-        ])
-    ]);
-    var result = readXmlElement(element);
-    assert.deepEqual(result.value, [new documents.Text("Blackdown")]);
+test("structured document tags", {
+    "w:sdtContent is read as children of structured document tag": function() {
+        var element = xml.element("w:sdt", {}, [
+            xml.element("w:sdtContent", {}, [
+                xml.element("w:t", {}, [xml.text("Blackdown")])
+            ])
+        ]);
+        var result = readXmlElement(element);
+        assert.deepEqual(result.value, documents.structuredDocumentTag([new documents.Text("Blackdown")]));
+    },
+
+    "tag, alias and ID are read from w:sdtPr": function() {
+        var element = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:alias", {"w:val": "Abstract"}),
+                xml.element("w:tag", {"w:val": "abstract"}),
+                xml.element("w:id", {"w:val": "-1234"})
+            ]),
+            xml.element("w:sdtContent", {}, [
+                xml.element("w:p")
+            ])
+        ]);
+        var result = readXmlElementValue(element);
+        assertThat(result, hasProperties({
+            type: "structuredDocumentTag",
+            tag: "abstract",
+            alias: "Abstract",
+            id: "-1234",
+            dataBinding: null,
+            children: contains(hasProperties({type: "paragraph"}))
+        }));
+    },
+
+    "data binding is read from w:sdtPr": function() {
+        var element = xml.element("w:sdt", {}, [
+            xml.element("w:sdtPr", {}, [
+                xml.element("w:dataBinding", {
+                    "w:prefixMappings": "xmlns:ns0='http://example.com/'",
+                    "w:xpath": "/ns0:root[1]/ns0:title[1]",
+                    "w:storeItemID": "{00000000-0000-0000-0000-000000000000}"
+                })
+            ])
+        ]);
+        var result = readXmlElementValue(element);
+        assert.deepEqual(result.dataBinding, {
+            xpath: "/ns0:root[1]/ns0:title[1]",
+            storeItemId: "{00000000-0000-0000-0000-000000000000}",
+            prefixMappings: "xmlns:ns0='http://example.com/'"
+        });
+    },
+
+    "structured document tags around table rows are replaced by their content": function() {
+        var tableXml = xml.element("w:tbl", {}, [
+            xml.element("w:sdt", {}, [
+                xml.element("w:sdtPr", {}, [
+                    xml.element("w:tag", {"w:val": "rows"})
+                ]),
+                xml.element("w:sdtContent", {}, [
+                    row(emptyCell())
+                ])
+            ])
+        ]);
+        var result = readXmlElementValue(tableXml);
+        assert.deepEqual(result, new documents.Table([
+            docRow([docEmptyCell()])
+        ]));
+    }
 });
 
 test("text nodes are ignored when reading children", function() {
@@ -1835,6 +3761,39 @@ function createInlineImage(options) {
     ]);
 }
 
+function createInlineChart(relationshipId) {
+    return new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:inline", {}, [
+            new XmlElement("wp:extent", {cx: "952500", cy: "476250"}),
+            new XmlElement("wp:docPr", {descr: "Pie chart"}),
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, [
+                    new XmlElement("c:chart", {"r:id": relationshipId})
+                ])
+            ])
+        ])
+    ]);
+}
+
+function createInlineGraphic(children) {
+    return new XmlElement("w:drawing", {}, [
+        new XmlElement("wp:inline", {}, [
+            new XmlElement("wp:docPr", {name: "Text Box 1"}),
+            new XmlElement("a:graphic", {}, [
+                new XmlElement("a:graphicData", {}, children)
+            ])
+        ])
+    ]);
+}
+
+function createShape(children) {
+    return new XmlElement("wps:wsp", {}, [
+        new XmlElement("wps:txbx", {}, [
+            new XmlElement("w:txbxContent", {}, children)
+        ])
+    ]);
+}
+
 function createEmbeddedBlip(relationshipId) {
     return new XmlElement("a:blip", {"r:embed": relationshipId});
 }
@@ -1864,6 +3823,30 @@ function imageRelationship(relationshipId, target) {
     };
 }
 
+function chartRelationship(relationshipId, target) {
+    return {
+        relationshipId: relationshipId,
+        target: target,
+        type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart"
+    };
+}
+
+function diagramDataRelationship(relationshipId, target) {
+    return {
+        relationshipId: relationshipId,
+        target: target,
+        type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData"
+    };
+}
+
+function altChunkRelationship(relationshipId, target) {
+    return {
+        relationshipId: relationshipId,
+        target: target,
+        type: "http://schemas.openxmlformats.org/officeDocument/2006/relationships/aFChunk"
+    };
+}
+
 function NumberingMap(options) {
     var findLevel = options.findLevel;
     var findLevelByParagraphStyleId = options.findLevelByParagraphStyleId || {};
@@ -1874,6 +3857,13 @@ function NumberingMap(options) {
         },
         findLevelByParagraphStyleId: function(styleId) {
             return findLevelByParagraphStyleId[styleId];
+        },
+        createCounter: function() {
+            return {
+                count: function() {
+                    return null;
+                }
+            };
         }
     };
 }
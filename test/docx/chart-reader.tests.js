@@ -0,0 +1,173 @@
+var assert = require("assert");
+
+var _ = require("underscore");
+
+var readChartXml = require("../../lib/docx/chart-reader").readChartXml;
+var Theme = require("../../lib/docx/theme-reader").Theme;
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("chart without plots has no chart type nor series", function() {
+    var chart = readChartXml(chartSpaceElement([]));
+    assert.deepEqual(chart, {chartType: null, title: null, series: []});
+});
+
+test("chart type is read from type of first plot", function() {
+    assert.equal(readChartXml(chartSpaceElement([xml.element("c:pieChart")])).chartType, "pie");
+    assert.equal(readChartXml(chartSpaceElement([xml.element("c:line3DChart")])).chartType, "line");
+});
+
+test("bar charts are column charts unless bar direction is bar", function() {
+    var columnChart = readChartXml(chartSpaceElement([
+        xml.element("c:barChart", {}, [xml.element("c:barDir", {"val": "col"})])
+    ]));
+    var barChart = readChartXml(chartSpaceElement([
+        xml.element("c:barChart", {}, [xml.element("c:barDir", {"val": "bar"})])
+    ]));
+    assert.equal(columnChart.chartType, "column");
+    assert.equal(barChart.chartType, "bar");
+});
+
+test("series names, categories and values are read from caches of references", function() {
+    var chart = readChartXml(chartSpaceElement([
+        xml.element("c:lineChart", {}, [
+            xml.element("c:ser", {}, [
+                xml.element("c:tx", {}, [
+                    xml.element("c:strRef", {}, [
+                        xml.element("c:f", {}, [xml.text("Sheet1!$B$1")]),
+                        stringCache(["Sales"])
+                    ])
+                ]),
+                xml.element("c:cat", {}, [
+                    xml.element("c:strRef", {}, [stringCache(["Q1", "Q2"])])
+                ]),
+                xml.element("c:val", {}, [
+                    xml.element("c:numRef", {}, [
+                        xml.element("c:numCache", {}, [
+                            xml.element("c:ptCount", {"val": "2"}),
+                            point(0, "4.5"),
+                            point(1, "2")
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]));
+    assert.deepEqual(chart.series, [
+        {name: "Sales", categories: ["Q1", "Q2"], values: [4.5, 2], color: null}
+    ]);
+});
+
+test("missing points are read as null", function() {
+    var chart = readChartXml(chartSpaceElement([
+        xml.element("c:barChart", {}, [
+            xml.element("c:ser", {}, [
+                xml.element("c:val", {}, [
+                    xml.element("c:numLit", {}, [
+                        xml.element("c:ptCount", {"val": "3"}),
+                        point(2, "7")
+                    ])
+                ])
+            ])
+        ])
+    ]));
+    assert.deepEqual(chart.series[0].values, [null, null, 7]);
+});
+
+test("innermost level of multi-level categories is read", function() {
+    var chart = readChartXml(chartSpaceElement([
+        xml.element("c:barChart", {}, [
+            xml.element("c:ser", {}, [
+                xml.element("c:cat", {}, [
+                    xml.element("c:multiLvlStrRef", {}, [
+                        xml.element("c:multiLvlStrCache", {}, [
+                            xml.element("c:ptCount", {"val": "2"}),
+                            xml.element("c:lvl", {}, [point(0, "Jan"), point(1, "Feb")]),
+                            xml.element("c:lvl", {}, [point(0, "2024")])
+                        ])
+                    ])
+                ])
+            ])
+        ])
+    ]));
+    assert.deepEqual(chart.series[0].categories, ["Jan", "Feb"]);
+});
+
+test("series color is read from fill or from line", function() {
+    var theme = new Theme({"accent2": "ED7D31"});
+    var chart = readChartXml(chartSpaceElement([
+        xml.element("c:lineChart", {}, [
+            xml.element("c:ser", {}, [
+                xml.element("c:spPr", {}, [
+                    xml.element("a:solidFill", {}, [xml.element("a:srgbClr", {"val": "ff0000"})])
+                ])
+            ]),
+            xml.element("c:ser", {}, [
+                xml.element("c:spPr", {}, [
+                    xml.element("a:ln", {}, [
+                        xml.element("a:solidFill", {}, [xml.element("a:schemeClr", {"val": "accent2"})])
+                    ])
+                ])
+            ])
+        ])
+    ]), {theme: theme});
+    assert.deepEqual(_.pluck(chart.series, "color"), ["FF0000", "ED7D31"]);
+});
+
+test("title is read from rich text", function() {
+    var chart = readChartXml(chartSpaceElement([], [
+        xml.element("c:title", {}, [
+            xml.element("c:tx", {}, [
+                xml.element("c:rich", {}, [
+                    xml.element("a:p", {}, [
+                        xml.element("a:r", {}, [xml.element("a:t", {}, [xml.text("Annual ")])]),
+                        xml.element("a:r", {}, [xml.element("a:t", {}, [xml.text("sales")])])
+                    ])
+                ])
+            ])
+        ])
+    ]));
+    assert.equal(chart.title, "Annual sales");
+});
+
+test("title without text is name of series when chart has one series", function() {
+    var chart = readChartXml(chartSpaceElement([
+        xml.element("c:pieChart", {}, [
+            xml.element("c:ser", {}, [
+                xml.element("c:tx", {}, [xml.element("c:v", {}, [xml.text("Sales")])])
+            ])
+        ])
+    ], [xml.element("c:title")]));
+    assert.equal(chart.title, "Sales");
+});
+
+test("title is null when automatic title is deleted", function() {
+    var chart = readChartXml(chartSpaceElement([], [
+        xml.element("c:title"),
+        xml.element("c:autoTitleDeleted", {"val": "1"})
+    ]));
+    assert.equal(chart.title, null);
+});
+
+function chartSpaceElement(plots, chartChildren) {
+    return xml.element("c:chartSpace", {}, [
+        xml.element("c:chart", {}, (chartChildren || []).concat([
+            xml.element("c:plotArea", {}, [xml.element("c:layout")].concat(plots))
+        ]))
+    ]);
+}
+
+function stringCache(values) {
+    return xml.element("c:strCache", {}, [
+        xml.element("c:ptCount", {"val": String(values.length)})
+    ].concat(values.map(function(value, index) {
+        return point(index, value);
+    })));
+}
+
+function point(index, value) {
+    return xml.element("c:pt", {"idx": String(index)}, [
+        xml.element("c:v", {}, [xml.text(value)])
+    ]);
+}
@@ -1,6 +1,9 @@
 var assert = require("assert");
 
 var createCommentsReader = require("../../lib/docx/comments-reader").createCommentsReader;
+var readCommentsExtendedXml = require("../../lib/docx/comments-reader").readCommentsExtendedXml;
+var readCommentsIdsXml = require("../../lib/docx/comments-reader").readCommentsIdsXml;
+var readCommentsExtensibleXml = require("../../lib/docx/comments-reader").readCommentsExtensibleXml;
 var createBodyReader = require("../../lib/docx/body-reader").createBodyReader;
 var stylesReader = require("../../lib/docx/styles-reader");
 var documents = require("../../lib/documents");
@@ -51,3 +54,66 @@ test('when optional attributes of comment are not blank then they are read', fun
     assert.strictEqual(comment.authorName, "The Piemaker");
     assert.strictEqual(comment.authorInitials, "TP");
 });
+
+
+test('date of comment is read from comment', function() {
+    var comment = readComment(xml.element("w:comments", {}, [
+        xml.element("w:comment", {"w:id": "1", "w:date": "2024-01-31T12:00:00Z"})
+    ]));
+    assert.strictEqual(comment.date, "2024-01-31T12:00:00Z");
+    assert.strictEqual(comment.parentCommentId, null);
+    assert.strictEqual(comment.isResolved, false);
+});
+
+
+test('replies, resolved state and UTC dates are read using paragraph ID of last paragraph of comment', function() {
+    function commentElement(id, paragraphId) {
+        return xml.element("w:comment", {"w:id": id, "w:date": "2024-01-31T12:00:00Z"}, [
+            xml.element("w:p", {"wordml:paraId": "00000000"}),
+            xml.element("w:p", {"wordml:paraId": paragraphId})
+        ]);
+    }
+
+    var bodyReader = createBodyReader({styles: stylesReader.defaultStyles});
+    var readCommentsXml = createCommentsReader(bodyReader, {
+        commentsExtended: {
+            "1A2B3C4D": {parentParagraphId: null, isResolved: true},
+            "5E6F7A8B": {parentParagraphId: "1A2B3C4D", isResolved: false}
+        },
+        commentsIds: {"5E6F7A8B": "12345678"},
+        commentsExtensible: {"12345678": "2024-01-31T13:00:00Z"}
+    });
+    var comments = readCommentsXml(xml.element("w:comments", {}, [
+        commentElement("0", "1A2B3C4D"),
+        commentElement("1", "5E6F7A8B")
+    ])).value;
+
+    assert.strictEqual(comments[0].parentCommentId, null);
+    assert.strictEqual(comments[0].isResolved, true);
+    assert.strictEqual(comments[0].date, "2024-01-31T12:00:00Z");
+    assert.strictEqual(comments[1].parentCommentId, "0");
+    assert.strictEqual(comments[1].isResolved, false);
+    assert.strictEqual(comments[1].date, "2024-01-31T13:00:00Z");
+});
+
+
+test('commentsExtended, commentsIds and commentsExtensible parts are read by paragraph and durable IDs', function() {
+    var commentsExtended = readCommentsExtendedXml(xml.element("w15:commentsEx", {}, [
+        xml.element("w15:commentEx", {"w15:paraId": "1A2B3C4D", "w15:done": "1"}),
+        xml.element("w15:commentEx", {"w15:paraId": "5E6F7A8B", "w15:paraIdParent": "1A2B3C4D", "w15:done": "0"})
+    ]));
+    assert.deepEqual(commentsExtended, {
+        "1A2B3C4D": {parentParagraphId: null, isResolved: true},
+        "5E6F7A8B": {parentParagraphId: "1A2B3C4D", isResolved: false}
+    });
+
+    var commentsIds = readCommentsIdsXml(xml.element("w16cid:commentsIds", {}, [
+        xml.element("w16cid:commentId", {"w16cid:paraId": "1A2B3C4D", "w16cid:durableId": "12345678"})
+    ]));
+    assert.deepEqual(commentsIds, {"1A2B3C4D": "12345678"});
+
+    var commentsExtensible = readCommentsExtensibleXml(xml.element("w16cex:commentsExtensible", {}, [
+        xml.element("w16cex:commentExtensible", {"w16cex:durableId": "12345678", "w16cex:dateUtc": "2024-01-31T13:00:00Z"})
+    ]));
+    assert.deepEqual(commentsExtensible, {"12345678": "2024-01-31T13:00:00Z"});
+});
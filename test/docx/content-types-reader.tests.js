@@ -35,6 +35,8 @@ test('fallback content types have common image types', function() {
     assert.equal(contentTypes.findContentType("word/media/hat.bmp"), "image/bmp");
     assert.equal(contentTypes.findContentType("word/media/hat.tif"), "image/tiff");
     assert.equal(contentTypes.findContentType("word/media/hat.tiff"), "image/tiff");
+    assert.equal(contentTypes.findContentType("word/media/hat.emf"), "image/x-emf");
+    assert.equal(contentTypes.findContentType("word/media/hat.wmf"), "image/x-wmf");
 });
 
 test('fallback content types are case insensitive on extension', function() {
@@ -0,0 +1,96 @@
+var assert = require("assert");
+
+var readDiagramDataXml = require("../../lib/docx/diagram-reader").readDiagramDataXml;
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("diagram without points has no nodes", function() {
+    assert.deepEqual(readDiagramDataXml(dataModelElement([], [])), []);
+});
+
+test("children of document point are read in order", function() {
+    var nodes = readDiagramDataXml(dataModelElement([
+        point("0", "doc", []),
+        point("1", undefined, ["Second"]),
+        point("2", undefined, ["First"])
+    ], [
+        connection("0", "1", 1),
+        connection("0", "2", 0)
+    ]));
+
+    assert.deepEqual(nodes, [
+        {paragraphs: ["First"], children: []},
+        {paragraphs: ["Second"], children: []}
+    ]);
+});
+
+test("nodes are nested using parent connections", function() {
+    var nodes = readDiagramDataXml(dataModelElement([
+        point("0", "doc", []),
+        point("1", undefined, ["Plan", "Draft"]),
+        point("2", "asst", ["Review"])
+    ], [
+        connection("0", "1", 0),
+        connection("1", "2", 0)
+    ]));
+
+    assert.deepEqual(nodes, [
+        {paragraphs: ["Plan", "Draft"], children: [{paragraphs: ["Review"], children: []}]}
+    ]);
+});
+
+test("transitions, presentation points and other connections are ignored", function() {
+    var nodes = readDiagramDataXml(dataModelElement([
+        point("0", "doc", []),
+        point("1", undefined, ["Plan"]),
+        point("2", "parTrans", ["Transition"]),
+        point("3", "pres", ["Presentation"])
+    ], [
+        connection("0", "1", 0),
+        connection("0", "2", 1),
+        connection("1", "3", 0, "presOf")
+    ]));
+
+    assert.deepEqual(nodes, [{paragraphs: ["Plan"], children: []}]);
+});
+
+test("nodes without text nor children are ignored", function() {
+    var nodes = readDiagramDataXml(dataModelElement([
+        point("0", "doc", []),
+        point("1", undefined, [])
+    ], [
+        connection("0", "1", 0)
+    ]));
+
+    assert.deepEqual(nodes, []);
+});
+
+function dataModelElement(points, connections) {
+    return xml.element("dgm:dataModel", {}, [
+        xml.element("dgm:ptLst", {}, points),
+        xml.element("dgm:cxnLst", {}, connections)
+    ]);
+}
+
+function point(modelId, type, paragraphs) {
+    var attributes = {"modelId": modelId};
+    if (type) {
+        attributes.type = type;
+    }
+    return xml.element("dgm:pt", attributes, [
+        xml.element("dgm:t", {}, [xml.element("a:bodyPr")].concat(paragraphs.map(function(text) {
+            return xml.element("a:p", {}, [
+                xml.element("a:r", {}, [xml.element("a:t", {}, [xml.text(text)])])
+            ]);
+        })))
+    ]);
+}
+
+function connection(sourceId, destinationId, sourceOrder, type) {
+    var attributes = {"srcId": sourceId, "destId": destinationId, "srcOrd": String(sourceOrder)};
+    if (type) {
+        attributes.type = type;
+    }
+    return xml.element("dgm:cxn", attributes);
+}
@@ -0,0 +1,69 @@
+var assert = require("assert");
+
+var documentPropertiesReader = require("../../lib/docx/document-properties-reader");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+function textElement(name, text) {
+    return xml.element(name, {}, [xml.text(text)]);
+}
+
+test("core properties are read", function() {
+    var properties = documentPropertiesReader.readCorePropertiesXml(xml.element("cp:coreProperties", {}, [
+        textElement("dc:title", "Annual report"),
+        textElement("dc:creator", "Alice"),
+        textElement("cp:keywords", "finance, 2020"),
+        textElement("cp:lastModifiedBy", "Bob"),
+        textElement("cp:revision", "3"),
+        textElement("dcterms:created", "2020-01-01T00:00:00Z")
+    ]));
+
+    assert.equal(properties.title, "Annual report");
+    assert.equal(properties.author, "Alice");
+    assert.equal(properties.keywords, "finance, 2020");
+    assert.equal(properties.lastModifiedBy, "Bob");
+    assert.equal(properties.revision, "3");
+    assert.equal(properties.created, "2020-01-01T00:00:00Z");
+    assert.equal(properties.subject, null);
+    assert.equal(properties.modified, null);
+});
+
+test("extended properties are read with counts as numbers", function() {
+    var properties = documentPropertiesReader.readExtendedPropertiesXml(xml.element("extended-properties:Properties", {}, [
+        textElement("extended-properties:Application", "Microsoft Office Word"),
+        textElement("extended-properties:Company", "Acme"),
+        textElement("extended-properties:Pages", "2"),
+        textElement("extended-properties:Words", "350"),
+        textElement("extended-properties:Lines", "not a number")
+    ]));
+
+    assert.equal(properties.application, "Microsoft Office Word");
+    assert.equal(properties.company, "Acme");
+    assert.strictEqual(properties.pages, 2);
+    assert.strictEqual(properties.words, 350);
+    assert.strictEqual(properties.lines, null);
+    assert.strictEqual(properties.characters, null);
+});
+
+test("custom properties are read using their variant types", function() {
+    function property(name, value) {
+        return xml.element("custom-properties:property", {name: name}, [value]);
+    }
+
+    var properties = documentPropertiesReader.readCustomPropertiesXml(xml.element("custom-properties:Properties", {}, [
+        property("Client", textElement("vt:lpwstr", "Acme")),
+        property("Approved", textElement("vt:bool", "true")),
+        property("Budget", textElement("vt:r8", "12.5")),
+        property("Count", textElement("vt:i4", "7")),
+        property("Due", textElement("vt:filetime", "2020-01-01T00:00:00Z"))
+    ]));
+
+    assert.deepEqual(properties, {
+        Client: "Acme",
+        Approved: true,
+        Budget: 12.5,
+        Count: 7,
+        Due: "2020-01-01T00:00:00Z"
+    });
+});
@@ -1,14 +1,29 @@
 var assert = require("assert");
+var JSZip = require("jszip");
+var _ = require("underscore");
 
 var docxReader = require("../../lib/docx/docx-reader");
 var documents = require("../../lib/documents");
 var xml = require("../../lib/xml");
+var warning = require("../../lib/results").warning;
 
 var testing = require("../testing");
 var test = require("../test")(module);
 var testData = testing.testData;
 var createFakeDocxFile = testing.createFakeDocxFile;
 
+var simpleDocumentSectionProperties = documents.SectionProperties({
+    pageSize: {width: "11906", height: "16838"},
+    margins: {
+        top: "1440",
+        right: "1440",
+        bottom: "1440",
+        left: "1440",
+        header: "708",
+        footer: "708",
+        gutter: "0"
+    }
+});
 
 test("can read document with single paragraph with single run of text", function() {
     var expectedDocument = documents.Document([
@@ -16,7 +31,8 @@ test("can read document with single paragraph with single run of text", function
             documents.Run([
                 documents.Text("Hello.")
             ])
-        ])
+        ]),
+        simpleDocumentSectionProperties
     ]);
     var docxFile = createFakeDocxFile({
         "word/document.xml": testData("simple/word/document.xml")
@@ -61,7 +77,8 @@ test("main document is found using _rels/.rels", function() {
             documents.Run([
                 documents.Text("Hello.")
             ])
-        ])
+        ]),
+        simpleDocumentSectionProperties
     ]);
     return docxReader.read(docxFile).then(function(result) {
         assert.deepEqual(expectedDocument, result.value);
@@ -87,6 +104,237 @@ test("error is thrown when main document part does not exist", function() {
     });
 });
 
+var wordNamespaces = {
+    "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+    "r": "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+};
+
+function createDocumentWithSectionProperties(sectionPropertiesChildren) {
+    return xml.writeString(xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:sectPr", {}, sectionPropertiesChildren)
+        ])
+    ]), wordNamespaces);
+}
+
+function createHeaderFooterXml(name, text) {
+    return xml.writeString(xml.element(name, {}, [
+        xml.element("w:p", {}, [
+            xml.element("w:r", {}, [
+                xml.element("w:t", {}, [xml.text(text)])
+            ])
+        ])
+    ]), wordNamespaces);
+}
+
+test("headers and footers are read using references in section properties", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": createDocumentWithSectionProperties([
+            xml.element("w:headerReference", {"w:type": "default", "r:id": "rId1"}),
+            xml.element("w:headerReference", {"w:type": "first", "r:id": "rId2"}),
+            xml.element("w:footerReference", {"w:type": "default", "r:id": "rId3"})
+        ]),
+        "word/_rels/document.xml.rels": xml.writeString(xml.element("r:Relationships", {}, [
+            xml.element("r:Relationship", {"Id": "rId1", "Target": "header1.xml"}),
+            xml.element("r:Relationship", {"Id": "rId2", "Target": "header2.xml"}),
+            xml.element("r:Relationship", {"Id": "rId3", "Target": "footer1.xml"})
+        ]), relationshipNamespaces),
+        "word/header1.xml": createHeaderFooterXml("w:hdr", "Default header"),
+        "word/header2.xml": createHeaderFooterXml("w:hdr", "First header"),
+        "word/footer1.xml": createHeaderFooterXml("w:ftr", "Default footer")
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        function paragraphOfText(text) {
+            return documents.paragraph([documents.run([documents.text(text)])]);
+        }
+
+        var document = result.value;
+        assert.deepEqual(document.headers, documents.HeadersFooters({
+            "default": documents.header([paragraphOfText("Default header")], {pageType: "default"}),
+            first: documents.header([paragraphOfText("First header")], {pageType: "first"})
+        }));
+        assert.deepEqual(document.footers, documents.HeadersFooters({
+            "default": documents.footer([paragraphOfText("Default footer")], {pageType: "default"})
+        }));
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test("warning is emitted when header part cannot be found", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": createDocumentWithSectionProperties([
+            xml.element("w:headerReference", {"w:type": "default", "r:id": "rId1"})
+        ])
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        assert.deepEqual(result.value.headers, documents.HeadersFooters({}));
+        assert.deepEqual(result.messages, [
+            {type: "warning", message: "Could not find header part for relationship ID: rId1"}
+        ]);
+    });
+});
+
+test("theme colors are resolved using theme part", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": xml.writeString(xml.element("w:document", {}, [
+            xml.element("w:body", {}, [
+                xml.element("w:p", {}, [
+                    xml.element("w:r", {}, [
+                        xml.element("w:rPr", {}, [
+                            xml.element("w:color", {"w:val": "000000", "w:themeColor": "accent2"})
+                        ]),
+                        xml.element("w:t", {}, [xml.text("TODO")])
+                    ])
+                ])
+            ])
+        ]), wordNamespaces),
+        "word/theme/theme1.xml": xml.writeString(xml.element("a:theme", {}, [
+            xml.element("a:themeElements", {}, [
+                xml.element("a:clrScheme", {}, [
+                    xml.element("a:accent2", {}, [
+                        xml.element("a:srgbClr", {"val": "ED7D31"})
+                    ])
+                ])
+            ])
+        ]), {"a": "http://schemas.openxmlformats.org/drawingml/2006/main"})
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var run = result.value.children[0].children[0];
+        assert.equal(run.color, "ED7D31");
+    });
+});
+
+
+test("charts are read from chart parts referenced by relationships", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": xml.writeString(xml.element("w:document", {}, [
+            xml.element("w:body", {}, [
+                xml.element("w:p", {}, [
+                    xml.element("w:r", {}, [
+                        xml.element("w:drawing", {}, [
+                            xml.element("wp:inline", {}, [
+                                xml.element("a:graphic", {}, [
+                                    xml.element("a:graphicData", {}, [
+                                        xml.element("c:chart", {"r:id": "rId3"})
+                                    ])
+                                ])
+                            ])
+                        ])
+                    ])
+                ])
+            ])
+        ]), {
+            "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+            "r": "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+            "wp": "http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing",
+            "a": "http://schemas.openxmlformats.org/drawingml/2006/main",
+            "c": "http://schemas.openxmlformats.org/drawingml/2006/chart"
+        }),
+        "word/_rels/document.xml.rels": xml.writeString(xml.element("r:Relationships", {}, [
+            xml.element("r:Relationship", {
+                "Id": "rId3",
+                "Type": "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart",
+                "Target": "charts/chart1.xml"
+            })
+        ]), relationshipNamespaces),
+        "word/charts/chart1.xml": xml.writeString(xml.element("c:chartSpace", {}, [
+            xml.element("c:chart", {}, [
+                xml.element("c:plotArea", {}, [
+                    xml.element("c:pieChart")
+                ])
+            ])
+        ]), {"c": "http://schemas.openxmlformats.org/drawingml/2006/chart"})
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var chart = result.value.children[1];
+        assert.equal(chart.type, "chart");
+        assert.equal(chart.chartType, "pie");
+    });
+});
+
+test("altChunk", {
+    "HTML altChunk is read as document elements": function() {
+        var docxFile = createFakeDocxFile({
+            "word/document.xml": documentWithAltChunk("rId5"),
+            "word/_rels/document.xml.rels": altChunkRelationships("rId5", "afchunk.htm"),
+            "word/afchunk.htm": "<html><body><p>Embedded <b>HTML</b></p></body></html>"
+        });
+        return docxReader.read(docxFile).then(function(result) {
+            assert.deepEqual(result.messages, []);
+            assert.deepEqual(result.value.children[0], documents.Paragraph([
+                documents.Run([documents.Text("Embedded ")]),
+                documents.Run([documents.Text("HTML")], {isBold: true})
+            ]));
+        });
+    },
+
+    "embedded docx is read recursively with its notes": function() {
+        var embeddedDocument = xml.writeString(xml.element("w:document", {}, [
+            xml.element("w:body", {}, [
+                xml.element("w:p", {}, [
+                    xml.element("w:r", {}, [xml.element("w:t", {}, [xml.text("Embedded")])]),
+                    xml.element("w:r", {}, [xml.element("w:footnoteReference", {"w:id": "1"})])
+                ])
+            ])
+        ]), wordNamespaces);
+        var embeddedFootnotes = xml.writeString(xml.element("w:footnotes", {}, [
+            xml.element("w:footnote", {"w:id": "1"}, [
+                xml.element("w:p", {}, [xml.element("w:r", {}, [xml.element("w:t", {}, [xml.text("Note")])])])
+            ])
+        ]), wordNamespaces);
+        var zip = new JSZip();
+        zip.file("word/document.xml", embeddedDocument);
+        zip.file("word/footnotes.xml", embeddedFootnotes);
+
+        return zip.generateAsync({type: "uint8array"}).then(function(embeddedDocx) {
+            var docxFile = createFakeDocxFile({
+                "word/document.xml": documentWithAltChunk("rId5"),
+                "word/_rels/document.xml.rels": altChunkRelationships("rId5", "chunk.docx"),
+                "word/chunk.docx": Buffer.from(embeddedDocx.buffer)
+            });
+            return docxReader.read(docxFile);
+        }).then(function(result) {
+            var paragraph = result.value.children[0];
+            var noteReference = paragraph.children[1].children[0];
+            assert.equal(paragraph.children[0].children[0].value, "Embedded");
+            assert.equal(noteReference.noteId, "chunk1-1");
+            var note = result.value.notes.resolve(noteReference);
+            assert.equal(note.body[0].children[0].children[0].value, "Note");
+        });
+    },
+
+    "warning if altChunk has unrecognised format": function() {
+        var docxFile = createFakeDocxFile({
+            "word/document.xml": documentWithAltChunk("rId5"),
+            "word/_rels/document.xml.rels": altChunkRelationships("rId5", "afchunk.bin"),
+            "word/afchunk.bin": "?"
+        });
+        return docxReader.read(docxFile).then(function(result) {
+            assert.deepEqual(result.value.children, []);
+            assert.deepEqual(result.messages, [
+                warning("Could not read altChunk word/afchunk.bin: unrecognised format")
+            ]);
+        });
+    }
+});
+
+function documentWithAltChunk(relationshipId) {
+    return xml.writeString(xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:altChunk", {"r:id": relationshipId})
+        ])
+    ]), wordNamespaces);
+}
+
+function altChunkRelationships(relationshipId, target) {
+    return xml.writeString(xml.element("r:Relationships", {}, [
+        xml.element("r:Relationship", {
+            "Id": relationshipId,
+            "Type": "http://schemas.openxmlformats.org/officeDocument/2006/relationships/aFChunk",
+            "Target": target
+        })
+    ]), relationshipNamespaces);
+}
 
 test("part paths", {
     "main document part is found using package relationships": function() {
@@ -168,6 +416,147 @@ test("part paths", {
     });
 });
 
+test("theme part is found using main document relationships", function() {
+    var docxFile = createFakeDocxFile({
+        "_rels/.rels": createPackageRelationships("word/document.xml"),
+        "word/document.xml": " ",
+        "word/_rels/document.xml.rels": xml.writeString(xml.element("r:Relationships", {}, [
+            xml.element("r:Relationship", {
+                "Type": "http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme",
+                "Target": "theme/theme2.xml"
+            })
+        ]), relationshipNamespaces),
+        "word/theme/theme2.xml": " "
+    });
+    return docxReader._findPartPaths(docxFile).then(function(partPaths) {
+        assert.equal(partPaths.theme, "word/theme/theme2.xml");
+    });
+});
+
+test("word/theme/theme1.xml is used as fallback location for theme part", function() {
+    var docxFile = createFakeDocxFile({
+        "_rels/.rels": createPackageRelationships("word/document.xml"),
+        "word/document.xml": " "
+    });
+    return docxReader._findPartPaths(docxFile).then(function(partPaths) {
+        assert.equal(partPaths.theme, "word/theme/theme1.xml");
+    });
+});
+
+test("replies and resolved state of comments are read from commentsExtended part", function() {
+    var wordNamespace = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "word/comments.xml": xml.writeString(xml.element("w:comments", {}, [
+            xml.element("w:comment", {"w:id": "0"}, [xml.element("w:p", {"w14:paraId": "1A2B3C4D"})]),
+            xml.element("w:comment", {"w:id": "1"}, [xml.element("w:p", {"w14:paraId": "5E6F7A8B"})])
+        ]), {"w": wordNamespace, "w14": "http://schemas.microsoft.com/office/word/2010/wordml"}),
+        "word/commentsExtended.xml": xml.writeString(xml.element("w15:commentsEx", {}, [
+            xml.element("w15:commentEx", {"w15:paraId": "1A2B3C4D", "w15:done": "1"}),
+            xml.element("w15:commentEx", {"w15:paraId": "5E6F7A8B", "w15:paraIdParent": "1A2B3C4D"})
+        ]), {"w15": "http://schemas.microsoft.com/office/word/2012/wordml"})
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var comments = result.value.comments;
+        assert.deepEqual(_.pick(comments[0], "commentId", "parentCommentId", "isResolved"), {
+            commentId: "0",
+            parentCommentId: null,
+            isResolved: true
+        });
+        assert.deepEqual(_.pick(comments[1], "commentId", "parentCommentId", "isResolved"), {
+            commentId: "1",
+            parentCommentId: "0",
+            isResolved: false
+        });
+    });
+});
+
+test("comment extension parts that can't be read are ignored with a warning", function() {
+    var wordNamespace = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "word/comments.xml": xml.writeString(xml.element("w:comments", {}, [
+            xml.element("w:comment", {"w:id": "0"}, [xml.element("w:p", {"w14:paraId": "1A2B3C4D"})])
+        ]), {"w": wordNamespace, "w14": "http://schemas.microsoft.com/office/word/2010/wordml"}),
+        "word/commentsExtended.xml": "<w15:commentsEx"
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var comments = result.value.comments;
+        assert.deepEqual(_.pick(comments[0], "commentId", "parentCommentId", "isResolved"), {
+            commentId: "0",
+            parentCommentId: null,
+            isResolved: false
+        });
+        assert.equal(result.messages.length, 1);
+        assert.equal(result.messages[0].type, "warning");
+        assert.ok(result.messages[0].message.indexOf("Could not read comment extensions from word/commentsExtended.xml: ") === 0);
+    });
+});
+
+test("document properties are read from core, extended and custom properties parts", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "docProps/core.xml": xml.writeString(xml.element("cp:coreProperties", {}, [
+            xml.element("dc:title", {}, [xml.text("Annual report")])
+        ]), {
+            "cp": "http://schemas.openxmlformats.org/package/2006/metadata/core-properties",
+            "dc": "http://purl.org/dc/elements/1.1/"
+        }),
+        "docProps/app.xml": xml.writeString(xml.element("ep:Properties", {}, [
+            xml.element("ep:Pages", {}, [xml.text("2")])
+        ]), {"ep": "http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"}),
+        "docProps/custom.xml": xml.writeString(xml.element("cup:Properties", {}, [
+            xml.element("cup:property", {"name": "Client"}, [
+                xml.element("vt:lpwstr", {}, [xml.text("Acme")])
+            ])
+        ]), {
+            "cup": "http://schemas.openxmlformats.org/officeDocument/2006/custom-properties",
+            "vt": "http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes"
+        })
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var properties = result.value.properties;
+        assert.equal(properties.title, "Annual report");
+        assert.equal(properties.pages, 2);
+        assert.deepEqual(properties.custom, {Client: "Acme"});
+    });
+});
+
+test("document properties parts that can't be read are ignored with a warning", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "docProps/core.xml": "<cp:coreProperties",
+        "docProps/app.xml": xml.writeString(xml.element("ep:Properties", {}, [
+            xml.element("ep:Pages", {}, [xml.text("2")])
+        ]), {"ep": "http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"}),
+        "docProps/custom.xml": "<Properties><property"
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        var properties = result.value.properties;
+        assert.equal(properties.title, null);
+        assert.equal(properties.pages, 2);
+        assert.deepEqual(properties.custom, {});
+        assert.deepEqual(_.pluck(result.messages, "type"), ["warning", "warning"]);
+        assert.ok(result.messages[0].message.indexOf("Could not read document properties from docProps/core.xml: ") === 0);
+        assert.ok(result.messages[1].message.indexOf("Could not read document properties from docProps/custom.xml: ") === 0);
+    });
+});
+
+test("numbering of notes is read from settings part", function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": testData("simple/word/document.xml"),
+        "word/settings.xml": xml.writeString(xml.element("w:settings", {}, [
+            xml.element("w:footnotePr", {}, [
+                xml.element("w:numFmt", {"w:val": "chicago"})
+            ])
+        ]), {"w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main"})
+    });
+    return docxReader.read(docxFile).then(function(result) {
+        assert.equal(result.value.footnoteNumbering.numberFormat, "chicago");
+        assert.equal(result.value.endnoteNumbering.numberFormat, null);
+    });
+});
+
 
 function createPackageRelationships(mainDocumentPath) {
     return xml.writeString(xml.element("r:Relationships", {}, [
@@ -0,0 +1,146 @@
+var assert = require("assert");
+
+var headersFootersReader = require("../../lib/docx/headers-footers-reader");
+var findHeaderFooterReferences = headersFootersReader.findHeaderFooterReferences;
+var createHeaderFooterReader = headersFootersReader.createHeaderFooterReader;
+var createBodyReader = require("../../lib/docx/body-reader").createBodyReader;
+var stylesReader = require("../../lib/docx/styles-reader");
+var documents = require("../../lib/documents");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("references are read from section properties of body", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:sectPr", {}, [
+                xml.element("w:headerReference", {"w:type": "default", "r:id": "rId1"}),
+                xml.element("w:footerReference", {"w:type": "first", "r:id": "rId2"}),
+                xml.element("w:pgSz")
+            ])
+        ])
+    ]);
+
+    var references = findHeaderFooterReferences(documentXml);
+
+    assert.deepEqual(references, [
+        {elementType: "header", pageType: "default", relationshipId: "rId1"},
+        {elementType: "footer", pageType: "first", relationshipId: "rId2"}
+    ]);
+});
+
+test("references in section properties of paragraphs are read before references in body", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:p", {}, [
+                xml.element("w:pPr", {}, [
+                    xml.element("w:sectPr", {}, [
+                        xml.element("w:headerReference", {"w:type": "even", "r:id": "rId1"})
+                    ])
+                ])
+            ]),
+            xml.element("w:sectPr", {}, [
+                xml.element("w:headerReference", {"w:type": "even", "r:id": "rId2"})
+            ])
+        ])
+    ]);
+
+    var references = findHeaderFooterReferences(documentXml);
+
+    assert.deepEqual(references, [
+        {elementType: "header", pageType: "even", relationshipId: "rId1"},
+        {elementType: "header", pageType: "even", relationshipId: "rId2"}
+    ]);
+});
+
+test("references in section properties inside structured document tags are read in document order", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:sdt", {}, [
+                xml.element("w:sdtContent", {}, [
+                    xml.element("w:p", {}, [
+                        xml.element("w:pPr", {}, [
+                            xml.element("w:sectPr", {}, [
+                                xml.element("w:headerReference", {"w:type": "default", "r:id": "rId1"})
+                            ])
+                        ])
+                    ]),
+                    xml.element("w:sectPr", {}, [
+                        xml.element("w:footerReference", {"w:type": "default", "r:id": "rId2"})
+                    ])
+                ])
+            ]),
+            xml.element("w:sectPr", {}, [
+                xml.element("w:headerReference", {"w:type": "default", "r:id": "rId3"})
+            ])
+        ])
+    ]);
+
+    var references = findHeaderFooterReferences(documentXml);
+
+    assert.deepEqual(references, [
+        {elementType: "header", pageType: "default", relationshipId: "rId1"},
+        {elementType: "footer", pageType: "default", relationshipId: "rId2"},
+        {elementType: "header", pageType: "default", relationshipId: "rId3"}
+    ]);
+});
+
+test("references in previous section properties of tracked changes are ignored", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:sectPr", {}, [
+                xml.element("w:headerReference", {"w:type": "default", "r:id": "rId1"}),
+                xml.element("w:sectPrChange", {}, [
+                    xml.element("w:sectPr", {}, [
+                        xml.element("w:headerReference", {"w:type": "default", "r:id": "rId2"})
+                    ])
+                ])
+            ])
+        ])
+    ]);
+
+    var references = findHeaderFooterReferences(documentXml);
+
+    assert.deepEqual(references, [
+        {elementType: "header", pageType: "default", relationshipId: "rId1"}
+    ]);
+});
+
+test("page type is default when type is missing", function() {
+    var documentXml = xml.element("w:document", {}, [
+        xml.element("w:body", {}, [
+            xml.element("w:sectPr", {}, [
+                xml.element("w:headerReference", {"r:id": "rId1"})
+            ])
+        ])
+    ]);
+
+    var references = findHeaderFooterReferences(documentXml);
+
+    assert.deepEqual(references, [
+        {elementType: "header", pageType: "default", relationshipId: "rId1"}
+    ]);
+});
+
+test("body of header is read", function() {
+    var bodyReader = new createBodyReader({styles: stylesReader.defaultStyles});
+    var reference = {elementType: "header", pageType: "first", relationshipId: "rId1"};
+
+    var result = createHeaderFooterReader(reference, bodyReader)(
+        xml.element("w:hdr", {}, [xml.element("w:p")])
+    );
+
+    assert.deepEqual(result.value, documents.header([documents.paragraph([])], {pageType: "first"}));
+    assert.deepEqual(result.messages, []);
+});
+
+test("body of footer is read", function() {
+    var bodyReader = new createBodyReader({styles: stylesReader.defaultStyles});
+    var reference = {elementType: "footer", pageType: "default", relationshipId: "rId1"};
+
+    var result = createHeaderFooterReader(reference, bodyReader)(
+        xml.element("w:ftr", {}, [xml.element("w:p")])
+    );
+
+    assert.deepEqual(result.value, documents.footer([documents.paragraph([])]));
+});
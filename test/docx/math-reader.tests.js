@@ -0,0 +1,231 @@
+var assert = require("assert");
+
+var readMathElement = require("../../lib/docx/math-reader").readMathElement;
+var math = require("../../lib/math");
+var xml = require("../../lib/xml");
+var warning = require("../../lib/results").warning;
+var test = require("../test")(module);
+
+
+function readMathValue(children) {
+    var result = readMathElement(xml.element("m:oMath", {}, children));
+    assert.deepEqual(result.messages, []);
+    return result.value;
+}
+
+function mathRun(text, properties) {
+    return xml.element("m:r", {}, [
+        xml.element("m:rPr", {}, properties || []),
+        xml.element("m:t", {}, [xml.text(text)])
+    ]);
+}
+
+test("m:r is read as math run", function() {
+    var result = readMathValue([mathRun("x")]);
+    assert.deepEqual(result, [math.run("x")]);
+});
+
+test("math run has style read from m:sty", function() {
+    var result = readMathValue([mathRun("sin", [xml.element("m:sty", {"m:val": "p"})])]);
+    assert.deepEqual(result, [math.run("sin", {style: "plain"})]);
+});
+
+test("math run is normal text if m:nor is set", function() {
+    var result = readMathValue([mathRun("if", [xml.element("m:nor")])]);
+    assert.deepEqual(result, [math.run("if", {isNormalText: true})]);
+});
+
+test("m:f is read as fraction", {
+    "fraction has bar by default": function() {
+        var result = readMathValue([
+            xml.element("m:f", {}, [
+                xml.element("m:num", {}, [mathRun("1")]),
+                xml.element("m:den", {}, [mathRun("2")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.fraction({
+            fractionType: "bar",
+            numerator: [math.run("1")],
+            denominator: [math.run("2")]
+        })]);
+    },
+
+    "fraction type is read from m:type": function() {
+        var result = readMathValue([
+            xml.element("m:f", {}, [
+                xml.element("m:fPr", {}, [xml.element("m:type", {"m:val": "lin"})]),
+                xml.element("m:num", {}, [mathRun("1")]),
+                xml.element("m:den", {}, [mathRun("2")])
+            ])
+        ]);
+        assert.equal(result[0].fractionType, "linear");
+    }
+});
+
+test("m:rad is read as radical", {
+    "degree is read from m:deg": function() {
+        var result = readMathValue([
+            xml.element("m:rad", {}, [
+                xml.element("m:deg", {}, [mathRun("3")]),
+                xml.element("m:e", {}, [mathRun("x")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.radical({degree: [math.run("3")], base: [math.run("x")]})]);
+    },
+
+    "degree is null when hidden": function() {
+        var result = readMathValue([
+            xml.element("m:rad", {}, [
+                xml.element("m:radPr", {}, [xml.element("m:degHide", {"m:val": "1"})]),
+                xml.element("m:deg"),
+                xml.element("m:e", {}, [mathRun("x")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.radical({degree: null, base: [math.run("x")]})]);
+    }
+});
+
+test("m:nary is read as n-ary operator", {
+    "operator and limits are read": function() {
+        var result = readMathValue([
+            xml.element("m:nary", {}, [
+                xml.element("m:naryPr", {}, [xml.element("m:chr", {"m:val": "∑"})]),
+                xml.element("m:sub", {}, [mathRun("i")]),
+                xml.element("m:sup", {}, [mathRun("n")]),
+                xml.element("m:e", {}, [mathRun("i")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.nary({
+            operator: "∑",
+            limitLocation: "underOver",
+            sub: [math.run("i")],
+            sup: [math.run("n")],
+            base: [math.run("i")]
+        })]);
+    },
+
+    "operator is integral with limits as subscript and superscript by default": function() {
+        var result = readMathValue([
+            xml.element("m:nary", {}, [
+                xml.element("m:naryPr", {}, [
+                    xml.element("m:subHide", {"m:val": "on"}),
+                    xml.element("m:supHide", {"m:val": "on"})
+                ]),
+                xml.element("m:sub"),
+                xml.element("m:sup"),
+                xml.element("m:e", {}, [mathRun("x")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.nary({
+            operator: "∫",
+            limitLocation: "subSup",
+            sub: null,
+            sup: null,
+            base: [math.run("x")]
+        })]);
+    }
+});
+
+test("m:m is read as matrix", function() {
+    var result = readMathValue([
+        xml.element("m:m", {}, [
+            xml.element("m:mr", {}, [
+                xml.element("m:e", {}, [mathRun("a")]),
+                xml.element("m:e", {}, [mathRun("b")])
+            ]),
+            xml.element("m:mr", {}, [
+                xml.element("m:e", {}, [mathRun("c")]),
+                xml.element("m:e", {}, [mathRun("d")])
+            ])
+        ])
+    ]);
+    assert.deepEqual(result, [math.matrix([
+        [[math.run("a")], [math.run("b")]],
+        [[math.run("c")], [math.run("d")]]
+    ])]);
+});
+
+test("m:d is read as delimiter", {
+    "delimiter characters are parentheses by default": function() {
+        var result = readMathValue([
+            xml.element("m:d", {}, [
+                xml.element("m:e", {}, [mathRun("x")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.delimiter({
+            begin: "(",
+            end: ")",
+            separator: "|",
+            elements: [[math.run("x")]]
+        })]);
+    },
+
+    "delimiter characters are read from properties": function() {
+        var result = readMathValue([
+            xml.element("m:d", {}, [
+                xml.element("m:dPr", {}, [
+                    xml.element("m:begChr", {"m:val": "["}),
+                    xml.element("m:endChr"),
+                    xml.element("m:sepChr", {"m:val": ","})
+                ]),
+                xml.element("m:e", {}, [mathRun("x")]),
+                xml.element("m:e", {}, [mathRun("y")])
+            ])
+        ]);
+        assert.deepEqual(result, [math.delimiter({
+            begin: "[",
+            end: "",
+            separator: ",",
+            elements: [[math.run("x")], [math.run("y")]]
+        })]);
+    }
+});
+
+test("m:acc is read as accent", function() {
+    var result = readMathValue([
+        xml.element("m:acc", {}, [
+            xml.element("m:accPr", {}, [xml.element("m:chr", {"m:val": "\u20D7"})]),
+            xml.element("m:e", {}, [mathRun("v")])
+        ])
+    ]);
+    assert.deepEqual(result, [math.accent({accent: "\u20D7", base: [math.run("v")]})]);
+});
+
+test("sub- and superscripts are read", function() {
+    var result = readMathValue([
+        xml.element("m:sSub", {}, [
+            xml.element("m:e", {}, [mathRun("x")]),
+            xml.element("m:sub", {}, [mathRun("1")])
+        ]),
+        xml.element("m:sSup", {}, [
+            xml.element("m:e", {}, [mathRun("x")]),
+            xml.element("m:sup", {}, [mathRun("2")])
+        ]),
+        xml.element("m:sSubSup", {}, [
+            xml.element("m:e", {}, [mathRun("x")]),
+            xml.element("m:sub", {}, [mathRun("1")]),
+            xml.element("m:sup", {}, [mathRun("2")])
+        ])
+    ]);
+    assert.deepEqual(result, [
+        math.subscript({base: [math.run("x")], sub: [math.run("1")]}),
+        math.superscript({base: [math.run("x")], sup: [math.run("2")]}),
+        math.subSuperscript({base: [math.run("x")], sub: [math.run("1")], sup: [math.run("2")]})
+    ]);
+});
+
+test("properties elements are ignored without warning", function() {
+    var result = readMathValue([
+        xml.element("m:ctrlPr"),
+        mathRun("x")
+    ]);
+    assert.deepEqual(result, [math.run("x")]);
+});
+
+test("warning is emitted for unrecognised elements", function() {
+    var result = readMathElement(xml.element("m:oMath", {}, [
+        xml.element("m:unknown")
+    ]));
+    assert.deepEqual(result.value, []);
+    assert.deepEqual(result.messages, [warning("An unrecognised element was ignored: m:unknown")]);
+});
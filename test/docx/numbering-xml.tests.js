@@ -118,3 +118,274 @@ test('when styles is missing then error is thrown', function() {
         readNumberingXml(new XmlElement("w:numbering", {}, []));
     }, /styles is missing/);
 });
+
+test('level has format, start, text, legal numbering and restart', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                new XmlElement("w:lvl", {"w:ilvl": "1"}, [
+                    new XmlElement("w:start", {"w:val": "5"}),
+                    new XmlElement("w:numFmt", {"w:val": "lowerRoman"}),
+                    new XmlElement("w:lvlRestart", {"w:val": "0"}),
+                    new XmlElement("w:isLgl"),
+                    new XmlElement("w:lvlText", {"w:val": "%1.%2."})
+                ])
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+    duck.assertThat(numbering.findLevel("47", "1"), duck.hasProperties({
+        level: "1",
+        format: "lowerRoman",
+        start: 5,
+        text: "%1.%2.",
+        isLegal: true,
+        restartAfterLevel: -1
+    }));
+});
+
+test('level has default format, start, text, legal numbering and restart when not set', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                new XmlElement("w:lvl", {"w:ilvl": "1"})
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+    duck.assertThat(numbering.findLevel("47", "1"), duck.hasProperties({
+        format: "decimal",
+        start: 0,
+        text: null,
+        isLegal: false,
+        restartAfterLevel: 0
+    }));
+});
+
+test('list paragraphs are counted to generate labels', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1."),
+                levelXml("1", "lowerLetter", "%1.%2")
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "0"], ["47", "1"], ["47", "1"], ["47", "0"], ["47", "1"]]);
+
+    assert.deepEqual(labels, ["1.", "1.a", "1.b", "2.", "2.a"]);
+});
+
+test('counting a list paragraph returns the value of its level', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "upperRoman", "%1.", {start: "3"})
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+    var counter = numbering.createCounter();
+
+    assert.deepEqual(counter.count(numbering.findLevel("47", "0")), {value: 3, label: "III."});
+    assert.deepEqual(counter.count(numbering.findLevel("47", "0")), {value: 4, label: "IV."});
+});
+
+test('numbers are formatted using the format of each level', function() {
+    var formats = [
+        ["decimal", 12, "12"],
+        ["decimalZero", 7, "07"],
+        ["decimalZero", 12, "12"],
+        ["lowerLetter", 2, "b"],
+        ["lowerLetter", 28, "bb"],
+        ["upperLetter", 27, "AA"],
+        ["lowerRoman", 14, "xiv"],
+        ["upperRoman", 1994, "MCMXCIV"],
+        ["ordinal", 2, "2nd"],
+        ["ordinal", 13, "13th"],
+        ["ordinal", 23, "23rd"],
+        ["decimalEnclosedParen", 3, "(3)"],
+        ["decimalEnclosedCircle", 3, "③"],
+        ["chicago", 3, "\u2021"],
+        ["chicago", 6, "\u2020\u2020"],
+        ["none", 3, ""],
+        ["cardinalText", 3, "3"]
+    ];
+    formats.forEach(function(format) {
+        var numbering = readNumberingXml(
+            new XmlElement("w:numbering", {}, [
+                new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                    levelXml("0", format[0], "%1", {start: String(format[1])})
+                ]),
+                numXml("47", "42")
+            ]),
+            {styles: stylesReader.defaultStyles}
+        );
+        assert.deepEqual(countLabels(numbering, [["47", "0"]]), [format[2]], format[0] + " " + format[1]);
+    });
+});
+
+test('label of bullet is the text of the level', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "bullet", "•")
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    assert.deepEqual(countLabels(numbering, [["47", "0"]]), ["•"]);
+});
+
+test('legal numbering uses decimal numbers for all levels', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "upperRoman", "Article %1."),
+                levelXml("1", "decimal", "Section %1.%2", {isLegal: true})
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "0"], ["47", "0"], ["47", "1"]]);
+
+    assert.deepEqual(labels, ["Article I.", "Article II.", "Section 2.1"]);
+});
+
+test('level is not restarted when w:lvlRestart is zero', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1."),
+                levelXml("1", "decimal", "(%2)", {restart: "0"})
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "0"], ["47", "1"], ["47", "0"], ["47", "1"]]);
+
+    assert.deepEqual(labels, ["1.", "(1)", "2.", "(2)"]);
+});
+
+test('level is only restarted by levels up to w:lvlRestart', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1."),
+                levelXml("1", "decimal", "%1.%2."),
+                levelXml("2", "lowerLetter", "%3)", {restart: "1"})
+            ]),
+            numXml("47", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "2"], ["47", "1"], ["47", "2"], ["47", "0"], ["47", "2"]]);
+
+    assert.deepEqual(labels, ["a)", "1.1.", "b)", "1.", "a)"]);
+});
+
+test('lists using the same w:abstractNum continue numbering', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1.")
+            ]),
+            numXml("47", "42"),
+            numXml("48", "42")
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "0"], ["48", "0"]]);
+
+    assert.deepEqual(labels, ["1.", "2."]);
+});
+
+test('w:startOverride restarts list at start value', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1."),
+                levelXml("1", "lowerLetter", "%2)")
+            ]),
+            numXml("47", "42"),
+            numXml("48", "42", [
+                new XmlElement("w:lvlOverride", {"w:ilvl": "0"}, [
+                    new XmlElement("w:startOverride", {"w:val": "5"})
+                ])
+            ])
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    var labels = countLabels(numbering, [["47", "0"], ["47", "0"], ["48", "0"], ["48", "1"], ["47", "0"]]);
+
+    assert.deepEqual(labels, ["1.", "2.", "5.", "a)", "3."]);
+    duck.assertThat(numbering.findLevel("48", "0"), duck.hasProperties({start: 5}));
+});
+
+test('w:lvl in w:lvlOverride replaces level', function() {
+    var numbering = readNumberingXml(
+        new XmlElement("w:numbering", {}, [
+            new XmlElement("w:abstractNum", {"w:abstractNumId": "42"}, [
+                levelXml("0", "decimal", "%1.")
+            ]),
+            numXml("47", "42", [
+                new XmlElement("w:lvlOverride", {"w:ilvl": "0"}, [
+                    levelXml("0", "upperLetter", "(%1)")
+                ])
+            ])
+        ]),
+        {styles: stylesReader.defaultStyles}
+    );
+
+    assert.deepEqual(countLabels(numbering, [["47", "0"], ["47", "0"]]), ["(A)", "(B)"]);
+});
+
+test('counting level from another numbering returns null', function() {
+    var counter = readNumberingXml(new XmlElement("w:numbering", {}, []), {styles: stylesReader.defaultStyles}).createCounter();
+
+    assert.equal(counter.count({level: "0", isOrdered: true}), null);
+});
+
+function levelXml(levelIndex, numFmt, text, options) {
+    options = options || {};
+    var children = [
+        new XmlElement("w:start", {"w:val": options.start || "1"}),
+        new XmlElement("w:numFmt", {"w:val": numFmt})
+    ];
+    if (options.restart) {
+        children.push(new XmlElement("w:lvlRestart", {"w:val": options.restart}));
+    }
+    if (options.isLegal) {
+        children.push(new XmlElement("w:isLgl"));
+    }
+    children.push(new XmlElement("w:lvlText", {"w:val": text}));
+    return new XmlElement("w:lvl", {"w:ilvl": levelIndex}, children);
+}
+
+function numXml(numId, abstractNumId, children) {
+    return new XmlElement("w:num", {"w:numId": numId}, [
+        new XmlElement("w:abstractNumId", {"w:val": abstractNumId})
+    ].concat(children || []));
+}
+
+function countLabels(numbering, paragraphs) {
+    var counter = numbering.createCounter();
+    return paragraphs.map(function(paragraph) {
+        return counter.count(numbering.findLevel(paragraph[0], paragraph[1])).label;
+    });
+}
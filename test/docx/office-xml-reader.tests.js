@@ -37,5 +37,41 @@ test("mc:AlternateContent", {
         return officeXmlReader.read(xmlString).then(function(element) {
             assert.deepEqual(element.children, []);
         });
+    },
+
+    "when mc:Choice requires shapes then mc:Choice is read": function() {
+        var xmlString =
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<document xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006">' +
+            '<mc:AlternateContent>' +
+            '<mc:Choice Requires="wps">' +
+            '<choice/>' +
+            '</mc:Choice>' +
+            '<mc:Fallback>' +
+            '<fallback/>' +
+            '</mc:Fallback>' +
+            '</mc:AlternateContent>' +
+            '</document>';
+        return officeXmlReader.read(xmlString).then(function(element) {
+            assert.deepEqual(element.children, [xml.element("choice")]);
+        });
+    },
+
+    "mc:AlternateContent within selected content is collapsed": function() {
+        var xmlString =
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<document xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006">' +
+            '<mc:AlternateContent>' +
+            '<mc:Choice Requires="wpg">' +
+            '<mc:AlternateContent>' +
+            '<mc:Choice Requires="w14"><choice/></mc:Choice>' +
+            '<mc:Fallback><fallback/></mc:Fallback>' +
+            '</mc:AlternateContent>' +
+            '</mc:Choice>' +
+            '</mc:AlternateContent>' +
+            '</document>';
+        return officeXmlReader.read(xmlString).then(function(element) {
+            assert.deepEqual(element.children, [xml.element("fallback")]);
+        });
     }
 });
@@ -0,0 +1,31 @@
+var assert = require("assert");
+
+var documents = require("../../lib/documents");
+var settingsReader = require("../../lib/docx/settings-reader");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("numbering of notes is read from settings", function() {
+    var settings = settingsReader.readSettingsXml(xml.element("w:settings", {}, [
+        xml.element("w:footnotePr", {}, [
+            xml.element("w:footnote", {"w:id": "-1"}),
+            xml.element("w:numFmt", {"w:val": "upperRoman"}),
+            xml.element("w:numStart", {"w:val": "2"})
+        ]),
+        xml.element("w:endnotePr", {}, [
+            xml.element("w:numFmt", {"w:val": "lowerRoman"}),
+            xml.element("w:numRestart", {"w:val": "eachSect"})
+        ])
+    ]));
+
+    assert.deepEqual(settings.footnoteNumbering, documents.NoteNumbering({numberFormat: "upperRoman", start: 2}));
+    assert.deepEqual(settings.endnoteNumbering, documents.NoteNumbering({numberFormat: "lowerRoman", restart: "eachSect"}));
+});
+
+test("numbering of notes is unset when not in settings", function() {
+    var settings = settingsReader.readSettingsXml(xml.element("w:settings"));
+
+    assert.deepEqual(settings, settingsReader.defaultSettings);
+    assert.deepEqual(settings.footnoteNumbering, documents.NoteNumbering());
+});
@@ -79,6 +79,104 @@ test('style name is null if w:name element does not exist', function() {
     assert.equal(styles.findCharacterStyleById("Heading1Char").name, null);
 });
 
+test('styles include ID of style that they are based on', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Heading1"}, [
+                new XmlElement("w:basedOn", {"w:val": "Normal"})
+            ])
+        ])
+    );
+    assert.equal(styles.findParagraphStyleById("Heading1").basedOn, "Normal");
+});
+
+test('styles include ID of linked style', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Heading1"}, [
+                new XmlElement("w:link", {"w:val": "Heading1Char"})
+            ])
+        ])
+    );
+    assert.equal(styles.findParagraphStyleById("Heading1").linkedStyleId, "Heading1Char");
+});
+
+test('styles include paragraph and run properties elements', function() {
+    var paragraphProperties = new XmlElement("w:pPr", {}, [new XmlElement("w:jc", {"w:val": "center"})]);
+    var runProperties = new XmlElement("w:rPr", {}, [new XmlElement("w:b")]);
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Title"}, [
+                paragraphProperties,
+                runProperties
+            ])
+        ])
+    );
+    var style = styles.findParagraphStyleById("Title");
+    assert.equal(style.paragraphProperties, paragraphProperties);
+    assert.equal(style.runProperties, runProperties);
+});
+
+test('styles include table and table cell properties elements', function() {
+    var tableProperties = new XmlElement("w:tblPr", {}, [new XmlElement("w:jc", {"w:val": "center"})]);
+    var tableCellProperties = new XmlElement("w:tcPr", {}, [new XmlElement("w:vAlign", {"w:val": "center"})]);
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:style", {"w:type": "table", "w:styleId": "TableGrid"}, [
+                tableProperties,
+                tableCellProperties
+            ])
+        ])
+    );
+    var style = styles.findTableStyleById("TableGrid");
+    assert.equal(style.tableProperties, tableProperties);
+    assert.equal(style.tableCellProperties, tableCellProperties);
+});
+
+test('default paragraph style is found using w:default attribute', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            paragraphStyleElement("Heading1", "Heading 1"),
+            new XmlElement("w:style", {"w:type": "paragraph", "w:styleId": "Normal", "w:default": "1"})
+        ])
+    );
+    assert.equal(styles.findDefaultParagraphStyle().styleId, "Normal");
+});
+
+test('default paragraph style is null if no paragraph style is the default', function() {
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            paragraphStyleElement("Heading1", "Heading 1")
+        ])
+    );
+    assert.equal(styles.findDefaultParagraphStyle(), null);
+});
+
+test('document defaults are read from w:docDefaults', function() {
+    var paragraphProperties = new XmlElement("w:pPr", {}, [new XmlElement("w:jc", {"w:val": "center"})]);
+    var runProperties = new XmlElement("w:rPr", {}, [new XmlElement("w:sz", {"w:val": "22"})]);
+    var styles = readStylesXml(
+        new XmlElement("w:styles", {}, [
+            new XmlElement("w:docDefaults", {}, [
+                new XmlElement("w:rPrDefault", {}, [runProperties]),
+                new XmlElement("w:pPrDefault", {}, [paragraphProperties])
+            ])
+        ])
+    );
+    assert.deepEqual(styles.getDocumentDefaults(), {
+        paragraphProperties: paragraphProperties,
+        runProperties: runProperties
+    });
+});
+
+test('document defaults are null if there is no w:docDefaults', function() {
+    var styles = readStylesXml(new XmlElement("w:styles", {}, []));
+    assert.deepEqual(styles.getDocumentDefaults(), {
+        paragraphProperties: null,
+        runProperties: null
+    });
+});
+
 test('numbering style is null if no style with that ID exists', function() {
     var styles = readStylesXml(
         new XmlElement("w:styles", {}, [])
@@ -0,0 +1,74 @@
+var assert = require("assert");
+
+var themeReader = require("../../lib/docx/theme-reader");
+var readThemeXml = themeReader.readThemeXml;
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("theme color is null if color scheme does not have color", function() {
+    var theme = readThemeXml(themeElement([]));
+    assert.equal(theme.findColor("accent1"), null);
+});
+
+test("RGB color is read from color scheme", function() {
+    var theme = readThemeXml(themeElement([
+        xml.element("a:accent1", {}, [
+            xml.element("a:srgbClr", {"val": "4472c4"})
+        ])
+    ]));
+    assert.equal(theme.findColor("accent1"), "4472C4");
+});
+
+test("last computed value of system color is read from color scheme", function() {
+    var theme = readThemeXml(themeElement([
+        xml.element("a:dk1", {}, [
+            xml.element("a:sysClr", {"val": "windowText", "lastClr": "000000"})
+        ])
+    ]));
+    assert.equal(theme.findColor("dark1"), "000000");
+});
+
+test("text and background theme colors are aliases of dark and light colors", function() {
+    var theme = readThemeXml(themeElement([
+        xml.element("a:dk1", {}, [xml.element("a:srgbClr", {"val": "111111"})]),
+        xml.element("a:lt1", {}, [xml.element("a:srgbClr", {"val": "EEEEEE"})]),
+        xml.element("a:dk2", {}, [xml.element("a:srgbClr", {"val": "222222"})]),
+        xml.element("a:lt2", {}, [xml.element("a:srgbClr", {"val": "DDDDDD"})])
+    ]));
+    assert.equal(theme.findColor("text1"), "111111");
+    assert.equal(theme.findColor("background1"), "EEEEEE");
+    assert.equal(theme.findColor("text2"), "222222");
+    assert.equal(theme.findColor("background2"), "DDDDDD");
+});
+
+test("hyperlink colors are read from color scheme", function() {
+    var theme = readThemeXml(themeElement([
+        xml.element("a:hlink", {}, [xml.element("a:srgbClr", {"val": "0563C1"})]),
+        xml.element("a:folHlink", {}, [xml.element("a:srgbClr", {"val": "954F72"})])
+    ]));
+    assert.equal(theme.findColor("hyperlink"), "0563C1");
+    assert.equal(theme.findColor("followedHyperlink"), "954F72");
+});
+
+test("color is unchanged if there is no tint nor shade", function() {
+    assert.equal(themeReader.applyTintAndShade("4472C4"), "4472C4");
+});
+
+test("tint lightens color", function() {
+    assert.equal(themeReader.applyTintAndShade("000000", "80"), "7F7F7F");
+    assert.equal(themeReader.applyTintAndShade("4472C4", "99"), "8FAADC");
+});
+
+test("shade darkens color", function() {
+    assert.equal(themeReader.applyTintAndShade("FFFFFF", undefined, "80"), "808080");
+    assert.equal(themeReader.applyTintAndShade("4472C4", undefined, "BF"), "2F5496");
+});
+
+function themeElement(colors) {
+    return xml.element("a:theme", {}, [
+        xml.element("a:themeElements", {}, [
+            xml.element("a:clrScheme", {"name": "Office"}, colors)
+        ])
+    ]);
+}
@@ -0,0 +1,128 @@
+var assert = require("assert");
+
+var flatOpc = require("../lib/flat-opc");
+var promises = require("../lib/promises");
+var test = require("./test")(module);
+
+
+var flatOpcDocument =
+    '<?xml version="1.0" standalone="yes"?>\n' +
+    '<?mso-application progid="Word.Document"?>\n' +
+    '<pkg:package xmlns:pkg="http://schemas.microsoft.com/office/2006/xmlPackage">' +
+    '<pkg:part pkg:name="/word/document.xml" ' +
+    'pkg:contentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml">' +
+    '<pkg:xmlData><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:body/></w:document></pkg:xmlData>' +
+    '</pkg:part>' +
+    '<pkg:part pkg:name="/word/media/image1.png" pkg:contentType="image/png" pkg:compression="store">' +
+    '<pkg:binaryData>aW1h\nZ2U=</pkg:binaryData>' +
+    '</pkg:part>' +
+    '</pkg:package>';
+
+
+test("zip files are not XML packages", function() {
+    assert.equal(flatOpc.isXmlPackage(Buffer.from("PK\u0003\u0004")), false);
+});
+
+test("XML documents are XML packages", function() {
+    assert.equal(flatOpc.isXmlPackage(Buffer.from("\n<?xml version='1.0'?>")), true);
+    assert.equal(flatOpc.isXmlPackage(Buffer.from("\uFEFF<pkg:package/>")), true);
+    assert.equal(flatOpc.isXmlPackage(new Uint8Array(Buffer.from("<a/>")).buffer), true);
+});
+
+test("XML parts of Flat OPC documents can be read", function() {
+    return flatOpc.openArrayBuffer(Buffer.from(flatOpcDocument)).then(function(file) {
+        assert.equal(file.exists("word/document.xml"), true);
+        assert.equal(file.exists("word/numbering.xml"), false);
+        return file.read("word/document.xml", "utf-8");
+    }).then(function(contents) {
+        assert.equal(
+            contents,
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body/></w:document>'
+        );
+    });
+});
+
+test("binary parts of Flat OPC documents can be read", function() {
+    return flatOpc.openArrayBuffer(Buffer.from(flatOpcDocument)).then(function(file) {
+        return file.read("word/media/image1.png", "base64");
+    }).then(function(contents) {
+        assert.equal(contents, "aW1hZ2U=");
+    });
+});
+
+test("content types of Flat OPC parts are read as content types part", function() {
+    return flatOpc.openArrayBuffer(Buffer.from(flatOpcDocument)).then(function(file) {
+        return file.read("[Content_Types].xml", "utf-8");
+    }).then(function(contents) {
+        assert.ok(contents.indexOf('<Override PartName="/word/media/image1.png" ContentType="image/png"/>') !== -1);
+    });
+});
+
+test("Word 2003 XML documents are read as main document and styles parts", function() {
+    var document =
+        '<w:wordDocument xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml">' +
+        '<w:styles><w:style w:type="paragraph" w:styleId="Heading1"/></w:styles>' +
+        '<w:body><w:p/></w:body>' +
+        '</w:wordDocument>';
+    return flatOpc.openArrayBuffer(Buffer.from(document)).then(function(file) {
+        return file.read("word/styles.xml", "utf-8");
+    }).then(function(contents) {
+        assert.equal(
+            contents,
+            '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            '<w:style w:type="paragraph" w:styleId="Heading1"/></w:styles>'
+        );
+    });
+});
+
+test("wx:sect and wx:sub-section elements in Word 2003 XML documents are replaced by their children", function() {
+    var document =
+        '<w:wordDocument xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml"' +
+        ' xmlns:wx="http://schemas.microsoft.com/office/word/2003/auxHint">' +
+        '<w:body><wx:sect><w:p/><wx:sub-section><w:p/></wx:sub-section><w:sectPr/></wx:sect></w:body>' +
+        '</w:wordDocument>';
+    return flatOpc.openArrayBuffer(Buffer.from(document)).then(function(file) {
+        return file.read("word/document.xml", "utf-8");
+    }).then(function(contents) {
+        assert.ok(contents.indexOf('<w:body><w:p/><w:p/><w:sectPr/></w:body>') !== -1, contents);
+    });
+});
+
+test("w:hlink elements in Word 2003 XML documents are read as hyperlinks with relationships", function() {
+    var document =
+        '<w:wordDocument xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml">' +
+        '<w:body><w:p>' +
+        '<w:hlink w:dest="http://example.com/" w:target="_blank"><w:r/></w:hlink>' +
+        '<w:hlink w:bookmark="Intro"><w:r/></w:hlink>' +
+        '</w:p></w:body>' +
+        '</w:wordDocument>';
+    return flatOpc.openArrayBuffer(Buffer.from(document)).then(function(file) {
+        return promises.props({
+            document: file.read("word/document.xml", "utf-8"),
+            relationships: file.read("word/_rels/document.xml.rels", "utf-8")
+        });
+    }).then(function(contents) {
+        assert.ok(contents.document.indexOf(
+            '<w:hyperlink xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"' +
+            ' r:id="rId1" w:tgtFrame="_blank"><w:r/></w:hyperlink>' +
+            '<w:hyperlink w:anchor="Intro"><w:r/></w:hyperlink>'
+        ) !== -1, contents.document);
+        assert.equal(
+            contents.relationships,
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink"' +
+            ' Target="http://example.com/" TargetMode="External"/>' +
+            '</Relationships>'
+        );
+    });
+});
+
+test("error if XML document is not a Flat OPC package nor a Word 2003 XML document", function() {
+    return flatOpc.openArrayBuffer(Buffer.from("<html/>")).then(function() {
+        assert.fail("Expected error");
+    }, function(error) {
+        assert.equal(error.message, "Could not read XML document: expected Flat OPC package or Word 2003 XML document");
+    });
+});
@@ -108,5 +108,152 @@ test('mammoth.images.imgElement()', {
                 })
             ));
         });
+    },
+
+    'metafiles are written with warning': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                return promises.when("abc");
+            },
+            contentType: "image/x-emf"
+        });
+        var messages = [];
+
+        var result = mammoth.images.imgElement(function(image) {
+            return {src: "<src>"};
+        })(image, messages);
+
+        return result.then(function() {
+            assertThat(messages, contains(hasProperties({
+                type: "warning",
+                message: "Image of type image/x-emf is unlikely to display in web browsers"
+            })));
+        });
+    },
+
+    'image size is not used to set width and height attributes': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                return promises.when("abc");
+            },
+            contentType: "image/jpeg",
+            size: {width: 40, height: 30}
+        });
+
+        var result = mammoth.images.imgElement(function(image) {
+            return {src: "<src>"};
+        })(image);
+
+        return result.then(function(result) {
+            assertThat(result, contains(
+                hasProperties({
+                    tag: hasProperties({
+                        attributes: equalTo({src: "<src>"})
+                    })
+                })
+            ));
+        });
     }
 });
+
+
+test('mammoth.images.metafilesToSvg()', {
+    'EMF images are converted to SVG before being passed to image converter': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                return promises.when(encoding ? emptyEmf().toString(encoding) : emptyEmf());
+            },
+            contentType: "image/x-emf",
+            altText: "<alt text>"
+        });
+        var convertImage = mammoth.images.metafilesToSvg(mammoth.images.imgElement(function(image) {
+            return image.read("utf8").then(function(svg) {
+                return {src: image.contentType + "," + svg};
+            });
+        }));
+
+        return convertImage(image, []).then(function(result) {
+            assertThat(result, contains(
+                hasProperties({
+                    tag: hasProperties({
+                        attributes: equalTo({
+                            alt: "<alt text>",
+                            src: 'image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+                                ' width="96" height="48" viewBox="0 0 96 48" preserveAspectRatio="none"></svg>'
+                        })
+                    })
+                })
+            ));
+        });
+    },
+
+    'images that are not metafiles are passed to image converter unchanged': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                return promises.when(new Buffer("abc").toString(encoding));
+            },
+            contentType: "image/jpeg"
+        });
+
+        return mammoth.images.metafilesToSvg()(image, []).then(function(result) {
+            assertThat(result, contains(
+                hasProperties({tag: hasProperties({attributes: {"src": "data:image/jpeg;base64,YWJj"}})})
+            ));
+        });
+    },
+
+    'images that cannot be converted are passed to image converter with warning': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                var imageBuffer = new Buffer("abc");
+                return promises.when(encoding ? imageBuffer.toString(encoding) : imageBuffer);
+            },
+            contentType: "image/x-wmf"
+        });
+        var messages = [];
+
+        return mammoth.images.metafilesToSvg()(image, messages).then(function(result) {
+            assertThat(result, contains(
+                hasProperties({tag: hasProperties({attributes: {"src": "data:image/x-wmf;base64,YWJj"}})})
+            ));
+            assertThat(messages, contains(
+                hasProperties({
+                    type: "warning",
+                    message: "Could not convert image of type image/x-wmf to SVG: image is not an EMF or WMF image"
+                }),
+                hasProperties({
+                    type: "warning",
+                    message: "Image of type image/x-wmf is unlikely to display in web browsers"
+                })
+            ));
+        });
+    },
+
+    'converted images are written without warning': function() {
+        var image = new documents.Image({
+            readImage: function(encoding) {
+                return promises.when(encoding ? emptyEmf().toString(encoding) : emptyEmf());
+            },
+            contentType: "image/x-emf"
+        });
+        var messages = [];
+
+        return mammoth.images.metafilesToSvg()(image, messages).then(function() {
+            assertThat(messages, equalTo([]));
+        });
+    }
+});
+
+// An EMF image with a header and end-of-file record, and a frame of 1 inch
+// by half an inch.
+function emptyEmf() {
+    var values = [
+        1, 88, 0, 0, 95, 47, 0, 0, 2540, 1270, 0x464D4520, 0x10000, 0, 0, 0, 0, 0, 0, 960, 960, 254, 254,
+        14, 20, 0, 0, 20
+    ];
+    var buffer = new Buffer(values.length * 4);
+    values.forEach(function(value, index) {
+        buffer.writeUInt32LE(value, index * 4);
+    });
+    return buffer;
+}
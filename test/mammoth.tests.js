@@ -2,6 +2,7 @@ var assert = require("assert");
 var path = require("path");
 var fs = require("fs");
 var _ = require("underscore");
+var JSZip = require("jszip");
 
 var mammoth = require("../");
 var promises = require("../lib/promises");
@@ -381,6 +382,23 @@ test('endnotes are appended to text', function() {
     });
 });
 
+test('labels of endnotes are written when converting to Markdown', function() {
+    var docxPath = path.join(__dirname, "test-data/endnotes.docx");
+    var options = {
+        endnotes: "separate",
+        idPrefix: "doc-42-"
+    };
+    return mammoth.convertToMarkdown({path: docxPath}, options).then(function(result) {
+        var expectedOutput = 'Ouch' +
+            '<a id="doc-42-endnote-ref-2"></a>[\\[i\\]](#doc-42-endnote-2)\\.' +
+            '<a id="doc-42-endnote-ref-3"></a>[\\[ii\\]](#doc-42-endnote-3)\n\n' +
+            '1. i <a id="doc-42-endnote-2"></a> A tachyon walks into a bar\\. [↑](#doc-42-endnote-ref-2)\n\n\n' +
+            '2. ii <a id="doc-42-endnote-3"></a> Fin\\. [↑](#doc-42-endnote-ref-3)\n\n\n\n';
+        assert.equal(result.value, expectedOutput);
+        assert.deepEqual(result.messages, []);
+    });
+});
+
 test('relationships are handled properly in footnotes', function() {
     var docxPath = path.join(__dirname, "test-data/footnote-hyperlink.docx");
     var options = {
@@ -406,8 +424,12 @@ test('when style mapping is defined for comment references then comments are inc
             '<p>Ouch' +
             '<sup><a href="#doc-42-comment-0" id="doc-42-comment-ref-0">[MW1]</a></sup>.' +
             '<sup><a href="#doc-42-comment-2" id="doc-42-comment-ref-2">[MW2]</a></sup></p>' +
-            '<dl><dt id="doc-42-comment-0">Comment [MW1]</dt><dd><p>A tachyon walks into a bar. <a href="#doc-42-comment-ref-0">↑</a></p></dd>' +
-            '<dt id="doc-42-comment-2">Comment [MW2]</dt><dd><p>Fin. <a href="#doc-42-comment-ref-2">↑</a></p></dd></dl>'
+            '<dl><dt id="doc-42-comment-0">Comment [MW1] by Michael Williamson on ' +
+            '<time datetime="2016-07-03T15:10:00Z">2016-07-03T15:10:00Z</time></dt>' +
+            '<dd><p>A tachyon walks into a bar. <a href="#doc-42-comment-ref-0">↑</a></p></dd>' +
+            '<dt id="doc-42-comment-2">Comment [MW2] by Michael Williamson on ' +
+            '<time datetime="2016-07-03T15:12:00Z">2016-07-03T15:12:00Z</time></dt>' +
+            '<dd><p>Fin. <a href="#doc-42-comment-ref-2">↑</a></p></dd></dl>'
         );
         assert.equal(result.value, expectedOutput);
         assert.deepEqual(result.messages, []);
@@ -422,6 +444,179 @@ test('textboxes are read', function() {
     });
 });
 
+test('textboxes written as DrawingML shapes within mc:AlternateContent are read as shapes', function() {
+    var docxPath = path.join(__dirname, "test-data/text-box.docx");
+    var options = {styleMap: "drawing[type='shape'] => aside:fresh"};
+    return mammoth.convertToHtml({path: docxPath}, options).then(function(result) {
+        assert.equal(result.value, '<aside><p>Datum plane</p></aside>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('runs can be matched by color from their style', function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+            '<w:p><w:r><w:rPr><w:rStyle w:val="Alert"/></w:rPr><w:t>Danger</w:t></w:r></w:p>' +
+            '</w:body></w:document>'
+        ),
+        "word/styles.xml": (
+            '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            '<w:style w:type="character" w:styleId="Alert"><w:name w:val="Alert"/>' +
+            '<w:rPr><w:color w:val="ff0000"/></w:rPr></w:style>' +
+            '</w:styles>'
+        )
+    });
+    var options = {styleMap: "r[color='FF0000'] => span.alert"};
+    return mammoth.convertToHtml({file: docxFile}, options).then(function(result) {
+        assert.equal(result.value, '<p><span class="alert">Danger</span></p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('tracked changes can be shown', function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+            '<w:p>' +
+            '<w:ins w:author="Ada"><w:r><w:t>Hello</w:t></w:r></w:ins>' +
+            '<w:del w:author="Ada"><w:r><w:delText>Goodbye</w:delText></w:r></w:del>' +
+            '</w:p>' +
+            '</w:body></w:document>'
+        )
+    });
+    return mammoth.convertToHtml({file: docxFile}, {trackedChanges: "show"}).then(function(result) {
+        assert.equal(result.value, '<p><ins data-author="Ada">Hello</ins><del data-author="Ada">Goodbye</del></p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('equations are converted to MathML', function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+            'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"><w:body>' +
+            '<w:p><m:oMath><m:f><m:num><m:r><m:t>1</m:t></m:r></m:num><m:den><m:r><m:t>2</m:t></m:r></m:den></m:f></m:oMath></w:p>' +
+            '</w:body></w:document>'
+        )
+    });
+    return mammoth.convertToHtml({file: docxFile}).then(function(result) {
+        assert.equal(result.value, '<p><math alttext="\\frac{1}{2}"><mfrac><mrow><mn>1</mn></mrow><mrow><mn>2</mn></mrow></mfrac></math></p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('equations are converted to LaTeX in markdown', function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+            'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"><w:body>' +
+            '<w:p><m:oMathPara><m:oMath><m:r><m:t>x=1</m:t></m:r></m:oMath></m:oMathPara></w:p>' +
+            '</w:body></w:document>'
+        )
+    });
+    return mammoth.convertToMarkdown({file: docxFile}).then(function(result) {
+        assert.equal(result.value, '$$x=1$$\n\n');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('REF fields are converted to links to bookmarks', function() {
+    var docxFile = createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+            '<w:p><w:bookmarkStart w:id="0" w:name="_Ref1"/><w:r><w:t>Target</w:t></w:r><w:bookmarkEnd w:id="0"/></w:p>' +
+            '<w:p>' +
+            '<w:r><w:t xml:space="preserve">See </w:t></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+            '<w:r><w:instrText xml:space="preserve"> REF _Ref1 \\h </w:instrText></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="separate"/></w:r>' +
+            '<w:r><w:t>Target</w:t></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="end"/></w:r>' +
+            '</w:p>' +
+            '</w:body></w:document>'
+        )
+    });
+    return mammoth.convertToHtml({file: docxFile}).then(function(result) {
+        assert.equal(result.value, '<p><a id="_Ref1"></a>Target</p><p>See <a href="#_Ref1">Target</a></p>');
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+function tableOfContentsDocxFile() {
+    function tableOfContentsEntry(level, bookmarkName, text, options) {
+        return (
+            '<w:p><w:pPr><w:pStyle w:val="TOC' + level + '"/></w:pPr>' +
+            (options.isFirst ? (
+                '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+                '<w:r><w:instrText xml:space="preserve"> TOC \\o "1-3" \\h </w:instrText></w:r>' +
+                '<w:r><w:fldChar w:fldCharType="separate"/></w:r>'
+            ) : '') +
+            '<w:hyperlink w:anchor="' + bookmarkName + '">' +
+            '<w:r><w:t>' + text + '</w:t></w:r>' +
+            '<w:r><w:tab/></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+            '<w:r><w:instrText xml:space="preserve"> PAGEREF ' + bookmarkName + ' \\h </w:instrText></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="separate"/></w:r>' +
+            '<w:r><w:t>1</w:t></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="end"/></w:r>' +
+            '</w:hyperlink>' +
+            '</w:p>'
+        );
+    }
+
+    function heading(level, bookmarkName, text) {
+        return (
+            '<w:p><w:pPr><w:pStyle w:val="Heading' + level + '"/></w:pPr>' +
+            '<w:bookmarkStart w:id="0" w:name="' + bookmarkName + '"/>' +
+            '<w:r><w:t>' + text + '</w:t></w:r>' +
+            '<w:bookmarkEnd w:id="0"/>' +
+            '</w:p>'
+        );
+    }
+
+    return createFakeDocxFile({
+        "word/document.xml": (
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+            tableOfContentsEntry(1, "_Toc1", "Introduction", {isFirst: true}) +
+            tableOfContentsEntry(2, "_Toc2", "Scope", {}) +
+            '<w:p><w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>' +
+            heading(1, "_Toc1", "Introduction") +
+            heading(2, "_Toc2", "Scope") +
+            '</w:body></w:document>'
+        )
+    });
+}
+
+test('table of contents can be regenerated', function() {
+    return mammoth.convertToHtml({file: tableOfContentsDocxFile()}, {tableOfContents: "regenerate"}).then(function(result) {
+        assert.equal(
+            result.value,
+            '<nav><ol><li><a href="#_Toc1">Introduction</a><ol><li><a href="#_Toc2">Scope</a></li></ol></li></ol></nav>' +
+            '<h1><a id="_Toc1"></a>Introduction</h1><h2><a id="_Toc2"></a>Scope</h2>'
+        );
+    });
+});
+
+test('table of contents can be regenerated when converting to markdown', function() {
+    return mammoth.convertToMarkdown({file: tableOfContentsDocxFile()}, {tableOfContents: "regenerate"}).then(function(result) {
+        assert.equal(
+            result.value,
+            '1. [Introduction](#_Toc1)\n\t1. [Scope](#_Toc2)\n\n' +
+            '# <a id="_Toc1"></a>Introduction\n\n## <a id="_Toc2"></a>Scope\n\n'
+        );
+    });
+});
+
+test('table of contents can be removed', function() {
+    return mammoth.convertToMarkdown({file: tableOfContentsDocxFile()}, {tableOfContents: "remove"}).then(function(result) {
+        assert.equal(
+            result.value,
+            '# <a id="_Toc1"></a>Introduction\n\n## <a id="_Toc2"></a>Scope\n\n'
+        );
+    });
+});
+
 test('underline is ignored by default', function() {
     var docxPath = path.join(__dirname, "test-data/underline.docx");
     return mammoth.convertToHtml({path: docxPath}).then(function(result) {
@@ -496,6 +691,47 @@ test('extractRawText can use .docx files represented by a Buffer', function() {
         });
 });
 
+test('extractRawText converts text inputs to their values', function() {
+    return extractRawTextFromBodyXml(
+        '<w:p><w:r><w:t xml:space="preserve">Name: </w:t></w:r>' +
+        '<w:sdt><w:sdtPr><w:text/></w:sdtPr><w:sdtContent><w:r><w:t>John</w:t></w:r></w:sdtContent></w:sdt></w:p>'
+    ).then(function(result) {
+        assert.equal(result.value, "Name: John\n\n");
+    });
+});
+
+test('extractRawText converts dropdowns to the display text of the selected item', function() {
+    return extractRawTextFromBodyXml(
+        '<w:p><w:r><w:t xml:space="preserve">Size: </w:t></w:r>' +
+        '<w:sdt><w:sdtPr><w:dropDownList>' +
+        '<w:listItem w:displayText="Small" w:value="s"/><w:listItem w:displayText="Medium" w:value="m"/>' +
+        '</w:dropDownList></w:sdtPr><w:sdtContent><w:r><w:t>Medium</w:t></w:r></w:sdtContent></w:sdt></w:p>'
+    ).then(function(result) {
+        assert.equal(result.value, "Size: Medium\n\n");
+    });
+});
+
+test('extractRawText converts date inputs to their display text', function() {
+    return extractRawTextFromBodyXml(
+        '<w:p><w:r><w:t xml:space="preserve">Date: </w:t></w:r>' +
+        '<w:sdt><w:sdtPr><w:date w:fullDate="2024-03-01T00:00:00Z"><w:dateFormat w:val="d MMMM yyyy"/></w:date></w:sdtPr>' +
+        '<w:sdtContent><w:r><w:t>1 March 2024</w:t></w:r></w:sdtContent></w:sdt></w:p>'
+    ).then(function(result) {
+        assert.equal(result.value, "Date: 1 March 2024\n\n");
+    });
+});
+
+function extractRawTextFromBodyXml(bodyXml) {
+    var zip = new JSZip();
+    zip.file("word/document.xml",
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        '<w:body>' + bodyXml + '</w:body></w:document>'
+    );
+    return zip.generateAsync({type: "nodebuffer"}).then(function(buffer) {
+        return mammoth.extractRawText({buffer: buffer});
+    });
+}
+
 test('can read strict format', function() {
     var docxPath = path.join(__dirname, "test-data/strict-format.docx");
     return mammoth.convertToHtml({path: docxPath}).then(function(result) {
@@ -504,6 +740,147 @@ test('can read strict format', function() {
     });
 });
 
+test('can convert odt files', function() {
+    var zip = new JSZip();
+    zip.file("mimetype", "application/vnd.oasis.opendocument.text");
+    zip.file("styles.xml",
+        '<office:document-styles xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"><office:styles>' +
+        '<style:style style:name="Heading_20_1" style:display-name="Heading 1" style:family="paragraph"/>' +
+        '</office:styles></office:document-styles>'
+    );
+    zip.file("content.xml",
+        '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>' +
+        '<text:h text:style-name="Heading_20_1" text:outline-level="1">Title</text:h>' +
+        '<text:list><text:list-item><text:p>Item</text:p></text:list-item></text:list>' +
+        '</office:text></office:body></office:document-content>'
+    );
+    return zip.generateAsync({type: "nodebuffer"}).then(function(buffer) {
+        return mammoth.convertToHtml({buffer: buffer});
+    }).then(function(result) {
+        assert.equal(result.value, "<h1>Title</h1><ul><li>Item</li></ul>");
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('document properties are returned as metadata', function() {
+    var zip = new JSZip();
+    zip.file("word/document.xml",
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        '<w:body><w:p><w:r><w:t>Hello</w:t></w:r></w:p></w:body></w:document>'
+    );
+    zip.file("docProps/core.xml",
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+        '<dc:title>Annual report</dc:title><dc:creator>Alice</dc:creator>' +
+        '</cp:coreProperties>'
+    );
+    return zip.generateAsync({type: "nodebuffer"}).then(function(buffer) {
+        return promises.all([
+            mammoth.convertToHtml({buffer: buffer}),
+            mammoth.extractRawText({buffer: buffer})
+        ]);
+    }).then(function(results) {
+        results.forEach(function(result) {
+            assert.equal(result.metadata.title, "Annual report");
+            assert.equal(result.metadata.author, "Alice");
+            assert.deepEqual(result.metadata.custom, {});
+        });
+    });
+});
+
+test('can convert Flat OPC documents', function() {
+    var document =
+        '<pkg:package xmlns:pkg="http://schemas.microsoft.com/office/2006/xmlPackage">' +
+        '<pkg:part pkg:name="/word/document.xml" ' +
+        'pkg:contentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml">' +
+        '<pkg:xmlData><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        '<w:body><w:p><w:r><w:t>Hello</w:t></w:r></w:p></w:body></w:document></pkg:xmlData>' +
+        '</pkg:part>' +
+        '</pkg:package>';
+    return mammoth.convertToHtml({buffer: Buffer.from(document)}).then(function(result) {
+        assert.equal(result.value, "<p>Hello</p>");
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('can convert Word 2003 XML documents', function() {
+    var document =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:wordDocument xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml">' +
+        '<w:styles><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>' +
+        '<w:body><w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Hello</w:t></w:r></w:p></w:body>' +
+        '</w:wordDocument>';
+    return mammoth.convertToHtml({buffer: Buffer.from(document)}).then(function(result) {
+        assert.equal(result.value, "<h1>Hello</h1>");
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('can convert Word 2003 XML documents with sections and hyperlinks', function() {
+    var document =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<?mso-application progid="Word.Document"?>\n' +
+        '<w:wordDocument' +
+        ' xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml"' +
+        ' xmlns:v="urn:schemas-microsoft-com:vml"' +
+        ' xmlns:w10="urn:schemas-microsoft-com:office:word"' +
+        ' xmlns:sl="http://schemas.microsoft.com/schemaLibrary/2003/core"' +
+        ' xmlns:aml="http://schemas.microsoft.com/aml/2001/core"' +
+        ' xmlns:wx="http://schemas.microsoft.com/office/word/2003/auxHint"' +
+        ' xmlns:o="urn:schemas-microsoft-com:office:office"' +
+        ' xmlns:dt="uuid:C2F41010-65B3-11d1-A29F-00AA00C14882"' +
+        ' w:macrosPresent="no" w:embeddedObjPresent="no" w:ocxPresent="no" xml:space="preserve">' +
+        '<w:ignoreSubTree w:val="http://schemas.microsoft.com/office/word/2003/wordml/sp2"/>' +
+        '<o:DocumentProperties><o:Author>Ada</o:Author><o:Version>11.5606</o:Version></o:DocumentProperties>' +
+        '<w:fonts><w:defaultFonts w:ascii="Times New Roman" w:h-ansi="Times New Roman" w:cs="Times New Roman"/></w:fonts>' +
+        '<w:styles>' +
+        '<w:versionOfBuiltInStylenames w:val="4"/>' +
+        '<w:style w:type="paragraph" w:default="on" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><wx:uiName wx:val="Heading 1"/>' +
+        '<w:basedOn w:val="Normal"/></w:style>' +
+        '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/></w:style>' +
+        '</w:styles>' +
+        '<w:docPr><w:view w:val="print"/><w:zoom w:percent="100"/></w:docPr>' +
+        '<w:body>' +
+        '<wx:sect>' +
+        '<w:p><w:r><w:t>Preface</w:t></w:r></w:p>' +
+        '<wx:sub-section>' +
+        '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr>' +
+        '<aml:annotation aml:id="0" w:type="Word.Bookmark.Start" w:name="Intro"/>' +
+        '<w:r><w:t>Introduction</w:t></w:r>' +
+        '<aml:annotation aml:id="0" w:type="Word.Bookmark.End"/></w:p>' +
+        '<w:p><w:r><w:rPr><wx:font wx:val="Times New Roman"/></w:rPr><w:t>See </w:t></w:r>' +
+        '<w:hlink w:dest="http://example.com/"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t>the site</w:t></w:r></w:hlink>' +
+        '<w:r><w:t> and </w:t></w:r>' +
+        '<w:hlink w:bookmark="Intro"><w:r><w:t>the introduction</w:t></w:r></w:hlink>' +
+        '</w:p>' +
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/></w:sectPr>' +
+        '</wx:sub-section>' +
+        '</wx:sect>' +
+        '</w:body>' +
+        '</w:wordDocument>';
+    return mammoth.convertToHtml({buffer: Buffer.from(document)}).then(function(result) {
+        assert.equal(
+            result.value,
+            '<p>Preface</p>' +
+            '<h1><a id="Intro"></a>Introduction</h1>' +
+            '<p>See <a href="http://example.com/">the site</a> and <a href="#Intro">the introduction</a></p>'
+        );
+        assert.deepEqual(result.messages, []);
+    });
+});
+
+test('conversion fails if value of option is not recognised', function() {
+    var docxPath = path.join(__dirname, "test-data/single-paragraph.docx");
+    return mammoth.convertToHtml({path: docxPath}, {trackedChanges: "bogus"}).then(function() {
+        assert.fail("Expected error");
+    }, function(error) {
+        assert.equal(error.message, 'Unrecognised value for option trackedChanges: "bogus" (expected one of: accept, reject, show)');
+    });
+});
+
 test('should throw error if file is not a valid docx document', function() {
     var docxPath = path.join(__dirname, "test-data/empty.zip");
     return mammoth.convertToHtml({path: docxPath}).then(function(result) {
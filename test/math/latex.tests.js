@@ -0,0 +1,98 @@
+var assert = require("assert");
+
+var math = require("../../lib/math");
+var test = require("../test")(module);
+
+
+var toLatex = math.toLatex;
+
+function run(text, options) {
+    return [math.run(text, options)];
+}
+
+test("runs are converted to text", function() {
+    assert.equal(toLatex(run("x+1")), "x+1");
+});
+
+test("special characters in runs are escaped", function() {
+    assert.equal(toLatex(run("50%")), "50\\%");
+});
+
+test("symbols in runs are converted to commands", function() {
+    assert.equal(toLatex(run("2πr")), "2\\pi r");
+});
+
+test("plain runs of known function names are converted to commands", function() {
+    assert.equal(toLatex(run("sin", {style: "plain"})), "\\sin");
+});
+
+test("normal text is converted to text", function() {
+    assert.equal(toLatex(run("if", {isNormalText: true})), "\\text{if}");
+});
+
+test("fractions are converted to frac", function() {
+    assert.equal(
+        toLatex([math.fraction({numerator: run("1"), denominator: run("2")})]),
+        "\\frac{1}{2}"
+    );
+});
+
+test("linear fractions are converted using slash", function() {
+    assert.equal(
+        toLatex([math.fraction({fractionType: "linear", numerator: run("1"), denominator: run("2")})]),
+        "{1}/{2}"
+    );
+});
+
+test("radicals are converted to sqrt", function() {
+    assert.equal(toLatex([math.radical({base: run("x")})]), "\\sqrt{x}");
+    assert.equal(toLatex([math.radical({degree: run("3"), base: run("x")})]), "\\sqrt[3]{x}");
+});
+
+test("n-ary operators are converted with limits", function() {
+    var nary = math.nary({
+        operator: "∑",
+        limitLocation: "underOver",
+        sub: run("i=1"),
+        sup: run("n"),
+        base: run("i")
+    });
+    assert.equal(toLatex([nary]), "\\sum\\limits_{i=1}^{n} i");
+});
+
+test("matrices are converted to matrix environment", function() {
+    var matrix = math.matrix([
+        [run("a"), run("b")],
+        [run("c"), run("d")]
+    ]);
+    assert.equal(toLatex([matrix]), "\\begin{matrix} a & b \\\\ c & d \\end{matrix}");
+});
+
+test("delimiters are converted using left and right", function() {
+    var delimiter = math.delimiter({
+        begin: "{",
+        end: "",
+        separator: "|",
+        elements: [run("x"), run("y")]
+    });
+    assert.equal(toLatex([delimiter]), "\\left\\{x \\mid y\\right.");
+});
+
+test("accents are converted to accent commands", function() {
+    assert.equal(toLatex([math.accent({accent: "\u20D7", base: run("v")})]), "\\vec{v}");
+});
+
+test("sub- and superscripts are converted", function() {
+    assert.equal(
+        toLatex([math.subSuperscript({base: run("x"), sub: run("i"), sup: run("2")})]),
+        "{x}_{i}^{2}"
+    );
+});
+
+test("lower limits of lim are converted to subscripts", function() {
+    var limit = math.lowerLimit({
+        base: run("lim", {style: "plain"}),
+        limit: run("n→∞")
+    });
+    assert.equal(toLatex([limit]), "\\lim_{n\\rightarrow \\infty}");
+});
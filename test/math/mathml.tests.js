@@ -0,0 +1,112 @@
+var assert = require("assert");
+
+var math = require("../../lib/math");
+var Html = require("../../lib/html");
+var writers = require("../../lib/writers");
+var test = require("../test")(module);
+
+
+function toMathMlString(nodes) {
+    var writer = writers.writer();
+    Html.write(writer, Html.simplify(math.toMathMl(nodes)));
+    return writer.asString();
+}
+
+function run(text, options) {
+    return [math.run(text, options)];
+}
+
+test("numbers, identifiers and operators in runs are converted to tokens", function() {
+    assert.equal(
+        toMathMlString(run("2x+1")),
+        "<mn>2</mn><mi>x</mi><mo>+</mo><mn>1</mn>"
+    );
+});
+
+test("plain runs of multiple letters are converted to single identifier", function() {
+    assert.equal(
+        toMathMlString(run("sin", {style: "plain"})),
+        "<mi>sin</mi>"
+    );
+});
+
+test("bold runs have math variant", function() {
+    assert.equal(
+        toMathMlString(run("v", {style: "bold"})),
+        '<mi mathvariant="bold">v</mi>'
+    );
+});
+
+test("normal text is converted to mtext", function() {
+    assert.equal(
+        toMathMlString(run("if", {isNormalText: true})),
+        "<mtext>if</mtext>"
+    );
+});
+
+test("fractions are converted to mfrac", function() {
+    assert.equal(
+        toMathMlString([math.fraction({numerator: run("1"), denominator: []})]),
+        "<mfrac><mrow><mn>1</mn></mrow><mrow></mrow></mfrac>"
+    );
+});
+
+test("radicals are converted to msqrt or mroot", function() {
+    assert.equal(
+        toMathMlString([math.radical({base: run("x")})]),
+        "<msqrt><mrow><mi>x</mi></mrow></msqrt>"
+    );
+    assert.equal(
+        toMathMlString([math.radical({degree: run("3"), base: run("x")})]),
+        "<mroot><mrow><mi>x</mi></mrow><mrow><mn>3</mn></mrow></mroot>"
+    );
+});
+
+test("n-ary operators with limits under and over are converted to munderover", function() {
+    var nary = math.nary({
+        operator: "∑",
+        limitLocation: "underOver",
+        sub: run("i"),
+        sup: run("n"),
+        base: run("i")
+    });
+    assert.equal(
+        toMathMlString([nary]),
+        "<mrow><munderover><mo>∑</mo><mrow><mi>i</mi></mrow><mrow><mi>n</mi></mrow></munderover><mrow><mi>i</mi></mrow></mrow>"
+    );
+});
+
+test("matrices are converted to mtable", function() {
+    var matrix = math.matrix([[run("a"), run("b")]]);
+    assert.equal(
+        toMathMlString([matrix]),
+        "<mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr></mtable>"
+    );
+});
+
+test("delimiters are converted to fenced rows", function() {
+    var delimiter = math.delimiter({
+        begin: "(",
+        end: ")",
+        separator: ",",
+        elements: [run("x"), run("y")]
+    });
+    assert.equal(
+        toMathMlString([delimiter]),
+        '<mrow><mo fence="true">(</mo><mrow><mi>x</mi></mrow><mo separator="true">,</mo><mrow><mi>y</mi></mrow><mo fence="true">)</mo></mrow>'
+    );
+});
+
+test("accents are converted to mover with spacing character", function() {
+    assert.equal(
+        toMathMlString([math.accent({accent: "\u0302", base: run("x")})]),
+        '<mover accent="true"><mrow><mi>x</mi></mrow><mo>ˆ</mo></mover>'
+    );
+});
+
+test("subscripts are converted to msub", function() {
+    assert.equal(
+        toMathMlString([math.subscript({base: run("x"), sub: run("1")})]),
+        "<msub><mrow><mi>x</mi></mrow><mrow><mn>1</mn></mrow></msub>"
+    );
+});
@@ -0,0 +1,312 @@
+var assert = require("assert");
+
+var metafiles = require("../../lib/metafiles");
+var test = require("../test")(module);
+
+
+test("EMF image without drawing records is converted to empty SVG using frame for size", function() {
+    var svg = metafiles.toSvg(emf([]));
+
+    assert.equal(
+        svg,
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' width="96" height="48" viewBox="0 0 96 48" preserveAspectRatio="none"></svg>'
+    );
+});
+
+test("rectangles are drawn using default pen and brush", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 10 L 50 10 50 30 10 30 Z" fill="#FFFFFF" fill-rule="evenodd"' +
+        ' stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("selected pens and brushes are used to draw shapes", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.createBrushIndirect, int32s([1, 0, 0x0000FF, 0])),
+        emfRecord(recordTypes.selectObject, int32s([1])),
+        emfRecord(recordTypes.createPen, int32s([2, 1, 2, 0, 0xFF0000])),
+        emfRecord(recordTypes.selectObject, int32s([2])),
+        emfRecord(recordTypes.setPolyFillMode, int32s([2])),
+        emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 10 L 50 10 50 30 10 30 Z" fill="#FF0000"' +
+        ' stroke="#0000FF" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" stroke-dasharray="36 12"/>'
+    );
+});
+
+test("stock objects can be selected", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.selectObject, int32s([0x80000008])),
+        emfRecord(recordTypes.selectObject, int32s([0x80000004])),
+        emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 10 L 50 10 50 30 10 30 Z" fill="#000000" fill-rule="evenodd"/>'
+    );
+});
+
+test("deleted objects are no longer available to select", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.createBrushIndirect, int32s([1, 0, 0x0000FF, 0])),
+        emfRecord(recordTypes.deleteObject, int32s([1])),
+        emfRecord(recordTypes.selectObject, int32s([1])),
+        emfRecord(recordTypes.selectObject, int32s([0x80000008])),
+        emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 10 L 50 10 50 30 10 30 Z" fill="#FFFFFF" fill-rule="evenodd"/>'
+    );
+});
+
+test("polylines and polygons with 16-bit points are drawn", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.selectObject, int32s([0x80000008])),
+        emfRecord(recordTypes.polygon16, int32s([0, 0, 0, 0, 3]), int16s([0, 0, 10, 0, 10, 10])),
+        emfRecord(recordTypes.selectObject, int32s([0x80000007])),
+        emfRecord(recordTypes.polyline16, int32s([0, 0, 0, 0, 2]), int16s([0, 0, 20, 20]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 0 0 L 10 0 10 10 Z" fill="#FFFFFF" fill-rule="evenodd"/>' +
+        '<path d="M 0 0 L 20 20" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("lines are drawn from the current position", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.moveTo, int32s([5, 5])),
+        emfRecord(recordTypes.lineTo, int32s([10, 5])),
+        emfRecord(recordTypes.lineTo, int32s([10, 10]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 5 5 L 10 5" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>' +
+        '<path d="M 10 5 L 10 10" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("ellipses are drawn using Bézier curves", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.selectObject, int32s([0x80000008])),
+        emfRecord(recordTypes.ellipse, int32s([0, 0, 20, 10]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 20 5 C 20 7.76 15.52 10 10 10 4.48 10 0 7.76 0 5 0 2.24 4.48 0 10 0 15.52 0 20 2.24 20 5 Z"' +
+        ' fill="#FFFFFF" fill-rule="evenodd"/>'
+    );
+});
+
+test("logical units are mapped to device units using the window and viewport", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.setMapMode, int32s([8])),
+        emfRecord(recordTypes.setWindowOrigin, int32s([100, 100])),
+        emfRecord(recordTypes.setWindowExtent, int32s([1000, -500])),
+        emfRecord(recordTypes.setViewportExtent, int32s([96, 48])),
+        emfRecord(recordTypes.moveTo, int32s([100, 100])),
+        emfRecord(recordTypes.lineTo, int32s([600, 350]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 0 0 L 48 -24" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("world transform is applied before the window and viewport", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.setWorldTransform, floats([2, 0, 0, 2, 10, 5])),
+        emfRecord(recordTypes.modifyWorldTransform, floats([1, 0, 0, 1, 1, 1]), int32s([2])),
+        emfRecord(recordTypes.moveTo, int32s([0, 0])),
+        emfRecord(recordTypes.lineTo, int32s([10, 10]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 12 7 L 32 27" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("restoring saved state restores objects and mapping", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.saveDc),
+        emfRecord(recordTypes.selectObject, int32s([0x80000008])),
+        emfRecord(recordTypes.setWindowOrigin, int32s([10, 10])),
+        emfRecord(recordTypes.restoreDc, int32s([-1])),
+        emfRecord(recordTypes.selectObject, int32s([0x80000005])),
+        emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 10 L 50 10 50 30 10 30 Z" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("figures in path brackets are drawn when the path is filled or stroked", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.beginPath),
+        emfRecord(recordTypes.moveTo, int32s([0, 0])),
+        emfRecord(recordTypes.lineTo, int32s([10, 0])),
+        emfRecord(recordTypes.polyBezierTo16, int32s([0, 0, 0, 0, 3]), int16s([10, 5, 5, 10, 0, 10])),
+        emfRecord(recordTypes.closeFigure),
+        emfRecord(recordTypes.endPath),
+        emfRecord(recordTypes.fillPath, int32s([0, 0, 0, 0]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 0 0 L 10 0 C 10 5 5 10 0 10 Z" fill="#FFFFFF" fill-rule="evenodd"/>'
+    );
+});
+
+test("text is drawn using the selected font and text color", function() {
+    var svg = metafiles.toSvg(emf([
+        emfRecord(recordTypes.extCreateFontIndirectW, int32s([1, -12, 0, 0, 0, 700, 0x00000001, 0]), utf16("Arial", 64)),
+        emfRecord(recordTypes.selectObject, int32s([1])),
+        emfRecord(recordTypes.setTextColor, int32s([0x00FF00])),
+        emfRecord(recordTypes.setTextAlign, int32s([24 | 6])),
+        emfRecord(
+            recordTypes.extTextOutW,
+            int32s([0, 0, 0, 0, 1, 0, 0, 20, 30, 5, 76, 0, 0, 0, 0, 0, 0]),
+            utf16("A & B", 12)
+        )
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<text x="20" y="30" fill="#00FF00" font-size="12" font-family="Arial" font-weight="bold" font-style="italic"' +
+        ' text-anchor="middle">A &amp; B</text>'
+    );
+});
+
+test("bitmaps are drawn as embedded BMP images", function() {
+    var info = int32s([40, 1, 1, 1 | (24 << 16), 0, 4, 0, 0, 0, 0]);
+    var bits = int32s([0x00FF0000]);
+    var svg = metafiles.toSvg(emf([
+        emfRecord(
+            recordTypes.stretchDiBits,
+            int32s([0, 0, 0, 0, 10, 10, 0, 0, 1, 1, 80, 40, 120, 4, 0, 0x00CC0020, 20, 20]),
+            info,
+            bits
+        )
+    ]));
+
+    var bmp = Buffer.concat([Buffer.from("BM"), int32s([58, 0, 54]), info, bits]);
+    assert.equal(
+        svgBody(svg),
+        '<image x="10" y="10" width="20" height="20" preserveAspectRatio="none"' +
+        ' xlink:href="data:image/bmp;base64,' + bmp.toString("base64") + '"/>'
+    );
+});
+
+test("error is thrown if record extends beyond end of image", function() {
+    var image = emf([emfRecord(recordTypes.rectangle, int32s([10, 10, 50, 30]))]);
+    assert.throws(function() {
+        metafiles.toSvg(image.slice(0, image.length - 30));
+    }, /Invalid EMF record/);
+});
+
+
+var recordTypes = {
+    eof: 14,
+    setWindowExtent: 9,
+    setWindowOrigin: 10,
+    setViewportExtent: 11,
+    setMapMode: 17,
+    setPolyFillMode: 19,
+    setTextAlign: 22,
+    setTextColor: 24,
+    moveTo: 27,
+    saveDc: 33,
+    restoreDc: 34,
+    setWorldTransform: 35,
+    modifyWorldTransform: 36,
+    selectObject: 37,
+    createPen: 38,
+    createBrushIndirect: 39,
+    deleteObject: 40,
+    ellipse: 42,
+    rectangle: 43,
+    lineTo: 54,
+    beginPath: 59,
+    endPath: 60,
+    closeFigure: 61,
+    fillPath: 62,
+    stretchDiBits: 81,
+    extCreateFontIndirectW: 82,
+    extTextOutW: 84,
+    polygon16: 86,
+    polyline16: 87,
+    polyBezierTo16: 88
+};
+
+// The frame is 25.4mm by 12.7mm on a device with 96 pixels per inch.
+function emf(records) {
+    var header = emfRecord(1, int32s([
+        0, 0, 95, 47,
+        0, 0, 2540, 1270,
+        0x464D4520, 0x10000, 0, 0, 0, 0, 0, 0,
+        960, 960, 254, 254
+    ]));
+    return Buffer.concat([header].concat(records, [emfRecord(recordTypes.eof, int32s([0, 0, 20]))]));
+}
+
+function emfRecord(type) {
+    var body = Buffer.concat(Array.prototype.slice.call(arguments, 1));
+    return Buffer.concat([int32s([type, 8 + body.length]), body]);
+}
+
+function int32s(values) {
+    var buffer = Buffer.alloc(values.length * 4);
+    values.forEach(function(value, index) {
+        if (value < 0) {
+            buffer.writeInt32LE(value, index * 4);
+        } else {
+            buffer.writeUInt32LE(value, index * 4);
+        }
+    });
+    return buffer;
+}
+
+function int16s(values) {
+    var buffer = Buffer.alloc(values.length * 2);
+    values.forEach(function(value, index) {
+        buffer.writeInt16LE(value, index * 2);
+    });
+    return buffer;
+}
+
+function floats(values) {
+    var buffer = Buffer.alloc(values.length * 4);
+    values.forEach(function(value, index) {
+        buffer.writeFloatLE(value, index * 4);
+    });
+    return buffer;
+}
+
+function utf16(value, length) {
+    var buffer = Buffer.alloc(length);
+    buffer.write(value, "utf16le");
+    return buffer;
+}
+
+function svgBody(svg) {
+    return /^<svg[^>]*>(.*)<\/svg>$/.exec(svg)[1];
+}
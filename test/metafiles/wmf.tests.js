@@ -0,0 +1,183 @@
+var assert = require("assert");
+
+var metafiles = require("../../lib/metafiles");
+var test = require("../test")(module);
+
+
+test("placeable WMF image is converted to SVG using bounding box for size", function() {
+    var svg = metafiles.toSvg(wmf([]));
+
+    assert.equal(
+        svg,
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' width="96" height="48" viewBox="0 0 1440 720" preserveAspectRatio="none"></svg>'
+    );
+});
+
+test("WMF image without placeable header uses window for size", function() {
+    var svg = metafiles.toSvg(wmfWithoutPlaceableHeader([
+        wmfRecord(recordFunctions.setWindowExtent, [50, 100])
+    ]));
+
+    assert.equal(
+        svg,
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' width="100" height="50" viewBox="0 0 100 50" preserveAspectRatio="none"></svg>'
+    );
+});
+
+test("points are stored as y followed by x", function() {
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.moveTo, [20, 10]),
+        wmfRecord(recordFunctions.lineTo, [40, 30])
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 10 20 L 30 40" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("window with negative extent flips the picture", function() {
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.setWindowOrigin, [720, 0]),
+        wmfRecord(recordFunctions.setWindowExtent, [-720, 1440]),
+        wmfRecord(recordFunctions.moveTo, [720, 0]),
+        wmfRecord(recordFunctions.lineTo, [0, 1440])
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 0 0 L 1440 720" fill="none" stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("objects are stored in the lowest free index of the object table", function() {
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.createPenIndirect, [5, 0, 0].concat(color(0, 0, 0))),
+        wmfRecord(recordFunctions.createBrushIndirect, [0].concat(color(255, 0, 0), [0])),
+        wmfRecord(recordFunctions.deleteObject, [0]),
+        wmfRecord(recordFunctions.createBrushIndirect, [0].concat(color(0, 0, 255), [0])),
+        wmfRecord(recordFunctions.selectObject, [0]),
+        wmfRecord(recordFunctions.createPenIndirect, [5, 0, 0].concat(color(0, 0, 0))),
+        wmfRecord(recordFunctions.selectObject, [2]),
+        wmfRecord(recordFunctions.rectangle, [30, 40, 10, 20])
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 20 10 L 40 10 40 30 20 30 Z" fill="#0000FF" fill-rule="evenodd"/>'
+    );
+});
+
+test("polygons in poly-polygons are drawn as one path", function() {
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.polyPolygon, [2, 3, 3, 0, 0, 10, 0, 10, 10, 20, 20, 30, 20, 30, 30])
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<path d="M 0 0 L 10 0 10 10 Z M 20 20 L 30 20 30 30 Z" fill="#FFFFFF" fill-rule="evenodd"' +
+        ' stroke="#000000" stroke-width="1" vector-effect="non-scaling-stroke"/>'
+    );
+});
+
+test("text is drawn using the selected font", function() {
+    var faceName = ansi("Times New Roman", 32);
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.createFontIndirect, [-240, 0, 900, 0, 400, 0x0100, 0, 0, 0].concat(faceName)),
+        wmfRecord(recordFunctions.selectObject, [0]),
+        wmfRecord(recordFunctions.textOut, [5].concat(ansi("Hello", 6), [100, 50]))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<text x="50" y="100" fill="#000000" font-size="240" font-family="Times New Roman"' +
+        ' text-decoration="underline" dominant-baseline="text-before-edge" transform="rotate(-90 50 100)">Hello</text>'
+    );
+});
+
+test("text in extended text records is drawn", function() {
+    var svg = metafiles.toSvg(wmf([
+        wmfRecord(recordFunctions.extTextOut, [100, 50, 2, 0].concat(ansi("Hi", 2)))
+    ]));
+
+    assert.equal(
+        svgBody(svg),
+        '<text x="50" y="100" fill="#000000" font-size="12" dominant-baseline="text-before-edge">Hi</text>'
+    );
+});
+
+test("error is thrown if image is not a metafile", function() {
+    assert.throws(function() {
+        metafiles.toSvg(Buffer.from("<svg></svg>"));
+    }, /image is not an EMF or WMF image/);
+});
+
+
+var recordFunctions = {
+    eof: 0x0000,
+    selectObject: 0x012D,
+    deleteObject: 0x01F0,
+    setWindowOrigin: 0x020B,
+    setWindowExtent: 0x020C,
+    lineTo: 0x0213,
+    moveTo: 0x0214,
+    createPenIndirect: 0x02FA,
+    createFontIndirect: 0x02FB,
+    createBrushIndirect: 0x02FC,
+    rectangle: 0x041B,
+    textOut: 0x0521,
+    polyPolygon: 0x0538,
+    extTextOut: 0x0A32
+};
+
+// The bounding box is 1 inch by half an inch.
+function wmf(records) {
+    var placeableHeader = Buffer.concat([
+        Buffer.from([0xD7, 0xCD, 0xC6, 0x9A]),
+        int16s([0, 0, 0, 1440, 720, 1440, 0, 0, 0])
+    ]);
+    return Buffer.concat([placeableHeader, wmfWithoutPlaceableHeader(records)]);
+}
+
+function wmfWithoutPlaceableHeader(records) {
+    var header = int16s([1, 9, 0x0300, 0, 0, 0, 0, 0, 0]);
+    return Buffer.concat([header].concat(records, [wmfRecord(recordFunctions.eof, [])]));
+}
+
+function wmfRecord(recordFunction, parameters) {
+    var size = 3 + parameters.length;
+    return Buffer.concat([int16s([size & 0xFFFF, size >> 16, recordFunction]), int16s(parameters)]);
+}
+
+function int16s(values) {
+    var buffer = Buffer.alloc(values.length * 2);
+    values.forEach(function(value, index) {
+        if (value < 0) {
+            buffer.writeInt16LE(value, index * 2);
+        } else {
+            buffer.writeUInt16LE(value, index * 2);
+        }
+    });
+    return buffer;
+}
+
+function color(red, green, blue) {
+    return [red | (green << 8), blue];
+}
+
+// Strings are packed into 16-bit words.
+function ansi(value, length) {
+    var buffer = Buffer.alloc(length);
+    buffer.write(value, "latin1");
+    var words = [];
+    for (var index = 0; index < length; index += 2) {
+        words.push(buffer.readUInt16LE(index));
+    }
+    return words;
+}
+
+function svgBody(svg) {
+    return /^<svg[^>]*>(.*)<\/svg>$/.exec(svg)[1];
+}
@@ -0,0 +1,355 @@
+var assert = require("assert");
+
+var odtReader = require("../../lib/odt/odt-reader");
+var documents = require("../../lib/documents");
+var warning = require("../../lib/results").warning;
+
+var testing = require("../testing");
+var test = require("../test")(module);
+var createFakeDocxFile = testing.createFakeDocxFile;
+
+
+var namespaces =
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" ' +
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" ' +
+    'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0" ' +
+    'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+    'xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0"';
+
+function contentXml(body, automaticStyles) {
+    return '<office:document-content ' + namespaces + '>' +
+        '<office:automatic-styles>' + (automaticStyles || "") + '</office:automatic-styles>' +
+        '<office:body><office:text>' + body + '</office:text></office:body>' +
+        '</office:document-content>';
+}
+
+function stylesXml(styles) {
+    return '<office:document-styles ' + namespaces + '>' +
+        '<office:styles>' + styles + '</office:styles>' +
+        '</office:document-styles>';
+}
+
+function readOdt(files) {
+    return odtReader.read(createFakeDocxFile(files));
+}
+
+function paragraphOfText(text, properties) {
+    return documents.Paragraph([documents.Run([documents.Text(text)])], properties);
+}
+
+
+test("odt files are recognised using mimetype entry", function() {
+    return odtReader.isOdtFile(createFakeDocxFile({
+        "mimetype": "application/vnd.oasis.opendocument.text"
+    })).then(function(isOdt) {
+        assert.equal(isOdt, true);
+    });
+});
+
+test("files without mimetype entry are not odt files", function() {
+    return odtReader.isOdtFile(createFakeDocxFile({
+        "word/document.xml": "<w:document />"
+    })).then(function(isOdt) {
+        assert.equal(isOdt, false);
+    });
+});
+
+test("error if content.xml is missing", function() {
+    return readOdt({"styles.xml": stylesXml("")}).then(function() {
+        assert.fail("Expected error");
+    }, function(error) {
+        assert.equal(error.message, "Could not find content.xml. Are you sure this is a valid .odt file?");
+    });
+});
+
+test("paragraphs are read with text, spaces, tabs and line breaks", function() {
+    return readOdt({
+        "content.xml": contentXml('<text:p>One<text:s text:c="2"/>two<text:tab/>three<text:line-break/>four</text:p>')
+    }).then(function(result) {
+        assert.deepEqual(result.value.children, [
+            documents.Paragraph([documents.Run([
+                documents.Text("One"),
+                documents.Text("  "),
+                documents.Text("two"),
+                documents.Tab(),
+                documents.Text("three"),
+                documents.lineBreak,
+                documents.Text("four")
+            ])])
+        ]);
+    });
+});
+
+test("paragraph style is nearest named style, and automatic styles are direct formatting", function() {
+    return readOdt({
+        "styles.xml": stylesXml(
+            '<style:style style:name="Heading" style:family="paragraph"/>' +
+            '<style:style style:name="Heading_20_1" style:display-name="Heading 1" style:family="paragraph" ' +
+            'style:parent-style-name="Heading" style:default-outline-level="1"/>'
+        ),
+        "content.xml": contentXml(
+            '<text:h text:style-name="P1" text:outline-level="1">Title</text:h>',
+            '<style:style style:name="P1" style:family="paragraph" style:parent-style-name="Heading_20_1">' +
+            '<style:paragraph-properties fo:text-align="center"/></style:style>'
+        )
+    }).then(function(result) {
+        var paragraph = result.value.children[0];
+        assert.equal(paragraph.styleId, "Heading_20_1");
+        assert.equal(paragraph.styleName, "Heading 1");
+        assert.deepEqual(paragraph.baseStyleNames, ["Heading"]);
+        assert.equal(paragraph.alignment, "center");
+        assert.equal(paragraph.outlineLevel, "0");
+    });
+});
+
+test("paragraphs using default paragraph style have no style", function() {
+    return readOdt({
+        "styles.xml": stylesXml('<style:style style:name="Standard" style:family="paragraph"/>'),
+        "content.xml": contentXml('<text:p text:style-name="Standard">Text</text:p>')
+    }).then(function(result) {
+        assert.deepEqual(result.value.children, [paragraphOfText("Text")]);
+    });
+});
+
+test("spans are read as runs with formatting and character styles", function() {
+    return readOdt({
+        "styles.xml": stylesXml(
+            '<style:style style:name="Emphasis" style:family="text">' +
+            '<style:text-properties fo:font-style="italic"/></style:style>'
+        ),
+        "content.xml": contentXml(
+            '<text:p><text:span text:style-name="T1">Bold</text:span>' +
+            '<text:span text:style-name="Emphasis">Emphasis</text:span></text:p>',
+            '<style:style style:name="T1" style:family="text">' +
+            '<style:text-properties fo:font-weight="bold" style:text-position="super 58%"/></style:style>'
+        )
+    }).then(function(result) {
+        var runs = result.value.children[0].children;
+        assert.equal(runs[0].isBold, true);
+        assert.equal(runs[0].verticalAlignment, documents.verticalAlignment.superscript);
+        assert.equal(runs[0].styleName, null);
+        assert.equal(runs[1].styleId, "Emphasis");
+        assert.equal(runs[1].styleName, "Emphasis");
+        assert.equal(runs[1].isItalic, false);
+        assert.equal(runs[1].effective.isItalic, true);
+    });
+});
+
+test("hyperlinks and bookmarks are read", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p><text:bookmark text:name="start"/>' +
+            '<text:a xlink:href="https://example.com">Site</text:a>' +
+            '<text:a xlink:href="#start">Top</text:a></text:p>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children[0].children, [
+            documents.BookmarkStart({name: "start"}),
+            documents.Hyperlink([documents.Run([documents.Text("Site")])], {href: "https://example.com"}),
+            documents.Hyperlink([documents.Run([documents.Text("Top")])], {anchor: "start"})
+        ]);
+    });
+});
+
+test("lists are read as paragraphs with numbering from list style", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:list text:style-name="L1">' +
+            '<text:list-item><text:p>One</text:p>' +
+            '<text:list><text:list-item><text:p>Nested</text:p></text:list-item></text:list>' +
+            '</text:list-item>' +
+            '<text:list-item><text:p>Two</text:p><text:p>Continued</text:p></text:list-item>' +
+            '</text:list>',
+            '<text:list-style style:name="L1">' +
+            '<text:list-level-style-number text:level="1" style:num-suffix="." style:num-format="1"/>' +
+            '<text:list-level-style-bullet text:level="2" text:bullet-char="•"/>' +
+            '</text:list-style>'
+        )
+    }).then(function(result) {
+        var paragraphs = result.value.children;
+        assert.deepEqual(paragraphs.map(function(paragraph) {
+            var numbering = paragraph.numbering;
+            return numbering && [numbering.level, numbering.isOrdered, numbering.value, numbering.label];
+        }), [
+            ["0", true, 1, "1."],
+            ["1", false, 1, "•"],
+            ["0", true, 2, "2."],
+            null
+        ]);
+    });
+});
+
+test("tables are read with header rows and spans", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<table:table><table:table-column table:number-columns-repeated="2"/>' +
+            '<table:table-header-rows><table:table-row>' +
+            '<table:table-cell table:number-columns-spanned="2"><text:p>Head</text:p></table:table-cell>' +
+            '<table:covered-table-cell/>' +
+            '</table:table-row></table:table-header-rows>' +
+            '<table:table-row><table:table-cell><text:p>A</text:p></table:table-cell>' +
+            '<table:table-cell><text:p>B</text:p></table:table-cell></table:table-row>' +
+            '</table:table>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children, [
+            documents.Table([
+                documents.TableRow([
+                    documents.TableCell([paragraphOfText("Head")], {colSpan: 2})
+                ], {isHeader: true}),
+                documents.TableRow([
+                    documents.TableCell([paragraphOfText("A")]),
+                    documents.TableCell([paragraphOfText("B")])
+                ])
+            ])
+        ]);
+    });
+});
+
+test("notes are read as note references and notes", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p>Text<text:note text:id="ftn1" text:note-class="footnote">' +
+            '<text:note-citation>1</text:note-citation>' +
+            '<text:note-body><text:p>Note</text:p></text:note-body>' +
+            '</text:note></text:p>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children[0].children, [
+            documents.Run([
+                documents.Text("Text"),
+                documents.NoteReference({noteType: "footnote", noteId: "ftn1"})
+            ])
+        ]);
+        assert.deepEqual(
+            result.value.notes.resolve({noteType: "footnote", noteId: "ftn1"}),
+            documents.Note({noteType: "footnote", noteId: "ftn1", body: [paragraphOfText("Note")]})
+        );
+    });
+});
+
+test("annotations are read as comment references and comments", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p><office:annotation><dc:creator>Alice</dc:creator><dc:date>2020-01-01T00:00:00</dc:date>' +
+            '<text:p>Comment</text:p></office:annotation>Text</text:p>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children[0].children, [
+            documents.Run([documents.commentReference({commentId: "0"}), documents.Text("Text")])
+        ]);
+        assert.deepEqual(result.value.comments, [
+            documents.comment({
+                commentId: "0",
+                body: [paragraphOfText("Comment")],
+                authorName: "Alice",
+                authorInitials: null,
+                date: "2020-01-01T00:00:00"
+            })
+        ]);
+    });
+});
+
+test("named annotations are read as comment ranges ending at annotation end", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p><office:annotation office:name="a1"><text:p>Comment</text:p></office:annotation>' +
+            'Text<office:annotation-end office:name="a1"/> after</text:p>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children[0].children, [
+            documents.Run([documents.commentReference({commentId: "0"})]),
+            documents.commentRangeStart({commentId: "0"}),
+            documents.Run([documents.Text("Text")]),
+            documents.commentRangeEnd({commentId: "0"}),
+            documents.Run([documents.Text(" after")])
+        ]);
+    });
+});
+
+test("images are read from package with media type from manifest", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p><draw:frame draw:name="Image1" svg:width="1in" svg:height="0.5in">' +
+            '<draw:image xlink:href="Pictures/image"/><svg:title>A tree</svg:title>' +
+            '</draw:frame></text:p>'
+        ),
+        "META-INF/manifest.xml": '<manifest:manifest ' + namespaces + '>' +
+            '<manifest:file-entry manifest:full-path="Pictures/image" manifest:media-type="image/png"/>' +
+            '</manifest:manifest>',
+        "Pictures/image": Buffer.from("image data")
+    }).then(function(result) {
+        var image = result.value.children[0].children[0].children[0];
+        assert.equal(image.type, "image");
+        assert.equal(image.contentType, "image/png");
+        assert.equal(image.altText, "A tree");
+        assert.equal(image.name, "Image1");
+        assert.deepEqual(image.size, {width: 96, height: 48});
+        return image.readAsBuffer().then(function(data) {
+            assert.equal(data.toString(), "image data");
+        });
+    });
+});
+
+test("text boxes are read as drawings after paragraph", function() {
+    return readOdt({
+        "content.xml": contentXml(
+            '<text:p>Before<draw:frame draw:name="Frame1"><draw:text-box><text:p>Boxed</text:p></draw:text-box></draw:frame></text:p>'
+        )
+    }).then(function(result) {
+        assert.deepEqual(result.value.children, [
+            paragraphOfText("Before"),
+            documents.Drawing([paragraphOfText("Boxed")], {drawingType: "shape", name: "Frame1"})
+        ]);
+    });
+});
+
+test("warning if image cannot be found", function() {
+    return readOdt({
+        "content.xml": contentXml('<text:p><draw:frame><draw:image/></draw:frame></text:p>')
+    }).then(function(result) {
+        assert.deepEqual(result.messages, [warning("Could not find image file: ")]);
+    });
+});
+
+test("document properties are read from meta.xml", function() {
+    return readOdt({
+        "content.xml": contentXml(""),
+        "meta.xml": '<office:document-meta ' + namespaces + ' ' +
+            'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"><office:meta>' +
+            '<dc:title>Annual report</dc:title>' +
+            '<meta:initial-creator>Alice</meta:initial-creator>' +
+            '<dc:creator>Bob</dc:creator>' +
+            '<meta:keyword>finance</meta:keyword><meta:keyword>2020</meta:keyword>' +
+            '<meta:document-statistic meta:page-count="2" meta:word-count="350"/>' +
+            '<meta:user-defined meta:name="Approved" meta:value-type="boolean">true</meta:user-defined>' +
+            '<meta:user-defined meta:name="Client">Acme</meta:user-defined>' +
+            '</office:meta></office:document-meta>'
+    }).then(function(result) {
+        var properties = result.value.properties;
+        assert.equal(properties.title, "Annual report");
+        assert.equal(properties.author, "Alice");
+        assert.equal(properties.lastModifiedBy, "Bob");
+        assert.equal(properties.keywords, "finance, 2020");
+        assert.equal(properties.pages, 2);
+        assert.equal(properties.words, 350);
+        assert.deepEqual(properties.custom, {Approved: true, Client: "Acme"});
+    });
+});
+
+test("meta.xml that can't be read is ignored with a warning", function() {
+    return readOdt({
+        "content.xml": contentXml(""),
+        "meta.xml": "<office:document-meta"
+    }).then(function(result) {
+        assert.equal(result.value.properties.title, null);
+        assert.deepEqual(result.value.properties.custom, {});
+        assert.equal(result.messages.length, 1);
+        assert.ok(result.messages[0].message.indexOf("Could not read document properties from meta.xml: ") === 0);
+    });
+});
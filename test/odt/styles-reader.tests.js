@@ -0,0 +1,59 @@
+var assert = require("assert");
+
+var stylesReader = require("../../lib/odt/styles-reader");
+var xml = require("../../lib/xml");
+var test = require("../test")(module);
+
+
+test("encoded style names are decoded when there is no display name", function() {
+    var styles = readStyles([
+        styleElement({"style:name": "Body_20_Text", "style:family": "paragraph"})
+    ]);
+    assert.equal(styles.resolve("paragraph", "Body_20_Text").styleName, "Body Text");
+});
+
+test("cycles of parent styles are ignored", function() {
+    var styles = readStyles([
+        styleElement({"style:name": "A", "style:family": "paragraph", "style:parent-style-name": "B"}),
+        styleElement({"style:name": "B", "style:family": "paragraph", "style:parent-style-name": "A"})
+    ]);
+    assert.deepEqual(styles.resolve("paragraph", "A").baseStyleNames, ["B"]);
+});
+
+test("run formatting is read from text properties", function() {
+    var formatting = stylesReader.readRunFormatting({
+        "fo:font-weight": "700",
+        "style:text-underline-style": "solid",
+        "style:text-line-through-style": "none",
+        "fo:font-size": "12pt",
+        "fo:color": "#ff0000",
+        "fo:language": "en",
+        "fo:country": "GB"
+    });
+    assert.equal(formatting.isBold, true);
+    assert.equal(formatting.isUnderline, true);
+    assert.equal(formatting.isStrikethrough, false);
+    assert.equal(formatting.fontSize, 12);
+    assert.equal(formatting.color, "FF0000");
+    assert.equal(formatting.language, "en-GB");
+});
+
+test("paragraph indents are read as twentieths of a point", function() {
+    var formatting = stylesReader.readParagraphFormatting({
+        "fo:text-align": "justify",
+        "fo:margin-left": "1in",
+        "fo:text-indent": "-0.5in"
+    });
+    assert.equal(formatting.alignment, "both");
+    assert.deepEqual(formatting.indent, {start: "1440", end: null, firstLine: null, hanging: "720"});
+});
+
+function readStyles(styles) {
+    return stylesReader.readStyles([
+        xml.element("office:document-styles", {}, [xml.element("office:styles", {}, styles)])
+    ]);
+}
+
+function styleElement(attributes) {
+    return xml.element("style:style", attributes);
+}
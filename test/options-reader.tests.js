@@ -61,3 +61,25 @@ test('default style mappings are ignored if includeDefaultStyleMap is false', fu
     });
     assert.deepEqual(["p.SectionTitle => h2"], options.readStyleMap());
 });
+
+test('recognised values of options are accepted', function() {
+    var options = readOptions({trackedChanges: "show", footnotes: "inline", footnotesHeadingLevel: 2});
+    assert.equal(options.trackedChanges, "show");
+    assert.equal(options.footnotes, "inline");
+    assert.equal(options.footnotesHeadingLevel, 2);
+});
+
+test('error if value of option is not recognised', function() {
+    assert.throws(function() {
+        readOptions({trackedChanges: "bogus"});
+    }, /^Error: Unrecognised value for option trackedChanges: "bogus" \(expected one of: accept, reject, show\)$/);
+    assert.throws(function() {
+        readOptions({footnotes: "bogus"});
+    }, /^Error: Unrecognised value for option footnotes: "bogus" \(expected one of: end, section, heading, inline\)$/);
+});
+
+test('error if footnotesHeadingLevel is not a heading level', function() {
+    assert.throws(function() {
+        readOptions({footnotesHeadingLevel: 7});
+    }, /^Error: Unrecognised value for option footnotesHeadingLevel: 7 \(expected an integer from 1 to 6\)$/);
+});
@@ -21,6 +21,50 @@ test('tab element is converted to tab character', function() {
     assert.strictEqual(result, "\t");
 });
 
+test('text input is converted to its value', function() {
+    var element = documents.paragraph([
+        documents.text("Name: "),
+        documents.textInput({value: "John"})
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Name: John\n\n");
+});
+
+test('dropdown is converted to display text of selected item', function() {
+    var element = documents.paragraph([
+        documents.text("Size: "),
+        documents.dropdown({
+            value: "m",
+            items: [{value: "s", displayText: "Small"}, {value: "m", displayText: "Medium"}]
+        })
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Size: Medium\n\n");
+});
+
+test('dropdown without selected item is converted to empty string', function() {
+    var element = documents.dropdown({items: [{value: "s", displayText: "Small"}]});
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "");
+});
+
+test('date input is converted to its display text', function() {
+    var element = documents.paragraph([
+        documents.text("Date: "),
+        documents.dateInput({value: "2024-03-01", displayText: "1 March 2024"})
+    ]);
+
+    var result = convertElementToRawText(element);
+
+    assert.strictEqual(result, "Date: 1 March 2024\n\n");
+});
+
 test('paragraphs are terminated with newlines', function() {
     var element = new documents.Paragraph(
         [
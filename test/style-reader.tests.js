@@ -230,6 +230,152 @@ test("styleReader.readDocumentMatcher", {
         );
     },
 
+    "reads comment-range": function() {
+        assertDocumentMatcher(
+            "comment-range",
+            documentMatchers.commentRange
+        );
+    },
+
+    "reads header": function() {
+        assertDocumentMatcher(
+            "header",
+            documentMatchers.header
+        );
+    },
+
+    "reads footer": function() {
+        assertDocumentMatcher(
+            "footer",
+            documentMatchers.footer
+        );
+    },
+
+    "reads paragraph based on style": function() {
+        assertDocumentMatcher(
+            "p[based-on='Heading 1']",
+            documentMatchers.paragraph({baseStyleName: documentMatchers.equalTo("Heading 1")})
+        );
+    },
+
+    "reads paragraph based on style with prefix": function() {
+        assertDocumentMatcher(
+            "p[based-on^='Heading']",
+            documentMatchers.paragraph({baseStyleName: documentMatchers.startsWith("Heading")})
+        );
+    },
+
+    "reads table based on style": function() {
+        assertDocumentMatcher(
+            "table[based-on='Grid']",
+            documentMatchers.table({baseStyleName: documentMatchers.equalTo("Grid")})
+        );
+    },
+
+    "reads table row": function() {
+        assertDocumentMatcher("tr", documentMatchers.tableRow({}));
+    },
+
+    "reads table row with position": function() {
+        assertDocumentMatcher("tr:header", documentMatchers.tableRow({isHeader: true}));
+        assertDocumentMatcher("tr:first:last", documentMatchers.tableRow({isFirst: true, isLast: true}));
+        assertDocumentMatcher("tr:odd", documentMatchers.tableRow({isOdd: true}));
+        assertDocumentMatcher("tr:even", documentMatchers.tableRow({isEven: true}));
+    },
+
+    "reads table cell with position and shading": function() {
+        assertDocumentMatcher(
+            "td:header:first-column",
+            documentMatchers.tableCell({isHeader: true, isFirstColumn: true})
+        );
+        assertDocumentMatcher("td:last-column", documentMatchers.tableCell({isLastColumn: true}));
+        assertDocumentMatcher("td[shading='#D9D9D9']", documentMatchers.tableCell({shading: "D9D9D9"}));
+    },
+
+    "reads run with color": function() {
+        assertDocumentMatcher(
+            "r[color='FF0000']",
+            documentMatchers.run({color: "FF0000"})
+        );
+    },
+
+    "reads run with color with leading hash": function() {
+        assertDocumentMatcher(
+            "r[color='#FF0000']",
+            documentMatchers.run({color: "FF0000"})
+        );
+    },
+
+    "reads run with style name and color": function() {
+        assertDocumentMatcher(
+            "r[style-name='Note'][color='FF0000']",
+            documentMatchers.run({styleName: documentMatchers.equalTo("Note"), color: "FF0000"})
+        );
+    },
+
+    "reads section": function() {
+        assertDocumentMatcher(
+            "section",
+            documentMatchers.section({})
+        );
+    },
+
+    "reads section with number of columns": function() {
+        assertDocumentMatcher(
+            "section[columns=2]",
+            documentMatchers.section({columns: 2})
+        );
+    },
+
+    "reads section with orientation and break type": function() {
+        assertDocumentMatcher(
+            "section[orientation='landscape'][type='oddPage']",
+            documentMatchers.section({orientation: "landscape", breakType: "oddPage"})
+        );
+    },
+
+    "reads field": function() {
+        assertDocumentMatcher(
+            "field",
+            documentMatchers.field({})
+        );
+    },
+
+    "reads field with type": function() {
+        assertDocumentMatcher(
+            "field[type='DATE']",
+            documentMatchers.field({fieldType: "DATE"})
+        );
+    },
+
+    "reads structured document tag": function() {
+        assertDocumentMatcher(
+            "sdt",
+            documentMatchers.structuredDocumentTag({})
+        );
+    },
+
+    "reads structured document tag with tag and alias": function() {
+        assertDocumentMatcher(
+            "sdt[tag='abstract'][alias='Abstract']",
+            documentMatchers.structuredDocumentTag({tag: "abstract", alias: "Abstract"})
+        );
+    },
+
+    "reads drawing": function() {
+        assertDocumentMatcher(
+            "drawing",
+            documentMatchers.drawing({})
+        );
+    },
+
+    "reads drawing with type": function() {
+        assertDocumentMatcher(
+            "drawing[type='diagram']",
+            documentMatchers.drawing({drawingType: "diagram"})
+        );
+    },
+
     "reads line breaks": function() {
         assertDocumentMatcher(
             "br[type='line']",
@@ -4,6 +4,7 @@ var test = require("../test")(module);
 var documentMatchers = require("../../lib/styles/document-matchers");
 var documents = require("../../lib/documents");
 var Paragraph = documents.Paragraph;
+var Run = documents.Run;
 
 test("paragraph with no options matches any paragraph", function() {
     var matcher = documentMatchers.paragraph();
@@ -70,6 +71,103 @@ function paragraphWithStyle(styleId, styleName) {
 }
 
 
+test("paragraph matcher with base style name matches paragraphs with style based on that style", function() {
+    var matcher = documentMatchers.paragraph({baseStyleName: documentMatchers.equalTo("Heading 1")});
+    assert.ok(matcher.matches(new Paragraph([], {styleName: "Chapter Title", baseStyleNames: ["Heading 1", "Normal"]})));
+    assert.ok(!matcher.matches(new Paragraph([], {styleName: "Body Text", baseStyleNames: ["Normal"]})));
+});
+
+test("paragraph matcher with base style name matches paragraphs with that style", function() {
+    var matcher = documentMatchers.paragraph({baseStyleName: documentMatchers.equalTo("Heading 1")});
+    assert.ok(matcher.matches(new Paragraph([], {styleName: "Heading 1"})));
+});
+
+test("run matcher with color matches runs with that color ignoring case", function() {
+    var matcher = documentMatchers.run({color: "ff0000"});
+    assert.ok(matcher.matches(new Run([], {color: "FF0000"})));
+    assert.ok(!matcher.matches(new Run([], {color: "00FF00"})));
+    assert.ok(!matcher.matches(new Run([])));
+});
+
+test("run matcher with color matches runs with that color from their styles", function() {
+    var matcher = documentMatchers.run({color: "FF0000"});
+    assert.ok(matcher.matches(new Run([], {styleId: "Alert", effective: {color: "FF0000"}})));
+    assert.ok(!matcher.matches(new Run([], {color: "FF0000", effective: {color: "0000FF"}})));
+});
+
+test("section matcher without options matches all section properties", function() {
+    var matcher = documentMatchers.section({});
+    assert.ok(matcher.matches(documents.SectionProperties()));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("section matcher with columns matches section properties with that number of columns", function() {
+    var matcher = documentMatchers.section({columns: 2});
+    assert.ok(matcher.matches(documents.SectionProperties({columns: 2})));
+    assert.ok(!matcher.matches(documents.SectionProperties({columns: 3})));
+    assert.ok(!matcher.matches(documents.SectionProperties()));
+});
+
+test("section matcher with orientation and break type matches section properties with both", function() {
+    var matcher = documentMatchers.section({orientation: "landscape", breakType: "continuous"});
+    assert.ok(matcher.matches(documents.SectionProperties({orientation: "landscape", breakType: "continuous"})));
+    assert.ok(!matcher.matches(documents.SectionProperties({orientation: "landscape"})));
+    assert.ok(!matcher.matches(documents.SectionProperties({breakType: "continuous"})));
+});
+
+test("table row matcher matches header rows and position of rows", function() {
+    assert.ok(documentMatchers.tableRow({isHeader: true}).matches(documents.TableRow([], {isHeader: true})));
+    assert.ok(!documentMatchers.tableRow({isHeader: true}).matches(documents.TableRow([])));
+
+    var matcher = documentMatchers.tableRow({isFirst: true});
+    assert.ok(matcher.matches(documents.TableRow([]), {isFirst: true}));
+    assert.ok(!matcher.matches(documents.TableRow([]), {isFirst: false}));
+    assert.ok(!matcher.matches(documents.TableRow([])));
+});
+
+test("table row matcher counts odd and even rows from first row after header rows", function() {
+    var odd = documentMatchers.tableRow({isOdd: true});
+    var even = documentMatchers.tableRow({isEven: true});
+    assert.ok(odd.matches(documents.TableRow([]), {bandIndex: 0}));
+    assert.ok(!even.matches(documents.TableRow([]), {bandIndex: 0}));
+    assert.ok(even.matches(documents.TableRow([]), {bandIndex: 1}));
+    assert.ok(!odd.matches(documents.TableRow([], {isHeader: true}), {bandIndex: null}));
+    assert.ok(!even.matches(documents.TableRow([], {isHeader: true}), {bandIndex: null}));
+});
+
+test("table cell matcher matches position and shading of cells", function() {
+    var matcher = documentMatchers.tableCell({isFirstColumn: true, shading: "d9d9d9"});
+    assert.ok(matcher.matches(documents.TableCell([], {shading: "D9D9D9"}), {isFirstColumn: true}));
+    assert.ok(!matcher.matches(documents.TableCell([], {shading: "D9D9D9"}), {isFirstColumn: false}));
+    assert.ok(!matcher.matches(documents.TableCell([]), {isFirstColumn: true}));
+    assert.ok(!matcher.matches(documents.TableRow([]), {isFirstColumn: true}));
+});
+
+test("field matcher without type matches all fields", function() {
+    var matcher = documentMatchers.field({});
+    assert.ok(matcher.matches(documents.field([], {fieldType: "DATE", instruction: "DATE"})));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("field matcher with type matches fields of that type ignoring case", function() {
+    var matcher = documentMatchers.field({fieldType: "date"});
+    assert.ok(matcher.matches(documents.field([], {fieldType: "DATE", instruction: "DATE"})));
+    assert.ok(!matcher.matches(documents.field([], {fieldType: "TIME", instruction: "TIME"})));
+});
+
+test("structured document tag matcher without options matches all structured document tags", function() {
+    var matcher = documentMatchers.structuredDocumentTag({});
+    assert.ok(matcher.matches(documents.structuredDocumentTag([], {tag: "abstract"})));
+    assert.ok(!matcher.matches(new Paragraph()));
+});
+
+test("structured document tag matcher with tag and alias matches structured document tags with both", function() {
+    var matcher = documentMatchers.structuredDocumentTag({tag: "abstract", alias: "Abstract"});
+    assert.ok(matcher.matches(documents.structuredDocumentTag([], {tag: "abstract", alias: "Abstract"})));
+    assert.ok(!matcher.matches(documents.structuredDocumentTag([], {tag: "abstract"})));
+    assert.ok(!matcher.matches(documents.structuredDocumentTag([], {tag: "author-bio", alias: "Abstract"})));
+});
+
 test("equalTo matcher is case insensitive", function() {
     var matcher = documentMatchers.equalTo("Heading 1");
     assert.ok(matcher.operator(matcher.operand, "heaDING 1"));
@@ -0,0 +1,94 @@
+var assert = require("assert");
+
+var documents = require("../lib/documents");
+var tableOfContents = require("../lib/table-of-contents");
+var test = require("./test")(module);
+
+
+function tocField(children) {
+    return documents.field(children, {fieldType: "TOC", instruction: "TOC \\o \"1-3\" \\h"});
+}
+
+function pageReference(pageNumber) {
+    return documents.field([documents.text(pageNumber)], {fieldType: "PAGEREF", instruction: "PAGEREF _Toc1 \\h"});
+}
+
+function entryParagraph(level, children) {
+    return documents.paragraph([documents.run([tocField(children)])], {
+        styleId: "TOC" + level,
+        styleName: "toc " + level
+    });
+}
+
+test("paragraph containing result of TOC field is part of table of contents", function() {
+    assert.ok(tableOfContents.isTableOfContentsParagraph(entryParagraph(1, [documents.text("Intro")])));
+});
+
+test("paragraph without TOC field is not part of table of contents", function() {
+    var paragraph = documents.paragraph([
+        documents.run([
+            documents.field([documents.text("1")], {fieldType: "PAGE", instruction: "PAGE"})
+        ])
+    ]);
+    assert.ok(!tableOfContents.isTableOfContentsParagraph(paragraph));
+});
+
+test("entry has anchor of hyperlink and text without page number", function() {
+    var paragraph = entryParagraph(1, [
+        new documents.Hyperlink([
+            documents.text("Introduction"),
+            documents.tab(),
+            pageReference("3")
+        ], {anchor: "_Toc1"})
+    ]);
+
+    var entries = tableOfContents.readEntries([paragraph]);
+
+    assert.deepEqual(entries, [
+        {level: 1, text: "Introduction", anchor: "_Toc1", children: []}
+    ]);
+});
+
+test("page numbers that are not page references are removed from text", function() {
+    var paragraph = entryParagraph(1, [
+        documents.text("1.2"),
+        documents.tab(),
+        documents.text("Background"),
+        documents.tab(),
+        documents.text("12")
+    ]);
+
+    var entries = tableOfContents.readEntries([paragraph]);
+
+    assert.deepEqual(entries, [
+        {level: 1, text: "1.2 Background", anchor: null, children: []}
+    ]);
+});
+
+test("entries are nested using level from style", function() {
+    var entries = tableOfContents.readEntries([
+        entryParagraph(1, [documents.text("One")]),
+        entryParagraph(2, [documents.text("One A")]),
+        entryParagraph(3, [documents.text("One A i")]),
+        entryParagraph(2, [documents.text("One B")]),
+        entryParagraph(1, [documents.text("Two")])
+    ]);
+
+    assert.deepEqual(entries, [
+        {level: 1, text: "One", anchor: null, children: [
+            {level: 2, text: "One A", anchor: null, children: [
+                {level: 3, text: "One A i", anchor: null, children: []}
+            ]},
+            {level: 2, text: "One B", anchor: null, children: []}
+        ]},
+        {level: 1, text: "Two", anchor: null, children: []}
+    ]);
+});
+
+test("entries without text are ignored", function() {
+    var entries = tableOfContents.readEntries([
+        entryParagraph(1, [documents.tab()])
+    ]);
+
+    assert.deepEqual(entries, []);
+});
@@ -143,6 +143,19 @@ test('can generate an ordered list', function() {
     return assert.equal(writer.asString(), "1. Hello\n2. World\n\n");
 });
 
+test('ordered list items are numbered from their value and start with their label', function() {
+    var writer = mdWriter.writer();
+    writer.open("ol");
+    writer.open("li");
+    writer.text("Hello");
+    writer.close("li");
+    writer.open("li", {value: "4", "data-label": "*"});
+    writer.text("World");
+    writer.close("li");
+    writer.close("ol");
+    return assert.equal(writer.asString(), "1. Hello\n4. \\* World\n\n");
+});
+
 test('can generate an unordered list', function() {
     var writer = mdWriter.writer();
     writer.open("ul");
@@ -224,6 +237,19 @@ test('new ordered list resets numbering', function() {
     return assert.equal(writer.asString(), "1. First\n\nHello\n\n1. Second\n\n");
 });
 
+test('ordered list starts numbering from start attribute', function() {
+    var writer = mdWriter.writer();
+    writer.open("ol", {start: "5"});
+    writer.open("li");
+    writer.text("Fifth");
+    writer.close("li");
+    writer.open("li");
+    writer.text("Sixth");
+    writer.close("li");
+    writer.close("ol");
+    return assert.equal(writer.asString(), "5. Fifth\n6. Sixth\n\n");
+});
+
 test('can generate a nested unordered list', function() {
     var writer = mdWriter.writer();
     writer.open("ul");
@@ -302,3 +328,26 @@ test('generates correct spacing between paragraphs and lists', function() {
     writer.close("p");
     return assert.equal(writer.asString(), "Hello World\n\n- First Item\n- Second Item\n\nHello World\n\n");
 });
+
+test('math is converted to LaTeX from alternative text', function() {
+    var writer = mdWriter.writer();
+    writer.open("p");
+    writer.text("Area is ");
+    writer.open("math", {alttext: "\\pi r^{2}"});
+    writer.open("mi");
+    writer.text("\u03C0");
+    writer.close("mi");
+    writer.close("math");
+    writer.close("p");
+    return assert.equal(writer.asString(), "Area is $\\pi r^{2}$\n\n");
+});
+
+test('block math is converted to LaTeX with double dollar delimiters', function() {
+    var writer = mdWriter.writer();
+    writer.open("math", {display: "block", alttext: "x"});
+    writer.open("mi");
+    writer.text("x");
+    writer.close("mi");
+    writer.close("math");
+    return assert.equal(writer.asString(), "$$x$$");
+});